@@ -1,75 +1,208 @@
 const aaAdapter = require('../services/aaAdapter');
-const ConsentRecord = require('../models/ConsentRecord');
+const consentService = require('../services/consentService');
+const notificationService = require('../services/notificationService');
+const fiIngestion = require('../services/fiIngestion');
+const fiAccessLog = require('../services/fiAccessLog');
+const dataRetention = require('../services/dataRetention');
+const { AAError } = require('../services/aaErrors');
+
+/**
+ * Send an error response, surfacing typed AA errors with their status
+ */
+const sendError = (res, error, fallbackMessage) => {
+  if (error instanceof AAError) {
+    return res.status(error.httpStatus).json({ error: error.message, code: error.code });
+  }
+  res.status(500).json({ error: fallbackMessage });
+};
 
 /**
  * Initiate AA consent flow
  */
 const initiateConsent = async (req, res) => {
   try {
-    const { customerId, fiTypes, fromDate, toDate } = req.body;
+    const { customerId, fiTypes, fromDate, toDate, fetchType, frequency, provider, template: templateName } = req.body;
 
     if (!customerId) {
       return res.status(400).json({ error: 'Customer ID (mobile/VUA) is required' });
     }
 
+    if (typeof customerId !== 'string') {
+      return res.status(400).json({ error: 'Customer ID must be a string (mobile number or VUA)' });
+    }
+
+    if (provider && !aaAdapter.hasProvider(provider)) {
+      const names = aaAdapter.listProviders().map(p => p.name);
+      return res.status(400).json({ error: `provider must be one of ${names.join(', ')}` });
+    }
+
+    if (fetchType && !aaAdapter.FETCH_TYPES.includes(fetchType)) {
+      return res.status(400).json({ error: `fetchType must be one of ${aaAdapter.FETCH_TYPES.join(', ')}` });
+    }
+
+    if (frequency && (!aaAdapter.FREQUENCY_UNITS.includes(frequency.unit) ||
+        !Number.isInteger(frequency.value) || frequency.value < 1)) {
+      return res.status(400).json({ error: 'frequency must be { unit: HOUR|DAY|MONTH|YEAR|INF, value: positive integer }' });
+    }
+
+    const template = await consentService.resolveTemplate(templateName);
+    if (!template) {
+      return res.status(400).json({ error: `Unknown consent template: ${templateName}` });
+    }
+
     const result = await aaAdapter.initiateConsent({
       customerId,
+      template,
       fiTypes,
       fromDate: fromDate ? new Date(fromDate) : undefined,
-      toDate: toDate ? new Date(toDate) : undefined
+      toDate: toDate ? new Date(toDate) : undefined,
+      fetchType,
+      frequency,
+      provider
+    });
+
+    const record = await consentService.createPendingConsent({
+      userId: req.userId,
+      customerId,
+      initiation: result
     });
 
-    res.json(result);
+    res.json({ ...result, consentRecordId: record.id, status: record.status });
   } catch (error) {
     console.error('AA consent initiate error:', error);
-    res.status(500).json({ error: 'Failed to initiate consent' });
+    sendError(res, error, 'Failed to initiate consent');
   }
 };
 
 /**
- * Handle AA callback after user consent
+ * Handle the AA's redirect back after the user acts on the consent.
+ * Only the encrypted ecres/fi/resdate are trusted: they must decrypt, be
+ * fresh and match the stored consent (srcref = handle, txnid = consent
+ * request txnid). The outcome itself is then read from the AA.
  */
 const handleCallback = async (req, res) => {
+  const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+  const fail = (error) => res.redirect(`${frontendUrl}/aa/result?success=false&error=${error}`);
+
   try {
-    const { consentId, consentHandle, status, ecreq } = req.query;
+    const { fi, resdate, ecres, ecreq } = req.query;
 
-    const result = await aaAdapter.handleCallback({
-      consentId,
-      consentHandle,
-      status
-    });
+    let redirect;
+    try {
+      redirect = await aaAdapter.parseRedirect({ fi, resdate, ecres: ecres || ecreq });
+    } catch (error) {
+      if (!(error instanceof AAError)) throw error;
+      console.error('AA callback rejected:', error.message);
+      return fail(error.code === 'RedirectExpired' ? 'redirect_expired' : 'invalid_redirect');
+    }
+
+    const record = await consentService.findLatestByHandle(redirect.srcref);
+    if (!record) {
+      return fail('unknown_consent');
+    }
+
+    const provider = aaAdapter.forProvider(record.aa_provider);
+    if (!redirect.providers.includes(provider.name) || redirect.txnid !== record.aa_request?.txnid) {
+      console.error('AA callback rejected: srcref/txnid do not match consent', record.consent_handle);
+      return fail('invalid_redirect');
+    }
+
+    const aaStatus = await provider.checkConsentStatus(record.consent_handle);
+
+    // A replayed or late redirect must not revive a revoked, rejected, expired
+    // or paused consent (recordStatus refuses too); report its real status
+    let latest = record;
+    if (aaStatus.status === 'APPROVED' && consentService.canTransition(record.status, 'APPROVED')) {
+      const result = await provider.handleCallback({
+        consentId: aaStatus.consentId,
+        consentHandle: record.consent_handle,
+        status: aaStatus.status
+      });
+      latest = await consentService.recordStatus(record, 'APPROVED', {
+        aaConsentId: aaStatus.consentId,
+        aaResponse: result.artefact
+      });
+    } else if (['REJECTED', 'EXPIRED'].includes(aaStatus.status)) {
+      latest = await consentService.recordStatus(record, aaStatus.status, {
+        aaResponse: { ...aaStatus, redirectStatus: redirect.status, errorcode: redirect.errorcode || null }
+      });
+    }
 
     // Redirect to frontend with result
-    const redirectUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
     const params = new URLSearchParams({
-      success: result.success,
-      consentId: consentId || '',
-      status: status || ''
+      success: latest.status === 'APPROVED',
+      consentId: latest.aa_consent_id || '',
+      status: latest.status
     });
 
-    res.redirect(`${redirectUrl}/aa/result?${params.toString()}`);
+    res.redirect(`${frontendUrl}/aa/result?${params.toString()}`);
   } catch (error) {
     console.error('AA callback error:', error);
-    res.redirect(`${process.env.FRONTEND_URL || 'http://localhost:3000'}/aa/result?success=false&error=callback_failed`);
+    fail('callback_failed');
   }
 };
 
 /**
- * Check consent status
+ * Check consent status (polls the AA and records any change)
  */
 const checkConsentStatus = async (req, res) => {
   try {
     const { consentHandle } = req.params;
 
-    const result = await aaAdapter.checkConsentStatus(consentHandle);
+    const record = await consentService.findLatestByHandle(consentHandle, req.userId);
+    if (!record) {
+      return res.status(404).json({ error: 'Consent not found' });
+    }
+
+    const expired = await consentService.expireIfDue(record);
+    if (expired.status === 'EXPIRED') {
+      return res.json({
+        success: true,
+        consentHandle,
+        consentId: expired.aa_consent_id,
+        status: expired.status,
+        version: expired.version
+      });
+    }
+
+    const result = await aaAdapter.forProvider(record.aa_provider).checkConsentStatus(consentHandle);
 
-    res.json(result);
+    // recordStatus keeps revoked and paused consents as they are
+    let latest = record;
+    if (['APPROVED', 'REJECTED', 'EXPIRED'].includes(result.status)) {
+      latest = await consentService.recordStatus(record, result.status, {
+        aaConsentId: result.consentId,
+        aaResponse: result
+      });
+    }
+
+    res.json({ ...result, status: latest.status, aaStatus: result.status, version: latest.version });
   } catch (error) {
     console.error('AA consent status error:', error);
-    res.status(500).json({ error: 'Failed to check consent status' });
+    sendError(res, error, 'Failed to check consent status');
   }
 };
 
+/**
+ * Load the user's latest consent version and make sure data can be fetched with it
+ * @returns {ConsentRecord|null} - null if a response was already sent
+ */
+const findUsableConsent = async (req, res, consentId) => {
+  const record = await consentService.findLatestByConsentId(consentId, req.userId);
+  if (!record) {
+    res.status(404).json({ error: 'Consent not found' });
+    return null;
+  }
+
+  const latest = await consentService.expireIfDue(record);
+  if (!latest.isValid()) {
+    res.status(409).json({ error: `Consent is ${latest.status}` });
+    return null;
+  }
+
+  return latest;
+};
+
 /**
  * Fetch financial data using approved consent
  */
@@ -81,17 +214,23 @@ const fetchData = async (req, res) => {
       return res.status(400).json({ error: 'Consent ID is required' });
     }
 
-    const result = await aaAdapter.fetchData(consentId);
+    const record = await findUsableConsent(req, res, consentId);
+    if (!record) return;
+
+    const { dataSession, session } = await fiIngestion.requestSession({ record });
 
-    res.json(result);
+    // Sealed session keys stay server-side
+    const { sessionKeys, ...result } = dataSession;
+    res.json({ ...result, status: session.status });
   } catch (error) {
     console.error('AA data fetch error:', error);
-    res.status(500).json({ error: 'Failed to fetch data' });
+    sendError(res, error, 'Failed to fetch data');
   }
 };
 
 /**
- * Fetch bank statement using approved consent
+ * Fetch bank statement using approved consent, then parse and save its
+ * transactions. The run is recorded as an FI session (see fiIngestion.js).
  */
 const fetchBankStatement = async (req, res) => {
   try {
@@ -101,12 +240,276 @@ const fetchBankStatement = async (req, res) => {
       return res.status(400).json({ error: 'Consent ID is required' });
     }
 
-    const result = await aaAdapter.fetchBankStatement(consentId);
+    const record = await findUsableConsent(req, res, consentId);
+    if (!record) return;
+
+    const { session, result, pending } = await fiIngestion.ingestBankStatement({ record });
+
+    if (pending) {
+      // The AA is still collecting data; the session is ingested once it is READY
+      return res.status(202).json({
+        success: true,
+        pending: true,
+        sessionId: session.sessionId,
+        session
+      });
+    }
 
-    res.json(result);
+    res.json({
+      success: true,
+      sessionId: session.sessionId,
+      session,
+      accounts: result.accounts,
+      cardStatements: result.cardStatements,
+      holdings: result.holdings,
+      insurancePolicies: result.insurancePolicies,
+      premiumsLinked: result.premiumsLinked,
+      loans: result.loans,
+      totalParsed: result.totalParsed,
+      saved: result.saved,
+      skipped: result.skipped,
+      errors: result.errors
+    });
   } catch (error) {
     console.error('AA bank statement error:', error);
-    res.status(500).json({ error: 'Failed to fetch bank statement' });
+    if (error.sessionId && !(error instanceof AAError)) {
+      return res.status(502).json({ error: 'Failed to fetch bank statement', sessionId: error.sessionId });
+    }
+    sendError(res, error, 'Failed to fetch bank statement');
+  }
+};
+
+/**
+ * List the user's FI fetch sessions (optionally for one AA consent ID)
+ */
+const listFISessions = async (req, res) => {
+  try {
+    const sessions = await fiIngestion.listUserSessions(req.userId, { consentId: req.query.consentId });
+    res.json({ success: true, sessions });
+  } catch (error) {
+    console.error('List FI sessions error:', error);
+    res.status(500).json({ error: 'Failed to list FI sessions' });
+  }
+};
+
+/**
+ * Get one FI fetch session's progress and stats
+ */
+const getFISession = async (req, res) => {
+  try {
+    const session = await fiIngestion.getUserSession(req.userId, req.params.sessionId);
+    if (!session) {
+      return res.status(404).json({ error: 'FI session not found' });
+    }
+
+    res.json({ success: true, session });
+  } catch (error) {
+    console.error('Get FI session error:', error);
+    res.status(500).json({ error: 'Failed to get FI session' });
+  }
+};
+
+/**
+ * List the user's FI access log: what FI data was requested, fetched and
+ * stored, under which consent, when and for whom
+ */
+const listFIAccessLog = async (req, res) => {
+  try {
+    const { consentId, from, to } = req.query;
+    if ([from, to].some(date => date && isNaN(new Date(date).getTime()))) {
+      return res.status(400).json({ error: 'from and to must be valid dates' });
+    }
+
+    const entries = await fiAccessLog.listUserAccessLog(req.userId, { consentId, from, to });
+    res.json({ success: true, entries });
+  } catch (error) {
+    console.error('List FI access log error:', error);
+    res.status(500).json({ error: 'Failed to list FI access log' });
+  }
+};
+
+/**
+ * Export the FI access log for every user, oldest first (admin only; same
+ * query as scripts/exportFIAccessLog.js)
+ */
+const exportFIAccessLog = async (req, res) => {
+  try {
+    const { userId, consentId, from, to, format = 'csv' } = req.query;
+    if (!['csv', 'json'].includes(format)) {
+      return res.status(400).json({ error: 'format must be csv or json' });
+    }
+    if ([from, to].some(date => date && isNaN(new Date(date).getTime()))) {
+      return res.status(400).json({ error: 'from and to must be valid dates' });
+    }
+
+    const filters = { userId, consentId, from, to };
+    const rows = await fiAccessLog.exportAccessLog(filters);
+
+    if (format === 'json') {
+      return res.json({ exportedAt: new Date().toISOString(), filters, entries: rows });
+    }
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', 'attachment; filename="fi-access-log.csv"');
+    res.send(fiAccessLog.toCsv(rows));
+  } catch (error) {
+    console.error('Export FI access log error:', error);
+    res.status(500).json({ error: 'Failed to export FI access log' });
+  }
+};
+
+// Statuses a consent must be in before the user can revoke or pause it
+const CONSENT_ACTION_FROM = {
+  REVOKED: ['APPROVED', 'PAUSED'],
+  PAUSED: ['APPROVED']
+};
+
+/**
+ * List the consent templates a consent can be initiated with
+ */
+const listConsentTemplates = async (req, res) => {
+  try {
+    const templates = await consentService.listTemplates();
+    res.json({ success: true, templates });
+  } catch (error) {
+    console.error('List consent templates error:', error);
+    res.status(500).json({ error: 'Failed to list consent templates' });
+  }
+};
+
+/**
+ * List the AA providers a consent can be initiated with
+ */
+const listProviders = (req, res) => {
+  res.json({ success: true, providers: aaAdapter.listProviders() });
+};
+
+/**
+ * List the user's consents with their version history
+ */
+const listConsents = async (req, res) => {
+  try {
+    const consents = await consentService.listUserConsents(req.userId);
+    res.json({ success: true, consents });
+  } catch (error) {
+    console.error('List consents error:', error);
+    res.status(500).json({ error: 'Failed to list consents' });
+  }
+};
+
+/**
+ * Get one consent (by AA consent ID or handle) with its version history
+ */
+const getConsent = async (req, res) => {
+  try {
+    const consent = await consentService.getUserConsent(req.userId, req.params.consentId);
+    if (!consent) {
+      return res.status(404).json({ error: 'Consent not found' });
+    }
+
+    res.json({ success: true, consent });
+  } catch (error) {
+    console.error('Get consent error:', error);
+    res.status(500).json({ error: 'Failed to get consent' });
+  }
+};
+
+/**
+ * Notify the AA of a user-initiated status change and append the version
+ * @param {string} status - REVOKED | PAUSED
+ */
+const changeConsentStatus = (status) => async (req, res) => {
+  try {
+    const record = await consentService.findUserConsent(req.userId, req.params.consentId);
+    if (!record) {
+      return res.status(404).json({ error: 'Consent not found' });
+    }
+
+    const latest = await consentService.expireIfDue(record);
+    if (!CONSENT_ACTION_FROM[status].includes(latest.status) || !latest.aa_consent_id) {
+      return res.status(409).json({ error: `Consent is ${latest.status}` });
+    }
+
+    const result = await aaAdapter.forProvider(latest.aa_provider).updateConsentStatus({
+      consentId: latest.aa_consent_id,
+      consentHandle: latest.consent_handle,
+      status
+    });
+
+    // The AA still holds the consent as before: record nothing and keep the data
+    if (!result.success) {
+      console.error(`Consent ${status.toLowerCase()} rejected by AA:`, result.response);
+      return res.status(502).json({ error: 'AA did not accept the consent status change' });
+    }
+
+    const updated = await consentService.recordStatus(latest, status, {
+      aaResponse: { ...result.response, initiatedBy: 'USER' }
+    });
+
+    // Revoked data is purged right away; the retention job retries on failure
+    if (status === 'REVOKED') {
+      await dataRetention.purgeConsentData(updated, { triggeredBy: 'REVOCATION' })
+        .catch(error => console.error('Revocation purge error:', error));
+    }
+
+    res.json({
+      success: true,
+      consent: await consentService.getUserConsent(req.userId, latest.consent_handle)
+    });
+  } catch (error) {
+    console.error(`Consent ${status.toLowerCase()} error:`, error);
+    sendError(res, error, 'Failed to update consent');
+  }
+};
+
+/**
+ * Revoke a consent at the AA
+ */
+const revokeConsent = changeConsentStatus('REVOKED');
+
+/**
+ * Pause a consent at the AA
+ */
+const pauseConsent = changeConsentStatus('PAUSED');
+
+/**
+ * Respond to an AA notification failure in the ReBIT error format
+ */
+const sendNotificationError = (req, res, error) => {
+  const isKnown = error instanceof notificationService.NotificationError;
+  if (!isKnown) {
+    console.error('AA notification error:', error);
+  }
+
+  res.status(isKnown ? error.status : 500).json({
+    ver: '1.0',
+    timestamp: new Date().toISOString(),
+    txnid: req.body?.txnid || null,
+    errorCode: isKnown ? error.errorCode : 'InternalError',
+    errorMsg: isKnown ? error.message : 'Failed to process notification'
+  });
+};
+
+/**
+ * Handle AA consent status notification (ReBIT /Consent/Notification)
+ */
+const consentNotification = async (req, res) => {
+  try {
+    const { ack } = await notificationService.handleConsentNotification(req.body);
+    res.json(ack);
+  } catch (error) {
+    sendNotificationError(req, res, error);
+  }
+};
+
+/**
+ * Handle AA FI status notification (ReBIT /FI/Notification)
+ */
+const fiNotification = async (req, res) => {
+  try {
+    const { ack } = await notificationService.handleFINotification(req.body);
+    res.json(ack);
+  } catch (error) {
+    sendNotificationError(req, res, error);
   }
 };
 
@@ -115,6 +518,18 @@ module.exports = {
   handleCallback,
   checkConsentStatus,
   fetchData,
-  fetchBankStatement
+  fetchBankStatement,
+  listFISessions,
+  getFISession,
+  listFIAccessLog,
+  exportFIAccessLog,
+  listProviders,
+  listConsentTemplates,
+  listConsents,
+  getConsent,
+  revokeConsent,
+  pauseConsent,
+  consentNotification,
+  fiNotification
 };
 
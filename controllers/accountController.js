@@ -0,0 +1,141 @@
+const LinkedAccount = require('../models/LinkedAccount');
+const Transaction = require('../models/Transaction');
+const CardStatement = require('../models/CardStatement');
+const { Op } = require('sequelize');
+
+/**
+ * List the user's linked accounts
+ */
+const getAccounts = async (req, res) => {
+  try {
+    const { fi_type } = req.query;
+
+    const where = { user_id: req.userId };
+    if (fi_type) where.fi_type = fi_type;
+
+    const accounts = await LinkedAccount.findAll({
+      where,
+      attributes: { exclude: ['summary'] },
+      order: [['fip_id', 'ASC'], ['masked_acc_number', 'ASC']]
+    });
+
+    res.json({ accounts });
+  } catch (error) {
+    console.error('Get accounts error:', error);
+    res.status(500).json({ error: 'Failed to fetch accounts' });
+  }
+};
+
+/**
+ * Get one linked account's transactions with filters
+ */
+const getAccountTransactions = async (req, res) => {
+  try {
+    const account = await LinkedAccount.findOne({
+      where: { id: req.params.id, user_id: req.userId }
+    });
+    if (!account) {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+
+    const {
+      page = 1,
+      limit = 50,
+      type,
+      from_date,
+      to_date
+    } = req.query;
+
+    const where = { user_id: req.userId, linked_account_id: account.id };
+
+    if (type) where.type = type;
+    if (from_date || to_date) {
+      where.date = {};
+      if (from_date) where.date[Op.gte] = new Date(from_date);
+      if (to_date) where.date[Op.lte] = new Date(to_date);
+    }
+
+    const offset = (page - 1) * limit;
+
+    const { count, rows } = await Transaction.findAndCountAll({
+      where,
+      order: [['date', 'DESC']],
+      limit: parseInt(limit),
+      offset
+    });
+
+    res.json({
+      account,
+      transactions: rows,
+      pagination: {
+        total: count,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        totalPages: Math.ceil(count / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get account transactions error:', error);
+    res.status(500).json({ error: 'Failed to fetch account transactions' });
+  }
+};
+
+/**
+ * Upcoming credit card dues: latest statement of each card not yet past its due date
+ */
+const getCardDues = async (req, res) => {
+  try {
+    const statements = await CardStatement.findUpcomingDues(req.userId);
+
+    const dues = statements.map(statement => ({
+      accountId: statement.linked_account_id,
+      fipId: statement.fip_id,
+      maskedAccNumber: statement.masked_acc_number,
+      statementDate: statement.statement_date,
+      dueDate: statement.due_date,
+      totalDue: statement.total_due,
+      minDue: statement.min_due,
+      creditLimit: statement.credit_limit,
+      availableCredit: statement.available_credit,
+      currency: statement.currency
+    }));
+
+    res.json({ dues });
+  } catch (error) {
+    console.error('Get card dues error:', error);
+    res.status(500).json({ error: 'Failed to fetch card dues' });
+  }
+};
+
+/**
+ * List a credit card's statement summaries, newest first
+ */
+const getCardStatements = async (req, res) => {
+  try {
+    const account = await LinkedAccount.findOne({
+      where: { id: req.params.id, user_id: req.userId, fi_type: 'CREDIT_CARD' }
+    });
+    if (!account) {
+      return res.status(404).json({ error: 'Card not found' });
+    }
+
+    const statements = await CardStatement.findAll({
+      where: { user_id: req.userId, fip_id: account.fip_id, masked_acc_number: account.masked_acc_number },
+      attributes: { exclude: ['summary'] },
+      order: [['statement_date', 'DESC']],
+      limit: 24
+    });
+
+    res.json({ account, statements });
+  } catch (error) {
+    console.error('Get card statements error:', error);
+    res.status(500).json({ error: 'Failed to fetch card statements' });
+  }
+};
+
+module.exports = {
+  getAccounts,
+  getAccountTransactions,
+  getCardDues,
+  getCardStatements
+};
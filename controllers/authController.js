@@ -1,7 +1,12 @@
 const bcrypt = require('bcryptjs');
 const crypto = require('crypto');
+const { Op } = require('sequelize');
 const User = require('../models/User');
-const { generateAccessToken, generateRefreshToken, verifyRefreshToken } = require('../utils/jwt');
+const sessionService = require('../services/sessionService');
+const { SessionError } = sessionService;
+const { verifyIdToken, IdentityTokenError } = require('../services/identityTokens');
+const otpService = require('../services/otpService');
+const { OtpError } = otpService;
 
 // Helper: Split name into first_name and last_name
 const splitName = (name) => {
@@ -70,12 +75,8 @@ const register = async (req, res) => {
       last_name
     });
 
-    // Generate tokens
-    const accessToken = generateAccessToken(user.id);
-    const refreshToken = generateRefreshToken(user.id);
-
-    // Store refresh token
-    await user.update({ refresh_token: refreshToken });
+    // Start a session for this device
+    const { accessToken, refreshToken } = await sessionService.startSession(user, req);
 
     res.status(201).json({
       message: 'User registered successfully',
@@ -118,12 +119,8 @@ const login = async (req, res) => {
       return res.status(401).json({ error: 'Invalid credentials' });
     }
 
-    // Generate tokens (rotation)
-    const accessToken = generateAccessToken(user.id);
-    const refreshToken = generateRefreshToken(user.id);
-
-    // Update refresh token
-    await user.update({ refresh_token: refreshToken });
+    // Start a session for this device
+    const { accessToken, refreshToken } = await sessionService.startSession(user, req);
 
     res.json({
       message: 'Login successful',
@@ -137,95 +134,143 @@ const login = async (req, res) => {
   }
 };
 
-// Google login
-const googleLogin = async (req, res) => {
-  try {
-    const { google_id, email, name } = req.body;
+// Find the user for a verified social identity, linking or creating as needed.
+// Accounts are only linked by email when the provider verified that email.
+const findOrCreateSocialUser = async (idField, identity, name) => {
+  const { first_name, last_name } = splitName(name || identity.name);
+  const email = identity.emailVerified ? identity.email : null;
+
+  let user = await User.findOne({ where: { [idField]: identity.sub } });
 
-    if (!google_id) {
-      return res.status(400).json({ error: 'Google ID is required' });
+  if (!user && email) {
+    user = await User.findOne({ where: { email } });
+    if (user) {
+      await user.update({ [idField]: identity.sub, first_name: user.first_name || first_name, last_name: user.last_name || last_name });
     }
+  }
 
-    // Split name into first_name and last_name
-    const { first_name, last_name } = splitName(name);
+  if (!user) {
+    user = await User.create({ [idField]: identity.sub, email, first_name, last_name });
+  }
 
-    // Find or create user
-    let user = await User.findOne({ where: { google_id } });
+  return user;
+};
 
-    if (!user && email) {
-      user = await User.findOne({ where: { email } });
-      if (user) {
-        await user.update({ google_id, first_name: user.first_name || first_name, last_name: user.last_name || last_name });
-      }
+// Google / Apple login with the provider's ID token
+const socialLogin = (provider, idField, label) => async (req, res) => {
+  try {
+    const { id_token, nonce, name } = req.body;
+
+    if (!id_token) {
+      return res.status(400).json({ error: `${label} ID token is required` });
     }
 
-    if (!user) {
-      user = await User.create({ google_id, email, first_name, last_name });
+    let identity;
+    try {
+      identity = await verifyIdToken(provider, id_token, { nonce });
+    } catch (error) {
+      if (error instanceof IdentityTokenError) {
+        return res.status(401).json({ error: `Invalid ${label} ID token`, code: error.code });
+      }
+      throw error;
     }
 
-    // Generate tokens
-    const accessToken = generateAccessToken(user.id);
-    const refreshToken = generateRefreshToken(user.id);
+    const user = await findOrCreateSocialUser(idField, identity, name);
 
-    await user.update({ refresh_token: refreshToken });
+    // Start a session for this device
+    const { accessToken, refreshToken } = await sessionService.startSession(user, req);
 
     res.json({
-      message: 'Google login successful',
+      message: `${label} login successful`,
       accessToken,
       refreshToken,
-      user: { id: user.id, email: user.email, google_id: user.google_id, first_name: user.first_name, last_name: user.last_name }
+      user: { id: user.id, email: user.email, [idField]: user[idField], first_name: user.first_name, last_name: user.last_name }
     });
   } catch (error) {
-    console.error('Google login error:', error);
-    res.status(500).json({ error: 'Google login failed' });
+    console.error(`${label} login error:`, error);
+    res.status(500).json({ error: `${label} login failed` });
   }
 };
 
-// Apple login
-const appleLogin = async (req, res) => {
+// Google login
+const googleLogin = socialLogin('google', 'google_id', 'Google');
+
+// Apple login (name is only shared by Apple on the first sign-in, so the client forwards it)
+const appleLogin = socialLogin('apple', 'apple_id', 'Apple');
+
+// Send a login code by SMS. The response is the same whether or not the phone has an account.
+const requestOtp = async (req, res) => {
   try {
-    const { apple_id, email, name } = req.body;
+    const { phone } = req.body;
 
-    if (!apple_id) {
-      return res.status(400).json({ error: 'Apple ID is required' });
+    if (!phone) {
+      return res.status(400).json({ error: 'Phone is required' });
     }
 
-    // Split name into first_name and last_name
-    const { first_name, last_name } = splitName(name);
+    const { expiresAt, resendAfter } = await otpService.requestOtp(phone, req);
 
-    // Find or create user
-    let user = await User.findOne({ where: { apple_id } });
+    res.json({
+      message: 'OTP sent',
+      expiresAt,
+      resendAfter
+    });
+  } catch (error) {
+    if (error instanceof OtpError) {
+      if (error.retryAfter) res.set('Retry-After', String(error.retryAfter));
+      return res.status(error.httpStatus).json({ error: error.message, code: error.code, retryAfter: error.retryAfter });
+    }
+    console.error('Request OTP error:', error);
+    res.status(500).json({ error: 'Failed to send OTP' });
+  }
+};
 
-    if (!user && email) {
-      user = await User.findOne({ where: { email } });
-      if (user) {
-        await user.update({ apple_id, first_name: user.first_name || first_name, last_name: user.last_name || last_name });
-      }
+// Log in (or sign up) with a login code; marks the phone as verified
+const verifyOtp = async (req, res) => {
+  try {
+    const { phone, otp, name } = req.body;
+
+    if (!phone) {
+      return res.status(400).json({ error: 'Phone is required' });
     }
 
-    if (!user) {
-      user = await User.create({ apple_id, email, first_name, last_name });
+    if (!otp) {
+      return res.status(400).json({ error: 'OTP is required' });
     }
 
-    // Generate tokens
-    const accessToken = generateAccessToken(user.id);
-    const refreshToken = generateRefreshToken(user.id);
+    const verified = await otpService.verifyOtp(phone, otp);
 
-    await user.update({ refresh_token: refreshToken });
+    let user = await User.findOne({
+      where: { phone: { [Op.in]: otpService.phoneVariants(verified.phone) } }
+    });
+    const isNewUser = !user;
 
-    res.json({
-      message: 'Apple login successful',
+    if (!user) {
+      const { first_name, last_name } = splitName(name);
+      user = await User.create({ phone: verified.phone, phone_verified_at: new Date(), first_name, last_name });
+    } else if (!user.phone_verified_at) {
+      await user.update({ phone_verified_at: new Date() });
+    }
+
+    // Start a session for this device
+    const { accessToken, refreshToken } = await sessionService.startSession(user, req);
+
+    res.status(isNewUser ? 201 : 200).json({
+      message: 'OTP login successful',
       accessToken,
       refreshToken,
-      user: { id: user.id, email: user.email, apple_id: user.apple_id, first_name: user.first_name, last_name: user.last_name }
+      isNewUser,
+      user: { id: user.id, email: user.email, phone: user.phone, first_name: user.first_name, last_name: user.last_name }
     });
   } catch (error) {
-    console.error('Apple login error:', error);
-    res.status(500).json({ error: 'Apple login failed' });
+    if (error instanceof OtpError) {
+      return res.status(error.httpStatus).json({ error: error.message, code: error.code, attemptsRemaining: error.attemptsRemaining });
+    }
+    console.error('Verify OTP error:', error);
+    res.status(500).json({ error: 'OTP login failed' });
   }
 };
 
-// Refresh token
+// Refresh token (rotates the session's refresh token)
 const refreshTokenHandler = async (req, res) => {
   try {
     const { refreshToken } = req.body;
@@ -234,37 +279,28 @@ const refreshTokenHandler = async (req, res) => {
       return res.status(400).json({ error: 'Refresh token is required' });
     }
 
-    // Verify refresh token
-    const decoded = verifyRefreshToken(refreshToken);
-
-    // Find user and verify stored token
-    const user = await User.findByPk(decoded.userId);
-
-    if (!user || user.refresh_token !== refreshToken) {
-      return res.status(401).json({ error: 'Invalid refresh token' });
-    }
-
-    // Rotate tokens
-    const newAccessToken = generateAccessToken(user.id);
-    const newRefreshToken = generateRefreshToken(user.id);
-
-    await user.update({ refresh_token: newRefreshToken });
+    const tokens = await sessionService.refreshSession(refreshToken, req);
 
     res.json({
-      accessToken: newAccessToken,
-      refreshToken: newRefreshToken
+      accessToken: tokens.accessToken,
+      refreshToken: tokens.refreshToken
     });
   } catch (error) {
+    if (error instanceof SessionError) {
+      // RefreshTokenReused: the device's session was revoked and it must sign in again
+      return res.status(401).json({ error: 'Invalid refresh token', code: error.code });
+    }
     console.error('Refresh token error:', error);
     res.status(401).json({ error: 'Invalid refresh token' });
   }
 };
 
-// Logout
+// Logout (this device's session only)
 const logout = async (req, res) => {
   try {
-    const userId = req.userId;
-    await User.update({ refresh_token: null }, { where: { id: userId } });
+    if (req.sessionId) {
+      await sessionService.revokeSession(req.userId, req.sessionId, 'LOGOUT');
+    }
     res.json({ message: 'Logged out successfully' });
   } catch (error) {
     console.error('Logout error:', error);
@@ -272,12 +308,105 @@ const logout = async (req, res) => {
   }
 };
 
+// Log out everywhere (every session of the user)
+const logoutAll = async (req, res) => {
+  try {
+    const count = await sessionService.revokeAllSessions(req.userId);
+    res.json({ message: 'Logged out of all sessions', sessionsEnded: count });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({ error: 'Logout failed' });
+  }
+};
+
+// Change password: revokes every session and access token, then signs this device in again
+const changePassword = async (req, res) => {
+  try {
+    const { current_password, new_password, confirm_password } = req.body;
+
+    if (!current_password) {
+      return res.status(400).json({ error: 'Current password is required' });
+    }
+
+    if (!new_password) {
+      return res.status(400).json({ error: 'New password is required' });
+    }
+
+    if (new_password !== confirm_password) {
+      return res.status(400).json({ error: 'Passwords do not match' });
+    }
+
+    const user = await User.findByPk(req.userId);
+
+    if (!user || !user.password_hash) {
+      return res.status(400).json({ error: 'No password is set for this account' });
+    }
+
+    // Verify current password
+    const isValid = await bcrypt.compare(current_password + user.salt, user.password_hash);
+
+    if (!isValid) {
+      return res.status(401).json({ error: 'Invalid credentials' });
+    }
+
+    // Hash new password
+    const salt = crypto.randomBytes(16).toString('hex');
+    const password_hash = await bcrypt.hash(new_password + salt, 12);
+    await user.update({ password_hash, salt });
+
+    // End every session (this bumps the token version) and start a fresh one here
+    await sessionService.revokeAllSessions(user.id, 'PASSWORD_CHANGED');
+    await user.reload();
+    const { accessToken, refreshToken } = await sessionService.startSession(user, req);
+
+    res.json({
+      message: 'Password changed successfully',
+      accessToken,
+      refreshToken
+    });
+  } catch (error) {
+    console.error('Change password error:', error);
+    res.status(500).json({ error: 'Password change failed' });
+  }
+};
+
+// List the user's active sessions (devices)
+const listSessions = async (req, res) => {
+  try {
+    const sessions = await sessionService.listSessions(req.userId, req.sessionId);
+    res.json({ success: true, sessions });
+  } catch (error) {
+    console.error('List sessions error:', error);
+    res.status(500).json({ error: 'Failed to list sessions' });
+  }
+};
+
+// End one of the user's sessions (e.g. a lost phone)
+const revokeSession = async (req, res) => {
+  try {
+    const revoked = await sessionService.revokeSession(req.userId, req.params.id);
+    if (!revoked) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    res.json({ message: 'Session ended', current: req.params.id === req.sessionId });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({ error: 'Failed to end session' });
+  }
+};
+
 module.exports = {
   register,
   login,
   googleLogin,
   appleLogin,
+  requestOtp,
+  verifyOtp,
   refreshToken: refreshTokenHandler,
-  logout
+  logout,
+  logoutAll,
+  changePassword,
+  listSessions,
+  revokeSession
 };
 
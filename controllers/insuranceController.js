@@ -0,0 +1,57 @@
+const InsurancePolicy = require('../models/InsurancePolicy');
+const Transaction = require('../models/Transaction');
+const { fn, col } = require('sequelize');
+
+/**
+ * List the user's insurance policies with their linked premium payments
+ */
+const getPolicies = async (req, res) => {
+  try {
+    const { status, policy_type } = req.query;
+
+    const where = { user_id: req.userId };
+    if (status) where.status = status;
+    if (policy_type) where.policy_type = policy_type;
+
+    const policies = await InsurancePolicy.findAll({
+      where,
+      attributes: { exclude: ['summary'] },
+      order: [['next_premium_due_date', 'ASC'], ['insurer', 'ASC']]
+    });
+
+    // Premium debits linked to each policy (see linkPremiumTransactions)
+    const payments = await Transaction.findAll({
+      where: { user_id: req.userId, insurance_policy_id: policies.map(policy => policy.id) },
+      attributes: [
+        'insurance_policy_id',
+        [fn('COUNT', col('id')), 'count'],
+        [fn('SUM', col('amount')), 'total'],
+        [fn('MAX', col('date')), 'lastPaidAt']
+      ],
+      group: ['insurance_policy_id'],
+      raw: true
+    });
+    const paymentsByPolicy = new Map(payments.map(p => [p.insurance_policy_id, p]));
+
+    res.json({
+      policies: policies.map(policy => {
+        const paid = paymentsByPolicy.get(policy.id);
+        return {
+          ...policy.toJSON(),
+          premiumsPaid: {
+            count: paid ? parseInt(paid.count) : 0,
+            total: paid ? parseFloat(paid.total) : 0,
+            lastPaidAt: paid ? paid.lastPaidAt : null
+          }
+        };
+      })
+    });
+  } catch (error) {
+    console.error('Get insurance policies error:', error);
+    res.status(500).json({ error: 'Failed to fetch insurance policies' });
+  }
+};
+
+module.exports = {
+  getPolicies
+};
@@ -0,0 +1,81 @@
+const Loan = require('../models/Loan');
+const loanAmortization = require('../services/loanAmortization');
+
+/**
+ * Send a LoanSimulationError as its status, anything else as a 500
+ */
+const sendLoanError = (res, error, label, message) => {
+  if (error instanceof loanAmortization.LoanSimulationError) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  console.error(`${label} error:`, error);
+  res.status(500).json({ error: message });
+};
+
+/**
+ * List the user's loans
+ */
+const getLoans = async (req, res) => {
+  try {
+    const loans = await Loan.findAll({
+      where: { user_id: req.userId },
+      attributes: { exclude: ['summary'] },
+      order: [['outstanding_amount', 'DESC']]
+    });
+
+    res.json({ loans });
+  } catch (error) {
+    console.error('Get loans error:', error);
+    res.status(500).json({ error: 'Failed to fetch loans' });
+  }
+};
+
+/**
+ * Get a loan's amortization schedule from its outstanding balance
+ */
+const getLoanSchedule = async (req, res) => {
+  try {
+    const loan = await Loan.findOne({ where: { id: req.params.id, user_id: req.userId } });
+    if (!loan) {
+      return res.status(404).json({ error: 'Loan not found' });
+    }
+
+    const terms = loanAmortization.loanTerms(loan);
+    const schedule = loanAmortization.buildSchedule(terms);
+
+    res.json({
+      loanId: loan.id,
+      balance: terms.balance,
+      annualRate: terms.annualRate,
+      ...schedule
+    });
+  } catch (error) {
+    sendLoanError(res, error, 'Get loan schedule', 'Failed to build amortization schedule');
+  }
+};
+
+/**
+ * Simulate a prepayment on a loan
+ */
+const simulatePrepayment = async (req, res) => {
+  try {
+    const { amount, strategy, chargePercent } = req.body;
+
+    const loan = await Loan.findOne({ where: { id: req.params.id, user_id: req.userId } });
+    if (!loan) {
+      return res.status(404).json({ error: 'Loan not found' });
+    }
+
+    const result = loanAmortization.simulatePrepayment(loan, { amount, strategy, chargePercent });
+
+    res.json({ loanId: loan.id, ...result });
+  } catch (error) {
+    sendLoanError(res, error, 'Simulate prepayment', 'Failed to simulate prepayment');
+  }
+};
+
+module.exports = {
+  getLoans,
+  getLoanSchedule,
+  simulatePrepayment
+};
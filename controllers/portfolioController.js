@@ -0,0 +1,26 @@
+const portfolio = require('../services/portfolio');
+
+const FI_TYPES = ['MUTUAL_FUNDS', 'EQUITIES', 'NPS'];
+
+/**
+ * Get the user's holdings with current value and invested amount
+ */
+const getPortfolio = async (req, res) => {
+  try {
+    const { fi_type } = req.query;
+    if (fi_type && !FI_TYPES.includes(fi_type)) {
+      return res.status(400).json({ error: `fi_type must be one of ${FI_TYPES.join(', ')}` });
+    }
+
+    const result = await portfolio.getUserPortfolio(req.userId, { fiType: fi_type });
+
+    res.json(result);
+  } catch (error) {
+    console.error('Get portfolio error:', error);
+    res.status(500).json({ error: 'Failed to fetch portfolio' });
+  }
+};
+
+module.exports = {
+  getPortfolio
+};
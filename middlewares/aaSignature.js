@@ -0,0 +1,24 @@
+const { verify } = require('../services/jws');
+
+/**
+ * Verify the detached JWS on incoming AA requests (notifications).
+ * Requires the raw request body captured by express.json({ verify }).
+ * Rejects with a ReBIT error payload when the signature is missing or invalid.
+ */
+const verifyAASignature = (req, res, next) => {
+  const signature = req.headers['x-jws-signature'];
+
+  if (!signature || !verify(signature, req.rawBody || '')) {
+    return res.status(401).json({
+      ver: '1.0',
+      timestamp: new Date().toISOString(),
+      txnid: req.body?.txnid || null,
+      errorCode: 'SignatureDoesNotMatch',
+      errorMsg: signature ? 'Invalid x-jws-signature' : 'Missing x-jws-signature'
+    });
+  }
+
+  next();
+};
+
+module.exports = { verifyAASignature };
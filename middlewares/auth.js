@@ -1,6 +1,8 @@
 const { verifyAccessToken } = require('../utils/jwt');
+const { checkAccessToken } = require('../services/tokenRevocation');
 
-const authenticate = (req, res, next) => {
+const authenticate = async (req, res, next) => {
+  let decoded;
   try {
     const authHeader = req.headers.authorization;
 
@@ -9,14 +11,39 @@ const authenticate = (req, res, next) => {
     }
 
     const token = authHeader.split(' ')[1];
-    const decoded = verifyAccessToken(token);
-
-    req.userId = decoded.userId;
-    next();
+    decoded = verifyAccessToken(token);
   } catch (error) {
     return res.status(401).json({ error: 'Invalid or expired token' });
   }
+
+  // Reject tokens of revoked sessions or issued before the user's token version
+  try {
+    const revokedReason = await checkAccessToken(decoded);
+    if (revokedReason) {
+      return res.status(401).json({ error: 'Token has been revoked', code: revokedReason });
+    }
+  } catch (error) {
+    console.error('Token revocation check error:', error);
+    return res.status(503).json({ error: 'Authentication unavailable' });
+  }
+
+  req.userId = decoded.userId;
+  req.sessionId = decoded.sid;
+  next();
 };
 
-module.exports = { authenticate };
+/**
+ * Allow only admins through; must run after authenticate
+ *
+ * Environment Variables:
+ *   ADMIN_USER_IDS - Comma-separated IDs of users with admin access
+ */
+const requireAdmin = (req, res, next) => {
+  const adminIds = (process.env.ADMIN_USER_IDS || '').split(',').map(id => id.trim()).filter(Boolean);
+  if (!req.userId || !adminIds.includes(req.userId)) {
+    return res.status(403).json({ error: 'Admin access required' });
+  }
+  next();
+};
 
+module.exports = { authenticate, requireAdmin };
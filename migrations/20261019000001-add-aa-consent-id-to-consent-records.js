@@ -0,0 +1,29 @@
+'use strict';
+
+/**
+ * Migration: Add aa_consent_id to consent_records
+ *
+ * consent_id is the chain key of our versioned records (the consent handle
+ * at initiation, suffixed with _vN for later versions). The consent ID
+ * issued by the AA only exists once the user approves, so it is stored
+ * separately on the versions created from then on.
+ */
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('consent_records', 'aa_consent_id', {
+      type: Sequelize.STRING,
+      allowNull: true,
+      comment: 'Consent ID issued by the AA after approval'
+    });
+
+    await queryInterface.addIndex('consent_records', ['aa_consent_id']);
+    await queryInterface.addIndex('consent_records', ['consent_handle']);
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeIndex('consent_records', ['consent_handle']);
+    await queryInterface.removeIndex('consent_records', ['aa_consent_id']);
+    await queryInterface.removeColumn('consent_records', 'aa_consent_id');
+  }
+};
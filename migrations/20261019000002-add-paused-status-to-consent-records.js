@@ -0,0 +1,30 @@
+'use strict';
+
+/**
+ * Migration: Add PAUSED to consent_records.status
+ *
+ * AAs notify the FIU when a user pauses a consent.
+ */
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.sequelize.query(
+      `ALTER TYPE "enum_consent_records_status" ADD VALUE IF NOT EXISTS 'PAUSED'`
+    );
+  },
+
+  async down(queryInterface, Sequelize) {
+    // Postgres cannot drop a single enum value; recreate the type without it
+    await queryInterface.sequelize.query(`UPDATE consent_records SET status = 'APPROVED' WHERE status = 'PAUSED'`);
+    await queryInterface.changeColumn('consent_records', 'status', {
+      type: Sequelize.STRING,
+      allowNull: false
+    });
+    await queryInterface.sequelize.query('DROP TYPE "enum_consent_records_status"');
+    await queryInterface.changeColumn('consent_records', 'status', {
+      type: Sequelize.ENUM('PENDING', 'APPROVED', 'REJECTED', 'EXPIRED', 'REVOKED'),
+      allowNull: false,
+      defaultValue: 'PENDING'
+    });
+  }
+};
@@ -0,0 +1,92 @@
+'use strict';
+
+/**
+ * Migration: Create fi_sessions table
+ *
+ * Tracks AA FI data sessions. Session private keys are stored sealed
+ * under AA_KEY_ENCRYPTION_KEY, never in plaintext.
+ */
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('fi_sessions', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      session_id: {
+        type: Sequelize.STRING,
+        allowNull: false,
+        unique: true,
+        comment: 'FI session ID issued by the AA'
+      },
+      user_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      consent_id: {
+        type: Sequelize.STRING,
+        allowNull: false,
+        comment: 'AA consent ID used for the session'
+      },
+      txn_id: {
+        type: Sequelize.STRING,
+        allowNull: false,
+        comment: 'txnid of the FI/request call'
+      },
+      status: {
+        type: Sequelize.ENUM('PENDING', 'READY', 'COMPLETED', 'FAILED', 'EXPIRED'),
+        allowNull: false,
+        defaultValue: 'PENDING'
+      },
+      sealed_private_key: {
+        type: Sequelize.TEXT,
+        allowNull: false,
+        comment: 'X25519 private key sealed with AES-256-GCM'
+      },
+      key_nonce: {
+        type: Sequelize.STRING,
+        allowNull: false,
+        comment: 'FIU nonce sent in KeyMaterial (base64)'
+      },
+      data_range_from: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      data_range_to: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      fi_status: {
+        type: Sequelize.JSONB,
+        allowNull: true,
+        comment: 'FIStatusResponse from the latest FI notification'
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('fi_sessions', ['user_id']);
+    await queryInterface.addIndex('fi_sessions', ['consent_id']);
+    await queryInterface.addIndex('fi_sessions', ['status']);
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('fi_sessions');
+  }
+};
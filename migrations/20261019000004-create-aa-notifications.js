@@ -0,0 +1,48 @@
+'use strict';
+
+/**
+ * Migration: Create aa_notifications table
+ *
+ * Processed AA Consent/FI notifications, unique on txnid for idempotency.
+ */
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('aa_notifications', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      txn_id: {
+        type: Sequelize.STRING,
+        allowNull: false,
+        unique: true,
+        comment: 'txnid of the AA notification'
+      },
+      type: {
+        type: Sequelize.ENUM('CONSENT', 'FI'),
+        allowNull: false
+      },
+      payload: {
+        type: Sequelize.JSONB,
+        allowNull: false,
+        comment: 'Notification body as received'
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('aa_notifications');
+  }
+};
@@ -0,0 +1,92 @@
+'use strict';
+
+/**
+ * Migration: Create consent_syncs table
+ *
+ * Periodic FI sync state per PERIODIC consent: last successful sync,
+ * last error and fetch counts for the consent's Frequency window.
+ */
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('consent_syncs', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      consent_handle: {
+        type: Sequelize.STRING,
+        allowNull: false,
+        unique: true,
+        comment: 'Consent handle shared by all ConsentRecord versions'
+      },
+      aa_consent_id: {
+        type: Sequelize.STRING,
+        allowNull: false,
+        comment: 'AA consent ID used for FI requests'
+      },
+      user_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      status: {
+        type: Sequelize.ENUM('IDLE', 'RUNNING', 'SUCCESS', 'FAILED'),
+        allowNull: false,
+        defaultValue: 'IDLE'
+      },
+      last_synced_at: {
+        type: Sequelize.DATE,
+        allowNull: true,
+        comment: 'End of the data range of the last successful sync'
+      },
+      last_attempt_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      last_error: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      last_result: {
+        type: Sequelize.JSONB,
+        allowNull: true,
+        comment: 'Parse/save stats of the last sync'
+      },
+      window_started_at: {
+        type: Sequelize.DATE,
+        allowNull: true,
+        comment: 'Start of the current Frequency window'
+      },
+      window_fetch_count: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+        comment: 'FI requests made in the current Frequency window'
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('consent_syncs', ['user_id']);
+    await queryInterface.addIndex('consent_syncs', ['aa_consent_id']);
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('consent_syncs');
+  }
+};
@@ -0,0 +1,129 @@
+'use strict';
+
+/**
+ * Migration: Add parent_hash to consent_records
+ *
+ * Chains each consent version to its parent: parent_hash holds the parent's
+ * data_hash and is itself covered by data_hash. Existing rows are re-hashed
+ * in version order so every chain starts out linked.
+ *
+ * Each row's stored data_hash is first checked with the hash it was written
+ * with. Rows that fail that check are not re-hashed: they keep their old
+ * data_hash (so `npm run ledger:verify` reports them as HASH_MISMATCH) and
+ * are listed in the migration output for review.
+ *
+ * Both hash functions are frozen copies; the model's generateHash moves on
+ * with later columns and must not change what this migration writes.
+ */
+
+const crypto = require('crypto');
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+/**
+ * Hash before this migration: JSON.stringify over the instance being created,
+ * where unset aa_response and parent_id were absent rather than null
+ * @param {Object} row - consent_records row
+ * @returns {string[]} - Hashes the row may have been written with
+ */
+const legacyHashes = (row) => {
+  const variants = [];
+  for (const aaResponse of row.aa_response == null ? [undefined, null] : [row.aa_response]) {
+    for (const parentId of row.parent_id == null ? [undefined, null] : [row.parent_id]) {
+      variants.push(sha256(JSON.stringify({
+        consent_id: row.consent_id,
+        user_id: row.user_id,
+        customer_id: row.customer_id,
+        aa_request: row.aa_request,
+        aa_response: aaResponse,
+        scopes: row.scopes,
+        status: row.status,
+        expires_at: row.expires_at,
+        version: row.version,
+        parent_id: parentId
+      })));
+    }
+  }
+  return variants;
+};
+
+const canonicalJson = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    const entries = Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+};
+
+/**
+ * Hash from this migration on (ConsentRecord.generateHash as of this migration)
+ * @param {Object} row - consent_records row with parent_hash set
+ * @returns {string}
+ */
+const chainedHash = (row) => sha256(canonicalJson({
+  consent_id: row.consent_id,
+  consent_handle: row.consent_handle ?? null,
+  aa_consent_id: row.aa_consent_id ?? null,
+  user_id: row.user_id,
+  customer_id: row.customer_id,
+  aa_request: row.aa_request,
+  aa_response: row.aa_response ?? null,
+  scopes: row.scopes,
+  status: row.status,
+  purpose_code: row.purpose_code ?? null,
+  fip_id: row.fip_id ?? null,
+  expires_at: row.expires_at ? new Date(row.expires_at).toISOString() : null,
+  version: row.version,
+  parent_id: row.parent_id ?? null,
+  parent_hash: row.parent_hash ?? null
+}));
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('consent_records', 'parent_hash', {
+      type: Sequelize.STRING(64),
+      allowNull: true,
+      comment: 'data_hash of the parent version (hash chain link)'
+    });
+
+    const [rows] = await queryInterface.sequelize.query(
+      'SELECT * FROM consent_records ORDER BY version ASC, created_at ASC'
+    );
+
+    const hashes = new Map();
+    const mismatches = [];
+    for (const row of rows) {
+      const parentHash = row.parent_id ? hashes.get(row.parent_id) || null : null;
+
+      let dataHash = row.data_hash;
+      if (legacyHashes(row).includes(row.data_hash)) {
+        dataHash = chainedHash({ ...row, parent_hash: parentHash });
+      } else {
+        mismatches.push(row);
+      }
+      hashes.set(row.id, dataHash);
+
+      await queryInterface.sequelize.query(
+        'UPDATE consent_records SET parent_hash = :parentHash, data_hash = :dataHash WHERE id = :id',
+        { replacements: { parentHash, dataHash, id: row.id } }
+      );
+    }
+
+    if (mismatches.length > 0) {
+      console.warn(`⚠️  ${mismatches.length} of ${rows.length} consent records did not match their stored data_hash and were not re-hashed:`);
+      for (const row of mismatches) {
+        console.warn(`   ${row.id} (consent ${row.consent_id}, version ${row.version})`);
+      }
+    }
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeColumn('consent_records', 'parent_hash');
+  }
+};
@@ -0,0 +1,23 @@
+'use strict';
+
+/**
+ * Migration: Add aa_provider to consent_records
+ *
+ * Records which AA (setu, finvu, onemoney, anumati) a consent was created
+ * with, so status checks and FI requests go back to the same AA. Existing
+ * rows stay NULL and are served by the default provider.
+ */
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('consent_records', 'aa_provider', {
+      type: Sequelize.STRING,
+      allowNull: true,
+      comment: 'AA provider the consent was created with'
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeColumn('consent_records', 'aa_provider');
+  }
+};
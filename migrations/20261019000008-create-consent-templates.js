@@ -0,0 +1,156 @@
+'use strict';
+
+/**
+ * Migration: Create consent_templates table
+ *
+ * Named consent shapes (purpose code, FI types, validity, data range,
+ * DataLife, fetch type) chosen by name when initiating consent. Seeds the
+ * built-in templates and adds consent_template to consent_records so each
+ * consent remembers the template it was created from.
+ */
+
+const crypto = require('crypto');
+
+const duration = (unit, value) => JSON.stringify({ unit, value });
+
+const SEED_TEMPLATES = [
+  {
+    name: 'wealth-management',
+    description: 'Ongoing view of deposit accounts for wealth management',
+    purpose_code: '101',
+    fi_types: JSON.stringify(['DEPOSIT']),
+    consent_types: JSON.stringify(['TRANSACTIONS', 'PROFILE', 'SUMMARY']),
+    consent_mode: 'VIEW',
+    fetch_type: 'ONETIME',
+    frequency: duration('MONTH', 1),
+    consent_validity: duration('YEAR', 1),
+    data_range: duration('DAY', 180),
+    data_life: duration('MONTH', 1)
+  },
+  {
+    name: 'budgeting-sync',
+    description: 'Daily transaction sync for budgeting and spend insights',
+    purpose_code: '102',
+    fi_types: JSON.stringify(['DEPOSIT', 'CREDIT_CARD']),
+    consent_types: JSON.stringify(['TRANSACTIONS', 'PROFILE', 'SUMMARY']),
+    consent_mode: 'STORE',
+    fetch_type: 'PERIODIC',
+    frequency: duration('DAY', 4),
+    consent_validity: duration('YEAR', 1),
+    data_range: duration('YEAR', 1),
+    data_life: duration('YEAR', 1)
+  },
+  {
+    name: 'loan-check',
+    description: 'One-time statement check for a loan application',
+    purpose_code: '105',
+    fi_types: JSON.stringify(['DEPOSIT']),
+    consent_types: JSON.stringify(['PROFILE', 'SUMMARY', 'TRANSACTIONS']),
+    consent_mode: 'VIEW',
+    fetch_type: 'ONETIME',
+    frequency: duration('DAY', 1),
+    consent_validity: duration('DAY', 7),
+    data_range: duration('MONTH', 6),
+    data_life: duration('DAY', 7)
+  }
+];
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('consent_templates', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      name: {
+        type: Sequelize.STRING,
+        allowNull: false,
+        unique: true,
+        comment: 'Template name passed to /api/aa/consent/initiate'
+      },
+      description: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      purpose_code: {
+        type: Sequelize.STRING(3),
+        allowNull: false,
+        comment: 'ReBIT purpose code (101-105)'
+      },
+      fi_types: {
+        type: Sequelize.JSONB,
+        allowNull: false
+      },
+      consent_types: {
+        type: Sequelize.JSONB,
+        allowNull: false
+      },
+      consent_mode: {
+        type: Sequelize.STRING,
+        allowNull: false,
+        defaultValue: 'VIEW'
+      },
+      fetch_type: {
+        type: Sequelize.STRING,
+        allowNull: false,
+        defaultValue: 'ONETIME'
+      },
+      frequency: {
+        type: Sequelize.JSONB,
+        allowNull: false,
+        comment: '{ unit, value } max FI fetches per unit'
+      },
+      consent_validity: {
+        type: Sequelize.JSONB,
+        allowNull: false,
+        comment: '{ unit, value } from consentStart to consentExpiry'
+      },
+      data_range: {
+        type: Sequelize.JSONB,
+        allowNull: false,
+        comment: '{ unit, value } FIDataRange look-back'
+      },
+      data_life: {
+        type: Sequelize.JSONB,
+        allowNull: false,
+        comment: '{ unit, value } how long fetched data may be kept'
+      },
+      is_active: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    const now = new Date();
+    await queryInterface.bulkInsert('consent_templates', SEED_TEMPLATES.map(template => ({
+      id: crypto.randomUUID(),
+      ...template,
+      is_active: true,
+      created_at: now,
+      updated_at: now
+    })));
+
+    await queryInterface.addColumn('consent_records', 'consent_template', {
+      type: Sequelize.STRING,
+      allowNull: true,
+      comment: 'Name of the consent template the consent was created from'
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeColumn('consent_records', 'consent_template');
+    await queryInterface.dropTable('consent_templates');
+  }
+};
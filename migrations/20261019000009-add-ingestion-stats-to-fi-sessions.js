@@ -0,0 +1,78 @@
+'use strict';
+
+/**
+ * Migration: Add ingestion progress and stats to fi_sessions
+ *
+ * Bank statement fetches and periodic syncs now parse and save the FI data;
+ * each run is an fi_sessions row the client can poll.
+ */
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    for (const status of ['FETCHING', 'PROCESSING']) {
+      await queryInterface.sequelize.query(
+        `ALTER TYPE "enum_fi_sessions_status" ADD VALUE IF NOT EXISTS '${status}'`
+      );
+    }
+
+    await queryInterface.addColumn('fi_sessions', 'source', {
+      type: Sequelize.ENUM('MANUAL', 'SYNC'),
+      allowNull: false,
+      defaultValue: 'MANUAL',
+      comment: 'MANUAL (bank-statement endpoint) or SYNC (periodic sync)'
+    });
+    await queryInterface.addColumn('fi_sessions', 'fip_ids', {
+      type: Sequelize.JSONB,
+      allowNull: true,
+      comment: 'FIPs that returned data'
+    });
+    await queryInterface.addColumn('fi_sessions', 'account_count', {
+      type: Sequelize.INTEGER,
+      allowNull: true
+    });
+    await queryInterface.addColumn('fi_sessions', 'transaction_count', {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      comment: 'Transactions parsed from the FI data'
+    });
+    await queryInterface.addColumn('fi_sessions', 'saved_count', {
+      type: Sequelize.INTEGER,
+      allowNull: true
+    });
+    await queryInterface.addColumn('fi_sessions', 'skipped_count', {
+      type: Sequelize.INTEGER,
+      allowNull: true
+    });
+    await queryInterface.addColumn('fi_sessions', 'errors', {
+      type: Sequelize.JSONB,
+      allowNull: true,
+      comment: 'Fetch failure or per-transaction save errors'
+    });
+    await queryInterface.addColumn('fi_sessions', 'completed_at', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    for (const column of ['completed_at', 'errors', 'skipped_count', 'saved_count', 'transaction_count', 'account_count', 'fip_ids', 'source']) {
+      await queryInterface.removeColumn('fi_sessions', column);
+    }
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_fi_sessions_source"');
+
+    // Postgres cannot drop a single enum value; recreate the type without them
+    await queryInterface.sequelize.query(
+      `UPDATE fi_sessions SET status = 'FAILED' WHERE status IN ('FETCHING', 'PROCESSING')`
+    );
+    await queryInterface.changeColumn('fi_sessions', 'status', {
+      type: Sequelize.STRING,
+      allowNull: false
+    });
+    await queryInterface.sequelize.query('DROP TYPE "enum_fi_sessions_status"');
+    await queryInterface.changeColumn('fi_sessions', 'status', {
+      type: Sequelize.ENUM('PENDING', 'READY', 'COMPLETED', 'FAILED', 'EXPIRED'),
+      allowNull: false,
+      defaultValue: 'PENDING'
+    });
+  }
+};
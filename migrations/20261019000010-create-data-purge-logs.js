@@ -0,0 +1,84 @@
+'use strict';
+
+/**
+ * Migration: Create data_purge_logs table and add transactions.anonymized_at
+ *
+ * Consent-derived transactions are deleted or anonymised once the
+ * consent's DataLife runs out or the consent is revoked; every purge is
+ * logged here.
+ */
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('data_purge_logs', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      user_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        comment: 'Owner of the purged data (no FK: the log outlives the user)'
+      },
+      consent_handle: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      aa_consent_id: {
+        type: Sequelize.STRING,
+        allowNull: false,
+        comment: 'AA consent ID the purged transactions were fetched under'
+      },
+      reason: {
+        type: Sequelize.ENUM('DATA_LIFE_EXPIRED', 'CONSENT_REVOKED'),
+        allowNull: false
+      },
+      action: {
+        type: Sequelize.ENUM('DELETE', 'ANONYMIZE'),
+        allowNull: false
+      },
+      data_life: {
+        type: Sequelize.JSONB,
+        allowNull: true,
+        comment: 'DataLife from the consent request'
+      },
+      cutoff: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        comment: 'Transactions received at or before this time were purged'
+      },
+      transaction_count: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      triggered_by: {
+        type: Sequelize.STRING,
+        allowNull: false,
+        comment: 'SCHEDULER, REVOCATION or SCRIPT'
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('data_purge_logs', ['user_id']);
+    await queryInterface.addIndex('data_purge_logs', ['aa_consent_id']);
+    await queryInterface.addIndex('data_purge_logs', ['created_at']);
+
+    await queryInterface.addColumn('transactions', 'anonymized_at', {
+      type: Sequelize.DATE,
+      allowNull: true,
+      comment: 'Set when identifying fields and raw_data were stripped'
+    });
+    await queryInterface.addIndex('transactions', ['consent_id', 'created_at']);
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeIndex('transactions', ['consent_id', 'created_at']);
+    await queryInterface.removeColumn('transactions', 'anonymized_at');
+    await queryInterface.dropTable('data_purge_logs');
+  }
+};
@@ -0,0 +1,159 @@
+'use strict';
+
+/**
+ * Migration: Create linked_accounts table
+ *
+ * Deposit, term deposit and recurring deposit accounts parsed from AA
+ * PROFILE and SUMMARY data. Transactions point at their account through
+ * transactions.linked_account_id, and DataLife purges count the accounts
+ * they remove in data_purge_logs.account_count.
+ */
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('linked_accounts', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      user_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      consent_id: {
+        type: Sequelize.STRING,
+        allowNull: true,
+        comment: 'AA consent ID of the latest fetch that included the account'
+      },
+      fip_id: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      masked_acc_number: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      link_ref_number: {
+        type: Sequelize.STRING,
+        allowNull: true,
+        comment: 'AA account link reference'
+      },
+      fi_type: {
+        type: Sequelize.ENUM('DEPOSIT', 'TERM_DEPOSIT', 'RECURRING_DEPOSIT'),
+        allowNull: false
+      },
+      account_type: {
+        type: Sequelize.STRING,
+        allowNull: true,
+        comment: 'SAVINGS, CURRENT, FIXED, ... from Summary'
+      },
+      holder_name: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      holding_type: {
+        type: Sequelize.STRING,
+        allowNull: true,
+        comment: 'SINGLE or JOINT'
+      },
+      ifsc_code: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      micr_code: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      branch: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      status: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      currency: {
+        type: Sequelize.STRING(3),
+        allowNull: false,
+        defaultValue: 'INR'
+      },
+      current_balance: {
+        type: Sequelize.DECIMAL(15, 2),
+        allowNull: true
+      },
+      balance_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      opening_date: {
+        type: Sequelize.DATEONLY,
+        allowNull: true
+      },
+      maturity_date: {
+        type: Sequelize.DATEONLY,
+        allowNull: true
+      },
+      maturity_amount: {
+        type: Sequelize.DECIMAL(15, 2),
+        allowNull: true
+      },
+      interest_rate: {
+        type: Sequelize.DECIMAL(5, 2),
+        allowNull: true
+      },
+      summary: {
+        type: Sequelize.JSONB,
+        allowNull: true,
+        comment: 'Raw Summary from the FI data'
+      },
+      last_synced_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('linked_accounts', ['user_id', 'fip_id', 'masked_acc_number'], { unique: true });
+    await queryInterface.addIndex('linked_accounts', ['consent_id']);
+
+    await queryInterface.addColumn('transactions', 'linked_account_id', {
+      type: Sequelize.UUID,
+      allowNull: true,
+      references: {
+        model: 'linked_accounts',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL'
+    });
+    await queryInterface.addIndex('transactions', ['linked_account_id']);
+
+    await queryInterface.addColumn('data_purge_logs', 'account_count', {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeColumn('data_purge_logs', 'account_count');
+    await queryInterface.removeColumn('transactions', 'linked_account_id');
+    await queryInterface.dropTable('linked_accounts');
+  }
+};
@@ -0,0 +1,141 @@
+'use strict';
+
+/**
+ * Migration: Create card_statements table and add CREDIT_CARD linked accounts
+ *
+ * Credit card FI data is parsed into card transactions, a linked account
+ * per card and a statement summary per statement date (dues and limits).
+ */
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.sequelize.query(
+      `ALTER TYPE "enum_linked_accounts_fi_type" ADD VALUE IF NOT EXISTS 'CREDIT_CARD'`
+    );
+
+    await queryInterface.createTable('card_statements', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      user_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      consent_id: {
+        type: Sequelize.STRING,
+        allowNull: true,
+        comment: 'AA consent ID the statement was fetched under'
+      },
+      linked_account_id: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'linked_accounts',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      fip_id: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      masked_acc_number: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      statement_date: {
+        type: Sequelize.DATEONLY,
+        allowNull: false
+      },
+      due_date: {
+        type: Sequelize.DATEONLY,
+        allowNull: true
+      },
+      total_due: {
+        type: Sequelize.DECIMAL(15, 2),
+        allowNull: true
+      },
+      min_due: {
+        type: Sequelize.DECIMAL(15, 2),
+        allowNull: true
+      },
+      current_due: {
+        type: Sequelize.DECIMAL(15, 2),
+        allowNull: true
+      },
+      previous_due: {
+        type: Sequelize.DECIMAL(15, 2),
+        allowNull: true
+      },
+      credit_limit: {
+        type: Sequelize.DECIMAL(15, 2),
+        allowNull: true
+      },
+      available_credit: {
+        type: Sequelize.DECIMAL(15, 2),
+        allowNull: true
+      },
+      cash_limit: {
+        type: Sequelize.DECIMAL(15, 2),
+        allowNull: true
+      },
+      finance_charges: {
+        type: Sequelize.DECIMAL(15, 2),
+        allowNull: true
+      },
+      currency: {
+        type: Sequelize.STRING(3),
+        allowNull: false,
+        defaultValue: 'INR'
+      },
+      summary: {
+        type: Sequelize.JSONB,
+        allowNull: true,
+        comment: 'Raw credit card Summary from the FI data'
+      },
+      last_synced_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('card_statements', ['user_id', 'fip_id', 'masked_acc_number', 'statement_date'], { unique: true });
+    await queryInterface.addIndex('card_statements', ['user_id', 'due_date']);
+    await queryInterface.addIndex('card_statements', ['consent_id']);
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('card_statements');
+
+    // Postgres cannot drop a single enum value; recreate the type without it
+    await queryInterface.sequelize.query(`DELETE FROM linked_accounts WHERE fi_type = 'CREDIT_CARD'`);
+    await queryInterface.changeColumn('linked_accounts', 'fi_type', {
+      type: Sequelize.STRING,
+      allowNull: false
+    });
+    await queryInterface.sequelize.query('DROP TYPE "enum_linked_accounts_fi_type"');
+    await queryInterface.changeColumn('linked_accounts', 'fi_type', {
+      type: Sequelize.ENUM('DEPOSIT', 'TERM_DEPOSIT', 'RECURRING_DEPOSIT'),
+      allowNull: false
+    });
+  }
+};
@@ -0,0 +1,138 @@
+'use strict';
+
+/**
+ * Migration: Create holdings table and investment transaction source types
+ *
+ * Mutual fund, equity and NPS holdings parsed from AA SUMMARY data. Their
+ * buys, sells and SIPs are saved as transactions with source_type
+ * MUTUAL_FUND, EQUITIES or NPS.
+ */
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.sequelize.query(
+      `ALTER TYPE "enum_transactions_source_type" ADD VALUE IF NOT EXISTS 'EQUITIES'`
+    );
+    await queryInterface.sequelize.query(
+      `ALTER TYPE "enum_transactions_source_type" ADD VALUE IF NOT EXISTS 'NPS'`
+    );
+
+    await queryInterface.createTable('holdings', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      user_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      consent_id: {
+        type: Sequelize.STRING,
+        allowNull: true,
+        comment: 'AA consent ID of the latest fetch'
+      },
+      fi_type: {
+        type: Sequelize.ENUM('MUTUAL_FUNDS', 'EQUITIES', 'NPS'),
+        allowNull: false
+      },
+      fip_id: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      masked_acc_number: {
+        type: Sequelize.STRING,
+        allowNull: false,
+        comment: 'Folio, demat account or PRAN'
+      },
+      holding_key: {
+        type: Sequelize.STRING,
+        allowNull: false,
+        comment: 'ISIN, or scheme ID when the FIP sends none'
+      },
+      isin: {
+        type: Sequelize.STRING(12),
+        allowNull: true
+      },
+      scheme_code: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      name: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      issuer: {
+        type: Sequelize.STRING,
+        allowNull: true,
+        comment: 'AMC, company or pension fund manager'
+      },
+      folio_number: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      units: {
+        type: Sequelize.DECIMAL(20, 4),
+        allowNull: false,
+        defaultValue: 0
+      },
+      nav: {
+        type: Sequelize.DECIMAL(15, 4),
+        allowNull: true,
+        comment: 'NAV, or last traded price for equities'
+      },
+      nav_date: {
+        type: Sequelize.DATEONLY,
+        allowNull: true
+      },
+      current_value: {
+        type: Sequelize.DECIMAL(15, 2),
+        allowNull: true
+      },
+      cost_value: {
+        type: Sequelize.DECIMAL(15, 2),
+        allowNull: true,
+        comment: 'Invested amount still held'
+      },
+      currency: {
+        type: Sequelize.STRING(3),
+        allowNull: false,
+        defaultValue: 'INR'
+      },
+      raw_data: {
+        type: Sequelize.JSONB,
+        allowNull: true
+      },
+      last_synced_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('holdings', ['user_id', 'fip_id', 'masked_acc_number', 'holding_key'], { unique: true });
+    await queryInterface.addIndex('holdings', ['user_id', 'fi_type']);
+    await queryInterface.addIndex('holdings', ['consent_id']);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('holdings');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_holdings_fi_type"');
+    // EQUITIES and NPS stay in enum_transactions_source_type: Postgres cannot drop enum values
+  }
+};
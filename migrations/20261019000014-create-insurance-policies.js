@@ -0,0 +1,134 @@
+'use strict';
+
+/**
+ * Migration: Create insurance_policies table
+ *
+ * Insurance policies parsed from AA insurance FI data. Premium debits in
+ * bank and card transactions point at their policy through
+ * transactions.insurance_policy_id.
+ */
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('insurance_policies', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      user_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      consent_id: {
+        type: Sequelize.STRING,
+        allowNull: true,
+        comment: 'AA consent ID of the latest fetch'
+      },
+      fip_id: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      masked_policy_number: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      insurer: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      policy_name: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      policy_type: {
+        type: Sequelize.STRING,
+        allowNull: true,
+        comment: 'e.g. TERM, ENDOWMENT, ULIP, HEALTH, MOTOR'
+      },
+      sum_assured: {
+        type: Sequelize.DECIMAL(15, 2),
+        allowNull: true
+      },
+      premium_amount: {
+        type: Sequelize.DECIMAL(15, 2),
+        allowNull: true
+      },
+      premium_frequency: {
+        type: Sequelize.ENUM('MONTHLY', 'QUARTERLY', 'HALF_YEARLY', 'ANNUAL', 'SINGLE'),
+        allowNull: true
+      },
+      next_premium_due_date: {
+        type: Sequelize.DATEONLY,
+        allowNull: true
+      },
+      policy_start_date: {
+        type: Sequelize.DATEONLY,
+        allowNull: true
+      },
+      maturity_date: {
+        type: Sequelize.DATEONLY,
+        allowNull: true
+      },
+      nominee_count: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      status: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      currency: {
+        type: Sequelize.STRING(3),
+        allowNull: false,
+        defaultValue: 'INR'
+      },
+      summary: {
+        type: Sequelize.JSONB,
+        allowNull: true,
+        comment: 'Raw insurance Summary from the FI data'
+      },
+      last_synced_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('insurance_policies', ['user_id', 'fip_id', 'masked_policy_number'], { unique: true });
+    await queryInterface.addIndex('insurance_policies', ['consent_id']);
+
+    await queryInterface.addColumn('transactions', 'insurance_policy_id', {
+      type: Sequelize.UUID,
+      allowNull: true,
+      references: {
+        model: 'insurance_policies',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL'
+    });
+    await queryInterface.addIndex('transactions', ['insurance_policy_id']);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeColumn('transactions', 'insurance_policy_id');
+    await queryInterface.dropTable('insurance_policies');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_insurance_policies_premium_frequency"');
+  }
+};
@@ -0,0 +1,119 @@
+'use strict';
+
+/**
+ * Migration: Create loans table
+ *
+ * Loan accounts parsed from AA loan FI data (lender, type, principal,
+ * outstanding, rate, tenure, EMI). Amortization and prepayment simulations
+ * are computed from these rows.
+ */
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('loans', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      user_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      consent_id: {
+        type: Sequelize.STRING,
+        allowNull: true,
+        comment: 'AA consent ID of the latest fetch'
+      },
+      fip_id: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      masked_acc_number: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      lender: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      loan_type: {
+        type: Sequelize.STRING,
+        allowNull: true,
+        comment: 'e.g. HOME_LOAN, PERSONAL_LOAN, AUTO_LOAN'
+      },
+      principal_amount: {
+        type: Sequelize.DECIMAL(15, 2),
+        allowNull: true,
+        comment: 'Sanctioned / disbursed amount'
+      },
+      outstanding_amount: {
+        type: Sequelize.DECIMAL(15, 2),
+        allowNull: true
+      },
+      interest_rate: {
+        type: Sequelize.DECIMAL(6, 3),
+        allowNull: true,
+        comment: 'Annual rate, percent'
+      },
+      tenure_months: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        comment: 'Original tenure'
+      },
+      emi_amount: {
+        type: Sequelize.DECIMAL(15, 2),
+        allowNull: true
+      },
+      start_date: {
+        type: Sequelize.DATEONLY,
+        allowNull: true
+      },
+      next_emi_date: {
+        type: Sequelize.DATEONLY,
+        allowNull: true
+      },
+      status: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      currency: {
+        type: Sequelize.STRING(3),
+        allowNull: false,
+        defaultValue: 'INR'
+      },
+      summary: {
+        type: Sequelize.JSONB,
+        allowNull: true,
+        comment: 'Raw loan details from the FI data (without EMIs)'
+      },
+      last_synced_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('loans', ['user_id', 'fip_id', 'masked_acc_number'], { unique: true });
+    await queryInterface.addIndex('loans', ['consent_id']);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('loans');
+  }
+};
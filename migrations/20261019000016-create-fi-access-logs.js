@@ -0,0 +1,102 @@
+'use strict';
+
+/**
+ * Migration: Create fi_access_logs table
+ *
+ * Append-only audit trail of FI data access: which FI data was requested,
+ * fetched and stored, for which consent and purpose, when, and on whose
+ * behalf. Rows are never updated or deleted.
+ */
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('fi_access_logs', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      user_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        comment: 'Owner of the FI data (no FK: the log outlives the user)'
+      },
+      event: {
+        type: Sequelize.ENUM('FI_REQUESTED', 'FI_FETCHED', 'FI_STORED', 'FI_FAILED'),
+        allowNull: false
+      },
+      aa_consent_id: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      consent_handle: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      aa_provider: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      purpose_code: {
+        type: Sequelize.STRING,
+        allowNull: true,
+        comment: 'ReBIT purpose code of the consent'
+      },
+      session_id: {
+        type: Sequelize.STRING,
+        allowNull: true,
+        comment: 'AA FI session ID (null when FI/request failed)'
+      },
+      txn_id: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      fip_ids: {
+        type: Sequelize.JSONB,
+        allowNull: true
+      },
+      data_range_from: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      data_range_to: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      record_counts: {
+        type: Sequelize.JSONB,
+        allowNull: true,
+        comment: 'Accounts fetched, or rows parsed and stored per kind'
+      },
+      requested_by_type: {
+        type: Sequelize.ENUM('USER', 'SYSTEM'),
+        allowNull: false
+      },
+      requested_by: {
+        type: Sequelize.STRING,
+        allowNull: false,
+        comment: 'User ID, or the system job (e.g. SYNC_SCHEDULER)'
+      },
+      error: {
+        type: Sequelize.JSONB,
+        allowNull: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('fi_access_logs', ['user_id', 'created_at']);
+    await queryInterface.addIndex('fi_access_logs', ['aa_consent_id']);
+    await queryInterface.addIndex('fi_access_logs', ['session_id']);
+    await queryInterface.addIndex('fi_access_logs', ['created_at']);
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('fi_access_logs');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_fi_access_logs_event"');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_fi_access_logs_requested_by_type"');
+  }
+};
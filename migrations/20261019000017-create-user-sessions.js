@@ -0,0 +1,86 @@
+'use strict';
+
+/**
+ * Migration: Create user_sessions table
+ *
+ * One row per signed-in device, holding the SHA-256 hash of its current
+ * refresh token. Replaces users.refresh_token, which allowed a single
+ * session per user and stored the token in plaintext; existing refresh
+ * tokens stop working and users sign in again.
+ */
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('user_sessions', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      user_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      refresh_token_hash: {
+        type: Sequelize.STRING(64),
+        allowNull: false,
+        unique: true,
+        comment: 'SHA-256 hex of the current refresh token'
+      },
+      device_name: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      platform: {
+        type: Sequelize.STRING,
+        allowNull: true,
+        comment: 'ios, android, web, ...'
+      },
+      ip_address: {
+        type: Sequelize.STRING,
+        allowNull: true,
+        comment: 'IP address of the last sign-in or refresh'
+      },
+      last_used_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      expires_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      revoked_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('user_sessions', ['user_id', 'revoked_at']);
+
+    await queryInterface.removeColumn('users', 'refresh_token');
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.addColumn('users', 'refresh_token', {
+      type: Sequelize.STRING,
+      allowNull: true
+    });
+    await queryInterface.dropTable('user_sessions');
+  }
+};
@@ -0,0 +1,30 @@
+'use strict';
+
+/**
+ * Migration: Add refresh token family tracking to user_sessions
+ *
+ * Each session is one refresh token family. token_generation counts its
+ * rotations, and revoked_reason records why it ended (TOKEN_REUSE when a
+ * rotated refresh token was presented again).
+ */
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('user_sessions', 'token_generation', {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      comment: 'Rotations of the refresh token family'
+    });
+    await queryInterface.addColumn('user_sessions', 'revoked_reason', {
+      type: Sequelize.ENUM('LOGOUT', 'LOGOUT_ALL', 'USER_REVOKED', 'TOKEN_REUSE'),
+      allowNull: true
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeColumn('user_sessions', 'revoked_reason');
+    await queryInterface.removeColumn('user_sessions', 'token_generation');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_user_sessions_revoked_reason"');
+  }
+};
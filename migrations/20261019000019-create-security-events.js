@@ -0,0 +1,63 @@
+'use strict';
+
+/**
+ * Migration: Create security_events table
+ *
+ * Account security events (e.g. refresh token reuse), kept for
+ * investigation and user alerts.
+ */
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('security_events', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      user_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      session_id: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        comment: 'Session (refresh token family) involved'
+      },
+      event_type: {
+        type: Sequelize.ENUM('REFRESH_TOKEN_REUSE'),
+        allowNull: false
+      },
+      ip_address: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      user_agent: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      details: {
+        type: Sequelize.JSONB,
+        allowNull: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('security_events', ['user_id', 'created_at']);
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('security_events');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_security_events_event_type"');
+  }
+};
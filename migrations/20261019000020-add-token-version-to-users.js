@@ -0,0 +1,28 @@
+'use strict';
+
+/**
+ * Migration: Add token_version to users
+ *
+ * Access tokens carry the user's token version; bumping it (password change,
+ * "log out everywhere") revokes every access token issued before. Also adds
+ * PASSWORD_CHANGED as a session revocation reason.
+ */
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('users', 'token_version', {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      comment: 'Access tokens with a lower ver claim are rejected'
+    });
+    await queryInterface.sequelize.query(
+      'ALTER TYPE "enum_user_sessions_revoked_reason" ADD VALUE IF NOT EXISTS \'PASSWORD_CHANGED\''
+    );
+  },
+
+  async down(queryInterface, Sequelize) {
+    // Postgres cannot drop an enum value; PASSWORD_CHANGED stays in the type
+    await queryInterface.removeColumn('users', 'token_version');
+  }
+};
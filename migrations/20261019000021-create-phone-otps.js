@@ -0,0 +1,70 @@
+'use strict';
+
+/**
+ * Migration: Create phone_otps table and add phone_verified_at to users
+ *
+ * One-time passwords sent by SMS for phone login. Only an HMAC of each code
+ * is stored, with its expiry and the number of verification attempts.
+ */
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('phone_otps', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      phone: {
+        type: Sequelize.STRING,
+        allowNull: false,
+        comment: 'E.164 phone number'
+      },
+      code_hash: {
+        type: Sequelize.STRING,
+        allowNull: false,
+        comment: 'HMAC-SHA256 of phone and code'
+      },
+      expires_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      attempts: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      consumed_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      ip_address: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('phone_otps', ['phone', 'created_at']);
+
+    await queryInterface.addColumn('users', 'phone_verified_at', {
+      type: Sequelize.DATE,
+      allowNull: true,
+      comment: 'Set when the user signs in with an OTP sent to their phone'
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeColumn('users', 'phone_verified_at');
+    await queryInterface.dropTable('phone_otps');
+  }
+};
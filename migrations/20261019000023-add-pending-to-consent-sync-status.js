@@ -0,0 +1,24 @@
+'use strict';
+
+/**
+ * Migration: Add PENDING to consent_syncs.status
+ *
+ * A sync run whose FI data is not ready yet stays PENDING until its FI
+ * session completes (last_synced_at moves) or fails / expires (the window
+ * is requested again).
+ */
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.sequelize.query(
+      'ALTER TYPE "enum_consent_syncs_status" ADD VALUE IF NOT EXISTS \'PENDING\''
+    );
+  },
+
+  async down(queryInterface, Sequelize) {
+    // Postgres cannot drop an enum value; PENDING stays in the type
+    await queryInterface.sequelize.query(
+      'UPDATE consent_syncs SET status = \'FAILED\' WHERE status = \'PENDING\''
+    );
+  }
+};
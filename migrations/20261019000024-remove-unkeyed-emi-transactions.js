@@ -0,0 +1,43 @@
+'use strict';
+
+/**
+ * Migration: Remove loan EMI transactions keyed by an invented ID
+ *
+ * EMIs the FIP sent without a txnId used to be saved under a made-up key:
+ * `EMI_<mask>_<dueDate>` at first, later `EMI_<fipId>_<mask>_<installment or
+ * dueDate>`. Neither key is stable across FIPs or parser versions, so a
+ * refetch could save the same EMI twice, and EMIs with only a reference were
+ * saved again under it. EMIs without a txnId or reference are no longer saved.
+ *
+ * Rows whose txn_id is neither the EMI's txnId nor its reference are deleted;
+ * the next fetch saves every EMI the FIP does identify. The deleted rows are
+ * listed in the migration output.
+ */
+
+const INVENTED_KEY_ROWS = `
+  FROM transactions
+  WHERE source_type = 'LOAN'
+    AND subcategory = 'EMI'
+    AND txn_id LIKE 'EMI\\_%'
+    AND txn_id IS DISTINCT FROM raw_data->>'txnId'
+    AND txn_id IS DISTINCT FROM raw_data->>'reference'`;
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const [rows] = await queryInterface.sequelize.query(
+      `SELECT id, user_id, txn_id ${INVENTED_KEY_ROWS}`
+    );
+    if (rows.length === 0) return;
+
+    await queryInterface.sequelize.query(`DELETE ${INVENTED_KEY_ROWS}`);
+
+    console.warn(`⚠️  Removed ${rows.length} loan EMI transactions without a txnId or reference from the FIP:`);
+    for (const row of rows) {
+      console.warn(`   ${row.id} (user ${row.user_id}, ${row.txn_id})`);
+    }
+  },
+
+  async down(queryInterface, Sequelize) {
+    // The deleted rows are not restored; the FIP data they came from does not identify them
+  }
+};
@@ -0,0 +1,22 @@
+'use strict';
+
+/**
+ * Migration: Add loan_count to data_purge_logs
+ *
+ * DataLife purges also remove loans synced under the consent; the log
+ * records how many.
+ */
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('data_purge_logs', 'loan_count', {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeColumn('data_purge_logs', 'loan_count');
+  }
+};
@@ -0,0 +1,36 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/db');
+
+/**
+ * AANotification Model
+ *
+ * Log of processed AA notifications, keyed by txnid so redelivered
+ * notifications are acknowledged without being applied twice.
+ */
+const AANotification = sequelize.define('AANotification', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  txn_id: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    unique: true
+  },
+  type: {
+    type: DataTypes.ENUM('CONSENT', 'FI'),
+    allowNull: false
+  },
+  payload: {
+    type: DataTypes.JSONB,
+    allowNull: false
+  }
+}, {
+  tableName: 'aa_notifications',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at'
+});
+
+module.exports = AANotification;
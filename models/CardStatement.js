@@ -0,0 +1,123 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/db');
+
+/**
+ * CardStatement Model
+ *
+ * Credit card statement summary from AA FI data (statement and due dates,
+ * dues and limits), one row per card and statement date.
+ */
+const CardStatement = sequelize.define('CardStatement', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  user_id: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  consent_id: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  linked_account_id: {
+    type: DataTypes.UUID,
+    allowNull: true
+  },
+  fip_id: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  masked_acc_number: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  statement_date: {
+    type: DataTypes.DATEONLY,
+    allowNull: false
+  },
+  due_date: {
+    type: DataTypes.DATEONLY,
+    allowNull: true
+  },
+  total_due: {
+    type: DataTypes.DECIMAL(15, 2),
+    allowNull: true
+  },
+  min_due: {
+    type: DataTypes.DECIMAL(15, 2),
+    allowNull: true
+  },
+  current_due: {
+    type: DataTypes.DECIMAL(15, 2),
+    allowNull: true
+  },
+  previous_due: {
+    type: DataTypes.DECIMAL(15, 2),
+    allowNull: true
+  },
+  credit_limit: {
+    type: DataTypes.DECIMAL(15, 2),
+    allowNull: true
+  },
+  available_credit: {
+    type: DataTypes.DECIMAL(15, 2),
+    allowNull: true
+  },
+  cash_limit: {
+    type: DataTypes.DECIMAL(15, 2),
+    allowNull: true
+  },
+  finance_charges: {
+    type: DataTypes.DECIMAL(15, 2),
+    allowNull: true
+  },
+  currency: {
+    type: DataTypes.STRING(3),
+    allowNull: false,
+    defaultValue: 'INR'
+  },
+  summary: {
+    type: DataTypes.JSONB,
+    allowNull: true
+  },
+  last_synced_at: {
+    type: DataTypes.DATE,
+    allowNull: false
+  }
+}, {
+  tableName: 'card_statements',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    { unique: true, fields: ['user_id', 'fip_id', 'masked_acc_number', 'statement_date'] }
+  ]
+});
+
+/**
+ * Latest statement of each of a user's cards whose due date has not passed
+ * @param {string} userId - User ID
+ * @param {Date} now - Current time
+ * @returns {CardStatement[]} - Ordered by due date
+ */
+CardStatement.findUpcomingDues = async function(userId, now = new Date()) {
+  const statements = await this.findAll({
+    where: { user_id: userId },
+    order: [['statement_date', 'DESC']]
+  });
+
+  const today = now.toISOString().split('T')[0];
+  const latest = new Map();
+  for (const statement of statements) {
+    const key = `${statement.fip_id}|${statement.masked_acc_number}`;
+    if (!latest.has(key)) latest.set(key, statement);
+  }
+
+  return [...latest.values()]
+    .filter(statement => statement.due_date && statement.due_date >= today)
+    .sort((a, b) => a.due_date.localeCompare(b.due_date));
+};
+
+module.exports = CardStatement;
@@ -7,6 +7,10 @@ const { sequelize } = require('../config/db');
  * 
  * Stores AA consent records with immutability and tamper-evidence.
  * Records should not be updated - create new versions instead.
+ *
+ * Versions of a consent form a hash chain: each version stores its parent's
+ * data_hash in parent_hash, and parent_hash is part of its own data_hash.
+ * Rewriting or deleting a version therefore breaks the link to its child.
  */
 const ConsentRecord = sequelize.define('ConsentRecord', {
   id: {
@@ -23,6 +27,18 @@ const ConsentRecord = sequelize.define('ConsentRecord', {
     type: DataTypes.STRING,
     allowNull: true
   },
+  aa_consent_id: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  aa_provider: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  consent_template: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
   user_id: {
     type: DataTypes.UUID,
     allowNull: false
@@ -45,7 +61,7 @@ const ConsentRecord = sequelize.define('ConsentRecord', {
     defaultValue: []
   },
   status: {
-    type: DataTypes.ENUM('PENDING', 'APPROVED', 'REJECTED', 'EXPIRED', 'REVOKED'),
+    type: DataTypes.ENUM('PENDING', 'APPROVED', 'REJECTED', 'EXPIRED', 'REVOKED', 'PAUSED'),
     allowNull: false,
     defaultValue: 'PENDING'
   },
@@ -70,6 +86,10 @@ const ConsentRecord = sequelize.define('ConsentRecord', {
     type: DataTypes.UUID,
     allowNull: true
   },
+  parent_hash: {
+    type: DataTypes.STRING(64),
+    allowNull: true
+  },
   expires_at: {
     type: DataTypes.DATE,
     allowNull: false
@@ -92,22 +112,51 @@ const ConsentRecord = sequelize.define('ConsentRecord', {
 });
 
 /**
- * Generate SHA-256 hash for tamper detection
+ * Serialize a value with object keys sorted (JSONB does not keep key order)
+ * @param {*} value - JSON value
+ * @returns {string}
+ */
+const canonicalJson = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    const entries = Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+};
+
+/**
+ * Generate SHA-256 hash for tamper detection (chained through parent_hash)
  * @param {Object} record - Consent record data
  * @returns {string} - SHA-256 hash
  */
 ConsentRecord.generateHash = (record) => {
-  const dataToHash = JSON.stringify({
+  // Unset fields hash as null so a record reloaded from the DB hashes the same
+  const dataToHash = canonicalJson({
     consent_id: record.consent_id,
+    consent_handle: record.consent_handle ?? null,
+    aa_consent_id: record.aa_consent_id ?? null,
+    // Only hashed when set, so versions written before these columns existed still verify.
+    // (Versions from before the hash chain were re-hashed by the parent_hash migration.)
+    aa_provider: record.aa_provider || undefined,
+    consent_template: record.consent_template || undefined,
     user_id: record.user_id,
     customer_id: record.customer_id,
     aa_request: record.aa_request,
-    aa_response: record.aa_response,
+    aa_response: record.aa_response ?? null,
     scopes: record.scopes,
     status: record.status,
-    expires_at: record.expires_at,
+    purpose_code: record.purpose_code ?? null,
+    fip_id: record.fip_id ?? null,
+    expires_at: record.expires_at ? new Date(record.expires_at).toISOString() : null,
     version: record.version,
-    parent_id: record.parent_id
+    parent_id: record.parent_id ?? null,
+    parent_hash: record.parent_hash ?? null
   });
   
   return crypto.createHash('sha256').update(dataToHash).digest('hex');
@@ -131,6 +180,9 @@ ConsentRecord.prototype.createNewVersion = async function(updates) {
   const newRecord = await ConsentRecord.create({
     consent_id: `${this.consent_id}_v${this.version + 1}`,
     consent_handle: this.consent_handle,
+    aa_consent_id: updates.aa_consent_id || this.aa_consent_id,
+    aa_provider: this.aa_provider,
+    consent_template: this.consent_template,
     user_id: this.user_id,
     customer_id: this.customer_id,
     aa_request: this.aa_request,
@@ -141,6 +193,7 @@ ConsentRecord.prototype.createNewVersion = async function(updates) {
     fip_id: updates.fip_id || this.fip_id,
     version: this.version + 1,
     parent_id: this.id,
+    parent_hash: this.data_hash,
     expires_at: updates.expires_at || this.expires_at
   });
   
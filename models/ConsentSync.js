@@ -0,0 +1,66 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/db');
+
+/**
+ * ConsentSync Model
+ *
+ * Periodic FI sync state per consent (one row per consent handle).
+ * Kept apart from ConsentRecord, which is immutable.
+ */
+const ConsentSync = sequelize.define('ConsentSync', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  consent_handle: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    unique: true
+  },
+  aa_consent_id: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  user_id: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  status: {
+    type: DataTypes.ENUM('IDLE', 'RUNNING', 'PENDING', 'SUCCESS', 'FAILED'),
+    allowNull: false,
+    defaultValue: 'IDLE'
+  },
+  last_synced_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  last_attempt_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  last_error: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  last_result: {
+    type: DataTypes.JSONB,
+    allowNull: true
+  },
+  window_started_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  window_fetch_count: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  }
+}, {
+  tableName: 'consent_syncs',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at'
+});
+
+module.exports = ConsentSync;
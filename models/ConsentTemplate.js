@@ -0,0 +1,94 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/db');
+const { validateTemplate } = require('../services/consentTemplates');
+
+/**
+ * ConsentTemplate Model
+ *
+ * Named consent shape used by POST /api/aa/consent/initiate (e.g. a
+ * one-time loan check vs. an ongoing budgeting sync). Validated against
+ * the ReBIT purpose codes and FI types on save.
+ */
+const ConsentTemplate = sequelize.define('ConsentTemplate', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  name: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    unique: true
+  },
+  description: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  purpose_code: {
+    type: DataTypes.STRING(3),
+    allowNull: false
+  },
+  fi_types: {
+    type: DataTypes.JSONB,
+    allowNull: false
+  },
+  consent_types: {
+    type: DataTypes.JSONB,
+    allowNull: false
+  },
+  consent_mode: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    defaultValue: 'VIEW'
+  },
+  fetch_type: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    defaultValue: 'ONETIME'
+  },
+  frequency: {
+    type: DataTypes.JSONB,
+    allowNull: false
+  },
+  consent_validity: {
+    type: DataTypes.JSONB,
+    allowNull: false
+  },
+  data_range: {
+    type: DataTypes.JSONB,
+    allowNull: false
+  },
+  data_life: {
+    type: DataTypes.JSONB,
+    allowNull: false
+  },
+  is_active: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true
+  }
+}, {
+  tableName: 'consent_templates',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  validate: {
+    isRebitConsent() {
+      const errors = validateTemplate(this);
+      if (errors.length) {
+        throw new Error(errors.join('; '));
+      }
+    }
+  }
+});
+
+/**
+ * Find an active template by name
+ * @param {string} name - Template name
+ * @returns {ConsentTemplate|null}
+ */
+ConsentTemplate.findActiveByName = async (name) => {
+  return await ConsentTemplate.findOne({ where: { name, is_active: true } });
+};
+
+module.exports = ConsentTemplate;
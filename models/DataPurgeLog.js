@@ -0,0 +1,84 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/db');
+
+/**
+ * DataPurgeLog Model
+ *
+ * Append-only record of every purge of consent-derived data (see
+ * dataRetention.js): which consent, why, how and how many rows.
+ */
+const DataPurgeLog = sequelize.define('DataPurgeLog', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  user_id: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  consent_handle: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  aa_consent_id: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  reason: {
+    type: DataTypes.ENUM('DATA_LIFE_EXPIRED', 'CONSENT_REVOKED'),
+    allowNull: false
+  },
+  action: {
+    type: DataTypes.ENUM('DELETE', 'ANONYMIZE'),
+    allowNull: false
+  },
+  data_life: {
+    type: DataTypes.JSONB,
+    allowNull: true
+  },
+  cutoff: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  transaction_count: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  account_count: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  statement_count: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  holding_count: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  policy_count: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  loan_count: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  triggered_by: {
+    type: DataTypes.STRING,
+    allowNull: false
+  }
+}, {
+  tableName: 'data_purge_logs',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: false
+});
+
+module.exports = DataPurgeLog;
@@ -0,0 +1,95 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/db');
+
+const appendOnly = () => {
+  throw new Error('FIAccessLog is append-only. Record a new entry instead.');
+};
+
+/**
+ * FIAccessLog Model
+ *
+ * Append-only audit trail of FI data access (see fiAccessLog.js): every FI
+ * request, fetch, store and failure, with the consent and purpose it ran
+ * under, the session, FIPs, date range, record counts and who asked for it.
+ * Never holds FI data itself.
+ */
+const FIAccessLog = sequelize.define('FIAccessLog', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  user_id: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  event: {
+    type: DataTypes.ENUM('FI_REQUESTED', 'FI_FETCHED', 'FI_STORED', 'FI_FAILED'),
+    allowNull: false
+  },
+  aa_consent_id: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  consent_handle: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  aa_provider: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  purpose_code: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  session_id: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  txn_id: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  fip_ids: {
+    type: DataTypes.JSONB,
+    allowNull: true
+  },
+  data_range_from: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  data_range_to: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  record_counts: {
+    type: DataTypes.JSONB,
+    allowNull: true
+  },
+  requested_by_type: {
+    type: DataTypes.ENUM('USER', 'SYSTEM'),
+    allowNull: false
+  },
+  requested_by: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  error: {
+    type: DataTypes.JSONB,
+    allowNull: true
+  }
+}, {
+  tableName: 'fi_access_logs',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: false,
+  hooks: {
+    beforeUpdate: appendOnly,
+    beforeBulkUpdate: appendOnly,
+    beforeDestroy: appendOnly,
+    beforeBulkDestroy: appendOnly
+  }
+});
+
+module.exports = FIAccessLog;
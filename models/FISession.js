@@ -0,0 +1,110 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/db');
+
+/**
+ * FISession Model
+ *
+ * Tracks an AA FI data session from FI/request until its data is fetched
+ * and saved (see fiIngestion.js), with the ingestion stats clients poll.
+ * The session's X25519 private key is only stored sealed (see fiCrypto.js).
+ */
+const FISession = sequelize.define('FISession', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  session_id: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    unique: true
+  },
+  user_id: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  consent_id: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  txn_id: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  status: {
+    type: DataTypes.ENUM('PENDING', 'READY', 'FETCHING', 'PROCESSING', 'COMPLETED', 'FAILED', 'EXPIRED'),
+    allowNull: false,
+    defaultValue: 'PENDING'
+  },
+  source: {
+    type: DataTypes.ENUM('MANUAL', 'SYNC'),
+    allowNull: false,
+    defaultValue: 'MANUAL'
+  },
+  sealed_private_key: {
+    type: DataTypes.TEXT,
+    allowNull: false
+  },
+  key_nonce: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  data_range_from: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  data_range_to: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  fi_status: {
+    type: DataTypes.JSONB,
+    allowNull: true
+  },
+  fip_ids: {
+    type: DataTypes.JSONB,
+    allowNull: true
+  },
+  account_count: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  transaction_count: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  saved_count: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  skipped_count: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  errors: {
+    type: DataTypes.JSONB,
+    allowNull: true
+  },
+  completed_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'fi_sessions',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at'
+});
+
+/**
+ * Session keys in the shape aaAdapter.fetchSessionData expects
+ * @returns {Object} - { sealedPrivateKey, nonce }
+ */
+FISession.prototype.getSessionKeys = function() {
+  return {
+    sealedPrivateKey: this.sealed_private_key,
+    nonce: this.key_nonce
+  };
+};
+
+module.exports = FISession;
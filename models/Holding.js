@@ -0,0 +1,109 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/db');
+
+/**
+ * Holding Model
+ *
+ * Mutual fund, equity and NPS holdings from the SUMMARY part of AA FI data,
+ * one row per (user, FIP, account, scheme/ISIN). The account is the folio,
+ * demat account or PRAN the FIP sent as maskedAccNumber.
+ */
+const Holding = sequelize.define('Holding', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  user_id: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  consent_id: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  fi_type: {
+    type: DataTypes.ENUM('MUTUAL_FUNDS', 'EQUITIES', 'NPS'),
+    allowNull: false
+  },
+  fip_id: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  masked_acc_number: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  holding_key: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    comment: 'ISIN, or scheme ID when the FIP sends none'
+  },
+  isin: {
+    type: DataTypes.STRING(12),
+    allowNull: true
+  },
+  scheme_code: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  name: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  issuer: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    comment: 'AMC, company or pension fund manager'
+  },
+  folio_number: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  units: {
+    type: DataTypes.DECIMAL(20, 4),
+    allowNull: false,
+    defaultValue: 0
+  },
+  nav: {
+    type: DataTypes.DECIMAL(15, 4),
+    allowNull: true,
+    comment: 'NAV, or last traded price for equities'
+  },
+  nav_date: {
+    type: DataTypes.DATEONLY,
+    allowNull: true
+  },
+  current_value: {
+    type: DataTypes.DECIMAL(15, 2),
+    allowNull: true
+  },
+  cost_value: {
+    type: DataTypes.DECIMAL(15, 2),
+    allowNull: true,
+    comment: 'Invested amount still held'
+  },
+  currency: {
+    type: DataTypes.STRING(3),
+    allowNull: false,
+    defaultValue: 'INR'
+  },
+  raw_data: {
+    type: DataTypes.JSONB,
+    allowNull: true
+  },
+  last_synced_at: {
+    type: DataTypes.DATE,
+    allowNull: false
+  }
+}, {
+  tableName: 'holdings',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    { unique: true, fields: ['user_id', 'fip_id', 'masked_acc_number', 'holding_key'] }
+  ]
+});
+
+module.exports = Holding;
@@ -0,0 +1,101 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/db');
+
+/**
+ * InsurancePolicy Model
+ *
+ * Insurance policies from the PROFILE and SUMMARY parts of AA FI data, one
+ * row per (user, FIP, masked policy number). Premium debits in bank and card
+ * transactions point at their policy through transactions.insurance_policy_id.
+ */
+const InsurancePolicy = sequelize.define('InsurancePolicy', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  user_id: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  consent_id: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  fip_id: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  masked_policy_number: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  insurer: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  policy_name: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  policy_type: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    comment: 'e.g. TERM, ENDOWMENT, ULIP, HEALTH, MOTOR'
+  },
+  sum_assured: {
+    type: DataTypes.DECIMAL(15, 2),
+    allowNull: true
+  },
+  premium_amount: {
+    type: DataTypes.DECIMAL(15, 2),
+    allowNull: true
+  },
+  premium_frequency: {
+    type: DataTypes.ENUM('MONTHLY', 'QUARTERLY', 'HALF_YEARLY', 'ANNUAL', 'SINGLE'),
+    allowNull: true
+  },
+  next_premium_due_date: {
+    type: DataTypes.DATEONLY,
+    allowNull: true
+  },
+  policy_start_date: {
+    type: DataTypes.DATEONLY,
+    allowNull: true
+  },
+  maturity_date: {
+    type: DataTypes.DATEONLY,
+    allowNull: true
+  },
+  nominee_count: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  status: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  currency: {
+    type: DataTypes.STRING(3),
+    allowNull: false,
+    defaultValue: 'INR'
+  },
+  summary: {
+    type: DataTypes.JSONB,
+    allowNull: true
+  },
+  last_synced_at: {
+    type: DataTypes.DATE,
+    allowNull: false
+  }
+}, {
+  tableName: 'insurance_policies',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    { unique: true, fields: ['user_id', 'fip_id', 'masked_policy_number'] }
+  ]
+});
+
+module.exports = InsurancePolicy;
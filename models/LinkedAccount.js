@@ -0,0 +1,116 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/db');
+
+/**
+ * LinkedAccount Model
+ *
+ * Deposit, term deposit, recurring deposit and credit card accounts seen in AA FI data,
+ * one row per (user, FIP, masked account number). Filled from the PROFILE
+ * and SUMMARY parts of the FI data on every fetch (see aaDataParser.js).
+ */
+const LinkedAccount = sequelize.define('LinkedAccount', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  user_id: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  consent_id: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  fip_id: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  masked_acc_number: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  link_ref_number: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  fi_type: {
+    type: DataTypes.ENUM('DEPOSIT', 'TERM_DEPOSIT', 'RECURRING_DEPOSIT', 'CREDIT_CARD'),
+    allowNull: false
+  },
+  account_type: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  holder_name: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  holding_type: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  ifsc_code: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  micr_code: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  branch: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  status: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  currency: {
+    type: DataTypes.STRING(3),
+    allowNull: false,
+    defaultValue: 'INR'
+  },
+  current_balance: {
+    type: DataTypes.DECIMAL(15, 2),
+    allowNull: true
+  },
+  balance_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  opening_date: {
+    type: DataTypes.DATEONLY,
+    allowNull: true
+  },
+  maturity_date: {
+    type: DataTypes.DATEONLY,
+    allowNull: true
+  },
+  maturity_amount: {
+    type: DataTypes.DECIMAL(15, 2),
+    allowNull: true
+  },
+  interest_rate: {
+    type: DataTypes.DECIMAL(5, 2),
+    allowNull: true
+  },
+  summary: {
+    type: DataTypes.JSONB,
+    allowNull: true
+  },
+  last_synced_at: {
+    type: DataTypes.DATE,
+    allowNull: false
+  }
+}, {
+  tableName: 'linked_accounts',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    { unique: true, fields: ['user_id', 'fip_id', 'masked_acc_number'] }
+  ]
+});
+
+module.exports = LinkedAccount;
@@ -0,0 +1,100 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/db');
+
+/**
+ * Loan Model
+ *
+ * Loan accounts from AA FI data, one row per (user, FIP, masked account
+ * number). The amortization schedule and prepayment simulations are worked
+ * out from these terms (see services/loanAmortization.js).
+ */
+const Loan = sequelize.define('Loan', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  user_id: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  consent_id: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  fip_id: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  masked_acc_number: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  lender: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  loan_type: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    comment: 'e.g. HOME_LOAN, PERSONAL_LOAN, AUTO_LOAN'
+  },
+  principal_amount: {
+    type: DataTypes.DECIMAL(15, 2),
+    allowNull: true,
+    comment: 'Sanctioned / disbursed amount'
+  },
+  outstanding_amount: {
+    type: DataTypes.DECIMAL(15, 2),
+    allowNull: true
+  },
+  interest_rate: {
+    type: DataTypes.DECIMAL(6, 3),
+    allowNull: true,
+    comment: 'Annual rate, percent'
+  },
+  tenure_months: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Original tenure'
+  },
+  emi_amount: {
+    type: DataTypes.DECIMAL(15, 2),
+    allowNull: true
+  },
+  start_date: {
+    type: DataTypes.DATEONLY,
+    allowNull: true
+  },
+  next_emi_date: {
+    type: DataTypes.DATEONLY,
+    allowNull: true
+  },
+  status: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  currency: {
+    type: DataTypes.STRING(3),
+    allowNull: false,
+    defaultValue: 'INR'
+  },
+  summary: {
+    type: DataTypes.JSONB,
+    allowNull: true
+  },
+  last_synced_at: {
+    type: DataTypes.DATE,
+    allowNull: false
+  }
+}, {
+  tableName: 'loans',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    { unique: true, fields: ['user_id', 'fip_id', 'masked_acc_number'] }
+  ]
+});
+
+module.exports = Loan;
@@ -0,0 +1,57 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/db');
+
+/**
+ * PhoneOTP Model
+ *
+ * One-time passwords sent by SMS for phone login (see otpService.js). The
+ * code itself is never stored.
+ */
+const PhoneOTP = sequelize.define('PhoneOTP', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  phone: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  code_hash: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  expires_at: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  attempts: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  consumed_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  ip_address: {
+    type: DataTypes.STRING,
+    allowNull: true
+  }
+}, {
+  tableName: 'phone_otps',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at'
+});
+
+/**
+ * Whether the code can still be verified
+ * @param {Date} now
+ * @returns {boolean}
+ */
+PhoneOTP.prototype.isUsable = function(now = new Date()) {
+  return !this.consumed_at && this.expires_at > now;
+};
+
+module.exports = PhoneOTP;
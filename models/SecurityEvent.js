@@ -0,0 +1,50 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/db');
+
+/**
+ * SecurityEvent Model
+ *
+ * Account security events raised by the auth layer (see securityEvents.js).
+ */
+const SecurityEvent = sequelize.define('SecurityEvent', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  user_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  session_id: {
+    type: DataTypes.UUID,
+    allowNull: true
+  },
+  event_type: {
+    type: DataTypes.ENUM('REFRESH_TOKEN_REUSE'),
+    allowNull: false
+  },
+  ip_address: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  user_agent: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  details: {
+    type: DataTypes.JSONB,
+    allowNull: true
+  }
+}, {
+  tableName: 'security_events',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: false
+});
+
+module.exports = SecurityEvent;
@@ -44,7 +44,7 @@ const Transaction = sequelize.define('Transaction', {
     allowNull: true
   },
   source_type: {
-    type: DataTypes.ENUM('BANK_ACCOUNT', 'CREDIT_CARD', 'LOAN', 'MUTUAL_FUND', 'INSURANCE', 'OTHER'),
+    type: DataTypes.ENUM('BANK_ACCOUNT', 'CREDIT_CARD', 'LOAN', 'MUTUAL_FUND', 'EQUITIES', 'NPS', 'INSURANCE', 'OTHER'),
     allowNull: false,
     defaultValue: 'BANK_ACCOUNT'
   },
@@ -52,6 +52,14 @@ const Transaction = sequelize.define('Transaction', {
     type: DataTypes.STRING,
     allowNull: true
   },
+  linked_account_id: {
+    type: DataTypes.UUID,
+    allowNull: true
+  },
+  insurance_policy_id: {
+    type: DataTypes.UUID,
+    allowNull: true
+  },
   mode: {
     type: DataTypes.STRING,
     allowNull: true
@@ -76,6 +84,10 @@ const Transaction = sequelize.define('Transaction', {
   raw_data: {
     type: DataTypes.JSONB,
     allowNull: true
+  },
+  anonymized_at: {
+    type: DataTypes.DATE,
+    allowNull: true
   }
 }, {
   tableName: 'transactions',
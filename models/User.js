@@ -28,6 +28,10 @@ const User = sequelize.define('User', {
     allowNull: true,
     unique: true
   },
+  phone_verified_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
   password_hash: {
     type: DataTypes.STRING,
     allowNull: true
@@ -46,9 +50,10 @@ const User = sequelize.define('User', {
     allowNull: true,
     unique: true
   },
-  refresh_token: {
-    type: DataTypes.STRING,
-    allowNull: true
+  token_version: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
   }
 }, {
   tableName: 'users',
@@ -0,0 +1,78 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/db');
+
+/**
+ * UserSession Model
+ *
+ * A signed-in device (see sessionService.js) and its refresh token family.
+ * Only the SHA-256 hash of the family's current refresh token is stored.
+ */
+const UserSession = sequelize.define('UserSession', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  user_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  refresh_token_hash: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    unique: true
+  },
+  device_name: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  platform: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  ip_address: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  last_used_at: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  expires_at: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  token_generation: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  revoked_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  revoked_reason: {
+    type: DataTypes.ENUM('LOGOUT', 'LOGOUT_ALL', 'USER_REVOKED', 'TOKEN_REUSE', 'PASSWORD_CHANGED'),
+    allowNull: true
+  }
+}, {
+  tableName: 'user_sessions',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at'
+});
+
+/**
+ * Whether the session can still be refreshed
+ * @param {Date} now - Current time
+ * @returns {boolean}
+ */
+UserSession.prototype.isActive = function(now = new Date()) {
+  return !this.revoked_at && new Date(this.expires_at) > now;
+};
+
+module.exports = UserSession;
@@ -1,14 +1,33 @@
 const express = require('express');
 const router = express.Router();
-const { authenticate } = require('../middlewares/auth');
+const { authenticate, requireAdmin } = require('../middlewares/auth');
+const { verifyAASignature } = require('../middlewares/aaSignature');
 const {
   initiateConsent,
   handleCallback,
   checkConsentStatus,
   fetchData,
-  fetchBankStatement
+  fetchBankStatement,
+  listFISessions,
+  getFISession,
+  listFIAccessLog,
+  exportFIAccessLog,
+  listProviders,
+  listConsentTemplates,
+  listConsents,
+  getConsent,
+  revokeConsent,
+  pauseConsent,
+  consentNotification,
+  fiNotification
 } = require('../controllers/aaController');
 
+// GET /api/aa/providers - List available AA providers
+router.get('/providers', authenticate, listProviders);
+
+// GET /api/aa/consent/templates - List consent templates
+router.get('/consent/templates', authenticate, listConsentTemplates);
+
 // POST /api/aa/consent/initiate - Initiate AA consent flow
 router.post('/consent/initiate', authenticate, initiateConsent);
 
@@ -21,7 +40,37 @@ router.get('/consent/status/:consentHandle', authenticate, checkConsentStatus);
 // POST /api/aa/data/fetch - Fetch financial data using approved consent
 router.post('/data/fetch', authenticate, fetchData);
 
-// POST /api/aa/bank-statement - Fetch bank statement using approved consent
+// POST /api/aa/bank-statement - Fetch, parse and save bank statement using approved consent
 router.post('/bank-statement', authenticate, fetchBankStatement);
 
+// GET /api/aa/fi-sessions - List the user's FI fetch sessions
+router.get('/fi-sessions', authenticate, listFISessions);
+
+// GET /api/aa/fi-sessions/:sessionId - FI fetch session progress and stats
+router.get('/fi-sessions/:sessionId', authenticate, getFISession);
+
+// GET /api/aa/access-log - FI data access audit log for the user's consents
+router.get('/access-log', authenticate, listFIAccessLog);
+
+// GET /api/aa/admin/access-log/export - Export the whole FI access log as CSV or JSON (admin)
+router.get('/admin/access-log/export', authenticate, requireAdmin, exportFIAccessLog);
+
+// GET /api/aa/consents - List the user's consents with version history
+router.get('/consents', authenticate, listConsents);
+
+// GET /api/aa/consents/:consentId - Consent detail with version history and integrity check
+router.get('/consents/:consentId', authenticate, getConsent);
+
+// POST /api/aa/consents/:consentId/revoke - Revoke a consent at the AA
+router.post('/consents/:consentId/revoke', authenticate, revokeConsent);
+
+// POST /api/aa/consents/:consentId/pause - Pause a consent at the AA
+router.post('/consents/:consentId/pause', authenticate, pauseConsent);
+
+// POST /api/aa/Consent/Notification - AA consent status notification (signed)
+router.post('/Consent/Notification', verifyAASignature, consentNotification);
+
+// POST /api/aa/FI/Notification - AA FI data status notification (signed)
+router.post('/FI/Notification', verifyAASignature, fiNotification);
+
 module.exports = router;
@@ -0,0 +1,23 @@
+const express = require('express');
+const router = express.Router();
+const { authenticate } = require('../middlewares/auth');
+const {
+  getAccounts,
+  getAccountTransactions,
+  getCardDues,
+  getCardStatements
+} = require('../controllers/accountController');
+
+// GET /api/accounts - List linked deposit and credit card accounts
+router.get('/', authenticate, getAccounts);
+
+// GET /api/accounts/card-dues - Upcoming credit card dues
+router.get('/card-dues', authenticate, getCardDues);
+
+// GET /api/accounts/:id/statements - Get a credit card's statement summaries
+router.get('/:id/statements', authenticate, getCardStatements);
+
+// GET /api/accounts/:id/transactions - Get a linked account's transactions with filters
+router.get('/:id/transactions', authenticate, getAccountTransactions);
+
+module.exports = router;
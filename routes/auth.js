@@ -8,10 +8,16 @@ router.post('/register', authController.register);
 router.post('/login', authController.login);
 router.post('/google-login', authController.googleLogin);
 router.post('/apple-login', authController.appleLogin);
+router.post('/otp/request', authController.requestOtp);
+router.post('/otp/verify', authController.verifyOtp);
 router.post('/refresh-token', authController.refreshToken);
 
 // Protected routes
 router.post('/logout', authenticate, authController.logout);
+router.post('/logout-all', authenticate, authController.logoutAll);
+router.post('/change-password', authenticate, authController.changePassword);
+router.get('/sessions', authenticate, authController.listSessions);
+router.delete('/sessions/:id', authenticate, authController.revokeSession);
 
 module.exports = router;
 
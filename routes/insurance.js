@@ -0,0 +1,9 @@
+const express = require('express');
+const router = express.Router();
+const { authenticate } = require('../middlewares/auth');
+const { getPolicies } = require('../controllers/insuranceController');
+
+// GET /api/insurance/policies - List insurance policies with premium schedule and linked premium payments
+router.get('/policies', authenticate, getPolicies);
+
+module.exports = router;
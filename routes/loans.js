@@ -0,0 +1,19 @@
+const express = require('express');
+const router = express.Router();
+const { authenticate } = require('../middlewares/auth');
+const {
+  getLoans,
+  getLoanSchedule,
+  simulatePrepayment
+} = require('../controllers/loanController');
+
+// GET /api/loans - List loans
+router.get('/', authenticate, getLoans);
+
+// GET /api/loans/:id/schedule - Get a loan's amortization schedule
+router.get('/:id/schedule', authenticate, getLoanSchedule);
+
+// POST /api/loans/:id/simulate-prepayment - Interest and tenure saved by a prepayment
+router.post('/:id/simulate-prepayment', authenticate, simulatePrepayment);
+
+module.exports = router;
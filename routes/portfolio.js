@@ -0,0 +1,9 @@
+const express = require('express');
+const router = express.Router();
+const { authenticate } = require('../middlewares/auth');
+const { getPortfolio } = require('../controllers/portfolioController');
+
+// GET /api/portfolio - Get mutual fund, equity and NPS holdings with current value and invested amount
+router.get('/', authenticate, getPortfolio);
+
+module.exports = router;
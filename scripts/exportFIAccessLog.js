@@ -0,0 +1,62 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * FI Access Log Export Script
+ *
+ * Exports the FI access audit log (see services/fiAccessLog.js), oldest
+ * first, for auditors and AA compliance reviews. Admins can get the same
+ * export over HTTP: GET /api/aa/admin/access-log/export.
+ *
+ * Usage:
+ *   node scripts/exportFIAccessLog.js                          # CSV of every entry
+ *   node scripts/exportFIAccessLog.js --user <userId>          # one user's entries
+ *   node scripts/exportFIAccessLog.js --consent <consentId>    # one AA consent's entries
+ *   node scripts/exportFIAccessLog.js --from 2026-01-01 --to 2026-03-31
+ *   node scripts/exportFIAccessLog.js --json                   # JSON instead of CSV
+ */
+
+const path = require('path');
+
+require('dotenv').config({ path: path.resolve(__dirname, '../.env') });
+
+const { sequelize } = require('../config/db');
+const { exportAccessLog, toCsv } = require('../services/fiAccessLog');
+
+const argValue = (name) => {
+  const index = process.argv.indexOf(name);
+  return index === -1 ? undefined : process.argv[index + 1];
+};
+
+const main = async () => {
+  const asJson = process.argv.includes('--json');
+  const filters = {
+    userId: argValue('--user'),
+    consentId: argValue('--consent'),
+    from: argValue('--from'),
+    to: argValue('--to')
+  };
+
+  if ([filters.from, filters.to].some(date => date && isNaN(new Date(date).getTime()))) {
+    throw new Error('--from and --to must be valid dates');
+  }
+
+  const rows = await exportAccessLog(filters);
+
+  if (asJson) {
+    console.log(JSON.stringify({ exportedAt: new Date().toISOString(), filters, entries: rows }, null, 2));
+  } else {
+    console.log(toCsv(rows));
+  }
+};
+
+main()
+  .then(async () => {
+    await sequelize.close();
+    process.exit(0);
+  })
+  .catch(async (error) => {
+    console.error('FI access log export error:', error);
+    await sequelize.close();
+    process.exit(1);
+  });
@@ -0,0 +1,414 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * Mock Account Aggregator Server
+ *
+ * Local stand-in for a ReBIT-compliant AA so the adapter can be exercised
+ * offline. Implements the FIU-facing endpoints with in-memory state:
+ *
+ *   POST /:version/Consent          - Create consent (returns ConsentHandle)
+ *   POST /:version/Consent/handle   - Consent handle status
+ *   POST /:version/Consent/fetch    - Consent artefact
+ *   POST /:version/FI/request       - Create FI data session
+ *   POST /:version/FI/fetch         - FI data for a session
+ *   POST /:version/Consent/Notification - FIU-initiated revoke/pause
+ *   GET  /consent/authorize         - Simulated user approval + encrypted redirect (ecreq -> ecres)
+ *
+ * FI data is simulated for the consent's fiTypes and the requested range
+ * (see services/fiSimulator.js, seeded with MOCK_AA_SEED) and encrypted per
+ * the ReBIT scheme against the FIU KeyMaterial sent in FI/request
+ * (ephemeral X25519 + AES-256-GCM).
+ *
+ * Every response is signed with a detached JWS (x-jws-signature). When
+ * FIU public keys are supplied, incoming request signatures are verified too.
+ *
+ * Usage:
+ *   node scripts/mockAAServer.js [port]     # default port 4000
+ *
+ * The standalone server writes its public key to MOCK_AA_PUBLIC_KEY_PATH
+ * (default ./mock-aa-public.pem). Point the backend at it:
+ *   AA_BASE_URL=http://localhost:4000
+ *   AA_PUBLIC_KEY_PATHS=./mock-aa-public.pem
+ *   AA_REDIRECT_KEY=<same value for both processes>
+ *
+ * Tests use createMockAAServer() directly and drive state through the
+ * returned helpers (approve, reject, seedConsent, failNext, delayNext) and
+ * push signed Consent/FI notifications to the FIU with notify().
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const { signWith, verifyWith } = require('../services/jws');
+const { encryptFIResponse } = require('../services/fiCrypto');
+const { generateFI } = require('../services/fiSimulator');
+const { deriveKey, decryptParam, encryptRedirect } = require('../services/aaRedirect');
+
+/**
+ * Create a mock AA server
+ * @param {Object} options
+ * @param {Function} options.fiData - (consent, session) => FI array for FI/fetch
+ *   (default: simulated data for the consent's fiTypes and the session range)
+ * @param {string} options.seed - Seed for the simulated data (default: MOCK_AA_SEED or 'mock-aa')
+ * @param {string|KeyObject} options.signingKey - AA private key (generated if omitted)
+ * @param {Array} options.fiuPublicKeys - FIU keys to verify requests with (skipped if omitted)
+ * @param {string} options.redirectKey - Key shared with the FIU for ecreq/ecres (default: AA_REDIRECT_KEY)
+ * @returns {Object} - { app, state, publicKey, listen, notify, approve, reject, seedConsent, failNext, delayNext }
+ */
+const createMockAAServer = ({
+  fiData,
+  seed = process.env.MOCK_AA_SEED || 'mock-aa',
+  signingKey,
+  fiuPublicKeys,
+  redirectKey = process.env.AA_REDIRECT_KEY || 'mock-aa-redirect-key'
+} = {}) => {
+  const privateKey = signingKey instanceof crypto.KeyObject
+    ? signingKey
+    : signingKey ? crypto.createPrivateKey(signingKey) : crypto.generateKeyPairSync('rsa', { modulusLength: 2048 }).privateKey;
+  const publicKey = crypto.createPublicKey(privateKey).export({ type: 'spki', format: 'pem' });
+
+  const state = {
+    consents: new Map(), // consentHandle -> consent
+    sessions: new Map(), // sessionId -> session
+    failures: [],        // { path, status, body, remaining }
+    delays: [],          // { path, ms, remaining }
+    requests: []         // { path, body, headers }
+  };
+
+  const app = express();
+  app.use(express.json({
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    }
+  }));
+
+  // Sign every JSON response
+  app.use((req, res, next) => {
+    res.json = (body) => {
+      const payload = JSON.stringify(body);
+      res.set('Content-Type', 'application/json');
+      res.set('x-jws-signature', signWith(payload, privateKey));
+      return res.send(payload);
+    };
+    next();
+  });
+
+  const envelope = (txnid) => ({
+    ver: '1.0',
+    timestamp: new Date().toISOString(),
+    txnid
+  });
+
+  const sendError = (res, status, errorCode, errorMsg, txnid) => {
+    res.status(status).json({ ...envelope(txnid), errorCode, errorMsg });
+  };
+
+  const findByConsentId = (consentId) => {
+    for (const consent of state.consents.values()) {
+      if (consent.consentId === consentId) return consent;
+    }
+    return null;
+  };
+
+  // Request log, injected delays and failures (test hooks)
+  app.use(async (req, res, next) => {
+    const endpoint = req.path.replace(/^\/[^/]+(?=\/(Consent|FI)\b)/, '');
+    state.requests.push({ path: endpoint, body: req.body, headers: req.headers });
+
+    if (fiuPublicKeys && req.method === 'POST' &&
+        !verifyWith(req.headers['x-jws-signature'], req.rawBody || '', fiuPublicKeys)) {
+      return sendError(res, 401, 'SignatureDoesNotMatch', 'Request signature missing or invalid', req.body?.txnid);
+    }
+
+    const delay = state.delays.find(d => d.path === endpoint && d.remaining > 0);
+    if (delay) {
+      delay.remaining--;
+      await new Promise(resolve => setTimeout(resolve, delay.ms));
+    }
+
+    const failure = state.failures.find(f => f.path === endpoint && f.remaining > 0);
+    if (failure) {
+      failure.remaining--;
+      return res.status(failure.status).json({ ...envelope(req.body?.txnid), ...failure.body });
+    }
+
+    next();
+  });
+
+  // Simulated user approval page: decrypts ecreq, approves (or rejects with
+  // ?decision=reject) and redirects back to the FIU with an encrypted ecres
+  app.get('/consent/authorize', (req, res) => {
+    const { fi, reqdate, ecreq, decision } = req.query;
+    const key = deriveKey(redirectKey, reqdate || '');
+    const fiuId = decryptParam(fi, key);
+    const plaintext = decryptParam(ecreq, key);
+
+    if (fiuId === null || plaintext === null) {
+      return res.status(400).send('Invalid ecreq');
+    }
+
+    const request = Object.fromEntries(new URLSearchParams(plaintext));
+    if (!state.consents.has(request.srcref) || !request.redirect) {
+      return res.status(404).send('Unknown consent handle');
+    }
+
+    const approved = decision !== 'reject';
+    if (approved) {
+      approve(request.srcref);
+    } else {
+      reject(request.srcref);
+    }
+
+    const response = encryptRedirect({
+      fiuId,
+      secret: redirectKey,
+      fields: {
+        txnid: request.txnid,
+        sessionid: request.sessionid,
+        userid: request.userid,
+        srcref: request.srcref,
+        status: approved ? 'S' : 'F',
+        errorcode: approved ? '0' : 'UserRejected'
+      }
+    });
+    const params = new URLSearchParams({ fi: response.fi, resdate: response.date, ecres: response.payload });
+    res.redirect(`${request.redirect}?${params.toString()}`);
+  });
+
+  const router = express.Router();
+
+  router.post('/Consent', (req, res) => {
+    const { txnid, ConsentDetail } = req.body || {};
+
+    if (!txnid || !ConsentDetail?.Customer?.id || !ConsentDetail?.fiTypes?.length) {
+      return sendError(res, 400, 'InvalidRequest', 'Missing txnid, Customer or fiTypes', txnid);
+    }
+
+    const consentHandle = crypto.randomUUID();
+    state.consents.set(consentHandle, {
+      consentHandle,
+      consentId: null,
+      status: 'PENDING',
+      detail: ConsentDetail,
+      createdAt: new Date().toISOString()
+    });
+
+    res.json({
+      ...envelope(txnid),
+      Customer: { id: ConsentDetail.Customer.id },
+      ConsentHandle: consentHandle
+    });
+  });
+
+  router.post('/Consent/handle', (req, res) => {
+    const { txnid, ConsentHandle } = req.body || {};
+    const consent = state.consents.get(ConsentHandle);
+
+    if (!consent) {
+      return sendError(res, 404, 'InvalidConsentHandle', 'Consent handle not found', txnid);
+    }
+
+    res.json({
+      ...envelope(txnid),
+      ConsentHandle,
+      ConsentStatus: {
+        id: consent.consentId,
+        status: consent.status === 'ACTIVE' ? 'READY' : consent.status
+      }
+    });
+  });
+
+  router.post('/Consent/fetch', (req, res) => {
+    const { txnid, consentId } = req.body || {};
+    const consent = findByConsentId(consentId);
+
+    if (!consent) {
+      return sendError(res, 404, 'InvalidConsentId', 'Consent not found', txnid);
+    }
+
+    res.json({
+      ...envelope(txnid),
+      consentId,
+      status: consent.status,
+      createTimestamp: consent.createdAt,
+      signedConsent: Buffer.from(JSON.stringify(consent.detail || {})).toString('base64url'),
+      ConsentUse: {
+        logUri: '',
+        count: consent.useCount || 0,
+        lastUseDateTime: consent.lastUsedAt || null
+      }
+    });
+  });
+
+  router.post('/Consent/Notification', (req, res) => {
+    const { txnid, ConsentStatusNotification: notification } = req.body || {};
+    const consent = findByConsentId(notification?.consentId);
+
+    if (!consent) {
+      return sendError(res, 404, 'InvalidConsentId', 'Consent not found', txnid);
+    }
+    if (!['REVOKED', 'PAUSED', 'ACTIVE'].includes(notification.consentStatus)) {
+      return sendError(res, 400, 'InvalidRequest', 'Unsupported consentStatus', txnid);
+    }
+    if (consent.status === 'REVOKED') {
+      return sendError(res, 409, 'InvalidConsentStatus', 'Consent is REVOKED', txnid);
+    }
+
+    consent.status = notification.consentStatus;
+    res.json({ ...envelope(txnid), response: 'OK' });
+  });
+
+  router.post('/FI/request', (req, res) => {
+    const { txnid, Consent, FIDataRange } = req.body || {};
+
+    if (!Consent?.id || !FIDataRange?.from || !FIDataRange?.to) {
+      return sendError(res, 400, 'InvalidRequest', 'Missing Consent or FIDataRange', txnid);
+    }
+    if (!req.body.KeyMaterial?.DHPublicKey?.KeyValue || !req.body.KeyMaterial?.Nonce) {
+      return sendError(res, 400, 'InvalidRequest', 'Missing KeyMaterial', txnid);
+    }
+
+    const consent = findByConsentId(Consent.id);
+    if (!consent) {
+      return sendError(res, 404, 'InvalidConsentId', 'Consent not found', txnid);
+    }
+    if (consent.status !== 'ACTIVE') {
+      return sendError(res, 409, 'InvalidConsentStatus', `Consent is ${consent.status}`, txnid);
+    }
+
+    const sessionId = crypto.randomUUID();
+    state.sessions.set(sessionId, {
+      sessionId,
+      consentId: Consent.id,
+      range: FIDataRange,
+      keyMaterial: req.body.KeyMaterial
+    });
+    consent.useCount = (consent.useCount || 0) + 1;
+    consent.lastUsedAt = new Date().toISOString();
+
+    res.json({ ...envelope(txnid), consentId: Consent.id, sessionId });
+  });
+
+  router.post('/FI/fetch', (req, res) => {
+    const { txnid, sessionId } = req.body || {};
+    const session = state.sessions.get(sessionId);
+
+    if (!session) {
+      return sendError(res, 404, 'InvalidSessionId', 'Session not found', txnid);
+    }
+
+    const consent = findByConsentId(session.consentId);
+    const plainFI = fiData ? fiData(consent, session) : generateFI({
+      seed,
+      customerId: consent?.detail?.Customer?.id,
+      fiTypes: consent?.detail?.fiTypes,
+      from: session.range.from,
+      to: session.range.to
+    });
+    const FI = encryptFIResponse(plainFI, session.keyMaterial);
+
+    res.json({ ...envelope(txnid), FI });
+  });
+
+  app.use('/:apiVersion', router);
+
+  /**
+   * Mark a pending consent as approved by the user
+   * @param {string} consentHandle - Consent handle
+   * @returns {string} - Generated consent ID
+   */
+  const approve = (consentHandle) => {
+    const consent = state.consents.get(consentHandle);
+    consent.consentId = consent.consentId || crypto.randomUUID();
+    consent.status = 'ACTIVE';
+    return consent.consentId;
+  };
+
+  const reject = (consentHandle) => {
+    state.consents.get(consentHandle).status = 'REJECTED';
+  };
+
+  /**
+   * Insert a consent directly (e.g. one approved in a previous run)
+   */
+  const seedConsent = ({ consentHandle = crypto.randomUUID(), consentId = null, status = 'PENDING', detail = {} }) => {
+    state.consents.set(consentHandle, {
+      consentHandle,
+      consentId,
+      status,
+      detail,
+      createdAt: new Date().toISOString()
+    });
+    return consentHandle;
+  };
+
+  /**
+   * Fail the next `count` requests to a path with the given status/body
+   */
+  const failNext = (path, { status = 500, body = { errorCode: 'InternalError', errorMsg: 'Simulated failure' }, count = 1 } = {}) => {
+    state.failures.push({ path, status, body, remaining: count });
+  };
+
+  /**
+   * Delay the next `count` requests to a path by `ms`
+   */
+  const delayNext = (path, ms, count = 1) => {
+    state.delays.push({ path, ms, remaining: count });
+  };
+
+  /**
+   * Push a signed notification to the FIU (e.g. /api/aa/Consent/Notification)
+   * @param {string} url - FIU notification endpoint
+   * @param {Object} body - Notification body
+   * @returns {Object} - { status, body }
+   */
+  const notify = async (url, body) => {
+    const payload = JSON.stringify({ ver: '1.0', timestamp: new Date().toISOString(), ...body });
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'x-jws-signature': signWith(payload, privateKey)
+      },
+      body: payload
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  /**
+   * Start listening; resolves with the base URL and a close function
+   * @param {number} port - Port (0 for a random free port)
+   */
+  const listen = (port = 0) => new Promise((resolve) => {
+    const server = app.listen(port, () => {
+      const url = `http://127.0.0.1:${server.address().port}`;
+      resolve({
+        url,
+        server,
+        close: () => new Promise(done => {
+          server.closeAllConnections();
+          server.close(done);
+        })
+      });
+    });
+  });
+
+  return { app, state, publicKey, listen, notify, approve, reject, seedConsent, failNext, delayNext };
+};
+
+module.exports = { createMockAAServer };
+
+// Run standalone
+if (require.main === module) {
+  const port = parseInt(process.argv[2] || process.env.MOCK_AA_PORT || '4000', 10);
+  const keyPath = path.resolve(process.env.MOCK_AA_PUBLIC_KEY_PATH || 'mock-aa-public.pem');
+  const mockAA = createMockAAServer();
+
+  fs.writeFileSync(keyPath, mockAA.publicKey);
+  mockAA.listen(port).then(({ url }) => {
+    console.log(`🧪 Mock AA server running on ${url}`);
+    console.log(`   Set AA_BASE_URL=${url} and AA_PUBLIC_KEY_PATHS=${keyPath} to use it`);
+  });
+}
@@ -0,0 +1,52 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * DataLife Purge Script
+ *
+ * Runs one DataLife retention pass (see services/dataRetention.js): purges
+ * transactions and linked accounts past their consent's DataLife or fetched
+ * under a revoked consent, and logs each purge in data_purge_logs.
+ *
+ * Usage:
+ *   node scripts/purgeExpiredData.js             # purge (AA_RETENTION_MODE, default DELETE)
+ *   node scripts/purgeExpiredData.js --dry-run   # only report what is due
+ *   node scripts/purgeExpiredData.js --json      # JSON report
+ */
+
+const path = require('path');
+
+require('dotenv').config({ path: path.resolve(__dirname, '../.env') });
+
+const { sequelize } = require('../config/db');
+const { runRetention } = require('../services/dataRetention');
+
+const main = async () => {
+  const asJson = process.argv.includes('--json');
+  const dryRun = process.argv.includes('--dry-run');
+
+  const results = await runRetention({ triggeredBy: 'SCRIPT', dryRun });
+  const output = { ranAt: new Date().toISOString(), dryRun, results };
+
+  if (asJson) {
+    console.log(JSON.stringify(output, null, 2));
+  } else {
+    console.log(`Checked ${results.length} consents at ${output.ranAt}${dryRun ? ' (dry run)' : ''}`);
+    for (const result of results.filter(r => ['PURGED', 'DUE', 'FAILED'].includes(r.status))) {
+      console.log(`- ${result.consentId}: ${result.status} ${result.reason || result.error} (${result.count} transactions, ${result.accountCount} accounts, ${result.statementCount} card statements, ${result.holdingCount} holdings, ${result.policyCount} policies, ${result.loanCount} loans)`);
+    }
+  }
+
+  return results.every(result => result.status !== 'FAILED');
+};
+
+main()
+  .then(async (ok) => {
+    await sequelize.close();
+    process.exit(ok ? 0 : 1);
+  })
+  .catch(async (error) => {
+    console.error('DataLife purge error:', error);
+    await sequelize.close();
+    process.exit(2);
+  });
@@ -0,0 +1,51 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * Consent Ledger Verification Script
+ *
+ * Walks every ConsentRecord hash chain and reports hash mismatches, broken
+ * links and orphaned versions. Exits with code 1 when any issue is found,
+ * so it can run as a scheduled compliance check.
+ *
+ * Usage:
+ *   node scripts/verifyConsentLedger.js          # human-readable report
+ *   node scripts/verifyConsentLedger.js --json   # JSON report (audit evidence)
+ */
+
+const path = require('path');
+
+require('dotenv').config({ path: path.resolve(__dirname, '../.env') });
+
+const { sequelize } = require('../config/db');
+const { verifyAllConsents } = require('../services/consentLedger');
+
+const main = async () => {
+  const asJson = process.argv.includes('--json');
+
+  const report = await verifyAllConsents();
+  const output = { checkedAt: new Date().toISOString(), ...report };
+
+  if (asJson) {
+    console.log(JSON.stringify(output, null, 2));
+  } else {
+    console.log(`Checked ${report.records} versions in ${report.chains} consent chains at ${output.checkedAt}`);
+    for (const issue of report.issues) {
+      console.log(`✗ ${issue.type} ${issue.consentHandle} v${issue.version} (${issue.recordId}): ${issue.message}`);
+    }
+    console.log(report.valid ? '✅ Ledger intact' : `❌ ${report.issues.length} issue(s) found`);
+  }
+
+  return report.valid;
+};
+
+main()
+  .then(async (valid) => {
+    await sequelize.close();
+    process.exit(valid ? 0 : 1);
+  })
+  .catch(async (error) => {
+    console.error('Ledger verification error:', error);
+    await sequelize.close();
+    process.exit(2);
+  });
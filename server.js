@@ -9,7 +9,12 @@ const app = express();
 // Middleware
 app.use(helmet());
 app.use(cors());
-app.use(express.json());
+app.use(express.json({
+  // Keep the raw body for JWS signature verification on AA notifications
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 
 // Health check
 app.get('/', (req, res) => {
@@ -20,10 +25,22 @@ app.get('/', (req, res) => {
 app.use('/api/auth', require('./routes/auth'));
 app.use('/api/aa', require('./routes/aa'));
 app.use('/api/transactions', require('./routes/transactions'));
+app.use('/api/accounts', require('./routes/accounts'));
+app.use('/api/portfolio', require('./routes/portfolio'));
+app.use('/api/insurance', require('./routes/insurance'));
+app.use('/api/loans', require('./routes/loans'));
 
 // Start server
 const PORT = process.env.PORT || 3000;
 
+// Fail before serving: a development SMS provider would log live login OTPs
+try {
+  require('./services/smsProviders').checkConfig();
+} catch (error) {
+  console.error('❌ SMS provider misconfigured:', error.message);
+  process.exit(1);
+}
+
 sequelize.authenticate()
   .then(() => {
     console.log('✅ Database connected');
@@ -31,6 +48,16 @@ sequelize.authenticate()
       console.log(`🚀 Rupio server running on http://localhost:${PORT}`);
       console.log(`📊 pgAdmin: http://localhost:5050`);
     });
+
+    if (process.env.AA_SYNC_ENABLED === 'true') {
+      require('./services/syncScheduler').start();
+      console.log('🔄 Periodic FI sync enabled');
+    }
+
+    if (process.env.AA_RETENTION_ENABLED === 'true') {
+      require('./services/dataRetention').start();
+      console.log('🧹 DataLife retention enabled');
+    }
   })
   .catch(err => {
     console.error('❌ Database connection failed:', err);
@@ -0,0 +1,164 @@
+/**
+ * Account Aggregator (AA) HTTP Client
+ *
+ * Thin client for the ReBIT FIU-facing AA endpoints:
+ * - POST /Consent          - Create consent request
+ * - POST /Consent/handle   - Consent handle status
+ * - POST /Consent/fetch    - Fetch consent artefact
+ * - POST /FI/request       - Create FI data session
+ * - POST /FI/fetch         - Fetch FI data for a session
+ *
+ * Requests time out after config.timeoutMs and are retried with
+ * exponential backoff on 5xx responses, timeouts and network failures.
+ * AA error payloads are mapped to typed errors (see aaErrors.js).
+ *
+ * Request bodies are signed and successful responses must carry a valid
+ * x-jws-signature from a trusted AA key (see jws.js).
+ */
+
+const jws = require('./jws');
+const {
+  AATimeoutError,
+  AANetworkError,
+  AASignatureError,
+  fromResponse
+} = require('./aaErrors');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Backoff delay for a retry attempt (exponential with jitter)
+ * @param {number} baseDelayMs - Base delay
+ * @param {number} attempt - Retry attempt (0-based)
+ * @returns {number} - Delay in ms
+ */
+const backoffDelay = (baseDelayMs, attempt) => {
+  const delay = baseDelayMs * Math.pow(2, attempt);
+  return delay + Math.floor(Math.random() * baseDelayMs);
+};
+
+/**
+ * Parse a response body as JSON, tolerating empty or non-JSON bodies
+ * @param {string} text - Raw response body
+ * @returns {Object|null}
+ */
+const parseBody = (text) => {
+  if (!text) return null;
+
+  try {
+    return JSON.parse(text);
+  } catch {
+    return { errorMsg: text.substring(0, 200) };
+  }
+};
+
+/**
+ * Create an AA client bound to a config object.
+ * Config is read on every call so runtime changes (e.g. in tests) apply.
+ *
+ * @param {Object} config - AA config
+ * @param {string} config.baseUrl - AA gateway base URL
+ * @param {string} config.apiVersion - API version path segment
+ * @param {string} config.clientId - FIU client ID (sent as client_api_key)
+ * @param {number} config.timeoutMs - Per-attempt timeout
+ * @param {number} config.maxRetries - Retries after the first attempt
+ * @param {number} config.retryDelayMs - Base backoff delay
+ * @param {Array} config.publicKeys - Trusted AA keys (default: keys configured in jws.js)
+ * @returns {Object} - { post }
+ */
+const createClient = (config) => {
+  /**
+   * Send a single request attempt
+   */
+  const attempt = async (url, body) => {
+    const payload = JSON.stringify(body);
+    const signature = jws.sign(payload);
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), config.timeoutMs);
+
+    try {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'client_api_key': config.clientId,
+          'x-jws-signature': signature
+        },
+        body: payload,
+        signal: controller.signal
+      });
+
+      const text = await response.text();
+      const data = parseBody(text);
+
+      if (!response.ok) {
+        throw fromResponse(response.status, data);
+      }
+
+      const responseSignature = response.headers.get('x-jws-signature');
+      if (!jws.verify(responseSignature, text, config.publicKeys)) {
+        throw new AASignatureError(
+          responseSignature ? 'AA response signature is invalid' : 'AA response signature is missing',
+          { code: 'SignatureDoesNotMatch', status: response.status, txnId: body?.txnid }
+        );
+      }
+
+      return data;
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        throw new AATimeoutError(`AA request timed out after ${config.timeoutMs}ms`, {
+          code: 'Timeout',
+          txnId: body?.txnid
+        });
+      }
+      if (error.name === 'TypeError') {
+        throw new AANetworkError(`AA request failed: ${error.cause?.message || error.message}`, {
+          code: 'NetworkError',
+          txnId: body?.txnid
+        });
+      }
+      throw error;
+    } finally {
+      clearTimeout(timer);
+    }
+  };
+
+  /**
+   * Only server-side and transport failures are worth retrying
+   */
+  const isRetryable = (error) => {
+    return error instanceof AATimeoutError ||
+      error instanceof AANetworkError ||
+      (error.status && error.status >= 500);
+  };
+
+  /**
+   * POST a ReBIT request body to an AA endpoint
+   * @param {string} path - Endpoint path (e.g. '/Consent')
+   * @param {Object} body - Request body
+   * @returns {Object} - Parsed AA response
+   */
+  const post = async (path, body) => {
+    const url = `${config.baseUrl}/${config.apiVersion}${path}`;
+    let lastError;
+
+    for (let retry = 0; retry <= config.maxRetries; retry++) {
+      try {
+        return await attempt(url, body);
+      } catch (error) {
+        lastError = error;
+        if (!isRetryable(error) || retry === config.maxRetries) break;
+        await sleep(backoffDelay(config.retryDelayMs, retry));
+      }
+    }
+
+    throw lastError;
+  };
+
+  return { post };
+};
+
+module.exports = {
+  createClient,
+  backoffDelay
+};
@@ -5,7 +5,25 @@
  * into standardized transaction records.
  */
 
+const { Op } = require('sequelize');
 const Transaction = require('../models/Transaction');
+const LinkedAccount = require('../models/LinkedAccount');
+const CardStatement = require('../models/CardStatement');
+const Holding = require('../models/Holding');
+const InsurancePolicy = require('../models/InsurancePolicy');
+const Loan = require('../models/Loan');
+const { shiftDate } = require('./consentTemplates');
+const { computeEmi } = require('./loanAmortization');
+
+// FI types stored as linked accounts
+const DEPOSIT_FI_TYPES = ['DEPOSIT', 'TERM_DEPOSIT', 'RECURRING_DEPOSIT'];
+
+// FI types stored as holdings, with the source_type and subcategory of their trades
+const INVESTMENT_FI_TYPES = {
+  MUTUAL_FUNDS: { sourceType: 'MUTUAL_FUND', subcategory: 'Mutual Fund' },
+  EQUITIES: { sourceType: 'EQUITIES', subcategory: 'Equity' },
+  NPS: { sourceType: 'NPS', subcategory: 'NPS' }
+};
 
 // Category mapping based on narration keywords
 const CATEGORY_RULES = [
@@ -98,20 +116,134 @@ const mapSourceType = (fiType, accountType) => {
     'RECURRING_DEPOSIT': 'BANK_ACCOUNT',
     'LOAN': 'LOAN',
     'MUTUAL_FUND': 'MUTUAL_FUND',
-    'INSURANCE': 'INSURANCE'
+    'MUTUAL_FUNDS': 'MUTUAL_FUND',
+    'EQUITIES': 'EQUITIES',
+    'NPS': 'NPS',
+    'INSURANCE': 'INSURANCE',
+    'INSURANCE_POLICIES': 'INSURANCE'
   };
   
   return mapping[fiType] || mapping[accountType] || 'OTHER';
 };
 
+/**
+ * Normalize an Account.type ('deposit', 'term-deposit', 'recurring_deposit', 'SAVINGS', ...)
+ * @param {string} type - Account type from the FI data
+ * @returns {string} - Upper-case FI type, e.g. TERM_DEPOSIT
+ */
+const normalizeFIType = (type) => (type || '').toUpperCase().replace(/-/g, '_');
+
+/**
+ * Key identifying an account within a user's FI data
+ */
+const accountKey = (fipId, maskedAccNumber) => `${fipId}|${maskedAccNumber}`;
+
+// Missing values stay undefined (not sent), unparseable ones become null
+const toNumber = (value) => {
+  if (value === undefined || value === null || value === '') return undefined;
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+const toDate = (value) => {
+  if (!value) return undefined;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Parse deposit, term deposit, recurring deposit and credit card accounts
+ * (PROFILE and SUMMARY data) from AA response. Fields the FIP did not send
+ * are left out, so a later fetch without PROFILE does not wipe the holder.
+ * @param {Object} aaResponse - AA FI response
+ * @param {string} userId - User ID
+ * @param {string} consentId - Consent ID
+ * @param {Date} syncedAt - Fetch time
+ * @returns {Object[]} - LinkedAccount rows
+ */
+const parseLinkedAccounts = (aaResponse, userId, consentId, syncedAt = new Date()) => {
+  const accounts = [];
+
+  if (!aaResponse?.FI) return accounts;
+
+  for (const fi of aaResponse.FI) {
+    for (const data of fi.data || []) {
+      const account = data.Account;
+      const maskedAccNumber = data.maskedAccNumber || account?.maskedAccNumber;
+      if (!account || !maskedAccNumber) continue;
+
+      const accountFIType = normalizeFIType(account.type);
+      const sourceType = mapSourceType(accountFIType);
+      if (sourceType !== 'BANK_ACCOUNT' && sourceType !== 'CREDIT_CARD') continue;
+
+      // Older flattened shape: Account.type is SAVINGS/CURRENT and the summary fields sit on Account
+      const isCard = sourceType === 'CREDIT_CARD';
+      const flattened = !isCard && !DEPOSIT_FI_TYPES.includes(accountFIType);
+      const summary = account.Summary || (flattened ? account : {});
+      const holders = account.Profile?.Holders;
+      const holder = [].concat(holders?.Holder || [])[0];
+
+      const row = {
+        user_id: userId,
+        consent_id: consentId,
+        fip_id: fi.fipId,
+        masked_acc_number: maskedAccNumber,
+        link_ref_number: data.linkRefNumber || account.linkedAccRef || null,
+        fi_type: isCard ? 'CREDIT_CARD' : flattened ? 'DEPOSIT' : accountFIType,
+        account_type: summary.type || summary.accountType,
+        holder_name: holder?.name,
+        holding_type: holders?.type,
+        ifsc_code: summary.ifscCode || summary.ifsc,
+        micr_code: summary.micrCode,
+        branch: summary.branch,
+        status: summary.status,
+        currency: summary.currency,
+        // For cards the balance is the amount currently owed
+        current_balance: toNumber(isCard ? summary.currentDue : summary.currentBalance ?? summary.currentValue),
+        balance_at: toDate(summary.balanceDateTime),
+        opening_date: summary.openingDate,
+        maturity_date: summary.maturityDate,
+        maturity_amount: toNumber(summary.maturityAmount),
+        interest_rate: toNumber(summary.interestRate),
+        summary: account.Summary,
+        last_synced_at: syncedAt
+      };
+
+      accounts.push(Object.fromEntries(Object.entries(row).filter(([, value]) => value !== undefined)));
+    }
+  }
+
+  return accounts;
+};
+
+/**
+ * Upsert linked accounts
+ * @param {Object[]} accounts - Parsed LinkedAccount rows
+ * @returns {Map} - accountKey(fipId, maskedAccNumber) -> LinkedAccount ID
+ */
+const saveLinkedAccounts = async (accounts) => {
+  const ids = new Map();
+
+  for (const account of accounts) {
+    const [saved] = await LinkedAccount.upsert(account, {
+      conflictFields: ['user_id', 'fip_id', 'masked_acc_number'],
+      returning: true
+    });
+    ids.set(accountKey(account.fip_id, account.masked_acc_number), saved.id);
+  }
+
+  return ids;
+};
+
 /**
  * Parse bank statement from AA response
  * @param {Object} aaResponse - AA FI response
  * @param {string} userId - User ID
  * @param {string} consentId - Consent ID
+ * @param {Map} accountIds - Optional accountKey -> LinkedAccount ID (from saveLinkedAccounts)
  * @returns {Object[]} - Parsed transactions
  */
-const parseBankStatement = (aaResponse, userId, consentId) => {
+const parseBankStatement = (aaResponse, userId, consentId, accountIds = new Map()) => {
   const transactions = [];
   
   if (!aaResponse?.FI) return transactions;
@@ -122,7 +254,13 @@ const parseBankStatement = (aaResponse, userId, consentId) => {
     for (const data of fi.data || []) {
       const account = data.Account;
       const maskedAccNumber = data.maskedAccNumber;
-      const sourceType = mapSourceType(account?.type);
+      const sourceType = mapSourceType(normalizeFIType(account?.type));
+      // Card and investment transactions have their own schemas
+      // (parseCreditCardTransactions, parseInvestmentTransactions); an
+      // insurance FI's premium history duplicates the bank debits
+      if (sourceType === 'CREDIT_CARD' || sourceType === 'INSURANCE' || INVESTMENT_FI_TYPES[normalizeFIType(account?.type)]) continue;
+
+      const linkedAccountId = accountIds.get(accountKey(fipId, maskedAccNumber)) || null;
       
       const txnList = account?.Transactions?.Transaction || [];
       
@@ -142,11 +280,12 @@ const parseBankStatement = (aaResponse, userId, consentId) => {
           subcategory,
           source_type: sourceType,
           source_account: maskedAccNumber,
+          linked_account_id: linkedAccountId,
           mode: txn.mode,
           reference: txn.reference,
           narration: txn.narration,
           balance: txn.currentBalance ? parseFloat(txn.currentBalance) : null,
-          currency: account?.currency || 'INR',
+          currency: account?.currency || account?.Summary?.currency || 'INR',
           raw_data: txn
         });
       }
@@ -156,42 +295,684 @@ const parseBankStatement = (aaResponse, userId, consentId) => {
   return transactions;
 };
 
+// Card CREDITs that settle the bill rather than refund a purchase
+const CARD_PAYMENT_PATTERN = /payment|autopay|auto debit|thank you|bbps/i;
+
+/**
+ * Parse credit card transactions from AA response.
+ * Card DEBITs are charges (money spent), CREDITs are bill payments, refunds
+ * and reversals; bill payments are transfers, not income.
+ * @param {Object} aaResponse - AA FI response
+ * @param {string} userId - User ID
+ * @param {string} consentId - Consent ID
+ * @param {Map} accountIds - Optional accountKey -> LinkedAccount ID (from saveLinkedAccounts)
+ * @returns {Object[]} - Parsed card transactions
+ */
+const parseCreditCardTransactions = (aaResponse, userId, consentId, accountIds = new Map()) => {
+  const transactions = [];
+
+  if (!aaResponse?.FI) return transactions;
+
+  for (const fi of aaResponse.FI) {
+    for (const data of fi.data || []) {
+      const account = data.Account;
+      if (mapSourceType(normalizeFIType(account?.type)) !== 'CREDIT_CARD') continue;
+
+      const maskedAccNumber = data.maskedAccNumber || account.maskedAccNumber;
+      const linkedAccountId = accountIds.get(accountKey(fi.fipId, maskedAccNumber)) || null;
+
+      for (const txn of account.Transactions?.Transaction || []) {
+        const type = (txn.txnType || txn.type || '').toUpperCase();
+        if (type !== 'DEBIT' && type !== 'CREDIT') continue;
+
+        const isBillPayment = type === 'CREDIT' && CARD_PAYMENT_PATTERN.test(txn.narration || '');
+        const { category, subcategory } = isBillPayment
+          ? { category: 'Transfer', subcategory: 'Credit Card Payment' }
+          : categorizeTransaction(txn.narration);
+
+        transactions.push({
+          txn_id: txn.txnId,
+          user_id: userId,
+          consent_id: consentId,
+          date: new Date(txn.txnDate || txn.valueDate || txn.transactionTimestamp),
+          amount: parseFloat(txn.amount),
+          type,
+          merchant: isBillPayment ? null : extractMerchant(txn.narration),
+          category,
+          subcategory,
+          source_type: 'CREDIT_CARD',
+          source_account: maskedAccNumber,
+          linked_account_id: linkedAccountId,
+          mode: txn.mode,
+          reference: txn.reference,
+          narration: txn.narration,
+          balance: null,
+          currency: txn.currency || account.Summary?.currency || 'INR',
+          raw_data: txn
+        });
+      }
+    }
+  }
+
+  return transactions;
+};
+
+/**
+ * Parse credit card statement summaries (statement date, dues, limits) from AA response
+ * @param {Object} aaResponse - AA FI response
+ * @param {string} userId - User ID
+ * @param {string} consentId - Consent ID
+ * @param {Map} accountIds - Optional accountKey -> LinkedAccount ID (from saveLinkedAccounts)
+ * @param {Date} syncedAt - Fetch time
+ * @returns {Object[]} - CardStatement rows
+ */
+const parseCardStatements = (aaResponse, userId, consentId, accountIds = new Map(), syncedAt = new Date()) => {
+  const statements = [];
+
+  if (!aaResponse?.FI) return statements;
+
+  for (const fi of aaResponse.FI) {
+    for (const data of fi.data || []) {
+      const account = data.Account;
+      const summary = account?.Summary;
+      if (mapSourceType(normalizeFIType(account?.type)) !== 'CREDIT_CARD' || !summary?.lastStatementDate) continue;
+
+      const maskedAccNumber = data.maskedAccNumber || account.maskedAccNumber;
+
+      statements.push({
+        user_id: userId,
+        consent_id: consentId,
+        linked_account_id: accountIds.get(accountKey(fi.fipId, maskedAccNumber)) || null,
+        fip_id: fi.fipId,
+        masked_acc_number: maskedAccNumber,
+        statement_date: summary.lastStatementDate,
+        due_date: summary.dueDate || null,
+        total_due: toNumber(summary.totalDueAmount) ?? null,
+        min_due: toNumber(summary.minDueAmount) ?? null,
+        current_due: toNumber(summary.currentDue) ?? null,
+        previous_due: toNumber(summary.previousDueAmount) ?? null,
+        credit_limit: toNumber(summary.creditLimit) ?? null,
+        available_credit: toNumber(summary.availableCredit) ?? null,
+        cash_limit: toNumber(summary.cashLimit) ?? null,
+        finance_charges: toNumber(summary.financeCharges) ?? null,
+        currency: summary.currency || 'INR',
+        summary,
+        last_synced_at: syncedAt
+      });
+    }
+  }
+
+  return statements;
+};
+
+/**
+ * Upsert card statements (one per card and statement date)
+ * @param {Object[]} statements - Parsed CardStatement rows
+ * @returns {number} - Statements saved
+ */
+const saveCardStatements = async (statements) => {
+  for (const statement of statements) {
+    await CardStatement.upsert(statement, {
+      conflictFields: ['user_id', 'fip_id', 'masked_acc_number', 'statement_date']
+    });
+  }
+  return statements.length;
+};
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Key of a scheme or security within an investment account
+ * @param {Object} item - Holding or transaction from the FI data
+ * @returns {string|null} - ISIN, else scheme code / AMFI code / NPS scheme ID
+ */
+const holdingKey = (item) => item.isin || item.schemeCode || item.amfiCode || item.schemeId || null;
+
+/**
+ * Buy/sell side of an investment transaction; bonus, split and other
+ * corporate actions move no money and return null
+ * @param {Object} txn - Investment transaction from the FI data
+ * @returns {string|null} - BUY | SELL | null
+ */
+const tradeSide = (txn) => {
+  const type = normalizeFIType(txn.type || txn.txnType);
+  if (['BUY', 'PURCHASE', 'SIP', 'SWITCH_IN', 'CREDIT', 'CONTRIBUTION'].includes(type)) return 'BUY';
+  if (['SELL', 'REDEMPTION', 'SWITCH_OUT', 'DEBIT', 'WITHDRAWAL'].includes(type)) return 'SELL';
+  return null;
+};
+
+// Money moved by a trade: the amount, else units at the NAV or trade price
+const tradeAmount = (txn) => {
+  const amount = toNumber(txn.amount ?? txn.tradeValue);
+  if (amount !== undefined) return amount;
+  const units = toNumber(txn.units);
+  const price = toNumber(txn.nav ?? txn.rate ?? txn.tradePrice);
+  return units !== undefined && price !== undefined && units !== null && price !== null ? round2(units * price) : null;
+};
+
+/**
+ * Invested amount still held per scheme, by average cost over the trades.
+ * Only trustworthy when the trades cover the whole history, so callers
+ * compare the units against the holding.
+ * @param {Object[]} txns - Investment transactions of one account
+ * @returns {Map} - holdingKey -> { units, cost }
+ */
+const averageCostByHolding = (txns) => {
+  const positions = new Map();
+
+  const sorted = [...txns].sort((a, b) =>
+    new Date(a.transactionDate || a.transactionDateTime || a.navDate) -
+    new Date(b.transactionDate || b.transactionDateTime || b.navDate));
+
+  for (const txn of sorted) {
+    const key = holdingKey(txn);
+    const side = tradeSide(txn);
+    const units = toNumber(txn.units);
+    const isBonus = normalizeFIType(txn.type || txn.txnType) === 'BONUS';
+    if (!key || !(side || isBonus) || !units) continue;
+
+    const position = positions.get(key) || { units: 0, cost: 0 };
+    if (isBonus) {
+      // Bonus units are free: same cost, more units
+      position.units += units;
+    } else if (side === 'BUY') {
+      position.cost += tradeAmount(txn) || 0;
+      position.units += units;
+    } else if (position.units > 0) {
+      position.cost -= position.cost * Math.min(units / position.units, 1);
+      position.units = Math.max(position.units - units, 0);
+    }
+    positions.set(key, position);
+  }
+
+  return positions;
+};
+
+/**
+ * Parse mutual fund, equity and NPS holdings (SUMMARY data) from AA response.
+ * The invested amount is the FIP's costValue; without one it is rebuilt from
+ * the trades when they account for every unit held, or taken from the
+ * account's costValue when the account holds a single scheme.
+ * @param {Object} aaResponse - AA FI response
+ * @param {string} userId - User ID
+ * @param {string} consentId - Consent ID
+ * @param {Date} syncedAt - Fetch time
+ * @returns {Object[]} - Holding rows
+ */
+const parseHoldings = (aaResponse, userId, consentId, syncedAt = new Date()) => {
+  const holdings = [];
+
+  if (!aaResponse?.FI) return holdings;
+
+  for (const fi of aaResponse.FI) {
+    for (const data of fi.data || []) {
+      const account = data.Account;
+      const fiType = normalizeFIType(account?.type);
+      if (!INVESTMENT_FI_TYPES[fiType]) continue;
+
+      const summary = account.Summary || {};
+      const maskedAccNumber = data.maskedAccNumber || account.maskedAccNumber;
+      const list = [].concat(summary.Investment?.Holdings?.Holding || summary.Holdings?.Holding || []);
+      const positions = averageCostByHolding([].concat(account.Transactions?.Transaction || []));
+
+      for (const holding of list) {
+        const key = holdingKey(holding) || holding.schemeName || holding.isinDescription;
+        if (!key) continue;
+
+        const units = toNumber(holding.closingUnits ?? holding.units ?? holding.totalUnits) ?? 0;
+        const nav = toNumber(holding.nav ?? holding.lastTradedPrice) ?? null;
+        const currentValue = toNumber(holding.currentValue ?? holding.value) ?? (nav !== null ? round2(units * nav) : null);
+
+        let costValue = toNumber(holding.costValue) ?? null;
+        const position = positions.get(key);
+        if (costValue === null && position && Math.abs(position.units - units) < 0.001) {
+          costValue = round2(position.cost);
+        } else if (costValue === null && list.length === 1) {
+          costValue = toNumber(summary.costValue) ?? null;
+        }
+
+        holdings.push({
+          user_id: userId,
+          consent_id: consentId,
+          fi_type: fiType,
+          fip_id: fi.fipId,
+          masked_acc_number: maskedAccNumber,
+          holding_key: key,
+          isin: holding.isin || null,
+          scheme_code: holding.schemeCode || holding.amfiCode || holding.schemeId || null,
+          name: holding.isinDescription || holding.schemeName || holding.issuerName || null,
+          issuer: holding.amc || holding.issuerName || holding.pfmName || null,
+          folio_number: holding.folioNo || null,
+          units,
+          nav,
+          nav_date: holding.navDate || null,
+          current_value: currentValue,
+          cost_value: costValue,
+          currency: summary.currency || 'INR',
+          raw_data: holding,
+          last_synced_at: syncedAt
+        });
+      }
+    }
+  }
+
+  return holdings;
+};
+
+/**
+ * Upsert holdings (one per account and scheme)
+ * @param {Object[]} holdings - Parsed Holding rows
+ * @returns {number} - Holdings saved
+ */
+const saveHoldings = async (holdings) => {
+  for (const holding of holdings) {
+    await Holding.upsert(holding, {
+      conflictFields: ['user_id', 'fip_id', 'masked_acc_number', 'holding_key']
+    });
+  }
+  return holdings.length;
+};
+
+// SIP instalments are flagged by the mode or narration, not a type of their own
+const SIP_PATTERN = /\bsip\b|systematic/i;
+
+/**
+ * Parse mutual fund, equity and NPS buys, sells and SIPs from AA response.
+ * A buy (or NPS contribution) is money leaving the user (DEBIT), a sell or
+ * redemption is money coming back (CREDIT). Two SIP instalments can match in
+ * every field, so a trade without a txnId from the FIP is not saved and is
+ * reported in errors instead.
+ * @param {Object} aaResponse - AA FI response
+ * @param {string} userId - User ID
+ * @param {string} consentId - Consent ID
+ * @param {Object[]} errors - Collects trades that were skipped
+ * @returns {Object[]} - Parsed investment transactions
+ */
+const parseInvestmentTransactions = (aaResponse, userId, consentId, errors = []) => {
+  const transactions = [];
+
+  if (!aaResponse?.FI) return transactions;
+
+  for (const fi of aaResponse.FI) {
+    for (const data of fi.data || []) {
+      const account = data.Account;
+      const fiType = normalizeFIType(account?.type);
+      const config = INVESTMENT_FI_TYPES[fiType];
+      if (!config) continue;
+
+      const maskedAccNumber = data.maskedAccNumber || account.maskedAccNumber;
+
+      for (const txn of [].concat(account.Transactions?.Transaction || [])) {
+        const side = tradeSide(txn);
+        const amount = tradeAmount(txn);
+        if (!side || !amount) continue;
+
+        const date = txn.transactionDate || txn.transactionDateTime || txn.navDate;
+        if (!txn.txnId) {
+          errors.push({
+            source_account: maskedAccNumber,
+            error: `${side} of ${holdingKey(txn) || 'unknown holding'} on ${date} has no txnId from the FIP`,
+            code: 'MissingTxnId'
+          });
+          continue;
+        }
+
+        const isSip = SIP_PATTERN.test(`${txn.type || ''} ${txn.mode || ''} ${txn.narration || ''}`);
+
+        transactions.push({
+          txn_id: txn.txnId,
+          user_id: userId,
+          consent_id: consentId,
+          date: new Date(date),
+          amount,
+          type: side === 'BUY' ? 'DEBIT' : 'CREDIT',
+          merchant: txn.amc || txn.companyName || txn.isinDescription || txn.schemeName || null,
+          category: 'Investment',
+          subcategory: isSip ? 'SIP' : config.subcategory,
+          source_type: config.sourceType,
+          source_account: maskedAccNumber,
+          mode: txn.mode,
+          reference: txn.orderId || txn.reference,
+          narration: txn.narration || `${side} ${txn.isinDescription || txn.schemeName || holdingKey(txn) || ''}`.trim(),
+          balance: null,
+          currency: txn.currency || account.Summary?.currency || 'INR',
+          raw_data: txn
+        });
+      }
+    }
+  }
+
+  return transactions;
+};
+
+// Premium frequency as sent by insurers -> stored value and interval
+const PREMIUM_FREQUENCIES = {
+  MONTHLY: { unit: 'MONTH', value: 1 },
+  QUARTERLY: { unit: 'MONTH', value: 3 },
+  HALF_YEARLY: { unit: 'MONTH', value: 6 },
+  ANNUAL: { unit: 'YEAR', value: 1 },
+  SINGLE: null
+};
+const PREMIUM_FREQUENCY_ALIASES = { HALFYEARLY: 'HALF_YEARLY', SEMI_ANNUAL: 'HALF_YEARLY', YEARLY: 'ANNUAL', ANNUALLY: 'ANNUAL', ONE_TIME: 'SINGLE', SINGLE_PREMIUM: 'SINGLE' };
+
+/**
+ * Normalize an insurer's premium frequency
+ * @param {string} frequency - e.g. 'Monthly', 'half-yearly', 'YEARLY'
+ * @returns {string|null} - MONTHLY | QUARTERLY | HALF_YEARLY | ANNUAL | SINGLE, or null if unknown
+ */
+const normalizePremiumFrequency = (frequency) => {
+  const value = normalizeFIType(frequency).trim().replace(/\s+/g, '_');
+  const normalized = PREMIUM_FREQUENCY_ALIASES[value] || value;
+  return normalized in PREMIUM_FREQUENCIES ? normalized : null;
+};
+
+const toDateOnly = (date) => date.toISOString().split('T')[0];
+
+/**
+ * Next premium due date: the insurer's, else the first instalment from the
+ * policy start date that is not in the past and still within the premium
+ * paying term
+ * @param {Object} summary - Insurance Summary from the FI data
+ * @param {string|null} frequency - Normalized premium frequency
+ * @param {Date} now - Current time
+ * @returns {string|null} - YYYY-MM-DD
+ */
+const nextPremiumDueDate = (summary, frequency, now = new Date()) => {
+  const given = summary.nextPremiumDueDate || summary.premiumDueDate;
+  if (given) return given;
+
+  const interval = PREMIUM_FREQUENCIES[frequency];
+  const start = toDate(summary.policyStartDate);
+  if (!interval || !start) return null;
+
+  const payingYears = toNumber(summary.premiumPaymentYears ?? summary.premiumPayingTerm);
+  const lastDue = payingYears
+    ? shiftDate(start, { unit: 'YEAR', value: payingYears })
+    : toDate(summary.maturityDate || summary.policyExpiryDate);
+  const today = toDateOnly(now);
+
+  let due = start;
+  for (let i = 1; toDateOnly(due) < today; i++) {
+    due = shiftDate(start, { unit: interval.unit, value: interval.value * i });
+  }
+  return lastDue && due >= lastDue ? null : toDateOnly(due);
+};
+
+/**
+ * Parse insurance policies (PROFILE and SUMMARY data) from AA response
+ * @param {Object} aaResponse - AA FI response
+ * @param {string} userId - User ID
+ * @param {string} consentId - Consent ID
+ * @param {Date} syncedAt - Fetch time
+ * @returns {Object[]} - InsurancePolicy rows
+ */
+const parseInsurancePolicies = (aaResponse, userId, consentId, syncedAt = new Date()) => {
+  const policies = [];
+
+  if (!aaResponse?.FI) return policies;
+
+  for (const fi of aaResponse.FI) {
+    for (const data of fi.data || []) {
+      const account = data.Account;
+      if (mapSourceType(normalizeFIType(account?.type)) !== 'INSURANCE') continue;
+
+      const maskedPolicyNumber = data.maskedAccNumber || account.maskedPolicyNumber;
+      if (!maskedPolicyNumber) continue;
+
+      const summary = account.Summary || {};
+      const frequency = normalizePremiumFrequency(summary.premiumFrequency);
+      const nominees = account.Profile?.Nominees?.Nominee ?? summary.Nominees?.Nominee;
+
+      policies.push({
+        user_id: userId,
+        consent_id: consentId,
+        fip_id: fi.fipId,
+        masked_policy_number: maskedPolicyNumber,
+        insurer: summary.insurerName || summary.insurer || summary.companyName || null,
+        policy_name: summary.policyName || null,
+        policy_type: summary.policyType ? normalizeFIType(summary.policyType) : null,
+        sum_assured: toNumber(summary.sumAssured) ?? null,
+        premium_amount: toNumber(summary.premiumAmount) ?? null,
+        premium_frequency: frequency,
+        next_premium_due_date: nextPremiumDueDate(summary, frequency, syncedAt),
+        policy_start_date: summary.policyStartDate || null,
+        maturity_date: summary.maturityDate || summary.policyExpiryDate || null,
+        nominee_count: nominees ? [].concat(nominees).length : toNumber(summary.nomineeCount) ?? null,
+        status: summary.policyStatus || summary.status || null,
+        currency: summary.currency || 'INR',
+        summary,
+        last_synced_at: syncedAt
+      });
+    }
+  }
+
+  return policies;
+};
+
+/**
+ * Upsert insurance policies (one per FIP and masked policy number)
+ * @param {Object[]} policies - Parsed InsurancePolicy rows
+ * @returns {number} - Policies saved
+ */
+const saveInsurancePolicies = async (policies) => {
+  for (const policy of policies) {
+    await InsurancePolicy.upsert(policy, {
+      conflictFields: ['user_id', 'fip_id', 'masked_policy_number']
+    });
+  }
+  return policies.length;
+};
+
+// Runs of 4+ digits left visible in a masked policy number (XXXX5678 -> ['5678'])
+const visibleDigits = (maskedPolicyNumber) => (maskedPolicyNumber || '').match(/\d{4,}/g) || [];
+
+/**
+ * Find the policy a premium debit paid for: the only policy whose visible
+ * policy number digits appear in the narration, else the only policy with
+ * the same premium whose insurer is named in the narration (or the debit
+ * was already categorized as insurance)
+ * @param {Object} txn - Transaction (type, amount, narration, category)
+ * @param {Object[]} policies - The user's policies
+ * @returns {Object|null} - Matching policy
+ */
+const matchPremiumPolicy = (txn, policies) => {
+  if (txn.type !== 'DEBIT' || !txn.narration) return null;
+
+  const narration = txn.narration.toUpperCase();
+  const compact = narration.replace(/[^A-Z0-9]/g, '');
+
+  const byNumber = policies.filter(policy => visibleDigits(policy.masked_policy_number).some(digits => compact.includes(digits)));
+  if (byNumber.length === 1) return byNumber[0];
+
+  const amount = parseFloat(txn.amount);
+  const byPremium = (byNumber.length ? byNumber : policies).filter(policy => {
+    const premium = parseFloat(policy.premium_amount);
+    if (!Number.isFinite(premium) || Math.abs(premium - amount) >= 1) return false;
+    const insurerWord = (policy.insurer || '').toUpperCase().split(/\s+/)[0];
+    return txn.category === 'Insurance' || (insurerWord.length >= 3 && narration.includes(insurerWord));
+  });
+  return byPremium.length === 1 ? byPremium[0] : null;
+};
+
+/**
+ * Link a user's unlinked premium debits to their insurance policies. Runs on
+ * every ingestion, so debits fetched before their policy get linked later.
+ * @param {string} userId - User ID
+ * @returns {number} - Transactions linked
+ */
+const linkPremiumTransactions = async (userId) => {
+  const policies = await InsurancePolicy.findAll({ where: { user_id: userId } });
+  if (!policies.length) return 0;
+
+  const digitMatches = policies
+    .flatMap(policy => visibleDigits(policy.masked_policy_number))
+    .map(digits => ({ narration: { [Op.iLike]: `%${digits}%` } }));
+
+  const candidates = await Transaction.findAll({
+    where: {
+      user_id: userId,
+      type: 'DEBIT',
+      source_type: { [Op.in]: ['BANK_ACCOUNT', 'CREDIT_CARD'] },
+      insurance_policy_id: null,
+      [Op.or]: [{ category: 'Insurance' }, ...digitMatches]
+    }
+  });
+
+  let linked = 0;
+  for (const txn of candidates) {
+    const policy = matchPremiumPolicy(txn, policies);
+    if (!policy) continue;
+
+    await txn.update({ insurance_policy_id: policy.id, category: 'Insurance', subcategory: 'Premium' });
+    linked++;
+  }
+  return linked;
+};
+
+/**
+ * Loan account in an FI data entry: a Loan block, or an Account whose type is a loan
+ * @param {Object} data - FI data entry
+ * @returns {Object|null}
+ */
+const loanOf = (data) => {
+  if (data.Loan) return data.Loan;
+  const type = normalizeFIType(data.Account?.type);
+  return type === 'LOAN' || type.endsWith('_LOAN') ? data.Account : null;
+};
+
+// EMI statuses that mean the instalment has not been debited
+const UNPAID_EMI_STATUSES = ['DUE', 'UNPAID', 'OVERDUE', 'PENDING', 'BOUNCED'];
+
+const isEmiPaid = (emi, now) => {
+  if (UNPAID_EMI_STATUSES.includes((emi.status || '').toUpperCase())) return false;
+  return Boolean(emi.paidDate) || new Date(emi.dueDate) <= now;
+};
+
+/**
+ * Parse loan accounts (lender, type, principal, outstanding, rate, tenure,
+ * EMI) from AA response. Without an EMI from the FIP, one is worked out from
+ * the principal, rate and tenure.
+ * @param {Object} aaResponse - AA FI response
+ * @param {string} userId - User ID
+ * @param {string} consentId - Consent ID
+ * @param {Date} syncedAt - Fetch time
+ * @returns {Object[]} - Loan rows
+ */
+const parseLoans = (aaResponse, userId, consentId, syncedAt = new Date()) => {
+  const loans = [];
+
+  if (!aaResponse?.FI) return loans;
+
+  for (const fi of aaResponse.FI) {
+    for (const data of fi.data || []) {
+      const loan = loanOf(data);
+      const maskedAccNumber = data.maskedAccNumber || loan?.maskedAccNumber;
+      if (!loan || !maskedAccNumber) continue;
+
+      const { EMIs, Transactions, ...details } = loan;
+      const summary = { ...details, ...loan.Summary };
+      const principal = toNumber(summary.principalAmount ?? summary.sanctionedAmount ?? summary.disbursedAmount) ?? null;
+      const rate = toNumber(summary.interestRate ?? summary.rateOfInterest) ?? null;
+      const tenureYears = toNumber(summary.tenureYears);
+      const tenure = toNumber(summary.tenureMonths ?? summary.tenure) ?? (tenureYears ? tenureYears * 12 : null);
+      const nextEmi = [].concat(EMIs?.EMI || [])
+        .filter(emi => emi.dueDate && !isEmiPaid(emi, syncedAt))
+        .map(emi => emi.dueDate)
+        .sort()[0];
+
+      loans.push({
+        user_id: userId,
+        consent_id: consentId,
+        fip_id: fi.fipId,
+        masked_acc_number: maskedAccNumber,
+        lender: summary.lenderName || summary.lender || null,
+        loan_type: summary.loanType ? normalizeFIType(summary.loanType) : null,
+        principal_amount: principal,
+        outstanding_amount: toNumber(summary.outstandingAmount ?? summary.currentOutstanding ?? summary.principalOutstanding) ?? null,
+        interest_rate: rate,
+        tenure_months: tenure ? Math.round(tenure) : null,
+        emi_amount: toNumber(summary.emiAmount ?? summary.installmentAmount) ??
+          (principal && rate !== null && tenure ? computeEmi(principal, rate, tenure) : null),
+        start_date: summary.startDate || summary.disbursementDate || null,
+        next_emi_date: summary.nextEmiDate || summary.nextDueDate || nextEmi || null,
+        status: summary.status || summary.loanStatus || null,
+        currency: summary.currency || 'INR',
+        summary,
+        last_synced_at: syncedAt
+      });
+    }
+  }
+
+  return loans;
+};
+
 /**
- * Parse loan details from AA response
+ * Upsert loans (one per FIP and masked account number)
+ * @param {Object[]} loans - Parsed Loan rows
+ * @returns {number} - Loans saved
+ */
+const saveLoans = async (loans) => {
+  for (const loan of loans) {
+    await Loan.upsert(loan, {
+      conflictFields: ['user_id', 'fip_id', 'masked_acc_number']
+    });
+  }
+  return loans.length;
+};
+
+/**
+ * Parse paid loan EMIs from AA response. Upcoming and unpaid EMIs are not
+ * debits yet and are left out. An EMI with neither a txnId nor a reference
+ * from the FIP has nothing stable to key it by, so it is not saved and is
+ * reported in errors instead.
  * @param {Object} aaResponse - AA FI response
  * @param {string} userId - User ID
  * @param {string} consentId - Consent ID
+ * @param {Date} now - Current time
+ * @param {Object[]} errors - Collects EMIs that were skipped
  * @returns {Object[]} - Parsed loan transactions
  */
-const parseLoanDetails = (aaResponse, userId, consentId) => {
+const parseLoanDetails = (aaResponse, userId, consentId, now = new Date(), errors = []) => {
   const transactions = [];
   
   if (!aaResponse?.FI) return transactions;
   
   for (const fi of aaResponse.FI) {
     for (const data of fi.data || []) {
-      const loan = data.Loan || data.Account;
+      const loan = loanOf(data);
       if (!loan) continue;
       
-      const maskedAccNumber = data.maskedAccNumber;
+      const maskedAccNumber = data.maskedAccNumber || loan.maskedAccNumber;
+      const loanType = loan.loanType || loan.Summary?.loanType;
       
       // Parse EMI transactions
-      const emiList = loan.EMIs?.EMI || [];
+      const emiList = [].concat(loan.EMIs?.EMI || []);
       for (const emi of emiList) {
+        if (!isEmiPaid(emi, now)) continue;
+        if (!emi.txnId && !emi.reference) {
+          errors.push({
+            source_account: maskedAccNumber,
+            error: `EMI due ${emi.dueDate} has no txnId or reference from the FIP`,
+            code: 'MissingTxnId'
+          });
+          continue;
+        }
+
         transactions.push({
-          txn_id: emi.txnId || `EMI_${maskedAccNumber}_${emi.dueDate}`,
+          txn_id: emi.txnId || emi.reference,
           user_id: userId,
           consent_id: consentId,
-          date: new Date(emi.dueDate || emi.paidDate),
+          date: new Date(emi.paidDate || emi.dueDate),
           amount: parseFloat(emi.amount || emi.emiAmount),
           type: 'DEBIT',
-          merchant: loan.lenderName || 'Loan EMI',
+          merchant: loan.lenderName || loan.Summary?.lenderName || 'Loan EMI',
           category: 'Loan',
           subcategory: 'EMI',
           source_type: 'LOAN',
           source_account: maskedAccNumber,
           mode: 'AUTO_DEBIT',
-          narration: `EMI Payment - ${loan.loanType || 'Loan'}`,
+          reference: emi.reference,
+          narration: `EMI Payment - ${loanType || 'Loan'}`,
           raw_data: emi
         });
       }
@@ -235,19 +1016,38 @@ const saveTransactions = async (transactions) => {
  * @returns {Object} - Processing result
  */
 const processAAResponse = async (aaResponse, userId, consentId) => {
+  // Accounts first, so their transactions can point at them
+  const accountIds = await saveLinkedAccounts(parseLinkedAccounts(aaResponse, userId, consentId));
+
   // Parse different data types
-  const bankTransactions = parseBankStatement(aaResponse, userId, consentId);
-  const loanTransactions = parseLoanDetails(aaResponse, userId, consentId);
+  const bankTransactions = parseBankStatement(aaResponse, userId, consentId, accountIds);
+  const cardTransactions = parseCreditCardTransactions(aaResponse, userId, consentId, accountIds);
+  // Entries the parsers could not save, reported alongside the save errors
+  const parseErrors = [];
+  const investmentTransactions = parseInvestmentTransactions(aaResponse, userId, consentId, parseErrors);
+  const loanTransactions = parseLoanDetails(aaResponse, userId, consentId, new Date(), parseErrors);
   
-  const allTransactions = [...bankTransactions, ...loanTransactions];
+  const allTransactions = [...bankTransactions, ...cardTransactions, ...investmentTransactions, ...loanTransactions];
   
   // Save to database
+  const cardStatements = await saveCardStatements(parseCardStatements(aaResponse, userId, consentId, accountIds));
+  const holdings = await saveHoldings(parseHoldings(aaResponse, userId, consentId));
+  const insurancePolicies = await saveInsurancePolicies(parseInsurancePolicies(aaResponse, userId, consentId));
+  const loans = await saveLoans(parseLoans(aaResponse, userId, consentId));
   const saveResult = await saveTransactions(allTransactions);
+  const premiumsLinked = await linkPremiumTransactions(userId);
   
   return {
     success: true,
+    accounts: accountIds.size,
+    cardStatements,
+    holdings,
+    insurancePolicies,
+    premiumsLinked,
+    loans,
     totalParsed: allTransactions.length,
-    ...saveResult
+    ...saveResult,
+    errors: [...parseErrors, ...saveResult.errors]
   };
 };
 
@@ -255,7 +1055,24 @@ module.exports = {
   categorizeTransaction,
   extractMerchant,
   mapSourceType,
+  normalizeFIType,
+  parseLinkedAccounts,
+  saveLinkedAccounts,
   parseBankStatement,
+  parseCreditCardTransactions,
+  parseCardStatements,
+  saveCardStatements,
+  parseHoldings,
+  saveHoldings,
+  parseInvestmentTransactions,
+  normalizePremiumFrequency,
+  nextPremiumDueDate,
+  parseInsurancePolicies,
+  saveInsurancePolicies,
+  matchPremiumPolicy,
+  linkPremiumTransactions,
+  parseLoans,
+  saveLoans,
   parseLoanDetails,
   saveTransactions,
   processAAResponse,
@@ -0,0 +1,146 @@
+/**
+ * Account Aggregator (AA) Errors
+ *
+ * Typed errors raised by the AA HTTP client. AA error payloads follow the
+ * ReBIT shape ({ ver, timestamp, txnid, errorCode, errorMsg }) and are
+ * mapped to a class by errorCode first, falling back to the HTTP status.
+ */
+
+class AAError extends Error {
+  /**
+   * @param {string} message - Human readable message
+   * @param {Object} options
+   * @param {string} options.code - ReBIT errorCode (or internal code)
+   * @param {number} options.status - HTTP status returned by the AA (if any)
+   * @param {string} options.txnId - Transaction ID of the failed request
+   * @param {Object} options.body - Raw AA error payload
+   */
+  constructor(message, { code, status, txnId, body } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code || 'AAError';
+    this.status = status || null;
+    this.txnId = txnId || null;
+    this.body = body || null;
+  }
+
+  /**
+   * HTTP status our API should respond with when this error bubbles up
+   */
+  get httpStatus() {
+    return 502;
+  }
+}
+
+class AAValidationError extends AAError {
+  get httpStatus() {
+    return 400;
+  }
+}
+
+class AAAuthError extends AAError {
+  get httpStatus() {
+    return 502;
+  }
+}
+
+class AASignatureError extends AAError {}
+
+class AANotFoundError extends AAError {
+  get httpStatus() {
+    return 404;
+  }
+}
+
+class AAConsentStateError extends AAError {
+  get httpStatus() {
+    return 409;
+  }
+}
+
+class AARateLimitError extends AAError {
+  get httpStatus() {
+    return 429;
+  }
+}
+
+class AAServerError extends AAError {}
+
+class AATimeoutError extends AAError {
+  get httpStatus() {
+    return 504;
+  }
+}
+
+class AANetworkError extends AAError {}
+
+// ReBIT errorCode -> error class
+const ERROR_CODE_MAP = {
+  InvalidRequest: AAValidationError,
+  InvalidURI: AAValidationError,
+  InvalidDateRange: AAValidationError,
+  InvalidFIType: AAValidationError,
+  InvalidSecurity: AAAuthError,
+  SignatureDoesNotMatch: AAAuthError,
+  InvalidConsentHandle: AANotFoundError,
+  InvalidConsentId: AANotFoundError,
+  InvalidSessionId: AANotFoundError,
+  NoFIData: AANotFoundError,
+  InvalidConsentStatus: AAConsentStateError,
+  ConsentExpired: AAConsentStateError,
+  ConsentRevoked: AAConsentStateError,
+  ConsentPaused: AAConsentStateError,
+  SessionExpired: AAConsentStateError,
+  DataFetchRequestInProgress: AAConsentStateError,
+  RateLimitExceeded: AARateLimitError,
+  InternalError: AAServerError,
+  ServiceUnavailable: AAServerError
+};
+
+/**
+ * Pick an error class from the HTTP status when the errorCode is unknown
+ * @param {number} status - HTTP status
+ * @returns {Function} - Error class
+ */
+const classForStatus = (status) => {
+  if (status === 400) return AAValidationError;
+  if (status === 401 || status === 403) return AAAuthError;
+  if (status === 404) return AANotFoundError;
+  if (status === 409) return AAConsentStateError;
+  if (status === 429) return AARateLimitError;
+  if (status >= 500) return AAServerError;
+  return AAError;
+};
+
+/**
+ * Build a typed error from an AA error response
+ * @param {number} status - HTTP status
+ * @param {Object} body - Parsed response body (may be null)
+ * @returns {AAError}
+ */
+const fromResponse = (status, body) => {
+  const code = body?.errorCode;
+  const ErrorClass = ERROR_CODE_MAP[code] || classForStatus(status);
+  const message = body?.errorMsg || `AA request failed with status ${status}`;
+
+  return new ErrorClass(message, {
+    code: code || `HTTP_${status}`,
+    status,
+    txnId: body?.txnid,
+    body
+  });
+};
+
+module.exports = {
+  AAError,
+  AAValidationError,
+  AAAuthError,
+  AASignatureError,
+  AANotFoundError,
+  AAConsentStateError,
+  AARateLimitError,
+  AAServerError,
+  AATimeoutError,
+  AANetworkError,
+  fromResponse
+};
@@ -0,0 +1,17 @@
+/**
+ * Anumati AA Provider
+ *
+ * Quirks:
+ * - Customer must be a Anumati VUA (<mobile>@anumati); bare mobile numbers get the suffix
+ *
+ * Environment Variables: AA_ANUMATI_* (see loadProviderConfig)
+ */
+
+const { createProvider, loadProviderConfig, requireVuaSuffix } = require('./createProvider');
+
+module.exports = createProvider({
+  name: 'anumati',
+  label: 'Anumati',
+  config: loadProviderConfig('ANUMATI'),
+  formatCustomerId: requireVuaSuffix('@anumati')
+});
@@ -0,0 +1,419 @@
+/**
+ * Shared AA Provider Implementation
+ *
+ * Every AA speaks the ReBIT FIU API, so the consent and FI flows live here
+ * once. Provider modules pass their config and override the hooks where
+ * their AA deviates:
+ *
+ *   formatCustomerId(customerId)            - Customer VUA the AA expects
+ *   extractConsentHandle(response)          - Handle from the /Consent response
+ *   webviewUrl(consentHandle, response, config) - Consent webview the encrypted
+ *                                           redirect query is appended to
+ *                                           (return null for the default)
+ *
+ * Provider interface (returned by createProvider):
+ *   name, label, config, initiateConsent, buildRedirectUrl, parseRedirect,
+ *   handleCallback, fetchConsentArtefact, fetchData, fetchSessionData,
+ *   fetchBankStatement, checkConsentStatus, updateConsentStatus
+ */
+
+const crypto = require('crypto');
+const { createClient } = require('../aaClient');
+const { AAValidationError } = require('../aaErrors');
+const { generateKeyMaterial, sealPrivateKey, decryptFIResponse } = require('../fiCrypto');
+const { buildRedirectQuery, parseRedirectResponse } = require('../aaRedirect');
+const {
+  buildConsentDetail,
+  DEFAULT_TEMPLATE,
+  FETCH_TYPES,
+  FREQUENCY_UNITS
+} = require('../consentTemplates');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ReBIT consent status -> internal ConsentRecord status
+const CONSENT_STATUS_MAP = {
+  READY: 'APPROVED',
+  ACTIVE: 'APPROVED',
+  PENDING: 'PENDING',
+  REJECTED: 'REJECTED',
+  FAILED: 'REJECTED',
+  EXPIRED: 'EXPIRED',
+  REVOKED: 'REVOKED',
+  PAUSED: 'PAUSED'
+};
+
+/**
+ * Normalize a ReBIT consent status to the internal status
+ * @param {string} status - ReBIT status
+ * @returns {string} - Internal status
+ */
+const normalizeConsentStatus = (status) => {
+  return CONSENT_STATUS_MAP[status] || status;
+};
+
+/**
+ * Generate unique transaction/session ID
+ */
+const generateTxnId = () => {
+  return crypto.randomUUID();
+};
+
+/**
+ * Load a provider's config from env: AA_<PREFIX>_* first, then the shared AA_* values
+ * @param {string} prefix - Env prefix, e.g. 'FINVU'
+ * @returns {Object} - Provider config
+ */
+const loadProviderConfig = (prefix) => {
+  const env = (key, fallback) => process.env[`AA_${prefix}_${key}`] || process.env[`AA_${key}`] || fallback;
+
+  return {
+    baseUrl: env('BASE_URL', 'https://aa-sandbox.example.com'),
+    webviewUrl: process.env[`AA_${prefix}_WEBVIEW_URL`] || null,
+    aaId: process.env[`AA_${prefix}_AA_ID`] || null,
+    clientId: env('CLIENT_ID', 'your_client_id'),
+    clientSecret: env('CLIENT_SECRET', 'your_client_secret'),
+    redirectUrl: env('REDIRECT_URL', 'http://localhost:3000/api/aa/callback'),
+    redirectKey: env('REDIRECT_KEY', null),
+    redirectMaxAgeMs: parseInt(env('REDIRECT_MAX_AGE_MS', '300000'), 10),
+    apiVersion: env('API_VERSION', 'v1'),
+    timeoutMs: parseInt(env('TIMEOUT_MS', '10000'), 10),
+    maxRetries: parseInt(env('MAX_RETRIES', '3'), 10),
+    retryDelayMs: parseInt(env('RETRY_DELAY_MS', '500'), 10)
+  };
+};
+
+/**
+ * Build a formatCustomerId hook for AAs that require their own VUA suffix
+ * @param {string} suffix - VUA suffix, e.g. '@finvu'
+ * @returns {Function} - Appends the suffix to bare mobile numbers, rejects other handles
+ */
+const requireVuaSuffix = (suffix) => (customerId) => {
+  if (/^\d{10}$/.test(customerId)) {
+    return `${customerId}${suffix}`;
+  }
+  if (!customerId.endsWith(suffix)) {
+    throw new AAValidationError(`Customer VUA must end with ${suffix}`, { code: 'InvalidRequest' });
+  }
+  return customerId;
+};
+
+/**
+ * Create an AA provider
+ * @param {Object} options
+ * @param {string} options.name - Registry key stored on ConsentRecord.aa_provider
+ * @param {string} options.label - Display name
+ * @param {Object} options.config - Provider config (see loadProviderConfig)
+ * @param {Function} options.formatCustomerId - Optional hook
+ * @param {Function} options.extractConsentHandle - Optional hook
+ * @param {Function} options.webviewUrl - Optional hook, called with (consentHandle, response, config)
+ * @param {Object} options.client - Optional AA client ({ post(path, body) }, default: HTTP client for config)
+ * @returns {Object} - Provider
+ */
+const createProvider = ({
+  name,
+  label,
+  config,
+  formatCustomerId = (customerId) => customerId,
+  extractConsentHandle = (response) => response.ConsentHandle,
+  webviewUrl = () => null,
+  client = createClient(config)
+}) => {
+
+  /**
+   * Build redirect URL for user to authorize consent (ReBIT web redirection)
+   * @param {string} consentHandle - Consent handle from initiate response (sent as srcref)
+   * @param {Object} options
+   * @param {string} options.txnId - Consent request txnid, echoed back in ecres
+   * @param {string} options.customerId - Customer VUA
+   * @param {Object} options.response - /Consent response, if available
+   * @returns {string} - Redirect URL with fi, reqdate and ecreq
+   */
+  const buildRedirectUrl = (consentHandle, { txnId = generateTxnId(), customerId, response = {} } = {}) => {
+    const base = webviewUrl(consentHandle, response, config) ||
+      `${config.webviewUrl || config.baseUrl}/consent/authorize`;
+
+    const params = new URLSearchParams(buildRedirectQuery({
+      fiuId: config.clientId,
+      secret: config.redirectKey,
+      txnid: txnId,
+      srcref: consentHandle,
+      userid: customerId,
+      redirect: config.redirectUrl
+    }));
+
+    return `${base}${base.includes('?') ? '&' : '?'}${params.toString()}`;
+  };
+
+  /**
+   * Decrypt and validate the AA's redirect back to our callback
+   * @param {Object} query - { fi, resdate, ecres }
+   * @param {Date} now - Current time
+   * @returns {Promise<Object>} - Decrypted ecres fields ({ txnid, srcref, status, errorcode, ... })
+   * @throws {AAValidationError} - InvalidRedirect or RedirectExpired
+   */
+  const parseRedirect = (query, now = new Date()) => {
+    return parseRedirectResponse(query, {
+      fiuId: config.clientId,
+      secret: config.redirectKey,
+      maxAgeMs: config.redirectMaxAgeMs,
+      now
+    });
+  };
+
+  /**
+   * Initiate AA consent request
+   * @param {Object} params - Consent parameters
+   * @param {string} params.customerId - Customer's mobile number or VUA
+   * @param {Object} params.template - Consent template (default: DEFAULT_TEMPLATE)
+   * @param {string[]} params.fiTypes - Financial Information types (default: template FI types)
+   * @param {Date} params.fromDate - Data fetch start date
+   * @param {Date} params.toDate - Data fetch end date
+   * @param {string} params.fetchType - ONETIME or PERIODIC (default: template fetch type)
+   * @param {Object} params.frequency - Max fetches per unit, e.g. { unit: 'DAY', value: 1 }
+   * @returns {Object} - Consent handle and redirect URL
+   * @throws {AAError} - When the consent shape is invalid or the AA rejects the request
+   */
+  const initiateConsent = async ({
+    customerId,
+    template = DEFAULT_TEMPLATE,
+    fiTypes,
+    fromDate,
+    toDate,
+    fetchType,
+    frequency
+  }) => {
+    const txnId = generateTxnId();
+    const detail = buildConsentDetail(template, { fiTypes, fromDate, toDate, fetchType, frequency });
+    const customerVua = formatCustomerId(customerId);
+
+    const consentRequest = {
+      ver: '1.0',
+      txnid: txnId,
+      timestamp: new Date().toISOString(),
+      ConsentDetail: {
+        ...detail,
+        DataConsumer: {
+          id: config.clientId
+        },
+        Customer: {
+          id: customerVua
+        }
+      }
+    };
+
+    const response = await client.post('/Consent', consentRequest);
+    const consentHandle = extractConsentHandle(response);
+
+    return {
+      success: true,
+      provider: name,
+      template: template.name,
+      txnId,
+      consentHandle,
+      redirectUrl: buildRedirectUrl(consentHandle, { txnId, customerId: customerVua, response }),
+      request: consentRequest,
+      response
+    };
+  };
+
+  /**
+   * Fetch the signed consent artefact for an approved consent
+   * @param {string} consentId - Consent ID
+   * @returns {Object} - Consent artefact ({ consentId, status, signedConsent, ... })
+   */
+  const fetchConsentArtefact = async (consentId) => {
+    return await client.post('/Consent/fetch', {
+      ver: '1.0',
+      txnid: generateTxnId(),
+      timestamp: new Date().toISOString(),
+      consentId
+    });
+  };
+
+  /**
+   * Handle callback after user consent
+   * @param {Object} params - Callback parameters
+   * @param {string} params.consentId - Consent ID from callback
+   * @param {string} params.consentHandle - Original consent handle
+   * @param {string} params.status - Consent status (APPROVED/REJECTED)
+   * @returns {Object} - Consent status details and artefact
+   */
+  const handleCallback = async ({ consentId, consentHandle, status }) => {
+    if (status !== 'APPROVED') {
+      return {
+        success: false,
+        message: 'Consent was rejected by user',
+        consentId,
+        status
+      };
+    }
+
+    const artefact = await fetchConsentArtefact(consentId);
+
+    return {
+      success: true,
+      message: 'Consent approved successfully',
+      consentId,
+      consentHandle,
+      status,
+      artefact
+    };
+  };
+
+  /**
+   * Create an FI data session using approved consent
+   * @param {string} consentId - Approved consent ID
+   * @param {Object} options - Optional request parameters
+   * @param {Date} options.fromDate - Data range start (default: 180 days ago)
+   * @param {Date} options.toDate - Data range end (default: now)
+   * @param {string} options.digitalSignature - Signature part of the signed consent
+   * @returns {Object} - Session ID issued by the AA and sealed session keys
+   */
+  const fetchData = async (consentId, { fromDate, toDate, digitalSignature } = {}) => {
+    const txnId = generateTxnId();
+    const { privateKey, keyMaterial } = generateKeyMaterial();
+
+    const dataRequest = {
+      ver: '1.0',
+      txnid: txnId,
+      timestamp: new Date().toISOString(),
+      FIDataRange: {
+        from: fromDate?.toISOString() || new Date(Date.now() - 180 * DAY_MS).toISOString(),
+        to: toDate?.toISOString() || new Date().toISOString()
+      },
+      Consent: {
+        id: consentId,
+        digitalSignature: digitalSignature || null
+      },
+      KeyMaterial: keyMaterial
+    };
+
+    const response = await client.post('/FI/request', dataRequest);
+
+    return {
+      success: true,
+      txnId,
+      sessionId: response.sessionId,
+      // Private key only leaves this function sealed under the key-encryption key
+      sessionKeys: {
+        sealedPrivateKey: sealPrivateKey(privateKey),
+        nonce: keyMaterial.Nonce
+      },
+      request: dataRequest
+    };
+  };
+
+  /**
+   * Fetch and decrypt FI data for an existing data session
+   * @param {string} sessionId - Session ID from FI/request
+   * @param {Object} sessionKeys - { sealedPrivateKey, nonce } returned by fetchData
+   * @returns {Object} - Decrypted AA FI response ({ FI: [{ fipId, data: [{ Account }] }] })
+   */
+  const fetchSessionData = async (sessionId, sessionKeys) => {
+    const response = await client.post('/FI/fetch', {
+      ver: '1.0',
+      txnid: generateTxnId(),
+      timestamp: new Date().toISOString(),
+      sessionId
+    });
+
+    return decryptFIResponse(response, sessionKeys);
+  };
+
+  /**
+   * Fetch bank statement using approved consent
+   * @param {string} consentId - Approved consent ID
+   * @param {Object} options - Data range options (see fetchData)
+   * @returns {Object} - Bank statement data
+   */
+  const fetchBankStatement = async (consentId, options = {}) => {
+    const dataSession = await fetchData(consentId, options);
+    const data = await fetchSessionData(dataSession.sessionId, dataSession.sessionKeys);
+
+    return {
+      success: true,
+      sessionId: dataSession.sessionId,
+      data
+    };
+  };
+
+  /**
+   * Check consent status
+   * @param {string} consentHandle - Consent handle
+   * @returns {Object} - Consent status
+   */
+  const checkConsentStatus = async (consentHandle) => {
+    const response = await client.post('/Consent/handle', {
+      ver: '1.0',
+      txnid: generateTxnId(),
+      timestamp: new Date().toISOString(),
+      ConsentHandle: consentHandle
+    });
+
+    return {
+      success: true,
+      consentHandle,
+      consentId: response.ConsentStatus?.id || null,
+      status: normalizeConsentStatus(response.ConsentStatus?.status), // PENDING | APPROVED | REJECTED | EXPIRED
+      timestamp: response.timestamp || new Date().toISOString()
+    };
+  };
+
+  /**
+   * Notify the AA of an FIU-initiated consent status change (ReBIT FIU -> AA /Consent/Notification)
+   * @param {Object} params
+   * @param {string} params.consentId - AA consent ID
+   * @param {string} params.consentHandle - Consent handle
+   * @param {string} params.status - REVOKED | PAUSED
+   * @returns {Object} - AA acknowledgement
+   */
+  const updateConsentStatus = async ({ consentId, consentHandle, status }) => {
+    const response = await client.post('/Consent/Notification', {
+      ver: '1.0',
+      txnid: generateTxnId(),
+      timestamp: new Date().toISOString(),
+      Notifier: {
+        type: 'FIU',
+        id: config.clientId
+      },
+      ConsentStatusNotification: {
+        consentId,
+        consentHandle,
+        consentStatus: status
+      }
+    });
+
+    return {
+      success: response.response === 'OK',
+      consentId,
+      status,
+      response
+    };
+  };
+
+  return {
+    name,
+    label,
+    config,
+    initiateConsent,
+    buildRedirectUrl,
+    parseRedirect,
+    handleCallback,
+    fetchConsentArtefact,
+    fetchData,
+    fetchSessionData,
+    fetchBankStatement,
+    checkConsentStatus,
+    updateConsentStatus
+  };
+};
+
+module.exports = {
+  createProvider,
+  loadProviderConfig,
+  requireVuaSuffix,
+  normalizeConsentStatus,
+  FETCH_TYPES,
+  FREQUENCY_UNITS
+};
@@ -0,0 +1,17 @@
+/**
+ * Finvu AA Provider
+ *
+ * Quirks:
+ * - Customer must be a Finvu VUA (<mobile>@finvu); bare mobile numbers get the suffix
+ *
+ * Environment Variables: AA_FINVU_* (see loadProviderConfig)
+ */
+
+const { createProvider, loadProviderConfig, requireVuaSuffix } = require('./createProvider');
+
+module.exports = createProvider({
+  name: 'finvu',
+  label: 'Finvu',
+  config: loadProviderConfig('FINVU'),
+  formatCustomerId: requireVuaSuffix('@finvu')
+});
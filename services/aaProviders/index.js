@@ -0,0 +1,85 @@
+/**
+ * AA Provider Registry
+ *
+ * Maps provider names (stored on ConsentRecord.aa_provider) to provider
+ * adapters. All providers share the interface built by createProvider.
+ *
+ * Environment Variables:
+ *   AA_DEFAULT_PROVIDER - Provider used when none is chosen (default: setu)
+ *   AA_SANDBOX_ENABLED  - Also register the offline sandbox provider (see sandbox.js)
+ */
+
+const { AAValidationError } = require('../aaErrors');
+
+const providers = new Map();
+
+/**
+ * Register a provider adapter
+ * @param {Object} provider - Provider created by createProvider
+ */
+const registerProvider = (provider) => {
+  providers.set(provider.name, provider);
+};
+
+/**
+ * Name of the provider used when none is chosen
+ * @returns {string}
+ */
+const getDefaultProviderName = () => {
+  return process.env.AA_DEFAULT_PROVIDER || 'setu';
+};
+
+/**
+ * Get a provider by name
+ * @param {string} name - Provider name (default provider if empty)
+ * @returns {Object} - Provider
+ * @throws {AAValidationError} - For an unknown provider
+ */
+const getProvider = (name) => {
+  const key = name || getDefaultProviderName();
+  const provider = providers.get(key);
+
+  if (!provider) {
+    throw new AAValidationError(`Unknown AA provider: ${key}`, { code: 'UnknownProvider' });
+  }
+  return provider;
+};
+
+/**
+ * Check whether a provider is registered
+ * @param {string} name - Provider name
+ * @returns {boolean}
+ */
+const hasProvider = (name) => {
+  return providers.has(name);
+};
+
+/**
+ * List registered providers
+ * @returns {Object[]} - [{ name, label, default }]
+ */
+const listProviders = () => {
+  const defaultName = getDefaultProviderName();
+  return [...providers.values()].map(provider => ({
+    name: provider.name,
+    label: provider.label,
+    default: provider.name === defaultName
+  }));
+};
+
+registerProvider(require('./setu'));
+registerProvider(require('./finvu'));
+registerProvider(require('./oneMoney'));
+registerProvider(require('./anumati'));
+
+if (process.env.AA_SANDBOX_ENABLED === 'true' || getDefaultProviderName() === 'sandbox') {
+  registerProvider(require('./sandbox'));
+}
+
+module.exports = {
+  registerProvider,
+  getProvider,
+  hasProvider,
+  listProviders,
+  getDefaultProviderName
+};
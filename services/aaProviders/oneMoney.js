@@ -0,0 +1,17 @@
+/**
+ * OneMoney AA Provider
+ *
+ * Quirks:
+ * - Customer must be a OneMoney VUA (<mobile>@onemoney); bare mobile numbers get the suffix
+ *
+ * Environment Variables: AA_ONEMONEY_* (see loadProviderConfig)
+ */
+
+const { createProvider, loadProviderConfig, requireVuaSuffix } = require('./createProvider');
+
+module.exports = createProvider({
+  name: 'onemoney',
+  label: 'OneMoney',
+  config: loadProviderConfig('ONEMONEY'),
+  formatCustomerId: requireVuaSuffix('@onemoney')
+});
@@ -0,0 +1,224 @@
+/**
+ * Sandbox AA Provider
+ *
+ * Offline AA for development and demos. Consents, FI sessions and data live
+ * in memory; FI data is simulated (see fiSimulator.js) for the consent's
+ * fiTypes and the requested range, and encrypted per the ReBIT scheme so the
+ * regular decrypt path runs.
+ *
+ * Quirks:
+ * - No user approval step: consents are approved when created, and the
+ *   redirect URL points straight back at our callback with an encrypted ecres
+ * - Without a configured redirect key a random one is used per process
+ *
+ * Environment Variables:
+ *   AA_SANDBOX_ENABLED - Register the sandbox provider (also registered when
+ *                        AA_DEFAULT_PROVIDER=sandbox)
+ *   AA_SANDBOX_SEED    - Seed for the simulated data (default: sandbox)
+ *   AA_SANDBOX_*       - Other overrides (see loadProviderConfig)
+ */
+
+const crypto = require('crypto');
+const { createProvider, loadProviderConfig } = require('./createProvider');
+const { fromResponse } = require('../aaErrors');
+const { encryptFIResponse } = require('../fiCrypto');
+const { encryptRedirect } = require('../aaRedirect');
+const { generateFI } = require('../fiSimulator');
+
+/**
+ * In-memory AA speaking the FIU-facing ReBIT API
+ * @param {Object} options
+ * @param {string} options.seed - Seed for the simulated data
+ * @returns {Object} - { post(path, body), state }
+ */
+const createSandboxAA = ({ seed }) => {
+  const state = {
+    consents: new Map(), // consentHandle -> consent
+    sessions: new Map()  // sessionId -> session
+  };
+
+  const envelope = (txnid) => ({
+    ver: '1.0',
+    timestamp: new Date().toISOString(),
+    txnid
+  });
+
+  const fail = (status, errorCode, errorMsg, txnid) => {
+    throw fromResponse(status, { ...envelope(txnid), errorCode, errorMsg });
+  };
+
+  const findByConsentId = (consentId, txnid) => {
+    for (const consent of state.consents.values()) {
+      if (consent.consentId === consentId) return consent;
+    }
+    return fail(404, 'InvalidConsentId', 'Consent not found', txnid);
+  };
+
+  const routes = {
+    '/Consent': ({ txnid, ConsentDetail }) => {
+      if (!txnid || !ConsentDetail?.Customer?.id || !ConsentDetail?.fiTypes?.length) {
+        fail(400, 'InvalidRequest', 'Missing txnid, Customer or fiTypes', txnid);
+      }
+
+      const consentHandle = crypto.randomUUID();
+      state.consents.set(consentHandle, {
+        consentHandle,
+        consentId: crypto.randomUUID(),
+        status: 'ACTIVE',
+        detail: ConsentDetail,
+        createdAt: new Date().toISOString(),
+        useCount: 0
+      });
+
+      return { ...envelope(txnid), Customer: { id: ConsentDetail.Customer.id }, ConsentHandle: consentHandle };
+    },
+
+    '/Consent/handle': ({ txnid, ConsentHandle }) => {
+      const consent = state.consents.get(ConsentHandle) ||
+        fail(404, 'InvalidConsentHandle', 'Consent handle not found', txnid);
+
+      return {
+        ...envelope(txnid),
+        ConsentHandle,
+        ConsentStatus: {
+          id: consent.consentId,
+          status: consent.status === 'ACTIVE' ? 'READY' : consent.status
+        }
+      };
+    },
+
+    '/Consent/fetch': ({ txnid, consentId }) => {
+      const consent = findByConsentId(consentId, txnid);
+
+      return {
+        ...envelope(txnid),
+        consentId,
+        status: consent.status,
+        createTimestamp: consent.createdAt,
+        signedConsent: Buffer.from(JSON.stringify(consent.detail)).toString('base64url'),
+        ConsentUse: {
+          logUri: '',
+          count: consent.useCount,
+          lastUseDateTime: consent.lastUsedAt || null
+        }
+      };
+    },
+
+    '/Consent/Notification': ({ txnid, ConsentStatusNotification: notification }) => {
+      const consent = findByConsentId(notification?.consentId, txnid);
+
+      if (!['REVOKED', 'PAUSED', 'ACTIVE'].includes(notification.consentStatus)) {
+        fail(400, 'InvalidRequest', 'Unsupported consentStatus', txnid);
+      }
+      if (consent.status === 'REVOKED') {
+        fail(409, 'InvalidConsentStatus', 'Consent is REVOKED', txnid);
+      }
+
+      consent.status = notification.consentStatus;
+      return { ...envelope(txnid), response: 'OK' };
+    },
+
+    '/FI/request': ({ txnid, Consent, FIDataRange, KeyMaterial }) => {
+      if (!Consent?.id || !FIDataRange?.from || !FIDataRange?.to) {
+        fail(400, 'InvalidRequest', 'Missing Consent or FIDataRange', txnid);
+      }
+      if (!KeyMaterial?.DHPublicKey?.KeyValue || !KeyMaterial?.Nonce) {
+        fail(400, 'InvalidRequest', 'Missing KeyMaterial', txnid);
+      }
+
+      const consent = findByConsentId(Consent.id, txnid);
+      if (consent.status !== 'ACTIVE') {
+        fail(409, 'InvalidConsentStatus', `Consent is ${consent.status}`, txnid);
+      }
+
+      const sessionId = crypto.randomUUID();
+      state.sessions.set(sessionId, { sessionId, consentId: Consent.id, range: FIDataRange, keyMaterial: KeyMaterial });
+      consent.useCount++;
+      consent.lastUsedAt = new Date().toISOString();
+
+      return { ...envelope(txnid), consentId: Consent.id, sessionId };
+    },
+
+    '/FI/fetch': ({ txnid, sessionId }) => {
+      const session = state.sessions.get(sessionId) ||
+        fail(404, 'InvalidSessionId', 'Session not found', txnid);
+      const { detail } = findByConsentId(session.consentId, txnid);
+
+      const plainFI = generateFI({
+        seed,
+        customerId: detail.Customer.id,
+        fiTypes: detail.fiTypes,
+        from: session.range.from,
+        to: session.range.to
+      });
+
+      return { ...envelope(txnid), FI: encryptFIResponse(plainFI, session.keyMaterial) };
+    }
+  };
+
+  const post = async (path, body = {}) => {
+    const route = routes[path];
+    if (!route) {
+      fail(404, 'InvalidRequest', `Sandbox AA has no ${path} endpoint`, body.txnid);
+    }
+    return route(body);
+  };
+
+  return { post, state };
+};
+
+const baseConfig = loadProviderConfig('SANDBOX');
+const config = {
+  ...baseConfig,
+  redirectKey: baseConfig.redirectKey || crypto.randomBytes(32).toString('base64')
+};
+const aa = createSandboxAA({ seed: process.env.AA_SANDBOX_SEED || 'sandbox' });
+
+const provider = createProvider({
+  name: 'sandbox',
+  label: 'Sandbox (simulated data)',
+  config,
+  client: aa
+});
+
+/**
+ * Redirect straight back to our callback as if the user had approved
+ * @param {string} consentHandle - Consent handle (sent as srcref)
+ * @param {Object} options
+ * @param {string} options.txnId - Consent request txnid, echoed back in ecres
+ * @param {string} options.customerId - Customer VUA
+ * @returns {string} - Callback URL with fi, resdate and ecres
+ */
+const buildRedirectUrl = (consentHandle, { txnId, customerId } = {}) => {
+  const response = encryptRedirect({
+    fiuId: config.clientId,
+    secret: config.redirectKey,
+    fields: {
+      txnid: txnId,
+      sessionid: crypto.randomUUID(),
+      userid: customerId || '',
+      srcref: consentHandle,
+      status: 'S',
+      errorcode: '0'
+    }
+  });
+  const params = new URLSearchParams({ fi: response.fi, resdate: response.date, ecres: response.payload });
+
+  return `${config.redirectUrl}?${params.toString()}`;
+};
+
+module.exports = {
+  ...provider,
+  buildRedirectUrl,
+  initiateConsent: async (params) => {
+    const result = await provider.initiateConsent(params);
+    return {
+      ...result,
+      redirectUrl: buildRedirectUrl(result.consentHandle, {
+        txnId: result.txnId,
+        customerId: result.request.ConsentDetail.Customer.id
+      })
+    };
+  },
+  state: aa.state
+};
@@ -0,0 +1,21 @@
+/**
+ * Setu AA Provider
+ *
+ * Quirks:
+ * - The /Consent response carries the webview `url` to send the user to
+ *   (the encrypted redirect query is appended to it)
+ * - Newer API versions return the handle as `id` instead of `ConsentHandle`
+ * - Accepts VUAs of any AA (Setu routes to the customer's AA)
+ *
+ * Environment Variables: AA_SETU_* (see loadProviderConfig)
+ */
+
+const { createProvider, loadProviderConfig } = require('./createProvider');
+
+module.exports = createProvider({
+  name: 'setu',
+  label: 'Setu',
+  config: loadProviderConfig('SETU'),
+  extractConsentHandle: (response) => response.ConsentHandle || response.id,
+  webviewUrl: (consentHandle, response) => response.url || null
+});
@@ -0,0 +1,225 @@
+/**
+ * AA Web Redirection (ReBIT)
+ *
+ * Outbound (FIU -> AA webview):  ?fi=<enc FIU id>&reqdate=<date>&ecreq=<enc request>
+ *   ecreq plaintext: txnid=..&sessionid=..&userid=<VUA>&redirect=<callback>&srcref=<consent handle>
+ *
+ * Inbound (AA -> FIU callback):  ?fi=<enc FIU id>&resdate=<date>&ecres=<enc response>
+ *   ecres plaintext: txnid=..&sessionid=..&userid=..&srcref=..&status=S|F&errorcode=..
+ *
+ * Encryption:
+ * - Dates are UTC in ddMMyyyyHHmmssSSS format
+ * - Key = PBKDF2-SHA256(redirect key shared with the AA, salt = date, 65536 iterations, 32 bytes)
+ * - Value = base64url(12-byte IV || AES-256-GCM ciphertext || 16-byte tag)
+ *
+ * Decrypted responses are only trusted once the GCM tag verifies, `fi`
+ * decrypts to our FIU ID and `resdate` is fresh.
+ *
+ * The callback is unauthenticated, so inbound redirects are checked for a
+ * fresh `resdate` before any key is derived, keys are derived with the async
+ * PBKDF2 (off the event loop) and each (redirect key, date) pair is derived
+ * once and cached.
+ */
+
+const crypto = require('crypto');
+const { AAValidationError } = require('./aaErrors');
+
+const PBKDF2_ITERATIONS = 65536;
+const KEY_BYTES = 32;
+const IV_BYTES = 12;
+const TAG_BYTES = 16;
+const MAX_CLOCK_SKEW_MS = 60 * 1000;
+const MAX_CACHED_KEYS = 256;
+
+// '<sha256(secret)>:<date>' -> Promise<Buffer>
+const keyCache = new Map();
+
+const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+/**
+ * Format a redirect date (ddMMyyyyHHmmssSSS, UTC)
+ * @param {Date} date
+ * @returns {string}
+ */
+const formatRedirectDate = (date) => {
+  return pad(date.getUTCDate()) + pad(date.getUTCMonth() + 1) + date.getUTCFullYear() +
+    pad(date.getUTCHours()) + pad(date.getUTCMinutes()) + pad(date.getUTCSeconds()) +
+    pad(date.getUTCMilliseconds(), 3);
+};
+
+/**
+ * Parse a redirect date (ddMMyyyyHHmmssSSS, UTC)
+ * @param {string} value
+ * @returns {Date|null} - null when malformed
+ */
+const parseRedirectDate = (value) => {
+  const match = /^(\d{2})(\d{2})(\d{4})(\d{2})(\d{2})(\d{2})(\d{3})$/.exec(value || '');
+  if (!match) return null;
+
+  const [, day, month, year, hours, minutes, seconds, ms] = match.map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day, hours, minutes, seconds, ms));
+  return formatRedirectDate(date) === value ? date : null;
+};
+
+const deriveKey = (secret, date) => {
+  return crypto.pbkdf2Sync(secret, date, PBKDF2_ITERATIONS, KEY_BYTES, 'sha256');
+};
+
+/**
+ * Derive a key without blocking the event loop, once per (secret, date)
+ * @param {string} secret - Redirect key shared with the AA
+ * @param {string} date - Redirect date (salt)
+ * @returns {Promise<Buffer>}
+ */
+const deriveKeyCached = (secret, date) => {
+  const cacheKey = `${crypto.createHash('sha256').update(secret).digest('hex')}:${date}`;
+  const cached = keyCache.get(cacheKey);
+  if (cached) return cached;
+
+  const key = new Promise((resolve, reject) => {
+    crypto.pbkdf2(secret, date, PBKDF2_ITERATIONS, KEY_BYTES, 'sha256', (error, derived) => {
+      if (error) reject(error);
+      else resolve(derived);
+    });
+  });
+  key.catch(() => keyCache.delete(cacheKey));
+
+  if (keyCache.size >= MAX_CACHED_KEYS) {
+    // Maps iterate in insertion order: drop the oldest entry
+    keyCache.delete(keyCache.keys().next().value);
+  }
+  keyCache.set(cacheKey, key);
+  return key;
+};
+
+/**
+ * Encrypt a redirect parameter
+ * @param {string} plaintext - Value to encrypt
+ * @param {Buffer} key - Key from deriveKey
+ * @returns {string} - base64url(iv || ciphertext || tag)
+ */
+const encryptParam = (plaintext, key) => {
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf-8'), cipher.final()]);
+  return Buffer.concat([iv, ciphertext, cipher.getAuthTag()]).toString('base64url');
+};
+
+/**
+ * Decrypt a redirect parameter
+ * @param {string} value - Output of encryptParam
+ * @param {Buffer} key - Key from deriveKey
+ * @returns {string|null} - Plaintext, or null if the value does not decrypt under the key
+ */
+const decryptParam = (value, key) => {
+  const buffer = Buffer.from(value || '', 'base64url');
+  if (buffer.length < IV_BYTES + TAG_BYTES) return null;
+
+  try {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, buffer.subarray(0, IV_BYTES));
+    decipher.setAuthTag(buffer.subarray(buffer.length - TAG_BYTES));
+    const plaintext = Buffer.concat([
+      decipher.update(buffer.subarray(IV_BYTES, buffer.length - TAG_BYTES)),
+      decipher.final()
+    ]);
+    return plaintext.toString('utf-8');
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Encrypt a set of redirect fields
+ * @param {Object} options
+ * @param {string} options.fiuId - FIU entity ID (sent as `fi`)
+ * @param {string} options.secret - Redirect key shared with the AA
+ * @param {Object} options.fields - Plaintext fields (txnid, srcref, ...)
+ * @param {Date} options.now - Request time
+ * @returns {Object} - { fi, date, payload }
+ */
+const encryptRedirect = ({ fiuId, secret, fields, now = new Date() }) => {
+  if (!secret) {
+    throw new Error('AA redirect key not configured (set AA_REDIRECT_KEY or AA_<PROVIDER>_REDIRECT_KEY)');
+  }
+
+  const date = formatRedirectDate(now);
+  const key = deriveKey(secret, date);
+
+  return {
+    fi: encryptParam(fiuId, key),
+    date,
+    payload: encryptParam(new URLSearchParams(fields).toString(), key)
+  };
+};
+
+/**
+ * Build the outbound redirect query
+ * @param {Object} options
+ * @param {string} options.fiuId - FIU entity ID
+ * @param {string} options.secret - Redirect key shared with the AA
+ * @param {string} options.txnid - Consent request txnid
+ * @param {string} options.srcref - Consent handle
+ * @param {string} options.userid - Customer VUA
+ * @param {string} options.redirect - FIU callback URL
+ * @param {Date} options.now - Request time
+ * @returns {Object} - { fi, reqdate, ecreq }
+ */
+const buildRedirectQuery = ({ fiuId, secret, txnid, srcref, userid, redirect, now = new Date() }) => {
+  const { fi, date, payload } = encryptRedirect({
+    fiuId,
+    secret,
+    now,
+    fields: { txnid, sessionid: crypto.randomUUID(), userid: userid || '', redirect, srcref }
+  });
+
+  return { fi, reqdate: date, ecreq: payload };
+};
+
+/**
+ * Decrypt and validate an inbound redirect
+ * @param {Object} query - Callback query ({ fi, resdate, ecres })
+ * @param {Object} options
+ * @param {string} options.fiuId - Our FIU entity ID
+ * @param {string} options.secret - Redirect key shared with the AA
+ * @param {number} options.maxAgeMs - Maximum age of resdate
+ * @param {Date} options.now - Current time
+ * @returns {Promise<Object>} - Decrypted fields ({ txnid, srcref, userid, status, errorcode, ... })
+ * @throws {AAValidationError} - InvalidRedirect or RedirectExpired
+ */
+const parseRedirectResponse = async ({ fi, resdate, ecres }, { fiuId, secret, maxAgeMs, now = new Date() }) => {
+  const issuedAt = parseRedirectDate(resdate);
+  if (!secret || !issuedAt || !fi || !ecres) {
+    throw new AAValidationError('Redirect is missing fi, resdate or ecres', { code: 'InvalidRedirect' });
+  }
+
+  // Cheap check first: stale or future-dated redirects never cost a key derivation
+  const age = now.getTime() - issuedAt.getTime();
+  if (age > maxAgeMs || age < -MAX_CLOCK_SKEW_MS) {
+    throw new AAValidationError('Redirect resdate is outside the accepted window', { code: 'RedirectExpired' });
+  }
+
+  const key = await deriveKeyCached(secret, resdate);
+  const plaintext = decryptParam(ecres, key);
+  if (plaintext === null || decryptParam(fi, key) !== fiuId) {
+    throw new AAValidationError('Redirect parameters do not decrypt for this FIU', { code: 'InvalidRedirect' });
+  }
+
+  const fields = Object.fromEntries(new URLSearchParams(plaintext));
+  if (!fields.txnid || !fields.srcref) {
+    throw new AAValidationError('Redirect response is missing txnid or srcref', { code: 'InvalidRedirect' });
+  }
+
+  return fields;
+};
+
+module.exports = {
+  formatRedirectDate,
+  parseRedirectDate,
+  deriveKey,
+  deriveKeyCached,
+  encryptParam,
+  decryptParam,
+  encryptRedirect,
+  buildRedirectQuery,
+  parseRedirectResponse
+};
@@ -0,0 +1,113 @@
+/**
+ * Consent Ledger Verification
+ *
+ * Walks ConsentRecord hash chains and reports:
+ * - HASH_MISMATCH - data_hash does not match the record's contents
+ * - BROKEN_LINK   - parent_hash does not match the parent's data_hash, the
+ *                   version does not follow its parent, or a parent has
+ *                   more than one child
+ * - ORPHANED      - a version whose parent no longer exists
+ *
+ * Deleting the latest version of a chain leaves no trace in the chain
+ * itself; the per-consent version count in the report is the evidence
+ * to compare against AA-side records.
+ */
+
+const ConsentRecord = require('../models/ConsentRecord');
+
+/**
+ * Build an issue entry
+ */
+const buildIssue = (type, record, message) => ({
+  type,
+  recordId: record.id,
+  consentId: record.consent_id,
+  consentHandle: record.consent_handle,
+  version: record.version,
+  message
+});
+
+/**
+ * Check the link between a version and its parent
+ * @param {Object} record - Consent version
+ * @param {Object|undefined} parent - Parent version
+ * @returns {string|null} - Reason the link is broken, or null
+ */
+const checkLink = (record, parent) => {
+  if (record.parent_hash !== parent.data_hash) {
+    return 'parent_hash does not match the parent data_hash';
+  }
+  if (record.version !== parent.version + 1) {
+    return `version ${record.version} does not follow parent version ${parent.version}`;
+  }
+  if (record.consent_handle !== parent.consent_handle) {
+    return 'consent_handle differs from the parent';
+  }
+  return null;
+};
+
+/**
+ * Verify a set of consent records (one chain or the whole table)
+ * @param {Object[]} records - ConsentRecord rows
+ * @returns {Object} - { valid, records, chains, issues }
+ */
+const verifyLedger = (records) => {
+  const byId = new Map(records.map(record => [record.id, record]));
+  const children = new Map();
+  const issues = [];
+
+  for (const record of records) {
+    if (ConsentRecord.generateHash(record) !== record.data_hash) {
+      issues.push(buildIssue('HASH_MISMATCH', record, 'data_hash does not match the record contents'));
+    }
+
+    if (!record.parent_id) {
+      if (record.version !== 1 || record.parent_hash) {
+        issues.push(buildIssue('BROKEN_LINK', record, 'version without a parent is not version 1 or has a parent_hash'));
+      }
+      continue;
+    }
+
+    const parent = byId.get(record.parent_id);
+    if (!parent) {
+      issues.push(buildIssue('ORPHANED', record, `parent ${record.parent_id} not found`));
+      continue;
+    }
+
+    const reason = checkLink(record, parent);
+    if (reason) {
+      issues.push(buildIssue('BROKEN_LINK', record, reason));
+    }
+
+    children.set(parent.id, (children.get(parent.id) || 0) + 1);
+  }
+
+  for (const [parentId, count] of children) {
+    if (count > 1) {
+      issues.push(buildIssue('BROKEN_LINK', byId.get(parentId), `version has ${count} child versions`));
+    }
+  }
+
+  return {
+    valid: issues.length === 0,
+    records: records.length,
+    chains: records.filter(record => !record.parent_id).length,
+    issues
+  };
+};
+
+/**
+ * Verify every consent chain in the database
+ * @returns {Object} - verifyLedger report
+ */
+const verifyAllConsents = async () => {
+  const records = await ConsentRecord.findAll({
+    order: [['consent_handle', 'ASC'], ['version', 'ASC']]
+  });
+  return verifyLedger(records);
+};
+
+module.exports = {
+  verifyLedger,
+  verifyAllConsents
+};
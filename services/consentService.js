@@ -0,0 +1,324 @@
+/**
+ * Consent Service
+ *
+ * Persists every step of the AA consent lifecycle as ConsentRecord versions:
+ * - initiate            -> PENDING (version 1, consent_id = consent handle)
+ * - callback / poll     -> APPROVED or REJECTED version
+ * - expiry              -> EXPIRED version
+ * - user revoke / pause -> REVOKED or PAUSED version
+ *
+ * ConsentRecords are immutable, so every status change appends a version
+ * via createNewVersion. All versions of a consent share its consent_handle.
+ *
+ * recordStatus refuses changes that would bring a consent back: terminal
+ * consents (REJECTED, EXPIRED, REVOKED) never change again, and a PAUSED
+ * consent only becomes APPROVED when explicitly resumed (the AA's ACTIVE
+ * notification), never from a status poll or a late redirect.
+ */
+
+const { Op } = require('sequelize');
+const ConsentRecord = require('../models/ConsentRecord');
+const ConsentTemplate = require('../models/ConsentTemplate');
+const { verifyLedger } = require('./consentLedger');
+const { DEFAULT_TEMPLATE } = require('./consentTemplates');
+
+// Statuses after which a consent can no longer change
+const TERMINAL_STATUSES = ['REJECTED', 'EXPIRED', 'REVOKED'];
+
+/**
+ * Resolve the consent template to initiate with
+ * @param {string} name - Template name (default: AA_DEFAULT_CONSENT_TEMPLATE)
+ * @returns {Object|null} - Plain template, or null if a named template does not exist
+ */
+const resolveTemplate = async (name) => {
+  if (name) {
+    const template = await ConsentTemplate.findActiveByName(name);
+    return template ? template.get({ plain: true }) : null;
+  }
+
+  const defaultName = process.env.AA_DEFAULT_CONSENT_TEMPLATE || DEFAULT_TEMPLATE.name;
+  const template = await ConsentTemplate.findActiveByName(defaultName);
+  return template ? template.get({ plain: true }) : DEFAULT_TEMPLATE;
+};
+
+/**
+ * List active consent templates
+ * @returns {ConsentTemplate[]}
+ */
+const listTemplates = async () => {
+  return await ConsentTemplate.findAll({
+    where: { is_active: true },
+    order: [['name', 'ASC']]
+  });
+};
+
+/**
+ * Create the initial PENDING record for a consent request
+ * @param {Object} params
+ * @param {string} params.userId - Authenticated user ID
+ * @param {string} params.customerId - Customer VUA/mobile
+ * @param {Object} params.initiation - Result of aaAdapter.initiateConsent
+ * @returns {ConsentRecord}
+ */
+const createPendingConsent = async ({ userId, customerId, initiation }) => {
+  const detail = initiation.request.ConsentDetail;
+
+  return await ConsentRecord.create({
+    consent_id: initiation.consentHandle,
+    consent_handle: initiation.consentHandle,
+    user_id: userId,
+    customer_id: customerId,
+    aa_provider: initiation.provider,
+    consent_template: initiation.template,
+    aa_request: initiation.request,
+    aa_response: initiation.response || null,
+    scopes: detail.fiTypes,
+    status: 'PENDING',
+    purpose_code: detail.Purpose?.code,
+    version: 1,
+    expires_at: new Date(detail.consentExpiry)
+  });
+};
+
+/**
+ * Find the latest version of a consent by its handle
+ * @param {string} consentHandle - Consent handle
+ * @param {string} userId - Optional owner filter
+ * @returns {ConsentRecord|null}
+ */
+const findLatestByHandle = async (consentHandle, userId = null) => {
+  if (!consentHandle) return null;
+
+  const where = { consent_handle: consentHandle };
+  if (userId) where.user_id = userId;
+
+  return await ConsentRecord.findOne({ where, order: [['version', 'DESC']] });
+};
+
+/**
+ * Find the latest version of a consent by the AA consent ID
+ * @param {string} aaConsentId - Consent ID issued by the AA
+ * @param {string} userId - Optional owner filter
+ * @returns {ConsentRecord|null}
+ */
+const findLatestByConsentId = async (aaConsentId, userId = null) => {
+  if (!aaConsentId) return null;
+
+  const where = { aa_consent_id: aaConsentId };
+  if (userId) where.user_id = userId;
+
+  const record = await ConsentRecord.findOne({ where, order: [['version', 'DESC']] });
+  return record ? await findLatestByHandle(record.consent_handle) : null;
+};
+
+/**
+ * Check whether a consent may move from one status to another
+ * @param {string} from - Current status
+ * @param {string} to - New status
+ * @param {Object} options
+ * @param {boolean} options.resume - The AA reported the consent ACTIVE again (PAUSED -> APPROVED)
+ * @returns {boolean}
+ */
+const canTransition = (from, to, { resume = false } = {}) => {
+  if (from === to) return true;
+  if (TERMINAL_STATUSES.includes(from)) return false;
+  if (from === 'PAUSED') {
+    return TERMINAL_STATUSES.includes(to) || (to === 'APPROVED' && resume);
+  }
+  return true;
+};
+
+/**
+ * Append a version with a new status (no-op if nothing changed or the
+ * change is not allowed, see canTransition)
+ * @param {ConsentRecord} record - Latest version
+ * @param {string} status - New status
+ * @param {Object} details
+ * @param {string} details.aaConsentId - AA consent ID (once approved)
+ * @param {Object} details.aaResponse - AA payload that caused the change
+ * @param {boolean} details.resume - Explicit resume of a PAUSED consent
+ * @returns {ConsentRecord} - Latest version after the change (the record itself if refused)
+ */
+const recordStatus = async (record, status, { aaConsentId, aaResponse, resume = false } = {}) => {
+  const consentIdUnchanged = !aaConsentId || aaConsentId === record.aa_consent_id;
+  if (record.status === status && consentIdUnchanged) {
+    return record;
+  }
+  if (!canTransition(record.status, status, { resume })) {
+    console.warn(`Consent ${record.consent_handle} is ${record.status}; not recording ${status}`);
+    return record;
+  }
+
+  return await record.createNewVersion({
+    status,
+    aa_consent_id: aaConsentId,
+    aa_response: aaResponse
+  });
+};
+
+/**
+ * Append an EXPIRED version if the consent has passed its expiry
+ * @param {ConsentRecord} record - Latest version
+ * @returns {ConsentRecord} - Latest version after the check
+ */
+const expireIfDue = async (record) => {
+  if (TERMINAL_STATUSES.includes(record.status) || new Date(record.expires_at) > new Date()) {
+    return record;
+  }
+
+  return await recordStatus(record, 'EXPIRED', {
+    aaResponse: { reason: 'consentExpiry reached', expiredAt: new Date(record.expires_at).toISOString() }
+  });
+};
+
+/**
+ * Check that no newer version was created from this record
+ * @param {ConsentRecord} record - Consent version
+ * @returns {boolean}
+ */
+const isLatestVersion = async (record) => {
+  return !(await ConsentRecord.findOne({ where: { parent_id: record.id } }));
+};
+
+/**
+ * Expire every consent whose latest version is past its expiry
+ * @returns {number} - Number of consents expired
+ */
+const expireStaleConsents = async () => {
+  const candidates = await ConsentRecord.findAll({
+    where: {
+      status: { [Op.notIn]: TERMINAL_STATUSES },
+      expires_at: { [Op.lte]: new Date() }
+    }
+  });
+
+  let expired = 0;
+  for (const candidate of candidates) {
+    // Older versions of a chain also match; only act on the latest one
+    if (!await isLatestVersion(candidate)) continue;
+
+    await expireIfDue(candidate);
+    expired++;
+  }
+
+  return expired;
+};
+
+/**
+ * Find the latest version of every APPROVED, unexpired consent
+ * @returns {ConsentRecord[]}
+ */
+const findActiveConsents = async () => {
+  const candidates = await ConsentRecord.findAll({
+    where: {
+      status: 'APPROVED',
+      expires_at: { [Op.gt]: new Date() }
+    },
+    order: [['created_at', 'ASC']]
+  });
+
+  const active = [];
+  for (const candidate of candidates) {
+    if (await isLatestVersion(candidate)) active.push(candidate);
+  }
+
+  return active;
+};
+
+/**
+ * Build the API view of a consent from its version history
+ * @param {ConsentRecord[]} history - All versions, oldest first
+ * @returns {Object}
+ */
+const summarizeConsent = (history) => {
+  const latest = history[history.length - 1];
+  const ledger = verifyLedger(history);
+  const timeline = history.map(version => ({
+    id: version.id,
+    version: version.version,
+    status: version.status,
+    dataHash: version.data_hash,
+    parentHash: version.parent_hash || null,
+    integrityVerified: !ledger.issues.some(issue => issue.recordId === version.id),
+    createdAt: version.created_at
+  }));
+
+  return {
+    consentId: latest.aa_consent_id,
+    consentHandle: latest.consent_handle,
+    provider: latest.aa_provider,
+    template: latest.consent_template,
+    status: latest.status,
+    version: latest.version,
+    fiTypes: latest.scopes,
+    purposeCode: latest.purpose_code,
+    fetchType: latest.aa_request?.ConsentDetail?.fetchType || null,
+    expiresAt: latest.expires_at,
+    createdAt: history[0].created_at,
+    updatedAt: latest.created_at,
+    integrityVerified: ledger.valid,
+    history: timeline
+  };
+};
+
+/**
+ * List all consents of a user (latest version + history)
+ * @param {string} userId - User ID
+ * @returns {Object[]}
+ */
+const listUserConsents = async (userId) => {
+  const roots = await ConsentRecord.findAll({
+    where: { user_id: userId, version: 1 },
+    order: [['created_at', 'DESC']]
+  });
+
+  const consents = [];
+  for (const root of roots) {
+    const history = await ConsentRecord.getHistory(root.consent_id);
+    consents.push(summarizeConsent(history));
+  }
+
+  return consents;
+};
+
+/**
+ * Find a user's consent by AA consent ID or consent handle
+ * @param {string} userId - User ID
+ * @param {string} id - AA consent ID or consent handle
+ * @returns {ConsentRecord|null} - Latest version
+ */
+const findUserConsent = async (userId, id) => {
+  return await findLatestByConsentId(id, userId) || await findLatestByHandle(id, userId);
+};
+
+/**
+ * Get one consent of a user (latest version + history)
+ * @param {string} userId - User ID
+ * @param {string} id - AA consent ID or consent handle
+ * @returns {Object|null}
+ */
+const getUserConsent = async (userId, id) => {
+  const latest = await findUserConsent(userId, id);
+  if (!latest) return null;
+
+  // Version 1 uses the consent handle as its consent_id
+  return summarizeConsent(await ConsentRecord.getHistory(latest.consent_handle));
+};
+
+module.exports = {
+  resolveTemplate,
+  listTemplates,
+  createPendingConsent,
+  findLatestByHandle,
+  findLatestByConsentId,
+  canTransition,
+  recordStatus,
+  expireIfDue,
+  expireStaleConsents,
+  findActiveConsents,
+  summarizeConsent,
+  listUserConsents,
+  findUserConsent,
+  getUserConsent,
+  TERMINAL_STATUSES
+};
@@ -0,0 +1,206 @@
+/**
+ * Consent Templates
+ *
+ * A consent template is a named consent shape (purpose, FI types, validity,
+ * data range, DataLife, fetch type). Templates are stored in the
+ * consent_templates table; this module holds the ReBIT vocabulary they are
+ * validated against and turns a template into a ConsentDetail.
+ *
+ * Durations are { unit, value } objects, e.g. { unit: 'DAY', value: 180 }.
+ */
+
+const { AAValidationError } = require('./aaErrors');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// ReBIT purpose codes (https://api.rebit.org.in/aa/purpose/<code>.xml)
+const PURPOSE_CODES = {
+  101: { text: 'Wealth management service', category: 'Personal Finance' },
+  102: { text: 'Customer spending patterns, budget or other reportings', category: 'Personal Finance' },
+  103: { text: 'Aggregated statement', category: 'Personal Finance' },
+  104: { text: 'Explicit consent for monitoring of the accounts', category: 'Account Query and Monitoring' },
+  105: { text: 'Explicit one-time consent for the accounts', category: 'Account Query and Monitoring' }
+};
+
+// ReBIT FI types
+const FI_TYPES = [
+  'DEPOSIT', 'TERM_DEPOSIT', 'RECURRING_DEPOSIT', 'SIP', 'CP', 'GOVT_SECURITIES',
+  'EQUITIES', 'BONDS', 'DEBENTURES', 'MUTUAL_FUNDS', 'ETF', 'IDR', 'CIS', 'AIF',
+  'INSURANCE_POLICIES', 'NPS', 'INVIT', 'REIT', 'CREDIT_CARD', 'GSTR1_3B', 'OTHER'
+];
+
+const CONSENT_TYPES = ['PROFILE', 'SUMMARY', 'TRANSACTIONS'];
+const CONSENT_MODES = ['VIEW', 'STORE', 'QUERY', 'STREAM'];
+const FETCH_TYPES = ['ONETIME', 'PERIODIC'];
+const DURATION_UNITS = ['HOUR', 'DAY', 'MONTH', 'YEAR'];
+const FREQUENCY_UNITS = [...DURATION_UNITS, 'INF'];
+const DATA_LIFE_UNITS = ['DAY', 'MONTH', 'YEAR', 'INF'];
+
+// Purpose codes that only make sense with one fetch type
+const PURPOSE_FETCH_TYPES = {
+  104: 'PERIODIC',
+  105: 'ONETIME'
+};
+
+// Used when no template is chosen and none is stored under the default name
+const DEFAULT_TEMPLATE = {
+  name: 'wealth-management',
+  description: 'Ongoing view of deposit accounts for wealth management',
+  purpose_code: '101',
+  fi_types: ['DEPOSIT'],
+  consent_types: ['TRANSACTIONS', 'PROFILE', 'SUMMARY'],
+  consent_mode: 'VIEW',
+  fetch_type: 'ONETIME',
+  frequency: { unit: 'MONTH', value: 1 },
+  consent_validity: { unit: 'YEAR', value: 1 },
+  data_range: { unit: 'DAY', value: 180 },
+  data_life: { unit: 'MONTH', value: 1 }
+};
+
+/**
+ * Check a { unit, value } duration
+ * @returns {string|null} - Error message, or null if valid
+ */
+const checkDuration = (field, duration, units) => {
+  if (!duration || !units.includes(duration.unit)) {
+    return `${field}.unit must be one of ${units.join(', ')}`;
+  }
+  if (duration.unit !== 'INF' && (!Number.isInteger(duration.value) || duration.value < 1)) {
+    return `${field}.value must be a positive integer`;
+  }
+  return null;
+};
+
+/**
+ * Check a list against a vocabulary
+ * @returns {string|null} - Error message, or null if valid
+ */
+const checkList = (field, values, allowed) => {
+  if (!Array.isArray(values) || values.length === 0) {
+    return `${field} must be a non-empty array`;
+  }
+  const invalid = values.filter(value => !allowed.includes(value));
+  return invalid.length ? `${field} has unsupported values: ${invalid.join(', ')}` : null;
+};
+
+/**
+ * Validate a consent template against the ReBIT vocabulary
+ * @param {Object} template - Template fields
+ * @returns {string[]} - Validation errors (empty when valid)
+ */
+const validateTemplate = (template) => {
+  const errors = [
+    PURPOSE_CODES[template.purpose_code] ? null : `purpose_code must be one of ${Object.keys(PURPOSE_CODES).join(', ')}`,
+    checkList('fi_types', template.fi_types, FI_TYPES),
+    checkList('consent_types', template.consent_types, CONSENT_TYPES),
+    CONSENT_MODES.includes(template.consent_mode) ? null : `consent_mode must be one of ${CONSENT_MODES.join(', ')}`,
+    FETCH_TYPES.includes(template.fetch_type) ? null : `fetch_type must be one of ${FETCH_TYPES.join(', ')}`,
+    checkDuration('frequency', template.frequency, FREQUENCY_UNITS),
+    checkDuration('consent_validity', template.consent_validity, DURATION_UNITS),
+    checkDuration('data_range', template.data_range, DURATION_UNITS),
+    checkDuration('data_life', template.data_life, DATA_LIFE_UNITS)
+  ];
+
+  const requiredFetchType = PURPOSE_FETCH_TYPES[template.purpose_code];
+  if (requiredFetchType && template.fetch_type !== requiredFetchType) {
+    errors.push(`purpose_code ${template.purpose_code} requires fetch_type ${requiredFetchType}`);
+  }
+
+  return errors.filter(Boolean);
+};
+
+/**
+ * Shift a date by a duration
+ * @param {Date} date - Start date
+ * @param {Object} duration - { unit, value }
+ * @param {number} direction - 1 to add, -1 to subtract
+ * @returns {Date}
+ */
+const shiftDate = (date, { unit, value }, direction = 1) => {
+  const next = new Date(date);
+  const amount = value * direction;
+  switch (unit) {
+    case 'HOUR': next.setTime(next.getTime() + amount * HOUR_MS); break;
+    case 'DAY': next.setDate(next.getDate() + amount); break;
+    case 'MONTH': next.setMonth(next.getMonth() + amount); break;
+    case 'YEAR': next.setFullYear(next.getFullYear() + amount); break;
+    default: throw new Error(`Unsupported duration unit: ${unit}`);
+  }
+  return next;
+};
+
+/**
+ * Build the template-driven part of a ConsentDetail
+ * @param {Object} template - Consent template
+ * @param {Object} overrides - Per-request overrides
+ * @param {string[]} overrides.fiTypes - FI types (default: template.fi_types)
+ * @param {Date} overrides.fromDate - FIDataRange start (default: now - template.data_range)
+ * @param {Date} overrides.toDate - FIDataRange end (default: now; consent expiry for PERIODIC,
+ *   so scheduled syncs can keep fetching data that arrives after the consent is initiated)
+ * @param {string} overrides.fetchType - Fetch type (default: template.fetch_type)
+ * @param {Object} overrides.frequency - Frequency (default: template.frequency)
+ * @param {Date} now - Current time
+ * @returns {Object} - ConsentDetail fields (without DataConsumer and Customer)
+ * @throws {AAValidationError} - When the resulting consent shape is invalid
+ */
+const buildConsentDetail = (template, { fiTypes, fromDate, toDate, fetchType, frequency } = {}, now = new Date()) => {
+  const shape = {
+    ...template,
+    fi_types: fiTypes || template.fi_types,
+    fetch_type: fetchType || template.fetch_type,
+    frequency: frequency || template.frequency
+  };
+
+  const errors = validateTemplate(shape);
+  if (errors.length) {
+    throw new AAValidationError(`Invalid consent: ${errors.join('; ')}`, { code: 'InvalidRequest' });
+  }
+
+  const purpose = PURPOSE_CODES[shape.purpose_code];
+  const consentExpiry = shiftDate(now, shape.consent_validity);
+  const defaultToDate = shape.fetch_type === 'PERIODIC' ? consentExpiry : now;
+
+  return {
+    consentStart: now.toISOString(),
+    consentExpiry: consentExpiry.toISOString(),
+    consentMode: shape.consent_mode,
+    fetchType: shape.fetch_type,
+    consentTypes: shape.consent_types,
+    fiTypes: shape.fi_types,
+    Purpose: {
+      code: String(shape.purpose_code),
+      refUri: `https://api.rebit.org.in/aa/purpose/${shape.purpose_code}.xml`,
+      text: purpose.text,
+      Category: {
+        type: purpose.category
+      }
+    },
+    FIDataRange: {
+      from: (fromDate || shiftDate(now, shape.data_range, -1)).toISOString(),
+      to: (toDate || defaultToDate).toISOString()
+    },
+    DataLife: {
+      unit: shape.data_life.unit,
+      value: shape.data_life.unit === 'INF' ? 0 : shape.data_life.value
+    },
+    Frequency: {
+      unit: shape.frequency.unit,
+      value: shape.frequency.value
+    }
+  };
+};
+
+module.exports = {
+  validateTemplate,
+  buildConsentDetail,
+  shiftDate,
+  DEFAULT_TEMPLATE,
+  PURPOSE_CODES,
+  FI_TYPES,
+  CONSENT_TYPES,
+  CONSENT_MODES,
+  FETCH_TYPES,
+  FREQUENCY_UNITS,
+  DURATION_UNITS,
+  DATA_LIFE_UNITS
+};
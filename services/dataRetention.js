@@ -0,0 +1,282 @@
+/**
+ * DataLife Retention Engine
+ *
+ * Transactions, linked accounts, card statements, holdings, insurance
+ * policies and loans fetched under a consent may only be kept
+ * as long as the consent allows:
+ * - DATA_LIFE_EXPIRED - rows received more than DataLife ago (ConsentDetail.DataLife,
+ *                       INF = kept while the consent is not revoked)
+ * - CONSENT_REVOKED   - every row, once the latest consent version is REVOKED
+ *
+ * Expired transactions are deleted, or anonymised (identifying fields and
+ * raw_data stripped, consent and account links dropped) when
+ * AA_RETENTION_MODE=ANONYMIZE. Expired accounts, card statements, holdings,
+ * policies and loans are always deleted.
+ * Every purge is written to DataPurgeLog.
+ *
+ * Environment Variables:
+ *   AA_RETENTION_MODE         - DELETE (default) or ANONYMIZE
+ *   AA_RETENTION_ENABLED      - 'true' to run the retention job with the server
+ *   AA_RETENTION_INTERVAL_MS  - Interval between retention runs (default: 1 hour)
+ */
+
+const { Op, fn, col } = require('sequelize');
+const Transaction = require('../models/Transaction');
+const LinkedAccount = require('../models/LinkedAccount');
+const CardStatement = require('../models/CardStatement');
+const Holding = require('../models/Holding');
+const InsurancePolicy = require('../models/InsurancePolicy');
+const Loan = require('../models/Loan');
+const DataPurgeLog = require('../models/DataPurgeLog');
+const consentService = require('./consentService');
+const { shiftDate } = require('./consentTemplates');
+
+const HOUR_MS = 60 * 60 * 1000;
+const RETENTION_MODES = ['DELETE', 'ANONYMIZE'];
+
+let timer = null;
+let running = false;
+
+/**
+ * Configured retention mode
+ * @returns {string} - DELETE | ANONYMIZE
+ */
+const getRetentionMode = () => {
+  const mode = (process.env.AA_RETENTION_MODE || 'DELETE').toUpperCase();
+  if (!RETENTION_MODES.includes(mode)) {
+    throw new Error(`AA_RETENTION_MODE must be one of ${RETENTION_MODES.join(', ')}`);
+  }
+  return mode;
+};
+
+/**
+ * Work out which of a consent's transactions are past their retention deadline
+ * @param {ConsentRecord} record - Latest consent version
+ * @param {Date} now - Current time
+ * @returns {Object|null} - { reason, dataLife, cutoff }, or null if nothing can be due
+ */
+const resolvePurgePolicy = (record, now) => {
+  const dataLife = record.aa_request?.ConsentDetail?.DataLife || null;
+
+  if (record.status === 'REVOKED') {
+    return { reason: 'CONSENT_REVOKED', dataLife, cutoff: now };
+  }
+
+  if (!dataLife || dataLife.unit === 'INF') {
+    return null;
+  }
+
+  return { reason: 'DATA_LIFE_EXPIRED', dataLife, cutoff: shiftDate(now, dataLife, -1) };
+};
+
+/**
+ * Delete or anonymise a consent's transactions received at or before the cutoff
+ * @param {string} aaConsentId - AA consent ID on the transactions
+ * @param {Date} cutoff - Purge rows created at or before this time
+ * @param {string} mode - DELETE | ANONYMIZE
+ * @param {Date} now - Current time
+ * @returns {number} - Rows purged
+ */
+const purgeTransactions = async (aaConsentId, cutoff, mode, now) => {
+  const where = {
+    consent_id: aaConsentId,
+    created_at: { [Op.lte]: cutoff }
+  };
+
+  if (mode === 'DELETE') {
+    return await Transaction.destroy({ where });
+  }
+
+  // Amount, date and category stay for the user's history; nothing that
+  // identifies the account or counterparty, or links back to the consent
+  const [count] = await Transaction.update({
+    txn_id: fn('concat', 'ANON_', fn('md5', col('txn_id'))),
+    consent_id: null,
+    merchant: null,
+    narration: null,
+    reference: null,
+    source_account: null,
+    linked_account_id: null,
+    insurance_policy_id: null,
+    balance: null,
+    raw_data: null,
+    anonymized_at: now
+  }, { where });
+  return count;
+};
+
+// Rows kept per account rather than per transaction, purged by their last
+// sync. Card statements go before accounts: the account delete would cascade
+// to them uncounted.
+const SYNCED_MODELS = [
+  ['statementCount', CardStatement],
+  ['holdingCount', Holding],
+  ['policyCount', InsurancePolicy],
+  ['loanCount', Loan],
+  ['accountCount', LinkedAccount]
+];
+
+const syncedWhere = (aaConsentId, cutoff) => ({
+  consent_id: aaConsentId,
+  last_synced_at: { [Op.lte]: cutoff }
+});
+
+const zeroCounts = () => Object.fromEntries(SYNCED_MODELS.map(([name]) => [name, 0]));
+
+/**
+ * Count or delete a consent's synced rows (accounts, statements, holdings, policies, loans)
+ * last synced at or before the cutoff
+ * @param {string} aaConsentId - AA consent ID of the rows' latest fetch
+ * @param {Date} cutoff - Purge rows synced at or before this time
+ * @param {boolean} dryRun - Only count
+ * @returns {Object} - { accountCount, statementCount, holdingCount, policyCount, loanCount }
+ */
+const purgeSyncedRows = async (aaConsentId, cutoff, dryRun) => {
+  const counts = {};
+  for (const [name, Model] of SYNCED_MODELS) {
+    const where = syncedWhere(aaConsentId, cutoff);
+    counts[name] = dryRun ? await Model.count({ where }) : await Model.destroy({ where });
+  }
+  return counts;
+};
+
+/**
+ * Purge one consent's expired data and log it
+ * @param {ConsentRecord} record - Latest consent version
+ * @param {Object} options
+ * @param {Date} options.now - Current time
+ * @param {string} options.mode - DELETE | ANONYMIZE (default: AA_RETENTION_MODE)
+ * @param {string} options.triggeredBy - SCHEDULER | REVOCATION | SCRIPT
+ * @param {boolean} options.dryRun - Only count the rows that would be purged
+ * @returns {Object} - { consentId, status: PURGED | DUE (dry run) | NOTHING_DUE | SKIPPED, reason, count, accountCount, statementCount, holdingCount, policyCount, loanCount }
+ */
+const purgeConsentData = async (record, { now = new Date(), mode = getRetentionMode(), triggeredBy = 'SCHEDULER', dryRun = false } = {}) => {
+  const consentId = record.aa_consent_id;
+  const policy = resolvePurgePolicy(record, now);
+
+  if (!consentId || !policy) {
+    return { consentId, status: 'SKIPPED', reason: consentId ? 'infinite_data_life' : 'no_consent_id', count: 0, ...zeroCounts() };
+  }
+
+  if (dryRun) {
+    const count = await Transaction.count({
+      where: { consent_id: consentId, created_at: { [Op.lte]: policy.cutoff } }
+    });
+    const counts = await purgeSyncedRows(consentId, policy.cutoff, true);
+    const due = count || Object.values(counts).some(Boolean);
+    return { consentId, status: due ? 'DUE' : 'NOTHING_DUE', reason: policy.reason, count, ...counts };
+  }
+
+  const count = await purgeTransactions(consentId, policy.cutoff, mode, now);
+  const counts = await purgeSyncedRows(consentId, policy.cutoff, false);
+  if (!count && !Object.values(counts).some(Boolean)) {
+    return { consentId, status: 'NOTHING_DUE', reason: policy.reason, count: 0, ...zeroCounts() };
+  }
+
+  await DataPurgeLog.create({
+    user_id: record.user_id,
+    consent_handle: record.consent_handle,
+    aa_consent_id: consentId,
+    reason: policy.reason,
+    action: mode,
+    data_life: policy.dataLife,
+    cutoff: policy.cutoff,
+    transaction_count: count,
+    account_count: counts.accountCount,
+    statement_count: counts.statementCount,
+    holding_count: counts.holdingCount,
+    policy_count: counts.policyCount,
+    loan_count: counts.loanCount,
+    triggered_by: triggeredBy
+  });
+
+  return { consentId, status: 'PURGED', reason: policy.reason, action: mode, count, ...counts };
+};
+
+/**
+ * Distinct AA consent IDs still referenced by a model's rows
+ */
+const findConsentIds = async (Model) => {
+  const rows = await Model.findAll({
+    attributes: [[fn('DISTINCT', col('consent_id')), 'consent_id']],
+    where: { consent_id: { [Op.ne]: null } },
+    raw: true
+  });
+  return rows.map(row => row.consent_id);
+};
+
+/**
+ * Run retention over every consent that still has transactions or synced rows
+ * @param {Object} options - See purgeConsentData
+ * @returns {Object[]} - Per-consent results
+ */
+const runRetention = async (options = {}) => {
+  const mode = options.mode || getRetentionMode();
+
+  const consentIds = new Set(await findConsentIds(Transaction));
+  for (const [, Model] of SYNCED_MODELS) {
+    for (const consentId of await findConsentIds(Model)) consentIds.add(consentId);
+  }
+
+  const results = [];
+  for (const consentId of consentIds) {
+    const record = await consentService.findLatestByConsentId(consentId);
+    if (!record) {
+      // No consent version to read DataLife from; left for manual review
+      results.push({ consentId, status: 'SKIPPED', reason: 'unknown_consent', count: 0, ...zeroCounts() });
+      continue;
+    }
+
+    try {
+      results.push(await purgeConsentData(record, { ...options, mode }));
+    } catch (error) {
+      results.push({ consentId, status: 'FAILED', error: error.message, count: 0, ...zeroCounts() });
+    }
+  }
+
+  return results;
+};
+
+/**
+ * Start running retention on an interval (overlapping runs are skipped)
+ * @param {Object} options
+ * @param {number} options.intervalMs - Interval between runs
+ */
+const start = ({ intervalMs = parseInt(process.env.AA_RETENTION_INTERVAL_MS || `${HOUR_MS}`, 10) } = {}) => {
+  if (timer) return;
+
+  getRetentionMode();
+  timer = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      const results = await runRetention();
+      const purged = results.reduce((total, r) => total + (r.status === 'PURGED' ? r.count : 0), 0);
+      const failed = results.filter(r => r.status === 'FAILED').length;
+      console.log(`🧹 DataLife retention: ${purged} transactions purged, ${failed} consents failed`);
+    } catch (error) {
+      console.error('DataLife retention error:', error);
+    } finally {
+      running = false;
+    }
+  }, intervalMs);
+  timer.unref();
+};
+
+/**
+ * Stop the retention job
+ */
+const stop = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+module.exports = {
+  getRetentionMode,
+  resolvePurgePolicy,
+  purgeConsentData,
+  runRetention,
+  start,
+  stop,
+  RETENTION_MODES
+};
@@ -0,0 +1,211 @@
+/**
+ * FI Access Log Service
+ *
+ * Audit trail of FI data access, as the AA framework requires: which FI
+ * data we requested, fetched and stored, for which consent and purpose,
+ * when, and for whom. Each step of an FI session is one append-only
+ * FIAccessLog row:
+ * - FI_REQUESTED - FI/request accepted by the AA (session ID, date range)
+ * - FI_FETCHED   - FI/fetch decrypted (FIPs, account count)
+ * - FI_STORED    - parsed rows saved (counts per kind)
+ * - FI_FAILED    - FI/request, FI/fetch or parsing failed
+ *
+ * Failures to write the log are not swallowed: FI data is never handled
+ * without an audit entry.
+ */
+
+const { Op } = require('sequelize');
+const FIAccessLog = require('../models/FIAccessLog');
+
+// Requester recorded for system-initiated fetches, by FISession source
+const SYSTEM_REQUESTERS = {
+  SYNC: 'SYNC_SCHEDULER'
+};
+
+const EXPORT_FIELDS = [
+  'created_at',
+  'event',
+  'user_id',
+  'aa_consent_id',
+  'consent_handle',
+  'aa_provider',
+  'purpose_code',
+  'session_id',
+  'txn_id',
+  'fip_ids',
+  'data_range_from',
+  'data_range_to',
+  'record_counts',
+  'requested_by_type',
+  'requested_by',
+  'error'
+];
+
+/**
+ * Who asked for an FI fetch
+ * @param {string} source - FISession source (MANUAL | SYNC)
+ * @param {string} userId - Consent owner
+ * @returns {Object} - { requested_by_type, requested_by }
+ */
+const actorFor = (source, userId) => {
+  const job = SYSTEM_REQUESTERS[source];
+  return job
+    ? { requested_by_type: 'SYSTEM', requested_by: job }
+    : { requested_by_type: 'USER', requested_by: userId };
+};
+
+/**
+ * Append an FI access entry
+ * @param {string} event - FI_REQUESTED | FI_FETCHED | FI_STORED | FI_FAILED
+ * @param {Object} params
+ * @param {ConsentRecord} params.record - Consent the data was fetched under
+ * @param {FISession} params.session - FI session (absent when FI/request failed)
+ * @param {string} params.source - MANUAL | SYNC (default: the session's source)
+ * @param {Object} params.range - { from, to } (default: the session's data range)
+ * @param {string[]} params.fipIds - FIPs the data came from
+ * @param {Object} params.counts - Record counts
+ * @param {Error} params.error - Failure, for FI_FAILED
+ * @returns {FIAccessLog}
+ */
+const recordAccess = async (event, { record, session, source, range, fipIds, counts, error }) => {
+  const userId = record?.user_id || session?.user_id;
+
+  return await FIAccessLog.create({
+    user_id: userId,
+    event,
+    aa_consent_id: record?.aa_consent_id || session?.consent_id,
+    consent_handle: record?.consent_handle || null,
+    aa_provider: record?.aa_provider || null,
+    purpose_code: record?.purpose_code || null,
+    session_id: session?.session_id || null,
+    txn_id: session?.txn_id || null,
+    fip_ids: fipIds || null,
+    data_range_from: range?.from || session?.data_range_from || null,
+    data_range_to: range?.to || session?.data_range_to || null,
+    record_counts: counts || null,
+    ...actorFor(source || session?.source, userId),
+    error: error ? { message: error.message, code: error.code || null } : null
+  });
+};
+
+/**
+ * Record counts for FI_STORED
+ * @param {Object} result - processAAResponse result
+ * @returns {Object}
+ */
+const storedCounts = (result) => ({
+  accounts: result.accounts,
+  transactions: result.totalParsed,
+  saved: result.saved,
+  skipped: result.skipped,
+  cardStatements: result.cardStatements,
+  holdings: result.holdings,
+  insurancePolicies: result.insurancePolicies,
+  loans: result.loans
+});
+
+/**
+ * Build the where clause for access log queries
+ * @param {Object} filters - { userId, consentId, from, to }
+ * @returns {Object}
+ */
+const buildWhere = ({ userId, consentId, from, to } = {}) => {
+  const where = {};
+  if (userId) where.user_id = userId;
+  if (consentId) where.aa_consent_id = consentId;
+  if (from || to) {
+    where.created_at = {};
+    if (from) where.created_at[Op.gte] = new Date(from);
+    if (to) where.created_at[Op.lte] = new Date(to);
+  }
+  return where;
+};
+
+/**
+ * Client-facing view of an access log entry
+ * @param {FIAccessLog} entry
+ * @returns {Object}
+ */
+const summarizeEntry = (entry) => ({
+  id: entry.id,
+  event: entry.event,
+  consentId: entry.aa_consent_id,
+  consentHandle: entry.consent_handle,
+  provider: entry.aa_provider,
+  purposeCode: entry.purpose_code,
+  sessionId: entry.session_id,
+  fipIds: entry.fip_ids || [],
+  dataRange: {
+    from: entry.data_range_from,
+    to: entry.data_range_to
+  },
+  recordCounts: entry.record_counts,
+  requestedBy: {
+    type: entry.requested_by_type,
+    id: entry.requested_by
+  },
+  error: entry.error,
+  createdAt: entry.created_at
+});
+
+/**
+ * List a user's FI access log, newest first
+ * @param {string} userId - User ID
+ * @param {Object} filters
+ * @param {string} filters.consentId - Only entries for this AA consent ID
+ * @param {string} filters.from - Only entries at or after this date
+ * @param {string} filters.to - Only entries at or before this date
+ * @returns {Object[]} - Entry summaries
+ */
+const listUserAccessLog = async (userId, { consentId, from, to } = {}) => {
+  const entries = await FIAccessLog.findAll({
+    where: buildWhere({ userId, consentId, from, to }),
+    order: [['created_at', 'DESC']],
+    limit: 500
+  });
+  return entries.map(summarizeEntry);
+};
+
+/**
+ * Export raw access log entries, oldest first (admin / auditor use)
+ * @param {Object} filters - { userId, consentId, from, to }
+ * @returns {Object[]} - Plain rows
+ */
+const exportAccessLog = async (filters = {}) => {
+  const entries = await FIAccessLog.findAll({
+    where: buildWhere(filters),
+    order: [['created_at', 'ASC']],
+    raw: true
+  });
+  return entries.map(entry => Object.fromEntries(EXPORT_FIELDS.map(field => [field, entry[field] ?? null])));
+};
+
+/**
+ * Render exported entries as CSV (JSON columns are serialised)
+ * @param {Object[]} rows - exportAccessLog result
+ * @returns {string}
+ */
+const toCsv = (rows) => {
+  const cell = (value) => {
+    if (value === null || value === undefined) return '';
+    const text = value instanceof Date
+      ? value.toISOString()
+      : typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  return [
+    EXPORT_FIELDS.join(','),
+    ...rows.map(row => EXPORT_FIELDS.map(field => cell(row[field])).join(','))
+  ].join('\n');
+};
+
+module.exports = {
+  actorFor,
+  recordAccess,
+  storedCounts,
+  listUserAccessLog,
+  exportAccessLog,
+  toCsv,
+  EXPORT_FIELDS
+};
@@ -0,0 +1,246 @@
+/**
+ * FI Data Encryption Service
+ *
+ * Implements the ReBIT FI data encryption scheme:
+ * - Ephemeral X25519 (Curve25519) key pair + 32-byte nonce per FI session
+ * - Shared secret via ECDH between FIU and FIP keys
+ * - XOR of FIU and FIP nonces: first 20 bytes = HKDF salt, last 12 bytes = GCM IV
+ * - Session key = HKDF-SHA256(sharedSecret, salt) (32 bytes)
+ * - encryptedFI = base64(AES-256-GCM ciphertext || 16-byte auth tag)
+ *
+ * Session private keys are only ever persisted sealed with AES-256-GCM
+ * under the key-encryption key.
+ *
+ * Environment Variables:
+ *   AA_KEY_ENCRYPTION_KEY - 32-byte key (base64) used to seal session private keys
+ */
+
+const crypto = require('crypto');
+
+const NONCE_BYTES = 32;
+const SALT_BYTES = 20;
+const IV_BYTES = 12;
+const TAG_BYTES = 16;
+const KEY_BYTES = 32;
+const KEY_EXPIRY_MS = 24 * 60 * 60 * 1000;
+
+let keyEncryptionKey = null;
+
+/**
+ * Get the key-encryption key used to seal session private keys
+ * @returns {Buffer} - 32-byte key
+ * @throws {Error} - When AA_KEY_ENCRYPTION_KEY is missing or malformed
+ */
+const getKeyEncryptionKey = () => {
+  if (!keyEncryptionKey) {
+    const configured = process.env.AA_KEY_ENCRYPTION_KEY;
+    if (!configured) {
+      throw new Error('AA_KEY_ENCRYPTION_KEY is not configured');
+    }
+    keyEncryptionKey = Buffer.from(configured, 'base64');
+  }
+
+  if (keyEncryptionKey.length !== KEY_BYTES) {
+    throw new Error('AA_KEY_ENCRYPTION_KEY must be 32 bytes (base64 encoded)');
+  }
+  return keyEncryptionKey;
+};
+
+/**
+ * Override the key-encryption key (tests and tooling)
+ * @param {Buffer|null} key - 32-byte key, or null to reload from env
+ */
+const setKeyEncryptionKey = (key) => {
+  keyEncryptionKey = key;
+};
+
+/**
+ * Generate an ephemeral X25519 key pair and nonce for an FI session
+ * @returns {Object} - { privateKey, keyMaterial } where keyMaterial is the ReBIT KeyMaterial block
+ */
+const generateKeyMaterial = () => {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('x25519');
+  const nonce = crypto.randomBytes(NONCE_BYTES);
+
+  return {
+    privateKey,
+    keyMaterial: {
+      cryptoAlg: 'ECDH',
+      curve: 'Curve25519',
+      params: 'cipher=AES/GCM/NoPadding;KeyPairGenerator=ECDH',
+      DHPublicKey: {
+        expiry: new Date(Date.now() + KEY_EXPIRY_MS).toISOString(),
+        Parameters: '',
+        KeyValue: publicKey.export({ type: 'spki', format: 'pem' })
+      },
+      Nonce: nonce.toString('base64')
+    }
+  };
+};
+
+/**
+ * Parse a DHPublicKey.KeyValue (PEM, or base64 SPKI DER)
+ * @param {string} keyValue - Public key value
+ * @returns {KeyObject}
+ */
+const parsePublicKey = (keyValue) => {
+  if (keyValue.includes('BEGIN PUBLIC KEY')) {
+    return crypto.createPublicKey(keyValue);
+  }
+  return crypto.createPublicKey({ key: Buffer.from(keyValue, 'base64'), format: 'der', type: 'spki' });
+};
+
+/**
+ * Derive the AES session key and IV from our key and the remote KeyMaterial
+ * @param {KeyObject} privateKey - Our X25519 private key
+ * @param {string} ourNonce - Our nonce (base64)
+ * @param {Object} remoteKeyMaterial - Remote KeyMaterial block
+ * @returns {Object} - { key, iv }
+ */
+const deriveSessionKey = (privateKey, ourNonce, remoteKeyMaterial) => {
+  const remotePublicKey = parsePublicKey(remoteKeyMaterial.DHPublicKey.KeyValue);
+  const sharedSecret = crypto.diffieHellman({ privateKey, publicKey: remotePublicKey });
+
+  const ours = Buffer.from(ourNonce, 'base64');
+  const theirs = Buffer.from(remoteKeyMaterial.Nonce, 'base64');
+  if (ours.length !== NONCE_BYTES || theirs.length !== NONCE_BYTES) {
+    throw new Error(`Nonces must be ${NONCE_BYTES} bytes`);
+  }
+
+  const xored = Buffer.alloc(NONCE_BYTES);
+  for (let i = 0; i < NONCE_BYTES; i++) {
+    xored[i] = ours[i] ^ theirs[i];
+  }
+
+  const salt = xored.subarray(0, SALT_BYTES);
+  const iv = xored.subarray(NONCE_BYTES - IV_BYTES);
+  const key = Buffer.from(crypto.hkdfSync('sha256', sharedSecret, salt, Buffer.alloc(0), KEY_BYTES));
+
+  return { key, iv };
+};
+
+/**
+ * Encrypt FI data (FIP side, used by the mock AA server)
+ * @param {Object} data - FI JSON
+ * @param {Object} sessionKey - { key, iv }
+ * @returns {string} - base64(ciphertext || tag)
+ */
+const encryptFI = (data, { key, iv }) => {
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const ciphertext = Buffer.concat([cipher.update(JSON.stringify(data), 'utf-8'), cipher.final()]);
+  return Buffer.concat([ciphertext, cipher.getAuthTag()]).toString('base64');
+};
+
+/**
+ * Decrypt an encryptedFI blob
+ * @param {string} encryptedFI - base64(ciphertext || tag)
+ * @param {Object} sessionKey - { key, iv }
+ * @returns {Object} - FI JSON
+ * @throws {Error} - When the auth tag does not verify
+ */
+const decryptFI = (encryptedFI, { key, iv }) => {
+  const buffer = Buffer.from(encryptedFI, 'base64');
+  const ciphertext = buffer.subarray(0, buffer.length - TAG_BYTES);
+  const tag = buffer.subarray(buffer.length - TAG_BYTES);
+
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+  decipher.setAuthTag(tag);
+  const plaintext = Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+
+  return JSON.parse(plaintext.toString('utf-8'));
+};
+
+/**
+ * Seal a session private key for storage
+ * @param {KeyObject} privateKey - X25519 private key
+ * @returns {string} - iv.tag.ciphertext (base64 parts)
+ */
+const sealPrivateKey = (privateKey) => {
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getKeyEncryptionKey(), iv);
+  const der = privateKey.export({ type: 'pkcs8', format: 'der' });
+  const ciphertext = Buffer.concat([cipher.update(der), cipher.final()]);
+
+  return [iv, cipher.getAuthTag(), ciphertext].map(part => part.toString('base64')).join('.');
+};
+
+/**
+ * Open a sealed session private key
+ * @param {string} sealed - Output of sealPrivateKey
+ * @returns {KeyObject} - X25519 private key
+ */
+const openPrivateKey = (sealed) => {
+  const [iv, tag, ciphertext] = sealed.split('.').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getKeyEncryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  const der = Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+
+  return crypto.createPrivateKey({ key: der, format: 'der', type: 'pkcs8' });
+};
+
+/**
+ * Decrypt an AA FI/fetch response into the shape parseBankStatement expects:
+ * { FI: [{ fipId, data: [{ linkRefNumber, maskedAccNumber, Account }] }] }
+ *
+ * @param {Object} response - AA FI/fetch response
+ * @param {Object} sessionKeys - { sealedPrivateKey, nonce } from fetchData
+ * @returns {Object} - Decrypted FI response
+ */
+const decryptFIResponse = (response, { sealedPrivateKey, nonce }) => {
+  const privateKey = openPrivateKey(sealedPrivateKey);
+
+  const FI = (response?.FI || []).map(fi => {
+    const sessionKey = fi.KeyMaterial ? deriveSessionKey(privateKey, nonce, fi.KeyMaterial) : null;
+
+    const data = (fi.data || []).map(entry => {
+      if (!entry.encryptedFI) return entry;
+      if (!sessionKey) {
+        throw new Error(`Missing KeyMaterial for FIP ${fi.fipID || fi.fipId}`);
+      }
+
+      const { encryptedFI, ...meta } = entry;
+      return { ...meta, ...decryptFI(encryptedFI, sessionKey) };
+    });
+
+    return { fipId: fi.fipId || fi.fipID, data };
+  });
+
+  return { ...response, FI };
+};
+
+/**
+ * Encrypt plain FI entries into an FI/fetch response (FIP side, used by the
+ * mock AA server and the sandbox provider). Each FIP encrypts with its own
+ * ephemeral key pair.
+ * @param {Object[]} plainFI - [{ fipId, data: [{ linkRefNumber, maskedAccNumber, Account }] }]
+ * @param {Object} remoteKeyMaterial - KeyMaterial the FIU sent in FI/request
+ * @returns {Object[]} - FI array of the FI/fetch response
+ */
+const encryptFIResponse = (plainFI, remoteKeyMaterial) => {
+  return plainFI.map(fi => {
+    const fip = generateKeyMaterial();
+    const sessionKey = deriveSessionKey(fip.privateKey, fip.keyMaterial.Nonce, remoteKeyMaterial);
+
+    return {
+      fipID: fi.fipId,
+      data: fi.data.map(({ linkRefNumber, maskedAccNumber, ...payload }) => ({
+        linkRefNumber,
+        maskedAccNumber,
+        encryptedFI: encryptFI(payload, sessionKey)
+      })),
+      KeyMaterial: fip.keyMaterial
+    };
+  });
+};
+
+module.exports = {
+  generateKeyMaterial,
+  deriveSessionKey,
+  encryptFI,
+  decryptFI,
+  sealPrivateKey,
+  openPrivateKey,
+  encryptFIResponse,
+  decryptFIResponse,
+  setKeyEncryptionKey
+};
@@ -0,0 +1,428 @@
+/**
+ * FI Ingestion Service
+ *
+ * Pulls FI data for an approved consent and saves it as transactions,
+ * recording each run as an FISession the client can poll:
+ *   PENDING (FI/request sent) -> FETCHING (FI/fetch) -> PROCESSING (parse/save)
+ *   -> COMPLETED | FAILED
+ *
+ * Used by POST /api/aa/data/fetch and POST /api/aa/bank-statement (source
+ * MANUAL) and the periodic sync scheduler (source SYNC). Every step is also
+ * written to the FI access log (see fiAccessLog.js).
+ *
+ * The AA may still be collecting data from the FIPs when FI/fetch is first
+ * called (DataFetchRequestInProgress). The direct path retries a few times
+ * and otherwise leaves the session PENDING. Once the AA's FI/Notification
+ * marks a session READY it is ingested by ingestReadySession; the sync
+ * scheduler also picks up READY sessions that were left over.
+ *
+ * A session is claimed (PENDING/READY -> FETCHING) with a conditional update,
+ * so it is never ingested twice.
+ *
+ * The sync scheduler re-polls PENDING sessions whose notification never came
+ * and expires sessions that are still open after AA_FI_SESSION_TTL_MS. A
+ * SYNC session that was left pending settles its ConsentSync when it
+ * completes, fails or expires (see settleSync).
+ *
+ * Environment Variables:
+ *   AA_FI_FETCH_ATTEMPTS - FI/fetch attempts while data is not ready (default: 3)
+ *   AA_FI_FETCH_RETRY_MS - Delay between those attempts (default: 2000)
+ *   AA_FI_SESSION_TTL_MS - Age after which an unfinished session is expired (default: 24 hours)
+ */
+
+const { Op } = require('sequelize');
+const FISession = require('../models/FISession');
+const ConsentSync = require('../models/ConsentSync');
+const aaAdapter = require('./aaAdapter');
+const consentService = require('./consentService');
+const fiAccessLog = require('./fiAccessLog');
+const { processAAResponse } = require('./aaDataParser');
+
+// Sessions in these states can be picked up for fetching
+const CLAIMABLE_STATUSES = ['PENDING', 'READY'];
+// Sessions whose data may still be fetched
+const OPEN_STATUSES = ['PENDING', 'READY', 'FETCHING', 'PROCESSING'];
+// AA error codes meaning FI data is not ready to be fetched yet
+const DATA_NOT_READY_CODES = ['DataFetchRequestInProgress'];
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const getFetchAttempts = () => parseInt(process.env.AA_FI_FETCH_ATTEMPTS, 10) || 3;
+const getFetchRetryMs = () => parseInt(process.env.AA_FI_FETCH_RETRY_MS || '2000', 10);
+const getSessionTtlMs = () => parseInt(process.env.AA_FI_SESSION_TTL_MS, 10) || 24 * HOUR_MS;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Whether an FI/fetch error means the data is not ready yet
+ * @param {Error} error
+ * @returns {boolean}
+ */
+const isDataNotReady = (error) => DATA_NOT_READY_CODES.includes(error?.code);
+
+/**
+ * Record a new FI data session
+ * @param {Object} params
+ * @param {string} params.userId - User ID
+ * @param {string} params.consentId - AA consent ID
+ * @param {Object} params.dataSession - Result of provider.fetchData
+ * @param {string} params.source - MANUAL | SYNC
+ * @returns {FISession}
+ */
+const createSession = async ({ userId, consentId, dataSession, source = 'MANUAL' }) => {
+  return await FISession.create({
+    session_id: dataSession.sessionId,
+    user_id: userId,
+    consent_id: consentId,
+    txn_id: dataSession.txnId,
+    status: 'PENDING',
+    source,
+    sealed_private_key: dataSession.sessionKeys.sealedPrivateKey,
+    key_nonce: dataSession.sessionKeys.nonce,
+    data_range_from: new Date(dataSession.request.FIDataRange.from),
+    data_range_to: new Date(dataSession.request.FIDataRange.to)
+  });
+};
+
+/**
+ * Send FI/request for a consent and record the session
+ * @param {Object} params
+ * @param {ConsentRecord} params.record - Latest usable consent version
+ * @param {Object} params.range - { fromDate, toDate } (default: provider's default range)
+ * @param {string} params.source - MANUAL | SYNC
+ * @returns {Object} - { provider, dataSession, session }
+ */
+const requestSession = async ({ record, range = {}, source = 'MANUAL' }) => {
+  const provider = aaAdapter.forProvider(record.aa_provider);
+
+  let dataSession;
+  try {
+    dataSession = await provider.fetchData(record.aa_consent_id, range);
+  } catch (error) {
+    await fiAccessLog.recordAccess('FI_FAILED', {
+      record,
+      source,
+      range: { from: range.fromDate, to: range.toDate },
+      error
+    });
+    throw error;
+  }
+
+  const session = await createSession({
+    userId: record.user_id,
+    consentId: record.aa_consent_id,
+    dataSession,
+    source
+  });
+  await fiAccessLog.recordAccess('FI_REQUESTED', { record, session });
+
+  return { provider, dataSession, session };
+};
+
+/**
+ * FIPs and accounts in a decrypted FI response
+ * @param {Object} data - Decrypted AA FI response ({ FI: [{ fipId, data: [...] }] })
+ * @returns {Object} - { fipIds, accountCount }
+ */
+const countAccounts = (data) => {
+  const fis = data?.FI || [];
+  return {
+    fipIds: [...new Set(fis.map(fi => fi.fipId).filter(Boolean))],
+    accountCount: fis.reduce((count, fi) => count + (fi.data || []).length, 0)
+  };
+};
+
+/**
+ * Client-facing view of a session (never includes the sealed keys)
+ * @param {FISession} session
+ * @returns {Object}
+ */
+const summarizeSession = (session) => ({
+  sessionId: session.session_id,
+  consentId: session.consent_id,
+  source: session.source,
+  status: session.status,
+  fipIds: session.fip_ids || [],
+  accountCount: session.account_count,
+  transactionCount: session.transaction_count,
+  saved: session.saved_count,
+  skipped: session.skipped_count,
+  errors: session.errors || [],
+  dataRange: {
+    from: session.data_range_from,
+    to: session.data_range_to
+  },
+  createdAt: session.created_at,
+  completedAt: session.completed_at
+});
+
+/**
+ * Settle the periodic sync that is waiting on a SYNC session. COMPLETED
+ * moves last_synced_at to the end of the session's range; FAILED and
+ * EXPIRED leave it, so the next cycle requests the same window again.
+ * Syncs not waiting on this session (e.g. still RUNNING it) are left alone.
+ * @param {FISession} session - Session in a final status
+ * @param {Object} result - processAAResponse result (COMPLETED only)
+ */
+const settleSync = async (session, result = null) => {
+  if (session.source !== 'SYNC') return;
+
+  const values = session.status === 'COMPLETED'
+    ? {
+      status: 'SUCCESS',
+      last_synced_at: session.data_range_to,
+      last_error: null,
+      last_result: { sessionId: session.session_id, ...result }
+    }
+    : { status: 'FAILED', last_error: `FI session ${session.session_id} ${session.status.toLowerCase()}` };
+
+  await ConsentSync.update(values, {
+    where: { status: 'PENDING', last_result: { sessionId: session.session_id } }
+  });
+};
+
+/**
+ * Claim a session for fetching
+ * @param {FISession} session
+ * @returns {boolean} - False if another run already has it
+ */
+const claimSession = async (session) => {
+  const [count] = await FISession.update(
+    { status: 'FETCHING' },
+    { where: { id: session.id, status: CLAIMABLE_STATUSES } }
+  );
+  if (count === 0) return false;
+
+  session.status = 'FETCHING';
+  return true;
+};
+
+/**
+ * Fetch, decrypt, parse and save the data of a recorded session
+ * @param {FISession} session - Session created by createSession
+ * @param {Object} provider - AA provider the session was requested from
+ * @param {ConsentRecord} record - Consent the session was requested under
+ * @returns {Object|null} - processAAResponse result, or null if another run has the session
+ * @throws {Error} - After marking the session FAILED; or, when the data is not
+ *   ready yet (see isDataNotReady), after returning it to PENDING
+ */
+const ingestSession = async (session, provider, record) => {
+  if (!(await claimSession(session))) {
+    return null;
+  }
+
+  let result;
+  try {
+    let data;
+    try {
+      data = await provider.fetchSessionData(session.session_id, session.getSessionKeys());
+    } catch (error) {
+      if (isDataNotReady(error)) {
+        // Not a failure: the AA notifies READY once the FIPs have delivered
+        await session.update({ status: 'PENDING' });
+      }
+      throw error;
+    }
+
+    const { fipIds, accountCount } = countAccounts(data);
+    await fiAccessLog.recordAccess('FI_FETCHED', { record, session, fipIds, counts: { accounts: accountCount } });
+    await session.update({ status: 'PROCESSING', fip_ids: fipIds, account_count: accountCount });
+
+    result = await processAAResponse(data, session.user_id, session.consent_id);
+    await fiAccessLog.recordAccess('FI_STORED', { record, session, fipIds, counts: fiAccessLog.storedCounts(result) });
+
+    await session.update({
+      status: 'COMPLETED',
+      transaction_count: result.totalParsed,
+      saved_count: result.saved,
+      skipped_count: result.skipped,
+      errors: result.errors,
+      completed_at: new Date()
+    });
+  } catch (error) {
+    if (isDataNotReady(error)) throw error;
+
+    await session.update({
+      status: 'FAILED',
+      errors: [{ error: error.message, code: error.code || null }],
+      completed_at: new Date()
+    });
+    await fiAccessLog.recordAccess('FI_FAILED', { record, session, fipIds: session.fip_ids, error });
+    await settleSync(session);
+    throw error;
+  }
+
+  await settleSync(session, result);
+  return result;
+};
+
+/**
+ * Request, fetch and save FI data for a consent
+ * @param {Object} params
+ * @param {ConsentRecord} params.record - Latest usable consent version
+ * @param {Object} params.range - { fromDate, toDate } (default: provider's default range)
+ * @param {string} params.source - MANUAL | SYNC
+ * @returns {Object} - { session, result, pending }. When the data is not ready
+ *   yet, result is null and pending is true: the session is ingested once the
+ *   AA notifies it READY.
+ * @throws {Error} - With error.sessionId set once a session was recorded
+ */
+const ingestBankStatement = async ({ record, range = {}, source = 'MANUAL' }) => {
+  const { provider, session } = await requestSession({ record, range, source });
+  const attempts = getFetchAttempts();
+
+  try {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        const result = await ingestSession(session, provider, record);
+        return { session: summarizeSession(session), result, pending: result === null };
+      } catch (error) {
+        if (!isDataNotReady(error)) throw error;
+        if (attempt >= attempts) {
+          return { session: summarizeSession(session), result: null, pending: true };
+        }
+        await sleep(getFetchRetryMs());
+      }
+    }
+  } catch (error) {
+    error.sessionId = session.session_id;
+    throw error;
+  }
+};
+
+/**
+ * Ingest a session the AA has marked READY (or re-poll a PENDING one)
+ * @param {FISession} session - READY or PENDING session
+ * @returns {Object|null} - processAAResponse result, or null if it was not ingested here
+ */
+const ingestReadySession = async (session) => {
+  const record = await consentService.findLatestByConsentId(session.consent_id, session.user_id);
+  if (!record) {
+    await session.update({
+      status: 'FAILED',
+      errors: [{ error: 'Consent not found', code: 'InvalidConsentId' }],
+      completed_at: new Date()
+    });
+    return null;
+  }
+
+  try {
+    return await ingestSession(session, aaAdapter.forProvider(record.aa_provider), record);
+  } catch (error) {
+    // Not ready after all: leave it for the next READY notification or sweep
+    if (isDataNotReady(error)) return null;
+    throw error;
+  }
+};
+
+/**
+ * Ingest READY sessions whose notification-triggered run did not happen
+ * (e.g. after a restart) and re-poll PENDING sessions whose READY
+ * notification never came
+ * @param {Object} options
+ * @param {number} options.limit - Sessions per run
+ * @returns {Object[]} - [{ sessionId, status, error? }]
+ */
+const ingestWaitingSessions = async ({ limit = 20 } = {}) => {
+  const sessions = await FISession.findAll({
+    where: { status: CLAIMABLE_STATUSES },
+    order: [['created_at', 'ASC']],
+    limit
+  });
+
+  const results = [];
+  for (const session of sessions) {
+    try {
+      await ingestReadySession(session);
+      results.push({ sessionId: session.session_id, status: session.status });
+    } catch (error) {
+      results.push({ sessionId: session.session_id, status: 'FAILED', error: error.message });
+    }
+  }
+  return results;
+};
+
+/**
+ * Expire sessions still open after AA_FI_SESSION_TTL_MS: never notified,
+ * or stuck FETCHING/PROCESSING after a crash
+ * @param {Object} options
+ * @param {Date} options.now - Current time
+ * @param {number} options.limit - Sessions per run
+ * @returns {string[]} - Session IDs expired
+ */
+const expireStaleSessions = async ({ now = new Date(), limit = 100 } = {}) => {
+  const sessions = await FISession.findAll({
+    where: {
+      status: OPEN_STATUSES,
+      created_at: { [Op.lt]: new Date(now.getTime() - getSessionTtlMs()) }
+    },
+    order: [['created_at', 'ASC']],
+    limit
+  });
+
+  const expired = [];
+  for (const session of sessions) {
+    // Conditional, so a run that just picked the session up is not clobbered
+    const [count] = await FISession.update(
+      {
+        status: 'EXPIRED',
+        errors: [{ error: 'Session expired before its data was fetched', code: 'SessionExpired' }],
+        completed_at: now
+      },
+      { where: { id: session.id, status: session.status } }
+    );
+    if (count === 0) continue;
+
+    session.status = 'EXPIRED';
+    await settleSync(session);
+    expired.push(session.session_id);
+  }
+  return expired;
+};
+
+/**
+ * List a user's FI sessions, newest first
+ * @param {string} userId - User ID
+ * @param {Object} options
+ * @param {string} options.consentId - Only sessions for this AA consent ID
+ * @returns {Object[]} - Session summaries
+ */
+const listUserSessions = async (userId, { consentId } = {}) => {
+  const where = { user_id: userId };
+  if (consentId) where.consent_id = consentId;
+
+  const sessions = await FISession.findAll({
+    where,
+    order: [['created_at', 'DESC']],
+    limit: 100
+  });
+  return sessions.map(summarizeSession);
+};
+
+/**
+ * Get one of a user's FI sessions
+ * @param {string} userId - User ID
+ * @param {string} sessionId - AA session ID
+ * @returns {Object|null} - Session summary
+ */
+const getUserSession = async (userId, sessionId) => {
+  const session = await FISession.findOne({ where: { session_id: sessionId, user_id: userId } });
+  return session ? summarizeSession(session) : null;
+};
+
+module.exports = {
+  createSession,
+  requestSession,
+  countAccounts,
+  summarizeSession,
+  ingestSession,
+  ingestBankStatement,
+  ingestReadySession,
+  ingestWaitingSessions,
+  expireStaleSessions,
+  settleSync,
+  isDataNotReady,
+  OPEN_STATUSES,
+  listUserSessions,
+  getUserSession
+};
@@ -0,0 +1,1046 @@
+/**
+ * Synthetic FI Data Simulator
+ *
+ * Generates realistic AA FI payloads (the decrypted FI/fetch shape) for the
+ * sandbox provider and the mock AA server. A customer's finances are derived
+ * from (seed, customerId) alone and spread over several FIPs:
+ *
+ *   DEPOSIT            - Salary account (salary, rent, UPI spends, utility
+ *                        bills, ATM, EMIs, SIPs, card bills, premiums,
+ *                        quarterly interest), a second savings account and
+ *                        the home loan held with the salary bank
+ *   TERM_DEPOSIT       - Fixed deposit
+ *   RECURRING_DEPOSIT  - Recurring deposit funded from the salary account
+ *   CREDIT_CARD        - Card spends, monthly statements and bill payments
+ *   MUTUAL_FUNDS       - SIP purchases and holdings
+ *   EQUITIES           - Demat trades and holdings
+ *   NPS                - Employer contributions and scheme holdings
+ *   INSURANCE_POLICIES - Life policy with its premium history
+ *
+ * Balances are simulated day by day from the date the accounts open, and
+ * every day draws from its own seeded generator, so the same seed always
+ * gives the same txnIds, amounts and running balances, and overlapping date
+ * ranges agree. The requested fiTypes and range only select what is returned.
+ */
+
+const crypto = require('crypto');
+const { computeEmi, monthlyRate } = require('./loanAmortization');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Simulated accounts open on this date; nothing happens before it
+const OPENING_DATE = new Date(Date.UTC(2021, 3, 1));
+
+const SIMULATED_FI_TYPES = [
+  'DEPOSIT', 'TERM_DEPOSIT', 'RECURRING_DEPOSIT', 'CREDIT_CARD',
+  'MUTUAL_FUNDS', 'EQUITIES', 'NPS', 'INSURANCE_POLICIES'
+];
+
+const FIPS = {
+  salaryBank: { fipId: 'SANDBOX-HDFC-FIP', name: 'HDFC BANK', ifscCode: 'HDFC0001234', micrCode: '560240002', branch: 'Koramangala, Bengaluru' },
+  savingsBank: { fipId: 'SANDBOX-SBI-FIP', name: 'STATE BANK OF INDIA', ifscCode: 'SBIN0004321', micrCode: '560002011', branch: 'MG Road, Bengaluru' },
+  cardIssuer: { fipId: 'SANDBOX-ICICI-FIP', name: 'ICICI BANK' },
+  rta: { fipId: 'SANDBOX-CAMS-FIP', name: 'CAMS' },
+  depository: { fipId: 'SANDBOX-NSDL-FIP', name: 'NSDL' },
+  cra: { fipId: 'SANDBOX-PROTEAN-FIP', name: 'Protean CRA' },
+  insurer: { fipId: 'SANDBOX-LIC-FIP', name: 'LIC of India' }
+};
+
+const HOLDER_NAMES = ['Aarav Mehta', 'Diya Iyer', 'Kabir Singh', 'Meera Pillai', 'Rohan Desai', 'Ananya Rao'];
+const EMPLOYERS = ['ACME TECHNOLOGIES PVT LTD', 'GLOBEX SOFTWARE LTD', 'INITECH SYSTEMS PVT LTD', 'UMBRELLA ANALYTICS LTD'];
+const LANDLORDS = ['RAMESH KUMAR', 'SUNITA MENON', 'ANIL JOSHI', 'KAVITA REDDY'];
+const CITIES = ['BENGALURU', 'MUMBAI', 'PUNE', 'CHENNAI'];
+
+// Everyday UPI payees; amounts are scaled by the customer's income
+const UPI_MERCHANTS = [
+  { name: 'SWIGGY', vpa: 'swiggy@icici', min: 180, max: 950 },
+  { name: 'ZOMATO', vpa: 'zomato@hdfcbank', min: 150, max: 1100 },
+  { name: 'BLINKIT', vpa: 'blinkit@ybl', min: 120, max: 1800 },
+  { name: 'BIGBASKET', vpa: 'bigbasket@axisbank', min: 600, max: 3500 },
+  { name: 'DMART', vpa: 'dmart@ybl', min: 400, max: 4200 },
+  { name: 'UBER', vpa: 'uber@axisbank', min: 90, max: 650 },
+  { name: 'RAPIDO', vpa: 'rapido@ybl', min: 40, max: 250 },
+  { name: 'IOCL PETROL', vpa: 'iocl@sbi', min: 500, max: 3000 },
+  { name: 'APOLLO PHARMACY', vpa: 'apollo@icici', min: 150, max: 2200 },
+  { name: 'NAMMA METRO', vpa: 'bmrcl@sbi', min: 30, max: 120 }
+];
+
+const CARD_MERCHANTS = [
+  { name: 'AMAZON PAY INDIA', mode: 'ONLINE', min: 300, max: 6000 },
+  { name: 'FLIPKART INTERNET', mode: 'ONLINE', min: 400, max: 8000 },
+  { name: 'MYNTRA DESIGNS', mode: 'ONLINE', min: 700, max: 4500 },
+  { name: 'SHELL PETROL PUMP', mode: 'POS', min: 800, max: 3500 },
+  { name: 'TAJ HOTEL RESTAURANT', mode: 'POS', min: 1200, max: 6500 },
+  { name: 'IRCTC', mode: 'ONLINE', min: 450, max: 3800 }
+];
+
+// Fixed monthly card charges: [day of month, merchant, amount]
+const CARD_SUBSCRIPTIONS = [
+  [3, 'NETFLIX.COM', 649],
+  [21, 'SPOTIFY INDIA', 119]
+];
+
+const MF_SCHEMES = [
+  { isin: 'INF109K01Z48', schemeCode: '120586', schemeName: 'ICICI Prudential Bluechip Fund - Direct Growth', amc: 'ICICI Prudential Mutual Fund', basePrice: 62.15, drift: 0.010, volatility: 0.045 },
+  { isin: 'INF179K01XQ0', schemeCode: '118989', schemeName: 'HDFC Mid-Cap Opportunities Fund - Direct Growth', amc: 'HDFC Mutual Fund', basePrice: 98.4, drift: 0.014, volatility: 0.06 },
+  { isin: 'INF846K01EW2', schemeCode: '120503', schemeName: 'Axis ELSS Tax Saver Fund - Direct Growth', amc: 'Axis Mutual Fund', basePrice: 71.3, drift: 0.008, volatility: 0.05 },
+  { isin: 'INF200K01RJ1', schemeCode: '119598', schemeName: 'SBI Equity Hybrid Fund - Direct Growth', amc: 'SBI Mutual Fund', basePrice: 175.2, drift: 0.009, volatility: 0.03 }
+];
+
+const STOCKS = [
+  { isin: 'INE002A01018', name: 'RELIANCE INDUSTRIES LTD', basePrice: 1985.5, drift: 0.008, volatility: 0.06 },
+  { isin: 'INE467B01029', name: 'TATA CONSULTANCY SERVICES LTD', basePrice: 3120.0, drift: 0.007, volatility: 0.05 },
+  { isin: 'INE040A01034', name: 'HDFC BANK LTD', basePrice: 1460.25, drift: 0.004, volatility: 0.05 },
+  { isin: 'INE009A01021', name: 'INFOSYS LTD', basePrice: 1380.75, drift: 0.006, volatility: 0.06 },
+  { isin: 'INE154A01025', name: 'ITC LTD', basePrice: 208.4, drift: 0.012, volatility: 0.04 }
+];
+
+// NPS Tier I schemes and the share of each contribution they receive
+const NPS_SCHEMES = [
+  { schemeId: 'SM001003', schemeName: 'SBI Pension Fund Scheme E - Tier I', share: 0.5, basePrice: 38.2, drift: 0.011, volatility: 0.045 },
+  { schemeId: 'SM001004', schemeName: 'SBI Pension Fund Scheme C - Tier I', share: 0.3, basePrice: 35.6, drift: 0.006, volatility: 0.01 },
+  { schemeId: 'SM001005', schemeName: 'SBI Pension Fund Scheme G - Tier I', share: 0.2, basePrice: 33.9, drift: 0.006, volatility: 0.015 }
+];
+
+const MONTH_NAMES = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+
+const SAVINGS_RATE = 2.75;
+const CARD_STATEMENT_DAY = 18;
+const CARD_DUE_DAYS = 20;
+// Card bills are paid from the salary account this many days before the due date
+const CARD_PAID_EARLY_DAYS = 2;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+const round4 = (value) => Math.round(value * 10000) / 10000;
+const money = (value) => value.toFixed(2);
+
+const dayKey = (date) => date.toISOString().split('T')[0];
+const startOfDay = (date) => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+const addDays = (date, days) => new Date(date.getTime() + days * DAY_MS);
+
+// Day of a month, clamped to the month's length (31 Feb -> 28/29 Feb)
+const monthDay = (year, month, day) => {
+  const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+  return new Date(Date.UTC(year, month, Math.min(day, lastDay)));
+};
+
+const addMonths = (date, months, day = date.getUTCDate()) => monthDay(date.getUTCFullYear(), date.getUTCMonth() + months, day);
+
+const monthsBetween = (from, to) => (to.getUTCFullYear() - from.getUTCFullYear()) * 12 + to.getUTCMonth() - from.getUTCMonth();
+
+const monthLabel = (date) => `${MONTH_NAMES[date.getUTCMonth()]} ${date.getUTCFullYear()}`;
+
+const isQuarterEnd = (date) => date.getUTCMonth() % 3 === 2 && addDays(date, 1).getUTCDate() === 1;
+
+// Weekend trade dates move to the next Monday
+const nextWeekday = (date) => {
+  const day = date.getUTCDay();
+  return day === 6 ? addDays(date, 2) : day === 0 ? addDays(date, 1) : date;
+};
+
+/**
+ * Seeded random generator (mulberry32 over a SHA-256 of the parts)
+ * @param {...*} parts - Seed parts, e.g. (seed, customerId, 'savings', '2026-10-01')
+ * @returns {Object} - { next, int, chance, amount, pick, shuffle, digits }
+ */
+const createRandom = (...parts) => {
+  let state = crypto.createHash('sha256').update(parts.join('|')).digest().readUInt32LE(0);
+
+  const next = () => {
+    state = (state + 0x6D2B79F5) | 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  const int = (min, max) => min + Math.floor(next() * (max - min + 1));
+
+  return {
+    next,
+    int,
+    chance: (probability) => next() < probability,
+    amount: (min, max) => round2(min + next() * (max - min)),
+    pick: (list) => list[Math.floor(next() * list.length)],
+    shuffle: (list) => list
+      .map(item => ({ item, order: next() }))
+      .sort((a, b) => a.order - b.order)
+      .map(({ item }) => item),
+    digits: (count) => Array.from({ length: count }, () => int(0, 9)).join('')
+  };
+};
+
+/**
+ * Stable identifier derived from its parts
+ */
+const stableId = (prefix, ...parts) => {
+  return `${prefix}${crypto.createHash('sha256').update(parts.join('|')).digest('hex').slice(0, 16).toUpperCase()}`;
+};
+
+const masked = (rng, hidden, visible = 4) => `${'X'.repeat(hidden)}${rng.digits(visible)}`;
+const lastDigits = (maskedNumber) => maskedNumber.slice(-4);
+
+/**
+ * Market prices shared by every customer with the same seed: a monthly
+ * random walk from the opening date with a small daily wobble
+ * @param {string} seed - Simulation seed
+ * @returns {Function} - (security, date) => price
+ */
+const createPriceBook = (seed) => {
+  const monthly = new Map();
+
+  const monthPrice = (security, month) => {
+    const key = `${security.isin || security.schemeId}|${month}`;
+    if (!monthly.has(key)) {
+      const previous = month === 0 ? security.basePrice : monthPrice(security, month - 1);
+      const rng = createRandom(seed, 'price', key);
+      monthly.set(key, previous * (1 + security.drift + security.volatility * (rng.next() * 2 - 1)));
+    }
+    return monthly.get(key);
+  };
+
+  return (security, date) => {
+    const wobble = createRandom(seed, 'price', security.isin || security.schemeId, dayKey(date)).next();
+    return round4(monthPrice(security, Math.max(0, monthsBetween(OPENING_DATE, date))) * (1 + 0.01 * (wobble * 2 - 1)));
+  };
+};
+
+/**
+ * Everything about a customer that does not change day to day
+ * @param {string} seed - Simulation seed
+ * @param {string} customerId - Customer VUA or mobile number
+ * @returns {Object} - Profile
+ */
+const buildProfile = (seed, customerId) => {
+  const rng = createRandom(seed, customerId, 'profile');
+  const salary = rng.int(60, 250) * 1000;
+  const emiDay = rng.pick([5, 7, 10]);
+  const loanStart = monthDay(2022, rng.int(0, 11), emiDay);
+  const loanPrincipal = Math.round((salary * rng.int(20, 36)) / 100000) * 100000;
+  const policyStart = monthDay(rng.int(2016, 2020), rng.int(0, 11), rng.int(1, 28));
+
+  return {
+    key: `${seed}|${customerId}`,
+    seed,
+    name: rng.pick(HOLDER_NAMES),
+    mobile: (String(customerId).match(/\d{10}/) || [`9${rng.digits(9)}`])[0],
+    pan: `ABCPM${rng.digits(4)}K`,
+    city: rng.pick(CITIES),
+    employer: rng.pick(EMPLOYERS),
+    salary,
+    // Discretionary spends grow with income
+    spendScale: Math.min(1.6, Math.max(0.5, salary / 120000)),
+    landlord: rng.pick(LANDLORDS),
+    rent: Math.max(8000, Math.round((salary * 0.15) / 500) * 500),
+    openingBalance: rng.int(50, 200) * 1000,
+    savingsOpeningBalance: rng.int(10, 80) * 1000,
+    selfTransfer: Math.round((salary * 0.05) / 1000) * 1000,
+    accounts: {
+      salary: masked(rng, 8),
+      savings: masked(rng, 7),
+      card: masked(rng, 12),
+      loan: masked(rng, 10),
+      fd: masked(rng, 8),
+      rd: masked(rng, 8),
+      folio: `${rng.digits(8)}/${rng.digits(2)}`,
+      demat: `IN30${rng.digits(4)}XXXX${rng.digits(4)}`,
+      pran: masked(rng, 8),
+      policy: masked(rng, 6)
+    },
+    loan: {
+      principal: loanPrincipal,
+      rate: rng.pick([8.35, 8.5, 8.75, 9.1]),
+      tenure: 240,
+      start: loanStart,
+      emiDay
+    },
+    fd: {
+      principal: rng.int(1, 5) * 100000,
+      rate: rng.pick([6.8, 7.1, 7.25]),
+      opened: addDays(OPENING_DATE, -rng.int(0, 365)),
+      years: 7
+    },
+    rd: {
+      installment: Math.max(1000, Math.round((salary * 0.03) / 500) * 500),
+      rate: 6.7,
+      start: monthDay(2022, rng.int(0, 11), 15),
+      tenure: 60
+    },
+    sip: {
+      schemes: rng.shuffle(MF_SCHEMES).slice(0, 2),
+      amount: Math.max(1000, Math.round((salary * 0.025) / 500) * 500),
+      start: monthDay(2021, rng.int(4, 11), 10)
+    },
+    trades: rng.shuffle(STOCKS).slice(0, 3).flatMap((stock, index) => [0, 1].map(leg => ({
+      stock,
+      date: nextWeekday(addDays(OPENING_DATE, 30 + index * 90 + leg * rng.int(180, 540))),
+      budget: Math.round(salary * (0.2 + rng.next() * 0.3))
+    }))),
+    card: {
+      limit: Math.max(100000, Math.round((salary * 3) / 50000) * 50000)
+    },
+    policy: {
+      start: policyStart,
+      premium: Math.round((salary * 0.2) / 1000) * 1000,
+      sumAssured: Math.round((salary * 12 * 15) / 100000) * 100000,
+      termYears: 30,
+      nominee: rng.pick(HOLDER_NAMES)
+    }
+  };
+};
+
+/**
+ * Home loan repayment state
+ * @param {Object} profile - Customer profile
+ * @param {Date} asOf - Instalments due on or before this date are paid
+ * @returns {Object} - { emi, emis, outstanding, nextEmiDate }
+ */
+const loanState = (profile, asOf) => {
+  const { principal, rate, tenure, start, emiDay } = profile.loan;
+  const emi = computeEmi(principal, rate, tenure);
+  const emis = [];
+  let outstanding = principal;
+  let nextEmiDate = null;
+
+  for (let installment = 1; installment <= tenure && outstanding > 0; installment++) {
+    const dueDate = addMonths(start, installment, emiDay);
+    if (dueDate > asOf) {
+      nextEmiDate = dueDate;
+      break;
+    }
+
+    const interest = round2(outstanding * monthlyRate(rate));
+    const principalPaid = round2(Math.min(outstanding, emi - interest));
+    outstanding = round2(outstanding - principalPaid);
+    emis.push({ installment, dueDate, principalPaid, interest });
+  }
+
+  return { emi, emis, outstanding, nextEmiDate };
+};
+
+// Instalment number of an EMI due on this date, or null
+const emiInstallmentOn = (profile, date) => {
+  const { start, emiDay, tenure } = profile.loan;
+  const installment = monthsBetween(start, date);
+  if (installment < 1 || installment > tenure) return null;
+  return addMonths(start, installment, emiDay).getTime() === date.getTime() ? installment : null;
+};
+
+const rdInstallmentOn = (profile, date) => {
+  const { start, tenure } = profile.rd;
+  const installment = monthsBetween(start, date) + 1;
+  if (installment < 1 || installment > tenure) return null;
+  return addMonths(start, installment - 1).getTime() === date.getTime() ? installment : null;
+};
+
+const isPolicyAnniversary = (profile, date) => {
+  const { start, termYears } = profile.policy;
+  const years = date.getUTCFullYear() - start.getUTCFullYear();
+  return years > 0 && years < termYears &&
+    monthDay(date.getUTCFullYear(), start.getUTCMonth(), start.getUTCDate()).getTime() === date.getTime();
+};
+
+/**
+ * Card spends on one day
+ */
+const cardEvents = (profile, date) => {
+  const rng = createRandom(profile.key, 'card', dayKey(date));
+  const events = [];
+
+  for (const [day, merchant, amount] of CARD_SUBSCRIPTIONS) {
+    if (date.getUTCDate() === day) {
+      events.push({ type: 'DEBIT', mode: 'ONLINE', amount, narration: `${merchant} SUBSCRIPTION` });
+    }
+  }
+  if (rng.chance(0.3)) {
+    const merchant = rng.pick(CARD_MERCHANTS);
+    events.push({
+      type: 'DEBIT',
+      mode: merchant.mode,
+      amount: round2(rng.amount(merchant.min, merchant.max) * profile.spendScale),
+      narration: `${merchant.name} ${profile.city}`
+    });
+  }
+
+  return events;
+};
+
+/**
+ * Statement for the card cycle closing on a statement date
+ * @returns {Object} - { statementDate, dueDate, paidOn, totalDue, minDue }
+ */
+const cardStatement = (profile, statementDate) => {
+  let totalDue = 0;
+  for (let day = addDays(addMonths(statementDate, -1), 1); day <= statementDate; day = addDays(day, 1)) {
+    if (day < OPENING_DATE) continue;
+    totalDue += cardEvents(profile, day).reduce((sum, event) => sum + event.amount, 0);
+  }
+  totalDue = round2(totalDue);
+  const dueDate = addDays(statementDate, CARD_DUE_DAYS);
+
+  return {
+    statementDate,
+    dueDate,
+    paidOn: addDays(dueDate, -CARD_PAID_EARLY_DAYS),
+    totalDue,
+    minDue: round2(Math.min(totalDue, Math.max(200, totalDue * 0.05)))
+  };
+};
+
+// Statement whose bill is paid on this date, or null
+const cardStatementPaidOn = (profile, date) => {
+  const statementDate = addDays(date, -(CARD_DUE_DAYS - CARD_PAID_EARLY_DAYS));
+  if (statementDate.getUTCDate() !== CARD_STATEMENT_DAY || statementDate <= OPENING_DATE) return null;
+  return cardStatement(profile, statementDate);
+};
+
+const event = (type, mode, amount, narration, extra = {}) => ({ type, mode, amount, narration, ...extra });
+
+// Interest is worked out from the balance when the event is applied
+const interestEvent = () => event('CREDIT', 'OTHERS', (balance) => round2(Math.max(0, balance) * SAVINGS_RATE / 400), 'INT CREDIT SB A/C');
+
+/**
+ * Salary account transactions on one day, in posting order. Discretionary
+ * spends are marked so the simulation can skip them when funds run low.
+ */
+const salaryAccountEvents = (profile, date, prices) => {
+  const rng = createRandom(profile.key, 'salary', dayKey(date));
+  const day = date.getUTCDate();
+  const events = [];
+  const ref = () => rng.digits(12);
+
+  if (day === 1) {
+    events.push(event('CREDIT', 'NEFT', profile.salary, `NEFT-${profile.employer}-SALARY FOR ${monthLabel(addMonths(date, -1))}`));
+  }
+  if (day === 2 && profile.selfTransfer > 0) {
+    events.push(event('DEBIT', 'IMPS', profile.selfTransfer, `IMPS-SELF TRANSFER-TO ${profile.accounts.savings}`));
+  }
+  if (day === 5) {
+    events.push(event('DEBIT', 'UPI', profile.rent, `UPI-${profile.landlord}-RENT ${monthLabel(date)}-${ref()}`));
+  }
+  const emiInstallment = emiInstallmentOn(profile, date);
+  if (emiInstallment) {
+    const emi = computeEmi(profile.loan.principal, profile.loan.rate, profile.loan.tenure);
+    events.push(event('DEBIT', 'ACH', emi, `${FIPS.salaryBank.name} HOME LOAN EMI-ACH-${lastDigits(profile.accounts.loan)}`));
+  }
+  if (day === 10 && date >= profile.sip.start) {
+    for (const scheme of profile.sip.schemes) {
+      events.push(event('DEBIT', 'NACH', profile.sip.amount, `BSE STAR MF SIP-NACH-${scheme.amc.toUpperCase()}`));
+    }
+  }
+  if (day === 12) {
+    events.push(event('DEBIT', 'BBPS', round2(rng.amount(900, 3200) * profile.spendScale), `BESCOM ELECTRICITY BILL-BBPS-${ref()}`));
+  }
+  if (rdInstallmentOn(profile, date)) {
+    events.push(event('DEBIT', 'FT', profile.rd.installment, `TRANSFER TO RD ${profile.accounts.rd}`));
+  }
+  if (day === 18) {
+    events.push(event('DEBIT', 'UPI', 399, `UPI-AIRTEL RECHARGE-airtel@ybl-${ref()}`));
+  }
+  if (day === 22) {
+    events.push(event('DEBIT', 'BBPS', 1059, `ACT FIBERNET BROADBAND-BBPS-${ref()}`));
+  }
+  const statement = cardStatementPaidOn(profile, date);
+  if (statement && statement.totalDue > 0) {
+    events.push(event('DEBIT', 'BBPS', statement.totalDue, `${FIPS.cardIssuer.name} CREDIT CARD-BBPS-${lastDigits(profile.accounts.card)}`));
+  }
+  if (isPolicyAnniversary(profile, date)) {
+    events.push(event('DEBIT', 'ACH', profile.policy.premium, `LIC OF INDIA PREMIUM-ACH-${lastDigits(profile.accounts.policy)}`));
+  }
+  for (const trade of profile.trades) {
+    if (trade.date.getTime() === date.getTime()) {
+      events.push(event('DEBIT', 'NEFT', tradeValue(trade, prices), `NEFT-ZERODHA BROKING LTD-FUNDS-${ref()}`));
+    }
+  }
+
+  const spends = rng.chance(0.45) ? 1 + (rng.chance(0.3) ? 1 : 0) : 0;
+  for (let i = 0; i < spends; i++) {
+    const merchant = rng.pick(UPI_MERCHANTS);
+    const amount = round2(rng.amount(merchant.min, merchant.max) * profile.spendScale);
+    events.push(event('DEBIT', 'UPI', amount, `UPI-${merchant.name}-${merchant.vpa}-${ref()}`, { discretionary: true }));
+  }
+  if (rng.chance(0.03)) {
+    events.push(event('DEBIT', 'ATM', rng.pick([2000, 3000, 5000, 10000]), `ATM WDL-${profile.city} ATM-${rng.digits(6)}`, { discretionary: true }));
+  }
+  if (rng.chance(0.02)) {
+    const merchant = rng.pick(UPI_MERCHANTS);
+    events.push(event('CREDIT', 'UPI', rng.amount(50, 400), `UPI-${merchant.name}-REFUND-${ref()}`));
+  }
+  if (isQuarterEnd(date)) {
+    events.push(interestEvent());
+  }
+
+  return events;
+};
+
+const savingsAccountEvents = (profile, date) => {
+  const rng = createRandom(profile.key, 'savings', dayKey(date));
+  const events = [];
+
+  if (date.getUTCDate() === 2 && profile.selfTransfer > 0) {
+    events.push(event('CREDIT', 'IMPS', profile.selfTransfer, `IMPS-${profile.name.toUpperCase()}-SELF TRANSFER`));
+  }
+  if (rng.chance(0.12)) {
+    const merchant = rng.pick(UPI_MERCHANTS);
+    const amount = round2(rng.amount(merchant.min, merchant.max) * profile.spendScale);
+    events.push(event('DEBIT', 'UPI', amount, `UPI-${merchant.name}-${merchant.vpa}-${rng.digits(12)}`, { discretionary: true }));
+  }
+  if (isQuarterEnd(date)) {
+    events.push(interestEvent());
+  }
+
+  return events;
+};
+
+/**
+ * Post a deposit account's events day by day from the opening date
+ * @param {Object} options
+ * @param {string} options.id - Account key used for txnIds
+ * @param {number} options.openingBalance - Balance on the opening date
+ * @param {Function} options.eventsOn - (date) => events
+ * @param {Date} options.from - First day returned
+ * @param {Date} options.to - Last day simulated and returned
+ * @param {number} options.buffer - Balance discretionary spends may not dip below
+ * @returns {Object} - { transactions, balance }
+ */
+const simulateDeposit = ({ id, openingBalance, eventsOn, from, to, buffer = 0 }) => {
+  const transactions = [];
+  let balance = openingBalance;
+
+  for (let date = OPENING_DATE; date <= to; date = addDays(date, 1)) {
+    const inRange = date >= from;
+    const rng = createRandom(id, 'time', dayKey(date));
+
+    eventsOn(date).forEach((entry, index) => {
+      const amount = typeof entry.amount === 'function' ? entry.amount(balance) : entry.amount;
+      if (!(amount > 0)) return;
+      if (entry.type === 'DEBIT' && balance - amount < (entry.discretionary ? buffer : 0)) return;
+
+      balance = round2(entry.type === 'CREDIT' ? balance + amount : balance - amount);
+      if (!inRange) return;
+
+      const timestamp = new Date(date.getTime() + (8 + index) * 60 * 60 * 1000 + rng.int(0, 59) * 60 * 1000);
+      transactions.push({
+        txnId: stableId('TXN', id, dayKey(date), index),
+        type: entry.type,
+        mode: entry.mode,
+        amount: money(amount),
+        currentBalance: money(balance),
+        transactionTimestamp: timestamp.toISOString(),
+        valueDate: dayKey(date),
+        narration: entry.narration,
+        reference: stableId('REF', id, dayKey(date), index).slice(0, 15)
+      });
+    });
+  }
+
+  return { transactions, balance };
+};
+
+const holderProfile = (profile) => ({
+  Holders: {
+    type: 'SINGLE',
+    Holder: [{
+      name: profile.name,
+      mobile: profile.mobile,
+      pan: profile.pan,
+      nominee: 'REGISTERED',
+      ckycCompliance: true
+    }]
+  }
+});
+
+const transactionsBlock = (from, to, transactions) => ({
+  startDate: dayKey(from),
+  endDate: dayKey(to),
+  Transaction: transactions
+});
+
+const fiData = (profile, maskedAccNumber, Account) => ({
+  linkRefNumber: stableId('LNK', profile.key, maskedAccNumber),
+  maskedAccNumber,
+  Account: { maskedAccNumber, linkedAccRef: stableId('LNK', profile.key, maskedAccNumber), ...Account }
+});
+
+const depositSummary = (bank, extra) => ({
+  branch: bank.branch,
+  status: 'ACTIVE',
+  ifscCode: bank.ifscCode,
+  micrCode: bank.micrCode,
+  openingDate: dayKey(OPENING_DATE),
+  currency: 'INR',
+  ...extra
+});
+
+const salaryAccount = (profile, range, prices) => {
+  const { transactions, balance } = simulateDeposit({
+    id: `${profile.key}|${profile.accounts.salary}`,
+    openingBalance: profile.openingBalance,
+    eventsOn: (date) => salaryAccountEvents(profile, date, prices),
+    buffer: profile.salary * 0.1,
+    ...range
+  });
+
+  return fiData(profile, profile.accounts.salary, {
+    type: 'deposit',
+    Profile: holderProfile(profile),
+    Summary: depositSummary(FIPS.salaryBank, {
+      type: 'SAVINGS',
+      currentBalance: money(balance),
+      balanceDateTime: range.to.toISOString()
+    }),
+    Transactions: transactionsBlock(range.from, range.to, transactions)
+  });
+};
+
+const savingsAccount = (profile, range) => {
+  const { transactions, balance } = simulateDeposit({
+    id: `${profile.key}|${profile.accounts.savings}`,
+    openingBalance: profile.savingsOpeningBalance,
+    eventsOn: (date) => savingsAccountEvents(profile, date),
+    buffer: 5000,
+    ...range
+  });
+
+  return fiData(profile, profile.accounts.savings, {
+    type: 'deposit',
+    Profile: holderProfile(profile),
+    Summary: depositSummary(FIPS.savingsBank, {
+      type: 'SAVINGS',
+      currentBalance: money(balance),
+      balanceDateTime: range.to.toISOString()
+    }),
+    Transactions: transactionsBlock(range.from, range.to, transactions)
+  });
+};
+
+const homeLoan = (profile, range) => {
+  const { principal, rate, tenure, start } = profile.loan;
+  if (start > range.to) return null;
+
+  const { emi, emis, outstanding, nextEmiDate } = loanState(profile, range.to);
+  const inRange = emis.filter(({ dueDate }) => dueDate >= range.from);
+
+  return fiData(profile, profile.accounts.loan, {
+    type: 'loan',
+    Summary: {
+      lenderName: FIPS.salaryBank.name,
+      loanType: 'HOME_LOAN',
+      principalAmount: money(principal),
+      outstandingAmount: money(outstanding),
+      interestRate: String(rate),
+      tenureMonths: tenure,
+      emiAmount: money(emi),
+      startDate: dayKey(start),
+      nextEmiDate: nextEmiDate ? dayKey(nextEmiDate) : null,
+      status: outstanding > 0 ? 'ACTIVE' : 'CLOSED',
+      currency: 'INR'
+    },
+    EMIs: {
+      EMI: [
+        ...inRange.map(({ installment, dueDate, principalPaid, interest }) => ({
+          txnId: stableId('EMI', profile.key, profile.accounts.loan, dayKey(dueDate)),
+          installmentNumber: installment,
+          dueDate: dayKey(dueDate),
+          paidDate: dayKey(dueDate),
+          amount: money(emi),
+          principalComponent: money(principalPaid),
+          interestComponent: money(interest),
+          status: 'PAID'
+        })),
+        ...(nextEmiDate ? [{
+          installmentNumber: emis.length + 1,
+          dueDate: dayKey(nextEmiDate),
+          amount: money(emi),
+          status: 'DUE'
+        }] : [])
+      ]
+    }
+  });
+};
+
+const termDeposit = (profile, range) => {
+  const { principal, rate, opened, years } = profile.fd;
+  const maturityDate = addMonths(opened, years * 12);
+  const quarters = (date) => Math.floor(Math.max(0, monthsBetween(opened, date)) / 3);
+  const valueAt = (date) => round2(principal * Math.pow(1 + rate / 400, quarters(date)));
+  const matured = range.to >= maturityDate;
+
+  return fiData(profile, profile.accounts.fd, {
+    type: 'term_deposit',
+    Profile: holderProfile(profile),
+    Summary: depositSummary(FIPS.salaryBank, {
+      type: 'FIXED',
+      openingDate: dayKey(opened),
+      maturityDate: dayKey(maturityDate),
+      principalAmount: money(principal),
+      maturityAmount: money(valueAt(maturityDate)),
+      currentBalance: money(valueAt(matured ? maturityDate : range.to)),
+      balanceDateTime: range.to.toISOString(),
+      interestRate: String(rate),
+      compoundingFrequency: 'QUARTERLY',
+      status: matured ? 'MATURED' : 'ACTIVE'
+    }),
+    Transactions: transactionsBlock(range.from, range.to, [])
+  });
+};
+
+const recurringDeposit = (profile, range) => {
+  const { installment, rate, start, tenure } = profile.rd;
+  if (start > range.to) return null;
+
+  const maturityDate = addMonths(start, tenure);
+  // Simple-interest approximation banks quote for RD maturity
+  const maturityAmount = round2(installment * tenure + installment * (tenure * (tenure + 1) / 2) * (rate / 1200));
+  const { transactions, balance } = simulateDeposit({
+    id: `${profile.key}|${profile.accounts.rd}`,
+    openingBalance: 0,
+    eventsOn: (date) => {
+      const number = rdInstallmentOn(profile, date);
+      return number ? [event('CREDIT', 'FT', installment, `RD INSTALLMENT ${number} FROM ${profile.accounts.salary}`)] : [];
+    },
+    ...range
+  });
+
+  return fiData(profile, profile.accounts.rd, {
+    type: 'recurring_deposit',
+    Profile: holderProfile(profile),
+    Summary: depositSummary(FIPS.salaryBank, {
+      type: 'RECURRING',
+      openingDate: dayKey(start),
+      maturityDate: dayKey(maturityDate),
+      recurringAmount: money(installment),
+      tenureMonths: tenure,
+      maturityAmount: money(maturityAmount),
+      currentBalance: money(balance),
+      balanceDateTime: range.to.toISOString(),
+      interestRate: String(rate),
+      status: range.to >= maturityDate ? 'MATURED' : 'ACTIVE'
+    }),
+    Transactions: transactionsBlock(range.from, range.to, transactions)
+  });
+};
+
+const creditCard = (profile, range) => {
+  const transactions = [];
+  let lastStatement = null;
+  let unbilled = 0;
+
+  for (let date = OPENING_DATE; date <= range.to; date = addDays(date, 1)) {
+    const entries = cardEvents(profile, date);
+    const paid = cardStatementPaidOn(profile, date);
+    if (paid && paid.totalDue > 0) {
+      entries.push({ type: 'CREDIT', mode: 'BBPS', amount: paid.totalDue, narration: 'PAYMENT RECEIVED - THANK YOU' });
+    }
+
+    entries.forEach((entry, index) => {
+      if (entry.type === 'DEBIT') unbilled += entry.amount;
+      if (date < range.from) return;
+
+      transactions.push({
+        txnId: stableId('CC', profile.key, profile.accounts.card, dayKey(date), index),
+        txnType: entry.type,
+        mode: entry.mode,
+        amount: money(entry.amount),
+        txnDate: new Date(date.getTime() + (10 + index) * 60 * 60 * 1000).toISOString(),
+        valueDate: dayKey(date),
+        narration: entry.narration,
+        reference: stableId('ARN', profile.key, dayKey(date), index).slice(0, 15)
+      });
+    });
+
+    if (date.getUTCDate() === CARD_STATEMENT_DAY && date > OPENING_DATE) {
+      lastStatement = { ...cardStatement(profile, date), previousDue: lastStatement?.totalDue ?? 0 };
+      unbilled = 0;
+    }
+  }
+
+  const outstandingBill = lastStatement && lastStatement.paidOn > range.to ? lastStatement.totalDue : 0;
+  const currentDue = round2(unbilled + outstandingBill);
+
+  return fiData(profile, profile.accounts.card, {
+    type: 'credit_card',
+    Profile: holderProfile(profile),
+    Summary: {
+      cardType: 'VISA',
+      status: 'ACTIVE',
+      creditLimit: money(profile.card.limit),
+      cashLimit: money(profile.card.limit * 0.2),
+      availableCredit: money(Math.max(0, profile.card.limit - currentDue)),
+      currentDue: money(currentDue),
+      financeCharges: '0.00',
+      currency: 'INR',
+      ...(lastStatement && {
+        lastStatementDate: dayKey(lastStatement.statementDate),
+        dueDate: dayKey(lastStatement.dueDate),
+        totalDueAmount: money(lastStatement.totalDue),
+        minDueAmount: money(lastStatement.minDue),
+        previousDueAmount: money(lastStatement.previousDue)
+      })
+    },
+    Transactions: transactionsBlock(range.from, range.to, transactions)
+  });
+};
+
+const tradeUnits = (trade, prices) => Math.max(1, Math.floor(trade.budget / prices(trade.stock, trade.date)));
+const tradeValue = (trade, prices) => round2(tradeUnits(trade, prices) * prices(trade.stock, trade.date));
+
+const mutualFunds = (profile, range, prices) => {
+  const { schemes, amount, start } = profile.sip;
+  if (start > range.to) return null;
+
+  const transactions = [];
+  const holdings = schemes.map(scheme => {
+    let units = 0;
+    let cost = 0;
+
+    for (let date = start; date <= range.to; date = addMonths(date, 1, 10)) {
+      const nav = prices(scheme, date);
+      const bought = round4(amount / nav);
+      units = round4(units + bought);
+      cost += amount;
+      if (date < range.from) continue;
+
+      transactions.push({
+        txnId: stableId('MF', profile.key, scheme.isin, dayKey(date)),
+        isin: scheme.isin,
+        schemeCode: scheme.schemeCode,
+        schemeName: scheme.schemeName,
+        amc: scheme.amc,
+        folioNo: profile.accounts.folio,
+        type: 'BUY',
+        mode: 'SIP',
+        units: String(bought),
+        nav: String(nav),
+        amount: money(amount),
+        transactionDate: dayKey(date),
+        narration: `SIP Purchase - ${scheme.schemeName}`
+      });
+    }
+
+    const nav = prices(scheme, range.to);
+    return {
+      isin: scheme.isin,
+      schemeCode: scheme.schemeCode,
+      schemeName: scheme.schemeName,
+      amc: scheme.amc,
+      folioNo: profile.accounts.folio,
+      closingUnits: String(units),
+      nav: String(nav),
+      navDate: dayKey(range.to),
+      costValue: money(cost),
+      currentValue: money(units * nav)
+    };
+  });
+
+  return fiData(profile, profile.accounts.folio, {
+    type: 'mutual_funds',
+    Profile: holderProfile(profile),
+    Summary: {
+      costValue: money(holdings.reduce((sum, h) => sum + parseFloat(h.costValue), 0)),
+      currentValue: money(holdings.reduce((sum, h) => sum + parseFloat(h.currentValue), 0)),
+      currency: 'INR',
+      Investment: { Holdings: { Holding: holdings } }
+    },
+    Transactions: transactionsBlock(range.from, range.to, transactions)
+  });
+};
+
+const equities = (profile, range, prices) => {
+  const trades = profile.trades.filter(trade => trade.date <= range.to);
+  if (!trades.length) return null;
+
+  const positions = new Map();
+  const transactions = [];
+  for (const trade of trades) {
+    const units = tradeUnits(trade, prices);
+    positions.set(trade.stock.isin, (positions.get(trade.stock.isin) || 0) + units);
+    if (trade.date < range.from) continue;
+
+    transactions.push({
+      txnId: stableId('EQ', profile.key, trade.stock.isin, dayKey(trade.date)),
+      orderId: stableId('ORD', profile.key, trade.stock.isin, dayKey(trade.date)).slice(0, 15),
+      isin: trade.stock.isin,
+      isinDescription: trade.stock.name,
+      companyName: trade.stock.name,
+      exchange: 'NSE',
+      type: 'BUY',
+      units: String(units),
+      rate: String(prices(trade.stock, trade.date)),
+      tradeValue: money(tradeValue(trade, prices)),
+      transactionDateTime: new Date(trade.date.getTime() + 10 * 60 * 60 * 1000).toISOString()
+    });
+  }
+
+  const holdings = [...positions].map(([isin, units]) => {
+    const stock = STOCKS.find(s => s.isin === isin);
+    return {
+      isin,
+      isinDescription: stock.name,
+      issuerName: stock.name,
+      units: String(units),
+      lastTradedPrice: String(prices(stock, range.to))
+    };
+  });
+
+  return fiData(profile, profile.accounts.demat, {
+    type: 'equities',
+    Profile: holderProfile(profile),
+    Summary: {
+      currentValue: money(holdings.reduce((sum, h) => sum + h.units * h.lastTradedPrice, 0)),
+      currency: 'INR',
+      Investment: { Holdings: { Holding: holdings } }
+    },
+    Transactions: transactionsBlock(range.from, range.to, transactions)
+  });
+};
+
+const nps = (profile, range, prices) => {
+  // Employer contributes 10% of salary on payday
+  const contribution = Math.round(profile.salary * 0.1);
+  const transactions = [];
+
+  const holdings = NPS_SCHEMES.map(scheme => {
+    const amount = round2(contribution * scheme.share);
+    let units = 0;
+    let cost = 0;
+
+    for (let date = OPENING_DATE; date <= range.to; date = addMonths(date, 1, 1)) {
+      const nav = prices(scheme, date);
+      const bought = round4(amount / nav);
+      units = round4(units + bought);
+      cost += amount;
+      if (date < range.from) continue;
+
+      transactions.push({
+        txnId: stableId('NPS', profile.key, scheme.schemeId, dayKey(date)),
+        schemeId: scheme.schemeId,
+        schemeName: scheme.schemeName,
+        pfmName: 'SBI Pension Funds Pvt Ltd',
+        type: 'CONTRIBUTION',
+        units: String(bought),
+        nav: String(nav),
+        amount: money(amount),
+        transactionDate: dayKey(date),
+        narration: `Employer contribution - ${profile.employer}`
+      });
+    }
+
+    const nav = prices(scheme, range.to);
+    return {
+      schemeId: scheme.schemeId,
+      schemeName: scheme.schemeName,
+      pfmName: 'SBI Pension Funds Pvt Ltd',
+      units: String(units),
+      nav: String(nav),
+      navDate: dayKey(range.to),
+      costValue: money(cost),
+      currentValue: money(units * nav)
+    };
+  });
+
+  return fiData(profile, profile.accounts.pran, {
+    type: 'nps',
+    Profile: holderProfile(profile),
+    Summary: {
+      tier: 'TIER_I',
+      costValue: money(holdings.reduce((sum, h) => sum + parseFloat(h.costValue), 0)),
+      currentValue: money(holdings.reduce((sum, h) => sum + parseFloat(h.currentValue), 0)),
+      currency: 'INR',
+      Investment: { Holdings: { Holding: holdings } }
+    },
+    Transactions: transactionsBlock(range.from, range.to, transactions)
+  });
+};
+
+const insurancePolicy = (profile, range) => {
+  const { start, premium, sumAssured, termYears, nominee } = profile.policy;
+  const transactions = [];
+
+  for (let year = 0; year < termYears; year++) {
+    const dueDate = monthDay(start.getUTCFullYear() + year, start.getUTCMonth(), start.getUTCDate());
+    if (dueDate > range.to) break;
+    if (dueDate < range.from) continue;
+
+    transactions.push({
+      txnId: stableId('PRM', profile.key, profile.accounts.policy, dayKey(dueDate)),
+      txnDate: dayKey(dueDate),
+      type: 'PREMIUM_PAYMENT',
+      amount: money(premium),
+      narration: `Renewal premium ${year + 1}`
+    });
+  }
+
+  return fiData(profile, profile.accounts.policy, {
+    type: 'insurance_policies',
+    Profile: {
+      ...holderProfile(profile),
+      Nominees: { Nominee: [{ name: nominee, relation: 'SPOUSE', share: '100' }] }
+    },
+    Summary: {
+      insurerName: FIPS.insurer.name,
+      policyName: 'Tech Term Plan',
+      policyType: 'TERM',
+      sumAssured: money(sumAssured),
+      premiumAmount: money(premium),
+      premiumFrequency: 'ANNUAL',
+      premiumPaymentYears: termYears,
+      policyStartDate: dayKey(start),
+      maturityDate: dayKey(monthDay(start.getUTCFullYear() + termYears, start.getUTCMonth(), start.getUTCDate())),
+      policyStatus: 'ACTIVE',
+      currency: 'INR'
+    },
+    Transactions: transactionsBlock(range.from, range.to, transactions)
+  });
+};
+
+// FI type -> [FIP, account builders]
+const GENERATORS = {
+  DEPOSIT: [[FIPS.salaryBank, [salaryAccount, homeLoan]], [FIPS.savingsBank, [savingsAccount]]],
+  TERM_DEPOSIT: [[FIPS.salaryBank, [termDeposit]]],
+  RECURRING_DEPOSIT: [[FIPS.salaryBank, [recurringDeposit]]],
+  CREDIT_CARD: [[FIPS.cardIssuer, [creditCard]]],
+  MUTUAL_FUNDS: [[FIPS.rta, [mutualFunds]]],
+  EQUITIES: [[FIPS.depository, [equities]]],
+  NPS: [[FIPS.cra, [nps]]],
+  INSURANCE_POLICIES: [[FIPS.insurer, [insurancePolicy]]]
+};
+
+/**
+ * Generate decrypted FI data for a customer
+ * @param {Object} options
+ * @param {string} options.seed - Simulation seed (same seed, same data)
+ * @param {string} options.customerId - Customer VUA or mobile number
+ * @param {string[]} options.fiTypes - Requested FI types (unsupported types are ignored)
+ * @param {Date|string} options.from - Range start
+ * @param {Date|string} options.to - Range end
+ * @returns {Object[]} - FI entries ([{ fipId, data: [{ linkRefNumber, maskedAccNumber, Account }] }])
+ */
+const generateFI = ({ seed = 'sandbox', customerId, fiTypes = ['DEPOSIT'], from, to = new Date() }) => {
+  const profile = buildProfile(String(seed), String(customerId || 'sandbox-customer'));
+  const prices = createPriceBook(String(seed));
+  const end = startOfDay(new Date(to));
+  const range = {
+    from: from ? startOfDay(new Date(from)) : addDays(end, -180),
+    to: end
+  };
+  const byFip = new Map();
+
+  for (const fiType of SIMULATED_FI_TYPES.filter(type => fiTypes.includes(type))) {
+    for (const [fip, builders] of GENERATORS[fiType]) {
+      const data = builders.map(build => build(profile, range, prices)).filter(Boolean);
+      if (!data.length) continue;
+
+      if (!byFip.has(fip.fipId)) byFip.set(fip.fipId, { fipId: fip.fipId, data: [] });
+      byFip.get(fip.fipId).data.push(...data);
+    }
+  }
+
+  return [...byFip.values()];
+};
+
+module.exports = {
+  generateFI,
+  createRandom,
+  SIMULATED_FI_TYPES,
+  FIPS
+};
@@ -0,0 +1,255 @@
+/**
+ * Identity Token Verification
+ *
+ * Verifies Google and Apple Sign-In ID tokens (OIDC JWTs) so social login
+ * trusts the identity provider, not the client:
+ * - RS256 signature against the provider's JWKS, looked up by `kid`
+ * - `iss`, `aud` (one of our client IDs) and `exp`
+ * - `nonce`, whenever the client sent one or the token carries one. Apple
+ *   tokens carry the SHA-256 hex of the client's raw nonce.
+ *
+ * JWKS are fetched on first use and cached for the response's
+ * Cache-Control max-age (default IDENTITY_JWKS_CACHE_MS). An unknown `kid`
+ * refreshes the cache (at most once a minute), so provider key rotation
+ * needs no restart.
+ * Keys can be pinned with setJwks (tests, offline development).
+ *
+ * Environment Variables:
+ *   GOOGLE_CLIENT_IDS       - Comma-separated OAuth client IDs (web, iOS, Android)
+ *   APPLE_CLIENT_IDS        - Comma-separated app bundle / Services IDs
+ *   IDENTITY_JWKS_CACHE_MS  - JWKS cache lifetime without max-age (default: 1 hour)
+ *   IDENTITY_JWKS_TIMEOUT_MS - JWKS fetch timeout (default: 5000)
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const HOUR_MS = 60 * 60 * 1000;
+const CLOCK_TOLERANCE_SECONDS = 60;
+// Unknown kids refresh the JWKS at most this often
+const MIN_REFRESH_MS = 60 * 1000;
+
+const PROVIDERS = {
+  google: {
+    label: 'Google',
+    jwksUri: 'https://www.googleapis.com/oauth2/v3/certs',
+    issuers: ['https://accounts.google.com', 'accounts.google.com'],
+    clientIdsEnv: 'GOOGLE_CLIENT_IDS',
+    hashedNonce: false
+  },
+  apple: {
+    label: 'Apple',
+    jwksUri: 'https://appleid.apple.com/auth/keys',
+    issuers: ['https://appleid.apple.com'],
+    clientIdsEnv: 'APPLE_CLIENT_IDS',
+    hashedNonce: true
+  }
+};
+
+// provider -> { keys: Map(kid -> KeyObject), fetchedAt, expiresAt, pinned }
+const jwksCache = new Map();
+
+class IdentityTokenError extends Error {
+  /**
+   * @param {string} message - Human readable message
+   * @param {Object} options
+   * @param {string} options.code - Machine readable reason
+   */
+  constructor(message, { code } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code || 'InvalidIdToken';
+  }
+}
+
+const getProvider = (name) => {
+  const provider = PROVIDERS[name];
+  if (!provider) {
+    throw new Error(`Unknown identity provider: ${name}`);
+  }
+  return provider;
+};
+
+/**
+ * Import a JWK Set
+ * @param {Object} jwks - { keys: [JWK] }
+ * @returns {Map} - kid -> public KeyObject (keys without kid or not RSA are skipped)
+ */
+const importJwks = (jwks) => {
+  const keys = new Map();
+  for (const jwk of jwks?.keys || []) {
+    if (!jwk.kid || jwk.kty !== 'RSA') continue;
+    keys.set(jwk.kid, crypto.createPublicKey({ key: jwk, format: 'jwk' }));
+  }
+  return keys;
+};
+
+/**
+ * Pin a provider's JWKS, or clear it (null) to fetch from the provider again
+ * @param {string} name - google | apple
+ * @param {Object|null} jwks - { keys: [JWK] }
+ */
+const setJwks = (name, jwks) => {
+  getProvider(name);
+  if (jwks) {
+    jwksCache.set(name, { keys: importJwks(jwks), expiresAt: Infinity, pinned: true });
+  } else {
+    jwksCache.delete(name);
+  }
+};
+
+/**
+ * Cache lifetime from a Cache-Control header
+ * @param {string|null} cacheControl
+ * @returns {number} - Milliseconds
+ */
+const cacheLifetime = (cacheControl) => {
+  const maxAge = /max-age=(\d+)/.exec(cacheControl || '');
+  if (maxAge) return parseInt(maxAge[1], 10) * 1000;
+  return parseInt(process.env.IDENTITY_JWKS_CACHE_MS, 10) || HOUR_MS;
+};
+
+/**
+ * Fetch and cache a provider's JWKS
+ * @param {string} name - google | apple
+ * @returns {Map} - kid -> public KeyObject
+ */
+const refreshJwks = async (name) => {
+  const { jwksUri, label } = getProvider(name);
+  const timeoutMs = parseInt(process.env.IDENTITY_JWKS_TIMEOUT_MS, 10) || 5000;
+
+  let response;
+  try {
+    response = await fetch(jwksUri, { signal: AbortSignal.timeout(timeoutMs) });
+  } catch (error) {
+    throw new Error(`${label} JWKS fetch failed: ${error.message}`);
+  }
+  if (!response.ok) {
+    throw new Error(`${label} JWKS fetch failed with status ${response.status}`);
+  }
+
+  const keys = importJwks(await response.json());
+  jwksCache.set(name, {
+    keys,
+    fetchedAt: Date.now(),
+    expiresAt: Date.now() + cacheLifetime(response.headers.get('cache-control')),
+    pinned: false
+  });
+  return keys;
+};
+
+/**
+ * Find the signing key for a token
+ * @param {string} name - google | apple
+ * @param {string} kid - Key ID from the token header
+ * @returns {KeyObject}
+ * @throws {IdentityTokenError} - If no key has that kid
+ */
+const getSigningKey = async (name, kid) => {
+  const cached = jwksCache.get(name);
+  const fresh = !cached || (!cached.pinned && cached.expiresAt <= Date.now());
+  const keys = fresh ? await refreshJwks(name) : cached.keys;
+
+  let key = keys.get(kid);
+  if (!key && !fresh && !cached.pinned && Date.now() - cached.fetchedAt >= MIN_REFRESH_MS) {
+    key = (await refreshJwks(name)).get(kid);
+  }
+  if (!key) {
+    throw new IdentityTokenError(`No ${getProvider(name).label} signing key with kid ${kid}`, { code: 'UnknownKey' });
+  }
+  return key;
+};
+
+/**
+ * Client IDs accepted as `aud`
+ * @param {Object} provider - Entry of PROVIDERS
+ * @returns {string[]}
+ */
+const getAudiences = (provider) => {
+  const audiences = (process.env[provider.clientIdsEnv] || '').split(',').map(id => id.trim()).filter(Boolean);
+  if (audiences.length === 0) {
+    throw new Error(`${provider.clientIdsEnv} is not configured`);
+  }
+  return audiences;
+};
+
+const sha256Hex = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+/**
+ * Check the nonce claim against the client's nonce
+ * @throws {IdentityTokenError}
+ */
+const checkNonce = (provider, claims, nonce) => {
+  if (!nonce && !claims.nonce) return;
+  if (!nonce || !claims.nonce) {
+    throw new IdentityTokenError('ID token nonce is missing', { code: 'NonceMismatch' });
+  }
+  if (typeof nonce !== 'string' || typeof claims.nonce !== 'string') {
+    throw new IdentityTokenError('ID token nonce must be a string', { code: 'NonceMismatch' });
+  }
+
+  const expected = Buffer.from(provider.hashedNonce ? sha256Hex(nonce) : nonce);
+  const presented = Buffer.from(claims.nonce);
+  const matches = expected.length === presented.length && crypto.timingSafeEqual(expected, presented);
+  if (!matches) {
+    throw new IdentityTokenError('ID token nonce does not match', { code: 'NonceMismatch' });
+  }
+};
+
+/**
+ * Verify a Google or Apple ID token
+ * @param {string} name - google | apple
+ * @param {string} idToken - ID token from the client's sign-in
+ * @param {Object} options
+ * @param {string} options.nonce - Raw nonce the client signed in with
+ * @returns {Object} - { sub, email, emailVerified, name, claims }
+ * @throws {IdentityTokenError} - If the token is invalid, expired or not for us
+ */
+const verifyIdToken = async (name, idToken, { nonce } = {}) => {
+  const provider = getProvider(name);
+  const audience = getAudiences(provider);
+
+  const decoded = typeof idToken === 'string' ? jwt.decode(idToken, { complete: true }) : null;
+  if (!decoded?.header?.kid) {
+    throw new IdentityTokenError('ID token is malformed', { code: 'MalformedIdToken' });
+  }
+  if (decoded.header.alg !== 'RS256') {
+    throw new IdentityTokenError(`ID token algorithm ${decoded.header.alg} is not accepted`, { code: 'InvalidAlgorithm' });
+  }
+
+  const key = await getSigningKey(name, decoded.header.kid);
+
+  let claims;
+  try {
+    claims = jwt.verify(idToken, key, {
+      algorithms: ['RS256'],
+      issuer: provider.issuers,
+      audience,
+      clockTolerance: CLOCK_TOLERANCE_SECONDS
+    });
+  } catch (error) {
+    const code = error.name === 'TokenExpiredError' ? 'IdTokenExpired' : 'InvalidIdToken';
+    throw new IdentityTokenError(`${provider.label} ID token rejected: ${error.message}`, { code });
+  }
+
+  if (!claims.sub) {
+    throw new IdentityTokenError('ID token has no subject', { code: 'MalformedIdToken' });
+  }
+  checkNonce(provider, claims, nonce);
+
+  return {
+    sub: claims.sub,
+    email: claims.email || null,
+    // Apple sends email_verified as a string
+    emailVerified: claims.email_verified === true || claims.email_verified === 'true',
+    name: claims.name || null,
+    claims
+  };
+};
+
+module.exports = {
+  verifyIdToken,
+  setJwks,
+  IdentityTokenError,
+  PROVIDERS
+};
@@ -0,0 +1,190 @@
+/**
+ * JWS Detached Signature Service
+ *
+ * Produces and verifies RS256 detached JWS signatures (RFC 7515 Appendix F)
+ * as used in the ReBIT `x-jws-signature` header:
+ *
+ *   <base64url(header)>..<base64url(signature)>
+ *
+ * The signature covers `<base64url(header)>.<base64url(body)>`, where body is
+ * the exact request/response bytes sent over the wire.
+ *
+ * Environment Variables:
+ *   AA_FIU_PRIVATE_KEY       - FIU signing key (PEM, "\n" escapes allowed)
+ *   AA_FIU_PRIVATE_KEY_PATH  - Path to FIU signing key (PEM), used if the above is unset
+ *   AA_FIU_KEY_ID            - Optional `kid` placed in the JWS header
+ *   AA_PUBLIC_KEYS           - One or more AA public keys (concatenated PEM blocks)
+ *   AA_PUBLIC_KEY_PATHS      - Comma-separated paths to AA public keys (PEM)
+ *
+ * All configured AA public keys are accepted, so a new key can be added
+ * alongside the old one while an AA rotates keys.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+
+const ALGORITHM = 'RS256';
+
+let keys = null;
+
+const base64url = (input) => Buffer.from(input).toString('base64url');
+
+/**
+ * Split concatenated PEM blocks into individual PEM strings
+ * @param {string} pemBundle - One or more PEM blocks
+ * @returns {string[]}
+ */
+const splitPem = (pemBundle) => {
+  if (!pemBundle) return [];
+  const normalized = pemBundle.replace(/\\n/g, '\n');
+  return normalized.match(/-----BEGIN [A-Z ]+-----[\s\S]+?-----END [A-Z ]+-----/g) || [];
+};
+
+const toPrivateKey = (key) => key instanceof crypto.KeyObject ? key : crypto.createPrivateKey(key);
+const toPublicKey = (key) => key instanceof crypto.KeyObject && key.type === 'public' ? key : crypto.createPublicKey(key);
+
+/**
+ * Load signing and verification keys from env
+ * @returns {Object} - { privateKey, keyId, publicKeys }
+ */
+const loadKeysFromEnv = () => {
+  let privatePem = process.env.AA_FIU_PRIVATE_KEY?.replace(/\\n/g, '\n');
+  if (!privatePem && process.env.AA_FIU_PRIVATE_KEY_PATH) {
+    privatePem = fs.readFileSync(process.env.AA_FIU_PRIVATE_KEY_PATH, 'utf-8');
+  }
+
+  const publicPems = splitPem(process.env.AA_PUBLIC_KEYS);
+  const paths = (process.env.AA_PUBLIC_KEY_PATHS || '').split(',').map(p => p.trim()).filter(Boolean);
+  for (const keyPath of paths) {
+    publicPems.push(...splitPem(fs.readFileSync(keyPath, 'utf-8')));
+  }
+
+  return {
+    privateKey: privatePem ? crypto.createPrivateKey(privatePem) : null,
+    keyId: process.env.AA_FIU_KEY_ID || null,
+    publicKeys: publicPems.map(pem => crypto.createPublicKey(pem))
+  };
+};
+
+/**
+ * Get configured keys (loaded from env on first use)
+ * @returns {Object} - { privateKey, keyId, publicKeys }
+ */
+const getKeys = () => {
+  if (!keys) {
+    keys = loadKeysFromEnv();
+  }
+  return keys;
+};
+
+/**
+ * Override configured keys (key injection for tests and tooling)
+ * @param {Object} overrides
+ * @param {string|KeyObject} overrides.privateKey - FIU private key
+ * @param {string} overrides.keyId - FIU key ID
+ * @param {Array<string|KeyObject>} overrides.publicKeys - Trusted AA public keys
+ */
+const setKeys = ({ privateKey = null, keyId = null, publicKeys = [] }) => {
+  keys = {
+    privateKey: privateKey ? toPrivateKey(privateKey) : null,
+    keyId,
+    publicKeys: publicKeys.map(toPublicKey)
+  };
+};
+
+/**
+ * Drop cached keys so the next call reloads them from env
+ */
+const resetKeys = () => {
+  keys = null;
+};
+
+/**
+ * Create a detached JWS over a payload with the given key
+ * @param {string|Buffer} payload - Exact bytes being signed
+ * @param {string|KeyObject} privateKey - RSA private key
+ * @param {string} keyId - Optional key ID
+ * @returns {string} - Detached JWS (header..signature)
+ */
+const signWith = (payload, privateKey, keyId = null) => {
+  const header = { alg: ALGORITHM };
+  if (keyId) header.kid = keyId;
+
+  const encodedHeader = base64url(JSON.stringify(header));
+  const signingInput = `${encodedHeader}.${base64url(payload)}`;
+  const signature = crypto.sign('RSA-SHA256', Buffer.from(signingInput), privateKey);
+
+  return `${encodedHeader}..${signature.toString('base64url')}`;
+};
+
+/**
+ * Verify a detached JWS against any of the given public keys
+ * @param {string} jws - Detached JWS (header..signature)
+ * @param {string|Buffer} payload - Exact bytes that were signed
+ * @param {Array<string|KeyObject>} publicKeys - Trusted public keys
+ * @returns {boolean} - True if a key verifies the signature
+ */
+const verifyWith = (jws, payload, publicKeys) => {
+  if (!jws || typeof jws !== 'string' || !publicKeys?.length) return false;
+
+  const parts = jws.split('.');
+  if (parts.length !== 3 || parts[1] !== '') return false;
+
+  const [encodedHeader, , encodedSignature] = parts;
+
+  let header;
+  try {
+    header = JSON.parse(Buffer.from(encodedHeader, 'base64url').toString('utf-8'));
+  } catch {
+    return false;
+  }
+
+  if (header.alg !== ALGORITHM) return false;
+
+  const signingInput = Buffer.from(`${encodedHeader}.${base64url(payload)}`);
+  const signature = Buffer.from(encodedSignature, 'base64url');
+
+  return publicKeys.some(key => {
+    try {
+      return crypto.verify('RSA-SHA256', signingInput, key, signature);
+    } catch {
+      return false;
+    }
+  });
+};
+
+/**
+ * Sign an outgoing AA request body with the configured FIU key
+ * @param {string|Buffer} payload - Serialized request body
+ * @returns {string} - Detached JWS
+ * @throws {Error} - When no FIU private key is configured
+ */
+const sign = (payload) => {
+  const { privateKey, keyId } = getKeys();
+  if (!privateKey) {
+    throw new Error('AA signing key not configured (set AA_FIU_PRIVATE_KEY or AA_FIU_PRIVATE_KEY_PATH)');
+  }
+  return signWith(payload, privateKey, keyId);
+};
+
+/**
+ * Verify a signature on an AA response or notification
+ * @param {string} jws - Value of the x-jws-signature header
+ * @param {string|Buffer} payload - Raw body
+ * @param {Array<string|KeyObject>} publicKeys - Keys to trust (default: configured AA keys)
+ * @returns {boolean}
+ */
+const verify = (jws, payload, publicKeys = getKeys().publicKeys) => {
+  return verifyWith(jws, payload, publicKeys);
+};
+
+module.exports = {
+  sign,
+  verify,
+  signWith,
+  verifyWith,
+  getKeys,
+  setKeys,
+  resetKeys,
+  splitPem
+};
@@ -0,0 +1,200 @@
+/**
+ * Loan Amortization Service
+ *
+ * Reducing-balance amortization of a stored loan (see models/Loan.js) and
+ * prepayment simulation: how much interest and how many EMIs a lump-sum
+ * part-payment saves today, either keeping the EMI (shorter tenure) or
+ * keeping the tenure (lower EMI).
+ */
+
+const { shiftDate } = require('./consentTemplates');
+
+const PREPAYMENT_STRATEGIES = ['REDUCE_TENURE', 'REDUCE_EMI'];
+
+// 50 years; a schedule that runs longer is treated as never repaid
+const MAX_MONTHS = 600;
+
+class LoanSimulationError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'LoanSimulationError';
+    this.status = status;
+  }
+}
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// DECIMAL columns come back from Postgres as strings
+const toAmount = (value) => (value === null || value === undefined ? null : parseFloat(value));
+
+const toDateOnly = (date) => date.toISOString().split('T')[0];
+
+/**
+ * Monthly interest rate from an annual percentage rate
+ * @param {number} annualRate - e.g. 8.5
+ * @returns {number} - e.g. 0.007083
+ */
+const monthlyRate = (annualRate) => annualRate / 12 / 100;
+
+/**
+ * EMI that repays a principal over a number of months
+ * @param {number} principal - Amount to repay
+ * @param {number} annualRate - Annual interest rate, percent
+ * @param {number} months - Tenure in months
+ * @returns {number} - EMI, rounded to 2 decimals (0 without principal or tenure)
+ */
+const computeEmi = (principal, annualRate, months) => {
+  if (!(principal > 0) || !(months > 0)) return 0;
+
+  const rate = monthlyRate(annualRate);
+  if (rate === 0) return round2(principal / months);
+
+  const factor = Math.pow(1 + rate, months);
+  return round2((principal * rate * factor) / (factor - 1));
+};
+
+/**
+ * Month-by-month schedule repaying a balance with a fixed EMI. The last EMI
+ * is whatever is left.
+ * @param {Object} params
+ * @param {number} params.balance - Outstanding principal
+ * @param {number} params.annualRate - Annual interest rate, percent
+ * @param {number} params.emi - Monthly instalment
+ * @param {Date|string} params.firstEmiDate - Date of the first EMI (optional)
+ * @returns {Object} - { emi, months, totalInterest, totalPaid, closureDate, schedule: [{ month, date, emi, interest, principal, balance }] }
+ * @throws {LoanSimulationError} - When the EMI does not cover the monthly interest
+ */
+const buildSchedule = ({ balance, annualRate, emi, firstEmiDate = null }) => {
+  const rate = monthlyRate(annualRate);
+  if (balance > 0 && emi <= round2(balance * rate)) {
+    throw new LoanSimulationError('EMI does not cover the monthly interest, so the loan would never be repaid', 422);
+  }
+
+  const schedule = [];
+  let remaining = round2(balance);
+  let totalInterest = 0;
+  let totalPaid = 0;
+
+  for (let month = 1; remaining > 0 && month <= MAX_MONTHS; month++) {
+    const interest = round2(remaining * rate);
+    const due = round2(remaining + interest);
+    // Per-month rounding leaves a few rupees over at the end; fold them into
+    // the last EMI rather than schedule a token extra month
+    const payment = due - emi < emi * 0.01 ? due : emi;
+    const principal = round2(payment - interest);
+    remaining = round2(remaining - principal);
+    totalInterest += interest;
+    totalPaid += payment;
+
+    schedule.push({
+      month,
+      date: firstEmiDate ? toDateOnly(shiftDate(firstEmiDate, { unit: 'MONTH', value: month - 1 })) : null,
+      emi: payment,
+      interest,
+      principal,
+      balance: remaining
+    });
+  }
+
+  if (remaining > 0) {
+    throw new LoanSimulationError(`Loan would take more than ${MAX_MONTHS} months to repay`, 422);
+  }
+
+  return {
+    emi: schedule.length ? round2(emi) : 0,
+    months: schedule.length,
+    totalInterest: round2(totalInterest),
+    totalPaid: round2(totalPaid),
+    closureDate: schedule.length ? schedule[schedule.length - 1].date : null,
+    schedule
+  };
+};
+
+/**
+ * Repayment terms of a stored loan: outstanding balance, rate and EMI (the
+ * FIP's, else one that repays the balance over the rest of the tenure)
+ * @param {Loan} loan
+ * @param {Date} now - Current time (first EMI date when the FIP sent none)
+ * @returns {Object} - { balance, annualRate, emi, firstEmiDate }
+ * @throws {LoanSimulationError} - When the FI data lacks the balance or rate
+ */
+const loanTerms = (loan, now = new Date()) => {
+  const balance = toAmount(loan.outstanding_amount) ?? toAmount(loan.principal_amount);
+  const annualRate = toAmount(loan.interest_rate);
+  if (!(balance > 0) || annualRate === null) {
+    throw new LoanSimulationError('Loan has no outstanding amount or interest rate to amortize', 422);
+  }
+
+  let emi = toAmount(loan.emi_amount);
+  if (!emi) {
+    const elapsed = loan.start_date
+      ? Math.max(0, Math.round((now - new Date(loan.start_date)) / (30.4375 * 24 * 60 * 60 * 1000)))
+      : 0;
+    const remainingMonths = (loan.tenure_months || 0) - elapsed;
+    if (remainingMonths <= 0) {
+      throw new LoanSimulationError('Loan has no EMI and no remaining tenure to derive one from', 422);
+    }
+    emi = computeEmi(balance, annualRate, remainingMonths);
+  }
+
+  return { balance, annualRate, emi, firstEmiDate: loan.next_emi_date || toDateOnly(now) };
+};
+
+// Schedule totals without the rows
+const summarize = ({ schedule, ...totals }) => totals;
+
+/**
+ * Simulate a lump-sum prepayment made today
+ * @param {Loan} loan
+ * @param {Object} options
+ * @param {number} options.amount - Prepayment amount
+ * @param {string} options.strategy - REDUCE_TENURE (keep EMI) | REDUCE_EMI (keep tenure)
+ * @param {number} options.chargePercent - Prepayment charge, percent of the amount (default: 0)
+ * @param {Date} options.now - Current time
+ * @returns {Object} - { prepayment, current, afterPrepayment, interestSaved, monthsSaved, emiReduction, netSaving }
+ * @throws {LoanSimulationError}
+ */
+const simulatePrepayment = (loan, { amount, strategy = 'REDUCE_TENURE', chargePercent = 0, now = new Date() } = {}) => {
+  if (!PREPAYMENT_STRATEGIES.includes(strategy)) {
+    throw new LoanSimulationError(`strategy must be one of ${PREPAYMENT_STRATEGIES.join(', ')}`);
+  }
+  if (typeof amount !== 'number' || !(amount > 0)) {
+    throw new LoanSimulationError('amount must be a positive number');
+  }
+  if (typeof chargePercent !== 'number' || chargePercent < 0 || chargePercent > 100) {
+    throw new LoanSimulationError('chargePercent must be between 0 and 100');
+  }
+
+  const terms = loanTerms(loan, now);
+  if (amount > terms.balance) {
+    throw new LoanSimulationError(`amount cannot exceed the outstanding balance of ${terms.balance}`);
+  }
+
+  const current = buildSchedule(terms);
+  const balance = round2(terms.balance - amount);
+  const emi = strategy === 'REDUCE_EMI' ? computeEmi(balance, terms.annualRate, current.months) : terms.emi;
+  const after = buildSchedule({ ...terms, balance, emi });
+
+  const interestSaved = round2(current.totalInterest - after.totalInterest);
+  const charge = round2((amount * chargePercent) / 100);
+
+  return {
+    prepayment: { amount, strategy, charge },
+    current: { balance: terms.balance, ...summarize(current) },
+    afterPrepayment: { balance, ...summarize(after) },
+    interestSaved,
+    monthsSaved: current.months - after.months,
+    emiReduction: round2(terms.emi - after.emi),
+    netSaving: round2(interestSaved - charge)
+  };
+};
+
+module.exports = {
+  monthlyRate,
+  computeEmi,
+  buildSchedule,
+  loanTerms,
+  simulatePrepayment,
+  LoanSimulationError,
+  PREPAYMENT_STRATEGIES
+};
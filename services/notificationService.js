@@ -0,0 +1,221 @@
+/**
+ * AA Notification Service
+ *
+ * Applies ReBIT notifications pushed by the AA to the FIU:
+ * - Consent/Notification -> appends a ConsentRecord version (ACTIVE, PAUSED, REVOKED, EXPIRED)
+ * - FI/Notification      -> updates the FISession status (READY once data can be fetched)
+ *                           and starts ingesting a READY session in the background
+ *
+ * Notifications are idempotent on txnid: a redelivered txnid is acknowledged
+ * without being applied again.
+ *
+ * A notification must come from the consent's AA (for FI notifications, the
+ * AA of the session's consent): Notifier.id must equal the provider's
+ * AA_<PROVIDER>_AA_ID (default: the provider name).
+ * Terminal consents (REJECTED, EXPIRED, REVOKED) never change status again;
+ * ACTIVE resumes a PAUSED consent (see consentService.canTransition).
+ */
+
+const AANotification = require('../models/AANotification');
+const FISession = require('../models/FISession');
+const consentService = require('./consentService');
+const fiIngestion = require('./fiIngestion');
+const aaAdapter = require('./aaAdapter');
+const { normalizeConsentStatus } = aaAdapter;
+
+// ReBIT consent statuses an AA may notify
+const NOTIFIABLE_CONSENT_STATUSES = ['ACTIVE', 'PAUSED', 'REVOKED', 'EXPIRED'];
+
+// Account-level FIStatus values after which the FIP will not change its answer
+const SETTLED_FI_STATUSES = ['READY', 'DELIVERED', 'DENIED', 'TIMEOUT'];
+
+class NotificationError extends Error {
+  constructor(message, errorCode, status = 400) {
+    super(message);
+    this.name = 'NotificationError';
+    this.errorCode = errorCode;
+    this.status = status;
+  }
+}
+
+/**
+ * ReBIT acknowledgement response
+ * @param {string} txnid - Notification txnid
+ * @returns {Object}
+ */
+const buildAck = (txnid) => ({
+  ver: '1.0',
+  timestamp: new Date().toISOString(),
+  txnid,
+  response: 'OK'
+});
+
+/**
+ * Check whether a notification txnid was already applied
+ * @param {string} txnid - Notification txnid
+ * @returns {boolean}
+ */
+const isDuplicate = async (txnid) => {
+  return !!(await AANotification.findOne({ where: { txn_id: txnid } }));
+};
+
+/**
+ * Record a processed notification (a concurrent duplicate is harmless)
+ */
+const markProcessed = async (txnid, type, payload) => {
+  try {
+    await AANotification.create({ txn_id: txnid, type, payload });
+  } catch (error) {
+    if (error.name !== 'SequelizeUniqueConstraintError') throw error;
+  }
+};
+
+/**
+ * Check that a notification was sent by the consent's AA
+ * @param {Object} notifier - Notification Notifier ({ type, id })
+ * @param {ConsentRecord} record - Consent the notification is about
+ * @throws {NotificationError} - When the notifier is another AA
+ */
+const checkNotifier = (notifier, record) => {
+  let provider;
+  try {
+    provider = aaAdapter.forProvider(record.aa_provider);
+  } catch {
+    throw new NotificationError(`Consent AA ${record.aa_provider} is not configured`, 'InvalidNotifier', 403);
+  }
+
+  const expectedId = provider.config.aaId || provider.name;
+  if (notifier?.type !== 'AA' || notifier.id !== expectedId) {
+    throw new NotificationError(`Notifier does not match the consent's AA (${provider.name})`, 'InvalidNotifier', 403);
+  }
+};
+
+/**
+ * Apply a Consent/Notification
+ * @param {Object} body - Notification body
+ * @returns {Object} - { ack, duplicate, record }
+ * @throws {NotificationError} - On malformed body, unknown consent, wrong notifier or a terminal consent
+ */
+const handleConsentNotification = async (body) => {
+  const { txnid, ConsentStatusNotification: notification } = body || {};
+
+  if (!txnid || !notification?.consentStatus || (!notification.consentId && !notification.consentHandle)) {
+    throw new NotificationError('Missing txnid or ConsentStatusNotification', 'InvalidRequest');
+  }
+
+  if (!NOTIFIABLE_CONSENT_STATUSES.includes(notification.consentStatus)) {
+    throw new NotificationError(`Unsupported consentStatus: ${notification.consentStatus}`, 'InvalidRequest');
+  }
+
+  if (await isDuplicate(txnid)) {
+    return { ack: buildAck(txnid), duplicate: true };
+  }
+
+  const record = await consentService.findLatestByConsentId(notification.consentId) ||
+    await consentService.findLatestByHandle(notification.consentHandle);
+
+  if (!record) {
+    throw new NotificationError('Consent not found', 'InvalidConsentId', 404);
+  }
+
+  checkNotifier(body.Notifier, record);
+
+  const status = normalizeConsentStatus(notification.consentStatus);
+  // ACTIVE from the consent's own AA is how a PAUSED consent is resumed
+  const resume = notification.consentStatus === 'ACTIVE';
+  if (!consentService.canTransition(record.status, status, { resume })) {
+    // e.g. a late ACTIVE delivered after REVOKED must not bring the consent back
+    throw new NotificationError(`Consent is ${record.status} and cannot become ${status}`, 'InvalidConsentStatus', 409);
+  }
+
+  const latest = await consentService.recordStatus(record, status, {
+    aaConsentId: notification.consentId,
+    aaResponse: body,
+    resume
+  });
+
+  await markProcessed(txnid, 'CONSENT', body);
+
+  return { ack: buildAck(txnid), duplicate: false, record: latest };
+};
+
+/**
+ * Derive the FISession status from an FIStatusNotification
+ * @param {Object} notification - FIStatusNotification
+ * @returns {string|null} - New status, or null to leave it unchanged
+ */
+const resolveSessionStatus = (notification) => {
+  const { sessionStatus, FIStatusResponse = [] } = notification;
+
+  if (sessionStatus === 'EXPIRED') return 'EXPIRED';
+  if (sessionStatus === 'FAILED') return 'FAILED';
+
+  const accounts = FIStatusResponse.flatMap(fip => fip.Accounts || []);
+  const allSettled = accounts.length > 0 && accounts.every(a => SETTLED_FI_STATUSES.includes(a.FIStatus));
+  const anyReady = accounts.some(a => a.FIStatus === 'READY');
+
+  if (sessionStatus === 'COMPLETED' || allSettled) {
+    return anyReady || sessionStatus === 'COMPLETED' ? 'READY' : 'FAILED';
+  }
+
+  return null;
+};
+
+/**
+ * Apply an FI/Notification
+ * @param {Object} body - Notification body
+ * @returns {Object} - { ack, duplicate, session }
+ * @throws {NotificationError} - On malformed body, unknown session or consent, or wrong notifier
+ */
+const handleFINotification = async (body) => {
+  const { txnid, FIStatusNotification: notification } = body || {};
+
+  if (!txnid || !notification?.sessionId) {
+    throw new NotificationError('Missing txnid or FIStatusNotification', 'InvalidRequest');
+  }
+
+  if (await isDuplicate(txnid)) {
+    return { ack: buildAck(txnid), duplicate: true };
+  }
+
+  const session = await FISession.findOne({ where: { session_id: notification.sessionId } });
+  if (!session) {
+    throw new NotificationError('FI session not found', 'InvalidSessionId', 404);
+  }
+
+  const record = await consentService.findLatestByConsentId(session.consent_id, session.user_id);
+  if (!record) {
+    throw new NotificationError('Consent not found', 'InvalidConsentId', 404);
+  }
+
+  checkNotifier(body.Notifier, record);
+
+  const status = resolveSessionStatus(notification);
+  // Only sessions that are not being (or have not been) ingested follow the AA status
+  const updates = { fi_status: notification.FIStatusResponse || null };
+  if (status && ['PENDING', 'READY'].includes(session.status)) {
+    updates.status = status;
+  }
+  await session.update(updates);
+
+  await markProcessed(txnid, 'FI', body);
+
+  if (updates.status === 'READY') {
+    // Ack right away; the fetch can take a while
+    fiIngestion.ingestReadySession(session)
+      .catch(error => console.error('FI ingestion error:', error));
+  } else if (updates.status) {
+    // FAILED / EXPIRED: a sync waiting on the session asks for its window again
+    await fiIngestion.settleSync(session);
+  }
+
+  return { ack: buildAck(txnid), duplicate: false, session };
+};
+
+module.exports = {
+  handleConsentNotification,
+  handleFINotification,
+  resolveSessionStatus,
+  buildAck,
+  NotificationError
+};
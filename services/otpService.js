@@ -0,0 +1,244 @@
+/**
+ * OTP Service
+ *
+ * One-time passwords for phone login. A 6-digit code is sent by SMS through
+ * the configured SMS provider; only its HMAC (keyed with OTP_SECRET) is
+ * stored, so a leaked phone_otps table cannot be brute-forced offline.
+ *
+ * Limits per phone number:
+ * - a new code can be requested once per OTP_RESEND_COOLDOWN_MS, and at most
+ *   OTP_MAX_PER_HOUR times an hour
+ * - only the latest code is accepted, for OTP_TTL_MS, and for at most
+ *   OTP_MAX_ATTEMPTS wrong guesses
+ * - a code can be used once
+ *
+ * Indian numbers are normalized to E.164 (+91XXXXXXXXXX); numbers with
+ * another country code must be given in E.164.
+ *
+ * Environment Variables:
+ *   OTP_SECRET - HMAC key for stored codes (default: JWT_SECRET)
+ *   OTP_TTL_MS - Code lifetime (default: 300000)
+ *   OTP_MAX_ATTEMPTS - Wrong guesses allowed per code (default: 5)
+ *   OTP_RESEND_COOLDOWN_MS - Minimum time between codes for a phone (default: 30000)
+ *   OTP_MAX_PER_HOUR - Codes per phone per hour (default: 5)
+ */
+
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const PhoneOTP = require('../models/PhoneOTP');
+const smsProviders = require('./smsProviders');
+
+const CODE_LENGTH = 6;
+const HOUR_MS = 60 * 60 * 1000;
+
+const INDIAN_MOBILE_PATTERN = /^[6-9]\d{9}$/;
+const E164_PATTERN = /^\+[1-9]\d{7,14}$/;
+
+class OtpError extends Error {
+  /**
+   * @param {string} message - Human readable message
+   * @param {Object} options
+   * @param {string} options.code - Machine readable reason
+   * @param {number} options.retryAfter - Seconds until a new code can be requested
+   * @param {number} options.attemptsRemaining - Guesses left for the current code
+   */
+  constructor(message, { code, retryAfter, attemptsRemaining } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code || 'OtpError';
+    this.retryAfter = retryAfter ?? null;
+    this.attemptsRemaining = attemptsRemaining ?? null;
+  }
+
+  /**
+   * HTTP status our API should respond with when this error bubbles up
+   */
+  get httpStatus() {
+    switch (this.code) {
+      case 'InvalidPhone':
+        return 400;
+      case 'ResendCooldown':
+      case 'TooManyRequests':
+      case 'TooManyAttempts':
+        return 429;
+      case 'SmsFailed':
+        return 502;
+      default:
+        return 401;
+    }
+  }
+}
+
+const getConfig = () => ({
+  ttlMs: parseInt(process.env.OTP_TTL_MS, 10) || 5 * 60 * 1000,
+  maxAttempts: parseInt(process.env.OTP_MAX_ATTEMPTS, 10) || 5,
+  cooldownMs: parseInt(process.env.OTP_RESEND_COOLDOWN_MS, 10) || 30 * 1000,
+  maxPerHour: parseInt(process.env.OTP_MAX_PER_HOUR, 10) || 5
+});
+
+const getSecret = () => {
+  const secret = process.env.OTP_SECRET || process.env.JWT_SECRET;
+  if (!secret) {
+    throw new Error('OTP_SECRET is not configured');
+  }
+  return secret;
+};
+
+/**
+ * Normalize a phone number to E.164
+ * @param {string} phone - e.g. "98765 43210", "098765-43210", "+91 98765 43210"
+ * @returns {string} - E.164 number (e.g. "+919876543210")
+ * @throws {OtpError} - If the number is not valid (InvalidPhone)
+ */
+const normalizePhone = (phone) => {
+  const compact = String(phone || '').replace(/[\s\-().]/g, '');
+  const digits = compact.replace(/^\+/, '');
+
+  let national = null;
+  if (INDIAN_MOBILE_PATTERN.test(digits)) national = digits;
+  else if (/^0\d{10}$/.test(digits)) national = digits.substring(1);
+  else if (/^91\d{10}$/.test(digits)) national = digits.substring(2);
+
+  if (national && INDIAN_MOBILE_PATTERN.test(national)) {
+    return `+91${national}`;
+  }
+  if (compact.startsWith('+') && E164_PATTERN.test(compact) && !compact.startsWith('+91')) {
+    return compact;
+  }
+  throw new OtpError('Enter a valid mobile number', { code: 'InvalidPhone' });
+};
+
+/**
+ * Forms a normalized number may be stored in on users.phone (registration
+ * stored phones as entered)
+ * @param {string} phone - E.164 number
+ * @returns {string[]}
+ */
+const phoneVariants = (phone) => (phone.startsWith('+91') ? [phone, phone.substring(3)] : [phone]);
+
+const hashCode = (phone, code) =>
+  crypto.createHmac('sha256', getSecret()).update(`${phone}:${code}`).digest('hex');
+
+const generateCode = () => String(crypto.randomInt(0, 10 ** CODE_LENGTH)).padStart(CODE_LENGTH, '0');
+
+/**
+ * Send a login code to a phone number
+ * @param {string} rawPhone - Phone number as entered
+ * @param {Object} req - Express request (IP of the caller)
+ * @returns {Object} - { phone, expiresAt, resendAfter }
+ * @throws {OtpError} - InvalidPhone, ResendCooldown, TooManyRequests, SmsFailed
+ */
+const requestOtp = async (rawPhone, req) => {
+  const phone = normalizePhone(rawPhone);
+  const { ttlMs, cooldownMs, maxPerHour } = getConfig();
+  const now = Date.now();
+
+  const recent = await PhoneOTP.findAll({
+    where: { phone, created_at: { [Op.gt]: new Date(now - HOUR_MS) } },
+    order: [['created_at', 'DESC']]
+  });
+
+  if (recent.length > 0) {
+    const nextAllowed = recent[0].created_at.getTime() + cooldownMs;
+    if (nextAllowed > now) {
+      throw new OtpError('Please wait before requesting another code', {
+        code: 'ResendCooldown',
+        retryAfter: Math.ceil((nextAllowed - now) / 1000)
+      });
+    }
+  }
+  if (recent.length >= maxPerHour) {
+    const oldest = recent[recent.length - 1].created_at.getTime();
+    throw new OtpError('Too many codes requested; try again later', {
+      code: 'TooManyRequests',
+      retryAfter: Math.ceil((oldest + HOUR_MS - now) / 1000)
+    });
+  }
+
+  const code = generateCode();
+  const otp = await PhoneOTP.create({
+    phone,
+    code_hash: hashCode(phone, code),
+    expires_at: new Date(now + ttlMs),
+    ip_address: req?.ip || null
+  });
+
+  try {
+    await smsProviders.sendSms({
+      to: phone,
+      message: `${code} is your Rupio login code. It expires in ${Math.round(ttlMs / 60000)} minutes. Do not share it with anyone.`
+    });
+  } catch (error) {
+    // Not delivered: don't count it against the phone's limits
+    await PhoneOTP.destroy({ where: { id: otp.id } });
+    console.error('OTP SMS error:', error);
+    throw new OtpError('Could not send the code; try again', { code: 'SmsFailed' });
+  }
+
+  return {
+    phone,
+    expiresAt: otp.expires_at,
+    resendAfter: Math.ceil(cooldownMs / 1000)
+  };
+};
+
+/**
+ * Check a login code. Only the latest code sent to the phone is accepted.
+ * @param {string} rawPhone - Phone number as entered
+ * @param {string} code - Code from the SMS
+ * @returns {Object} - { phone } (E.164)
+ * @throws {OtpError} - InvalidPhone, OtpExpired, TooManyAttempts, InvalidOtp
+ */
+const verifyOtp = async (rawPhone, code) => {
+  const phone = normalizePhone(rawPhone);
+  const { maxAttempts } = getConfig();
+
+  const otp = await PhoneOTP.findOne({
+    where: { phone },
+    order: [['created_at', 'DESC']]
+  });
+
+  if (!otp || !otp.isUsable()) {
+    throw new OtpError('Code has expired; request a new one', { code: 'OtpExpired' });
+  }
+  if (otp.attempts >= maxAttempts) {
+    throw new OtpError('Too many wrong codes; request a new one', { code: 'TooManyAttempts', attemptsRemaining: 0 });
+  }
+
+  // Count the attempt before comparing; conditional so concurrent guesses can't share one
+  const [counted] = await PhoneOTP.update(
+    { attempts: otp.attempts + 1 },
+    { where: { id: otp.id, attempts: otp.attempts, consumed_at: null } }
+  );
+  if (counted === 0) {
+    throw new OtpError('Code could not be verified; try again', { code: 'InvalidOtp' });
+  }
+
+  const expected = Buffer.from(otp.code_hash, 'hex');
+  const presented = Buffer.from(hashCode(phone, String(code || '').trim()), 'hex');
+  if (!crypto.timingSafeEqual(expected, presented)) {
+    const attemptsRemaining = maxAttempts - otp.attempts - 1;
+    throw new OtpError('Incorrect code', {
+      code: attemptsRemaining > 0 ? 'InvalidOtp' : 'TooManyAttempts',
+      attemptsRemaining
+    });
+  }
+
+  const [consumed] = await PhoneOTP.update(
+    { consumed_at: new Date() },
+    { where: { id: otp.id, consumed_at: null } }
+  );
+  if (consumed === 0) {
+    throw new OtpError('Code has already been used; request a new one', { code: 'OtpExpired' });
+  }
+
+  return { phone };
+};
+
+module.exports = {
+  requestOtp,
+  verifyOtp,
+  normalizePhone,
+  phoneVariants,
+  OtpError
+};
@@ -0,0 +1,125 @@
+/**
+ * Portfolio Service
+ *
+ * Current value and invested amount of a user's mutual fund, equity and
+ * NPS holdings (see parseHoldings in aaDataParser.js).
+ */
+
+const Holding = require('../models/Holding');
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// DECIMAL columns come back from Postgres as strings
+const toAmount = (value) => (value === null || value === undefined ? null : parseFloat(value));
+
+/**
+ * Gain and gain percentage over the invested amount
+ * @param {number|null} currentValue
+ * @param {number|null} investedAmount
+ * @returns {Object} - { gain, gainPercent } (null when either side is unknown)
+ */
+const computeGain = (currentValue, investedAmount) => {
+  if (currentValue === null || investedAmount === null) {
+    return { gain: null, gainPercent: null };
+  }
+  const gain = round2(currentValue - investedAmount);
+  return { gain, gainPercent: investedAmount > 0 ? round2((gain / investedAmount) * 100) : null };
+};
+
+/**
+ * Client-facing view of a holding
+ * @param {Holding} holding
+ * @returns {Object}
+ */
+const summarizeHolding = (holding) => {
+  const currentValue = toAmount(holding.current_value);
+  const investedAmount = toAmount(holding.cost_value);
+
+  return {
+    id: holding.id,
+    fiType: holding.fi_type,
+    fipId: holding.fip_id,
+    account: holding.masked_acc_number,
+    isin: holding.isin,
+    schemeCode: holding.scheme_code,
+    name: holding.name,
+    issuer: holding.issuer,
+    folioNumber: holding.folio_number,
+    units: toAmount(holding.units),
+    nav: toAmount(holding.nav),
+    navDate: holding.nav_date,
+    currentValue,
+    investedAmount,
+    ...computeGain(currentValue, investedAmount),
+    currency: holding.currency,
+    lastSyncedAt: holding.last_synced_at
+  };
+};
+
+/**
+ * Add a holding's values to a running total. Holdings without a known
+ * invested amount count towards currentValue only.
+ */
+const addToTotals = (totals, holding) => {
+  if (holding.currentValue !== null) totals.currentValue = round2(totals.currentValue + holding.currentValue);
+  if (holding.investedAmount !== null && holding.currentValue !== null) {
+    totals.investedAmount = round2(totals.investedAmount + holding.investedAmount);
+    totals.valueWithCost = round2(totals.valueWithCost + holding.currentValue);
+  }
+  totals.holdings++;
+  return totals;
+};
+
+const emptyTotals = () => ({ holdings: 0, currentValue: 0, investedAmount: 0, valueWithCost: 0 });
+
+// Gain is only taken over the holdings whose invested amount is known
+const finishTotals = ({ valueWithCost, ...totals }) => ({
+  ...totals,
+  ...computeGain(valueWithCost, totals.investedAmount)
+});
+
+/**
+ * Build the portfolio view of a set of holdings
+ * @param {Holding[]} holdings
+ * @returns {Object} - { holdings, totals, byType }
+ */
+const buildPortfolio = (holdings) => {
+  const summaries = holdings.map(summarizeHolding);
+
+  const totals = summaries.reduce(addToTotals, emptyTotals());
+  const byType = {};
+  for (const holding of summaries) {
+    byType[holding.fiType] = addToTotals(byType[holding.fiType] || emptyTotals(), holding);
+  }
+
+  return {
+    holdings: summaries,
+    totals: finishTotals(totals),
+    byType: Object.fromEntries(Object.entries(byType).map(([fiType, t]) => [fiType, finishTotals(t)]))
+  };
+};
+
+/**
+ * Get a user's portfolio
+ * @param {string} userId - User ID
+ * @param {Object} options
+ * @param {string} options.fiType - Only MUTUAL_FUNDS | EQUITIES | NPS holdings
+ * @returns {Object} - See buildPortfolio
+ */
+const getUserPortfolio = async (userId, { fiType } = {}) => {
+  const where = { user_id: userId };
+  if (fiType) where.fi_type = fiType;
+
+  const holdings = await Holding.findAll({
+    where,
+    order: [['fi_type', 'ASC'], ['current_value', 'DESC']]
+  });
+  return buildPortfolio(holdings);
+};
+
+module.exports = {
+  computeGain,
+  summarizeHolding,
+  buildPortfolio,
+  getUserPortfolio
+};
@@ -0,0 +1,66 @@
+/**
+ * Security Events
+ *
+ * Records account security events in security_events and notifies
+ * in-process listeners (e.g. to alert the user):
+ * - REFRESH_TOKEN_REUSE - a rotated refresh token was presented again; its
+ *                         session (token family) has been revoked
+ *
+ * Listener failures are logged and never affect the request that raised
+ * the event.
+ */
+
+const { EventEmitter } = require('events');
+const SecurityEvent = require('../models/SecurityEvent');
+
+const SECURITY_EVENT = 'securityEvent';
+const MAX_USER_AGENT_LENGTH = 255;
+
+const emitter = new EventEmitter();
+
+/**
+ * Record a security event and notify listeners
+ * @param {Object} params
+ * @param {string} params.type - Event type (e.g. REFRESH_TOKEN_REUSE)
+ * @param {string} params.userId - Affected user
+ * @param {string} params.sessionId - Session involved
+ * @param {Object} params.req - Express request that triggered the event
+ * @param {Object} params.details - Event-specific details
+ * @returns {SecurityEvent}
+ */
+const recordSecurityEvent = async ({ type, userId, sessionId, req, details }) => {
+  const event = await SecurityEvent.create({
+    user_id: userId,
+    session_id: sessionId || null,
+    event_type: type,
+    ip_address: req?.ip || null,
+    user_agent: req?.headers?.['user-agent']?.substring(0, MAX_USER_AGENT_LENGTH) || null,
+    details: details || null
+  });
+
+  console.warn(`Security event ${type} for user ${userId}${sessionId ? ` (session ${sessionId})` : ''}`);
+  emitter.emit(SECURITY_EVENT, event);
+
+  return event;
+};
+
+/**
+ * Subscribe to security events
+ * @param {Function} listener - Called with each SecurityEvent (may be async)
+ * @returns {Function} - Unsubscribe
+ */
+const onSecurityEvent = (listener) => {
+  const safeListener = (event) => {
+    Promise.resolve()
+      .then(() => listener(event))
+      .catch(error => console.error('Security event listener error:', error));
+  };
+
+  emitter.on(SECURITY_EVENT, safeListener);
+  return () => emitter.off(SECURITY_EVENT, safeListener);
+};
+
+module.exports = {
+  recordSecurityEvent,
+  onSecurityEvent
+};
@@ -0,0 +1,268 @@
+/**
+ * Session Service
+ *
+ * Per-device sign-in sessions. Every login (password, Google, Apple) starts
+ * a UserSession holding the SHA-256 hash of its refresh token, so each
+ * device refreshes and logs out on its own. Access and refresh tokens carry
+ * the session ID as `sid`.
+ *
+ * Each session is one refresh token family. Refreshing rotates the token:
+ * the old refresh token stops working, the family's generation is bumped and
+ * the session's hash, IP and last-used time are updated. Presenting a
+ * rotated-out token of the family again means it was copied (or the client
+ * refreshed twice with the same token): the whole family is revoked, a
+ * REFRESH_TOKEN_REUSE security event is recorded and the device has to sign
+ * in again.
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { Op } = require('sequelize');
+const UserSession = require('../models/UserSession');
+const { recordSecurityEvent } = require('./securityEvents');
+const tokenRevocation = require('./tokenRevocation');
+const { generateAccessToken, generateRefreshToken, verifyRefreshToken } = require('../utils/jwt');
+
+const MAX_DEVICE_NAME_LENGTH = 255;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+class SessionError extends Error {
+  /**
+   * @param {string} message - Human readable message
+   * @param {Object} options
+   * @param {string} options.code - Machine readable reason
+   */
+  constructor(message, { code } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code || 'InvalidSession';
+  }
+}
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Device details of the request, from the body (device_name, platform)
+ * falling back to the User-Agent header
+ * @param {Object} req - Express request
+ * @returns {Object} - { device_name, platform, ip_address }
+ */
+const deviceInfo = (req) => {
+  const { device_name, platform } = req.body || {};
+  const name = device_name || req.headers?.['user-agent'] || null;
+
+  return {
+    device_name: name ? String(name).substring(0, MAX_DEVICE_NAME_LENGTH) : null,
+    platform: platform ? String(platform).toLowerCase() : null,
+    ip_address: req.ip || null
+  };
+};
+
+/**
+ * Issue an access and refresh token pair for a session
+ * @param {string} userId - User ID
+ * @param {string} sessionId - Session ID
+ * @param {number} generation - Token generation within the session's family
+ * @param {number} tokenVersion - User's current token version
+ * @returns {Object} - { accessToken, refreshToken, refreshTokenHash, expiresAt }
+ */
+const issueTokens = (userId, sessionId, generation, tokenVersion) => {
+  const refreshToken = generateRefreshToken(userId, sessionId, generation);
+  return {
+    accessToken: generateAccessToken(userId, sessionId, tokenVersion),
+    refreshToken,
+    refreshTokenHash: hashToken(refreshToken),
+    expiresAt: new Date(jwt.decode(refreshToken).exp * 1000)
+  };
+};
+
+/**
+ * Start a session for a signed-in user
+ * @param {User} user - Authenticated user
+ * @param {Object} req - Express request (device details)
+ * @returns {Object} - { session, accessToken, refreshToken }
+ */
+const startSession = async (user, req) => {
+  const sessionId = crypto.randomUUID();
+  const tokens = issueTokens(user.id, sessionId, 0, user.token_version || 0);
+
+  const session = await UserSession.create({
+    id: sessionId,
+    user_id: user.id,
+    refresh_token_hash: tokens.refreshTokenHash,
+    token_generation: 0,
+    ...deviceInfo(req),
+    last_used_at: new Date(),
+    expires_at: tokens.expiresAt
+  });
+
+  return { session, accessToken: tokens.accessToken, refreshToken: tokens.refreshToken };
+};
+
+/**
+ * Revoke a token family after one of its rotated tokens was presented again
+ * @param {UserSession} session - Session (token family) of the token
+ * @param {Object} decoded - Verified claims of the presented token
+ * @param {Object} req - Express request that presented it
+ * @throws {SessionError} - Always (RefreshTokenReused)
+ */
+const handleTokenReuse = async (session, decoded, req) => {
+  await UserSession.update(
+    { revoked_at: new Date(), revoked_reason: 'TOKEN_REUSE' },
+    { where: { id: session.id, revoked_at: null } }
+  );
+  tokenRevocation.markSessionsRevoked([session.id]);
+
+  await recordSecurityEvent({
+    type: 'REFRESH_TOKEN_REUSE',
+    userId: session.user_id,
+    sessionId: session.id,
+    req,
+    details: {
+      presentedGeneration: decoded.gen ?? null,
+      currentGeneration: session.token_generation,
+      deviceName: session.device_name,
+      platform: session.platform
+    }
+  });
+
+  throw new SessionError('Refresh token was already used; sign in again', { code: 'RefreshTokenReused' });
+};
+
+/**
+ * Exchange a refresh token for a new token pair (rotation)
+ * @param {string} refreshToken - Current refresh token of the session
+ * @param {Object} req - Express request (IP of the caller)
+ * @returns {Object} - { session, accessToken, refreshToken }
+ * @throws {SessionError} - If the token is invalid, reused or its session ended
+ */
+const refreshSession = async (refreshToken, req) => {
+  let decoded;
+  try {
+    decoded = verifyRefreshToken(refreshToken);
+  } catch (error) {
+    throw new SessionError(`Refresh token rejected: ${error.message}`, { code: 'InvalidRefreshToken' });
+  }
+
+  const session = UUID_PATTERN.test(decoded.sid || '') ? await UserSession.findByPk(decoded.sid) : null;
+  if (!session || session.user_id !== decoded.userId || !session.isActive()) {
+    throw new SessionError('Session has ended', { code: 'SessionEnded' });
+  }
+
+  // A validly signed token of this family that is not its current one was rotated out
+  const presentedHash = hashToken(refreshToken);
+  if (session.refresh_token_hash !== presentedHash) {
+    await handleTokenReuse(session, decoded, req);
+  }
+
+  const tokenVersion = await tokenRevocation.getTokenVersion(session.user_id);
+  if (tokenVersion === null) {
+    throw new SessionError('Session has ended', { code: 'SessionEnded' });
+  }
+
+  const generation = session.token_generation + 1;
+  const tokens = issueTokens(session.user_id, session.id, generation, tokenVersion);
+  const updates = {
+    refresh_token_hash: tokens.refreshTokenHash,
+    token_generation: generation,
+    ip_address: req.ip || session.ip_address,
+    last_used_at: new Date(),
+    expires_at: tokens.expiresAt
+  };
+
+  // Conditional on the presented hash: of two concurrent refreshes with one token, the loser is a reuse
+  const [count] = await UserSession.update(updates, {
+    where: { id: session.id, refresh_token_hash: presentedHash, revoked_at: null }
+  });
+  if (count === 0) {
+    const current = await UserSession.findByPk(session.id);
+    if (!current?.isActive()) {
+      throw new SessionError('Session has ended', { code: 'SessionEnded' });
+    }
+    await handleTokenReuse(current, decoded, req);
+  }
+
+  Object.assign(session, updates);
+  return { session, accessToken: tokens.accessToken, refreshToken: tokens.refreshToken };
+};
+
+/**
+ * Client-facing view of a session (never includes the token hash)
+ * @param {UserSession} session
+ * @param {string} currentSessionId - Session of the caller
+ * @returns {Object}
+ */
+const summarizeSession = (session, currentSessionId) => ({
+  id: session.id,
+  deviceName: session.device_name,
+  platform: session.platform,
+  ipAddress: session.ip_address,
+  createdAt: session.created_at,
+  lastUsedAt: session.last_used_at,
+  expiresAt: session.expires_at,
+  current: session.id === currentSessionId
+});
+
+/**
+ * List a user's active sessions, most recently used first
+ * @param {string} userId - User ID
+ * @param {string} currentSessionId - Session of the caller (flagged as current)
+ * @returns {Object[]} - Session summaries
+ */
+const listSessions = async (userId, currentSessionId) => {
+  const sessions = await UserSession.findAll({
+    where: {
+      user_id: userId,
+      revoked_at: null,
+      expires_at: { [Op.gt]: new Date() }
+    },
+    order: [['last_used_at', 'DESC']]
+  });
+  return sessions.map(session => summarizeSession(session, currentSessionId));
+};
+
+/**
+ * End one of a user's sessions
+ * @param {string} userId - User ID
+ * @param {string} sessionId - Session to end
+ * @param {string} reason - LOGOUT (the session itself) | USER_REVOKED (from another session)
+ * @returns {boolean} - False if the user has no such active session
+ */
+const revokeSession = async (userId, sessionId, reason = 'USER_REVOKED') => {
+  if (!UUID_PATTERN.test(sessionId || '')) return false;
+
+  const [count] = await UserSession.update(
+    { revoked_at: new Date(), revoked_reason: reason },
+    { where: { id: sessionId, user_id: userId, revoked_at: null } }
+  );
+  if (count > 0) tokenRevocation.markSessionsRevoked([sessionId]);
+  return count > 0;
+};
+
+/**
+ * End every session of a user ("log out everywhere") and invalidate every
+ * access token issued so far
+ * @param {string} userId - User ID
+ * @param {string} reason - LOGOUT_ALL | PASSWORD_CHANGED
+ * @returns {number} - Sessions ended
+ */
+const revokeAllSessions = async (userId, reason = 'LOGOUT_ALL') => {
+  const [count, revoked] = await UserSession.update(
+    { revoked_at: new Date(), revoked_reason: reason },
+    { where: { user_id: userId, revoked_at: null }, returning: true }
+  );
+  tokenRevocation.markSessionsRevoked(revoked.map(session => session.id));
+  await tokenRevocation.bumpTokenVersion(userId);
+  return count;
+};
+
+module.exports = {
+  startSession,
+  refreshSession,
+  listSessions,
+  revokeSession,
+  revokeAllSessions,
+  summarizeSession,
+  hashToken,
+  SessionError
+};
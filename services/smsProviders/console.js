@@ -0,0 +1,26 @@
+/**
+ * Console SMS Provider
+ *
+ * Local development only: prints messages to stdout instead of sending them.
+ */
+
+const crypto = require('crypto');
+
+module.exports = {
+  name: 'console',
+  label: 'Console (development)',
+  developmentOnly: true,
+
+  /**
+   * Print an SMS
+   * @param {Object} params
+   * @param {string} params.to - E.164 phone number
+   * @param {string} params.message - Message text
+   * @returns {Object} - { messageId }
+   */
+  send: async ({ to, message }) => {
+    const messageId = crypto.randomUUID();
+    console.log(`📱 SMS to ${to}: ${message}`);
+    return { messageId };
+  }
+};
@@ -0,0 +1,38 @@
+/**
+ * File SMS Provider
+ *
+ * Local development and end-to-end tests: appends each message as a JSON
+ * line to an outbox file instead of sending it.
+ *
+ * Environment Variables:
+ *   SMS_OUTBOX_PATH - Outbox file (default: ./tmp/sms-outbox.jsonl)
+ */
+
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+
+const getOutboxPath = () => path.resolve(process.env.SMS_OUTBOX_PATH || './tmp/sms-outbox.jsonl');
+
+module.exports = {
+  name: 'file',
+  label: 'File outbox (development)',
+  developmentOnly: true,
+
+  /**
+   * Append an SMS to the outbox file
+   * @param {Object} params
+   * @param {string} params.to - E.164 phone number
+   * @param {string} params.message - Message text
+   * @returns {Object} - { messageId }
+   */
+  send: async ({ to, message }) => {
+    const outboxPath = getOutboxPath();
+    const messageId = crypto.randomUUID();
+
+    await fs.mkdir(path.dirname(outboxPath), { recursive: true });
+    await fs.appendFile(outboxPath, `${JSON.stringify({ messageId, to, message, sentAt: new Date().toISOString() })}\n`);
+
+    return { messageId };
+  }
+};
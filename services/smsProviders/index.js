@@ -0,0 +1,89 @@
+/**
+ * SMS Provider Registry
+ *
+ * Maps provider names to SMS adapters. Every provider implements:
+ *
+ *   {
+ *     name: 'console',
+ *     label: 'Console (development)',
+ *     developmentOnly: true,
+ *     send: async ({ to, message }) => ({ messageId })
+ *   }
+ *
+ * where `to` is an E.164 phone number. A gateway adapter (MSG91, Gupshup,
+ * Twilio, ...) is added by registering an object with that shape.
+ *
+ * Development-only providers write live OTPs to logs or disk, so with
+ * NODE_ENV=production SMS_PROVIDER must be set and must name a real
+ * gateway. checkConfig() is run at server startup to fail early.
+ *
+ * Environment Variables:
+ *   SMS_PROVIDER - Provider used to send SMS (required in production;
+ *                  default elsewhere: console)
+ */
+
+const providers = new Map();
+
+/**
+ * Register an SMS provider
+ * @param {Object} provider - { name, label, send }
+ */
+const registerProvider = (provider) => {
+  if (!provider?.name || typeof provider.send !== 'function') {
+    throw new Error('SMS provider needs a name and a send function');
+  }
+  providers.set(provider.name, provider);
+};
+
+/**
+ * Get an SMS provider by name
+ * @param {string} name - Provider name (SMS_PROVIDER if empty)
+ * @returns {Object} - Provider
+ * @throws {Error} - For an unknown provider
+ */
+const getProvider = (name) => {
+  const production = process.env.NODE_ENV === 'production';
+  const key = name || process.env.SMS_PROVIDER || (production ? null : 'console');
+  if (!key) {
+    throw new Error('SMS_PROVIDER is not configured');
+  }
+
+  const provider = providers.get(key);
+  if (!provider) {
+    throw new Error(`Unknown SMS provider: ${key}`);
+  }
+  if (production && provider.developmentOnly) {
+    throw new Error(`SMS provider ${key} is for development only and cannot be used in production`);
+  }
+  return provider;
+};
+
+/**
+ * Check that the configured SMS provider can be used (run at startup)
+ * @returns {Object} - Provider
+ * @throws {Error} - If SMS_PROVIDER is missing, unknown or development-only in production
+ */
+const checkConfig = () => getProvider();
+
+/**
+ * Send an SMS through the configured provider
+ * @param {Object} params
+ * @param {string} params.to - E.164 phone number
+ * @param {string} params.message - Message text
+ * @returns {Object} - { provider, messageId }
+ */
+const sendSms = async ({ to, message }) => {
+  const provider = getProvider();
+  const result = await provider.send({ to, message });
+  return { provider: provider.name, messageId: result?.messageId || null };
+};
+
+registerProvider(require('./console'));
+registerProvider(require('./file'));
+
+module.exports = {
+  registerProvider,
+  getProvider,
+  checkConfig,
+  sendSms
+};
@@ -0,0 +1,240 @@
+/**
+ * Periodic FI Sync Scheduler
+ *
+ * Walks APPROVED, unexpired PERIODIC consents and pulls FI data for the
+ * window since the last successful sync:
+ * - Data range: [last_synced_at || FIDataRange.from, min(now, FIDataRange.to)]
+ * - At most Frequency.value FI requests per Frequency.unit (INF = unlimited)
+ * - Fetched, parsed and saved via fiIngestion (one FISession per run). If the
+ *   AA has no data ready yet the run still counts against the Frequency, but
+ *   the sync stays PENDING and last_synced_at only moves once the session
+ *   COMPLETES. A session that fails or expires leaves last_synced_at as it
+ *   was, so the next cycle asks for the window again
+ * - Each cycle also expires stale sessions, ingests READY sessions that are
+ *   still waiting and re-polls PENDING ones
+ * - Status, stats and errors recorded per consent in ConsentSync
+ *
+ * Environment Variables:
+ *   AA_SYNC_ENABLED      - 'true' to run the scheduler with the server
+ *   AA_SYNC_INTERVAL_MS  - Interval between sync cycles (default: 1 hour)
+ */
+
+const ConsentSync = require('../models/ConsentSync');
+const FISession = require('../models/FISession');
+const consentService = require('./consentService');
+const {
+  ingestBankStatement,
+  ingestWaitingSessions,
+  expireStaleSessions,
+  OPEN_STATUSES
+} = require('./fiIngestion');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+let timer = null;
+let running = false;
+
+/**
+ * Add one Frequency unit to a date
+ * @param {Date} date - Start date
+ * @param {string} unit - HOUR | DAY | MONTH | YEAR
+ * @returns {Date}
+ */
+const addFrequencyUnit = (date, unit) => {
+  const next = new Date(date);
+  switch (unit) {
+    case 'HOUR': next.setTime(next.getTime() + HOUR_MS); break;
+    case 'DAY': next.setDate(next.getDate() + 1); break;
+    case 'MONTH': next.setMonth(next.getMonth() + 1); break;
+    case 'YEAR': next.setFullYear(next.getFullYear() + 1); break;
+    default: throw new Error(`Unsupported frequency unit: ${unit}`);
+  }
+  return next;
+};
+
+/**
+ * Work out whether another FI request fits in the consent's Frequency
+ * @param {Object} sync - ConsentSync state ({ window_started_at, window_fetch_count })
+ * @param {Object} frequency - ConsentDetail.Frequency ({ unit, value })
+ * @param {Date} now - Current time
+ * @returns {Object} - { allowed, windowStartedAt, windowFetchCount } for the current window
+ */
+const checkFrequency = (sync, frequency, now) => {
+  if (!frequency || frequency.unit === 'INF') {
+    return { allowed: true, windowStartedAt: now, windowFetchCount: 0 };
+  }
+
+  const windowStart = sync.window_started_at ? new Date(sync.window_started_at) : null;
+  const windowOpen = windowStart && addFrequencyUnit(windowStart, frequency.unit) > now;
+
+  if (!windowOpen) {
+    return { allowed: true, windowStartedAt: now, windowFetchCount: 0 };
+  }
+
+  return {
+    allowed: sync.window_fetch_count < frequency.value,
+    windowStartedAt: windowStart,
+    windowFetchCount: sync.window_fetch_count
+  };
+};
+
+/**
+ * Data range to request: since the last successful sync, within the consented FIDataRange
+ * @param {Object} sync - ConsentSync state
+ * @param {Object} detail - ConsentDetail from the consent request
+ * @param {Date} now - Current time
+ * @returns {Object|null} - { fromDate, toDate }, or null if there is nothing new to fetch
+ */
+const computeDataRange = (sync, detail, now) => {
+  const rangeFrom = new Date(detail.FIDataRange.from);
+  const rangeTo = new Date(detail.FIDataRange.to);
+
+  const fromDate = sync.last_synced_at && new Date(sync.last_synced_at) > rangeFrom
+    ? new Date(sync.last_synced_at)
+    : rangeFrom;
+  const toDate = rangeTo < now ? rangeTo : now;
+
+  return fromDate < toDate ? { fromDate, toDate } : null;
+};
+
+/**
+ * Sync one consent
+ * @param {ConsentRecord} record - Latest APPROVED version
+ * @param {Date} now - Current time
+ * @returns {Object} - { consentHandle, status, result?, sessionId?, error?, reason? }
+ */
+const syncConsent = async (record, now = new Date()) => {
+  const detail = record.aa_request.ConsentDetail;
+
+  const [sync] = await ConsentSync.findOrCreate({
+    where: { consent_handle: record.consent_handle },
+    defaults: {
+      aa_consent_id: record.aa_consent_id,
+      user_id: record.user_id
+    }
+  });
+
+  if (sync.status === 'PENDING') {
+    const session = await FISession.findOne({ where: { session_id: sync.last_result?.sessionId || null } });
+    if (session && OPEN_STATUSES.includes(session.status)) {
+      return { consentHandle: record.consent_handle, status: 'SKIPPED', reason: 'session_pending' };
+    }
+    // Completed before the sync was marked PENDING, so settleSync did not see it
+    if (session?.status === 'COMPLETED') {
+      await sync.update({ status: 'SUCCESS', last_synced_at: session.data_range_to, last_error: null });
+    }
+  }
+
+  const frequency = checkFrequency(sync, detail.Frequency, now);
+  if (!frequency.allowed) {
+    return { consentHandle: record.consent_handle, status: 'SKIPPED', reason: 'frequency_limit' };
+  }
+
+  const range = computeDataRange(sync, detail, now);
+  if (!range) {
+    return { consentHandle: record.consent_handle, status: 'SKIPPED', reason: 'no_new_range' };
+  }
+
+  await sync.update({
+    status: 'RUNNING',
+    aa_consent_id: record.aa_consent_id,
+    last_attempt_at: now,
+    window_started_at: frequency.windowStartedAt,
+    window_fetch_count: frequency.windowFetchCount + 1
+  });
+
+  try {
+    const { session, result, pending } = await ingestBankStatement({ record, range, source: 'SYNC' });
+
+    if (pending) {
+      // Nothing saved yet: the session settles the sync (see fiIngestion.settleSync)
+      await sync.update({
+        status: 'PENDING',
+        last_error: null,
+        last_result: { sessionId: session.sessionId, pending: true }
+      });
+      return { consentHandle: record.consent_handle, status: 'PENDING', sessionId: session.sessionId };
+    }
+
+    await sync.update({
+      status: 'SUCCESS',
+      last_synced_at: range.toDate,
+      last_error: null,
+      last_result: { sessionId: session.sessionId, ...result }
+    });
+
+    return { consentHandle: record.consent_handle, status: 'SUCCESS', result };
+  } catch (error) {
+    await sync.update({
+      status: 'FAILED',
+      last_error: error.message
+    });
+
+    return { consentHandle: record.consent_handle, status: 'FAILED', error: error.message };
+  }
+};
+
+/**
+ * Run one sync cycle over all active PERIODIC consents
+ * @param {Date} now - Current time
+ * @returns {Object[]} - Per-consent results
+ */
+const runSyncCycle = async (now = new Date()) => {
+  await consentService.expireStaleConsents();
+  await expireStaleSessions({ now });
+  await ingestWaitingSessions();
+
+  const consents = await consentService.findActiveConsents();
+  const results = [];
+
+  for (const record of consents) {
+    if (record.aa_request?.ConsentDetail?.fetchType !== 'PERIODIC' || !record.aa_consent_id) {
+      continue;
+    }
+    results.push(await syncConsent(record, now));
+  }
+
+  return results;
+};
+
+/**
+ * Start running sync cycles on an interval (overlapping cycles are skipped)
+ * @param {Object} options
+ * @param {number} options.intervalMs - Interval between cycles
+ */
+const start = ({ intervalMs = parseInt(process.env.AA_SYNC_INTERVAL_MS || `${HOUR_MS}`, 10) } = {}) => {
+  if (timer) return;
+
+  timer = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      const results = await runSyncCycle();
+      const failed = results.filter(r => r.status === 'FAILED').length;
+      console.log(`🔄 FI sync cycle: ${results.length} consents, ${failed} failed`);
+    } catch (error) {
+      console.error('FI sync cycle error:', error);
+    } finally {
+      running = false;
+    }
+  }, intervalMs);
+  timer.unref();
+};
+
+/**
+ * Stop the scheduler
+ */
+const stop = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+module.exports = {
+  addFrequencyUnit,
+  checkFrequency,
+  computeDataRange,
+  syncConsent,
+  runSyncCycle,
+  start,
+  stop
+};
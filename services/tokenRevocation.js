@@ -0,0 +1,135 @@
+/**
+ * Access Token Revocation
+ *
+ * Access tokens are stateless JWTs valid for 15 minutes. To make logout and
+ * password changes take effect immediately, `authenticate` also rejects a
+ * token when:
+ * - its `ver` is below the user's token_version (bumped on password change
+ *   and "log out everywhere"), or
+ * - its session (`sid`) has been revoked or has expired
+ *
+ * Both are looked up through an in-process cache so most requests don't hit
+ * the database. Revocations made by this process update the cache at once;
+ * other processes see them within AUTH_REVOCATION_CACHE_TTL_MS. Revoked
+ * sessions never come back, so they stay cached until no access token for
+ * them can still be valid.
+ *
+ * Environment Variables:
+ *   AUTH_REVOCATION_CACHE_TTL_MS - Cache lifetime of active users and sessions (default: 30000)
+ */
+
+const User = require('../models/User');
+const UserSession = require('../models/UserSession');
+
+const ACCESS_TOKEN_LIFETIME_MS = 15 * 60 * 1000;
+const MAX_CACHE_ENTRIES = 10000;
+
+// 'user:<id>' / 'session:<id>' -> { value, expiresAt }
+const cache = new Map();
+
+const getCacheTtl = () => parseInt(process.env.AUTH_REVOCATION_CACHE_TTL_MS, 10) || 30000;
+
+const cacheGet = (key, now = Date.now()) => {
+  const entry = cache.get(key);
+  if (!entry) return undefined;
+  if (entry.expiresAt <= now) {
+    cache.delete(key);
+    return undefined;
+  }
+  return entry.value;
+};
+
+const cacheSet = (key, value, ttlMs) => {
+  cache.delete(key);
+  if (cache.size >= MAX_CACHE_ENTRIES) {
+    // Maps iterate in insertion order: drop the oldest entry
+    cache.delete(cache.keys().next().value);
+  }
+  cache.set(key, { value, expiresAt: Date.now() + ttlMs });
+};
+
+/**
+ * Current token version of a user
+ * @param {string} userId - User ID
+ * @returns {number|null} - null if the user no longer exists
+ */
+const getTokenVersion = async (userId) => {
+  const key = `user:${userId}`;
+  const cached = cacheGet(key);
+  if (cached !== undefined) return cached;
+
+  const user = await User.findByPk(userId, { attributes: ['id', 'token_version'] });
+  const version = user ? user.token_version : null;
+  cacheSet(key, version, getCacheTtl());
+  return version;
+};
+
+/**
+ * Whether a session can still authenticate requests
+ * @param {string} sessionId - Session ID
+ * @returns {boolean}
+ */
+const isSessionActive = async (sessionId) => {
+  const key = `session:${sessionId}`;
+  const cached = cacheGet(key);
+  if (cached !== undefined) return cached;
+
+  const session = await UserSession.findByPk(sessionId, { attributes: ['id', 'revoked_at', 'expires_at'] });
+  const active = Boolean(session && session.isActive());
+  cacheSet(key, active, active ? getCacheTtl() : ACCESS_TOKEN_LIFETIME_MS);
+  return active;
+};
+
+/**
+ * Check decoded access token claims against revocations
+ * @param {Object} claims - Verified access token claims ({ userId, sid, ver })
+ * @returns {string|null} - Reason the token is revoked, or null if it may be used
+ */
+const checkAccessToken = async ({ userId, sid, ver }) => {
+  const version = await getTokenVersion(userId);
+  if (version === null) return 'UserNotFound';
+  if ((ver || 0) < version) return 'TokenVersionRevoked';
+
+  if (sid && !(await isSessionActive(sid))) return 'SessionRevoked';
+  return null;
+};
+
+/**
+ * Record a session revocation made by this process
+ * @param {string[]} sessionIds - Revoked session IDs
+ */
+const markSessionsRevoked = (sessionIds) => {
+  for (const sessionId of sessionIds) {
+    cacheSet(`session:${sessionId}`, false, ACCESS_TOKEN_LIFETIME_MS);
+  }
+};
+
+/**
+ * Invalidate every access token issued to a user so far
+ * @param {string} userId - User ID
+ * @returns {number} - New token version
+ */
+const bumpTokenVersion = async (userId) => {
+  await User.increment('token_version', { where: { id: userId } });
+  const user = await User.findByPk(userId, { attributes: ['id', 'token_version'] });
+
+  const version = user ? user.token_version : null;
+  cacheSet(`user:${userId}`, version, getCacheTtl());
+  return version;
+};
+
+/**
+ * Empty the cache (tests)
+ */
+const clearCache = () => {
+  cache.clear();
+};
+
+module.exports = {
+  checkAccessToken,
+  getTokenVersion,
+  isSessionActive,
+  markSessionsRevoked,
+  bumpTokenVersion,
+  clearCache
+};
@@ -7,10 +7,47 @@ const {
   buildRedirectUrl,
   handleCallback,
   checkConsentStatus,
+  updateConsentStatus,
+  fetchBankStatement,
+  forProvider,
+  listProviders,
+  parseRedirect,
   config
 } = require('../services/aaAdapter');
+const crypto = require('crypto');
+const jws = require('../services/jws');
+const fiCrypto = require('../services/fiCrypto');
+const { parseBankStatement } = require('../services/aaDataParser');
+const { createMockAAServer } = require('../scripts/mockAAServer');
+const { generateFI } = require('../services/fiSimulator');
+const { deriveKey, decryptParam, formatRedirectDate } = require('../services/aaRedirect');
+
+const REDIRECT_KEY = 'test-redirect-key';
 
 describe('AA Adapter', () => {
+  let mockAA;
+  let server;
+  const originalBaseUrl = config.baseUrl;
+  const originalRedirectKey = config.redirectKey;
+
+  beforeAll(async () => {
+    const fiuKeys = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    mockAA = createMockAAServer({ fiuPublicKeys: [fiuKeys.publicKey], redirectKey: REDIRECT_KEY });
+    jws.setKeys({ privateKey: fiuKeys.privateKey, publicKeys: [mockAA.publicKey] });
+    fiCrypto.setKeyEncryptionKey(crypto.randomBytes(32));
+    server = await mockAA.listen();
+    config.baseUrl = server.url;
+    config.redirectKey = REDIRECT_KEY;
+    config.retryDelayMs = 1;
+  });
+
+  afterAll(async () => {
+    config.baseUrl = originalBaseUrl;
+    config.redirectKey = originalRedirectKey;
+    jws.resetKeys();
+    fiCrypto.setKeyEncryptionKey(null);
+    await server.close();
+  });
 
   describe('initiateConsent', () => {
     test('should initiate consent with required params', async () => {
@@ -24,9 +61,10 @@ describe('AA Adapter', () => {
       expect(result.success).toBe(true);
       expect(result.txnId).toBeDefined();
       expect(result.consentHandle).toBeDefined();
-      expect(result.redirectUrl).toContain('consentHandle');
+      expect(result.redirectUrl).toContain('ecreq=');
       expect(result.request).toBeDefined();
       expect(result.request.ConsentDetail).toBeDefined();
+      expect(mockAA.state.consents.has(result.consentHandle)).toBe(true);
     });
 
     test('should include correct consent details', async () => {
@@ -42,6 +80,18 @@ describe('AA Adapter', () => {
       expect(consentDetail.fetchType).toBe('ONETIME');
     });
 
+    test('should request a PERIODIC consent with its Frequency', async () => {
+      const result = await initiateConsent({
+        customerId: 'test@aa-fi',
+        fetchType: 'PERIODIC',
+        frequency: { unit: 'DAY', value: 4 }
+      });
+
+      const consentDetail = result.request.ConsentDetail;
+      expect(consentDetail.fetchType).toBe('PERIODIC');
+      expect(consentDetail.Frequency).toEqual({ unit: 'DAY', value: 4 });
+    });
+
     test('should set default fiTypes if not provided', async () => {
       const result = await initiateConsent({
         customerId: 'test@aa-fi'
@@ -60,6 +110,59 @@ describe('AA Adapter', () => {
       expect(fiDataRange.to).toBeDefined();
     });
 
+    test('should initiate with the chosen provider and apply its VUA format', async () => {
+      const finvu = forProvider('finvu');
+      const originalFinvuUrl = finvu.config.baseUrl;
+      const originalFinvuKey = finvu.config.redirectKey;
+      finvu.config.baseUrl = server.url;
+      finvu.config.redirectKey = REDIRECT_KEY;
+
+      try {
+        const result = await initiateConsent({ provider: 'finvu', customerId: '9876543210' });
+
+        expect(result.provider).toBe('finvu');
+        expect(result.request.ConsentDetail.Customer.id).toBe('9876543210@finvu');
+        expect(mockAA.state.consents.has(result.consentHandle)).toBe(true);
+      } finally {
+        finvu.config.baseUrl = originalFinvuUrl;
+        finvu.config.redirectKey = originalFinvuKey;
+      }
+    });
+
+    test('should shape the consent from a template', async () => {
+      const result = await initiateConsent({
+        customerId: 'test@aa-fi',
+        template: {
+          name: 'budgeting-sync',
+          purpose_code: '102',
+          fi_types: ['DEPOSIT', 'CREDIT_CARD'],
+          consent_types: ['TRANSACTIONS'],
+          consent_mode: 'STORE',
+          fetch_type: 'PERIODIC',
+          frequency: { unit: 'DAY', value: 4 },
+          consent_validity: { unit: 'MONTH', value: 6 },
+          data_range: { unit: 'YEAR', value: 1 },
+          data_life: { unit: 'YEAR', value: 1 }
+        }
+      });
+
+      const consentDetail = result.request.ConsentDetail;
+      expect(result.template).toBe('budgeting-sync');
+      expect(consentDetail.Purpose.code).toBe('102');
+      expect(consentDetail.consentMode).toBe('STORE');
+      expect(consentDetail.Frequency).toEqual({ unit: 'DAY', value: 4 });
+      expect(consentDetail.DataLife).toEqual({ unit: 'YEAR', value: 1 });
+      expect(mockAA.state.consents.has(result.consentHandle)).toBe(true);
+    });
+
+    test('should reject FI types outside the ReBIT list before calling the AA', async () => {
+      const requestCount = mockAA.state.requests.length;
+
+      await expect(initiateConsent({ customerId: 'test@aa-fi', fiTypes: ['CRYPTO'] }))
+        .rejects.toMatchObject({ name: 'AAValidationError', httpStatus: 400 });
+      expect(mockAA.state.requests.length).toBe(requestCount);
+    });
+
     test('should generate unique txnId for each request', async () => {
       const result1 = await initiateConsent({ customerId: 'test@aa-fi' });
       const result2 = await initiateConsent({ customerId: 'test@aa-fi' });
@@ -69,28 +172,113 @@ describe('AA Adapter', () => {
   });
 
   describe('buildRedirectUrl', () => {
-    test('should build valid redirect URL', () => {
-      const consentHandle = 'CONSENT_12345';
-      const url = buildRedirectUrl(consentHandle);
+    const decryptQuery = (url) => {
+      const params = new URL(url).searchParams;
+      const key = deriveKey(REDIRECT_KEY, params.get('reqdate'));
+      return {
+        fi: decryptParam(params.get('fi'), key),
+        request: Object.fromEntries(new URLSearchParams(decryptParam(params.get('ecreq'), key)))
+      };
+    };
+
+    test('should build the authorize URL with fi, reqdate and ecreq only', () => {
+      const url = new URL(buildRedirectUrl('CONSENT_12345', { txnId: 'TXN_1' }));
+
+      expect(url.origin + url.pathname).toBe(`${config.baseUrl}/consent/authorize`);
+      expect([...url.searchParams.keys()]).toEqual(['fi', 'reqdate', 'ecreq']);
+      expect(url.toString()).not.toContain('CONSENT_12345');
+    });
+
+    test('should encrypt the consent handle, txnid and callback into ecreq', () => {
+      const { fi, request } = decryptQuery(buildRedirectUrl('TEST_HANDLE', {
+        txnId: 'TXN_1',
+        customerId: '9876543210@aa-fi'
+      }));
+
+      expect(fi).toBe(config.clientId);
+      expect(request).toMatchObject({
+        txnid: 'TXN_1',
+        srcref: 'TEST_HANDLE',
+        userid: '9876543210@aa-fi',
+        redirect: config.redirectUrl
+      });
+    });
+
+    test('should fail without a redirect key', () => {
+      config.redirectKey = null;
+
+      try {
+        expect(() => buildRedirectUrl('TEST_HANDLE')).toThrow('AA redirect key not configured');
+      } finally {
+        config.redirectKey = REDIRECT_KEY;
+      }
+    });
+  });
+
+  describe('parseRedirect', () => {
+    const authorize = async (redirectUrl, decision) => {
+      const response = await fetch(`${redirectUrl}${decision ? `&decision=${decision}` : ''}`, { redirect: 'manual' });
+      const location = new URL(response.headers.get('location'));
+      return Object.fromEntries(location.searchParams);
+    };
+
+    test('should decrypt the AA redirect back to the callback', async () => {
+      const result = await initiateConsent({ customerId: '9876543210@aa-fi' });
+
+      const query = await authorize(result.redirectUrl);
+      const redirect = await parseRedirect(query);
+
+      expect(Object.keys(query)).toEqual(['fi', 'resdate', 'ecres']);
+      expect(redirect).toMatchObject({
+        txnid: result.txnId,
+        srcref: result.consentHandle,
+        status: 'S',
+        providers: expect.arrayContaining(['setu'])
+      });
+    });
+
+    test('should report a user rejection', async () => {
+      const result = await initiateConsent({ customerId: '9876543210@aa-fi' });
 
-      expect(url).toContain(config.baseUrl);
-      expect(url).toContain('consentHandle=CONSENT_12345');
-      expect(url).toContain('redirect_uri=');
-      expect(url).toContain('client_id=');
+      const redirect = await parseRedirect(await authorize(result.redirectUrl, 'reject'));
+
+      expect(redirect).toMatchObject({ srcref: result.consentHandle, status: 'F', errorcode: 'UserRejected' });
+    });
+
+    test('should reject plaintext or forged callbacks', async () => {
+      await expect(parseRedirect({ consentId: 'CONSENT_1', status: 'APPROVED' }))
+        .rejects.toThrow(expect.objectContaining({ code: 'InvalidRedirect' }));
+      await expect(parseRedirect({ fi: 'x'.repeat(40), resdate: formatRedirectDate(new Date()), ecres: 'y'.repeat(60) }))
+        .rejects.toThrow(expect.objectContaining({ code: 'InvalidRedirect' }));
+    });
+
+    test('should reject stale callbacks without deriving a key', async () => {
+      const pbkdf2 = jest.spyOn(crypto, 'pbkdf2');
+
+      await expect(parseRedirect({ fi: 'x'.repeat(40), resdate: '19102020101530123', ecres: 'y'.repeat(60) }))
+        .rejects.toThrow(expect.objectContaining({ code: 'RedirectExpired' }));
+      expect(pbkdf2).not.toHaveBeenCalled();
+      pbkdf2.mockRestore();
     });
 
-    test('should include all required query params', () => {
-      const url = buildRedirectUrl('TEST_HANDLE');
-      const urlObj = new URL(url);
-      const params = urlObj.searchParams;
+    test('should derive each redirect key once per resdate', async () => {
+      const pbkdf2 = jest.spyOn(crypto, 'pbkdf2');
+      const forged = { fi: 'x'.repeat(40), resdate: formatRedirectDate(new Date(Date.now() - 1000)), ecres: 'y'.repeat(60) };
 
-      expect(params.get('consentHandle')).toBe('TEST_HANDLE');
-      expect(params.get('redirect_uri')).toBe(config.redirectUrl);
-      expect(params.get('client_id')).toBe(config.clientId);
+      await expect(parseRedirect(forged)).rejects.toMatchObject({ code: 'InvalidRedirect' });
+      await expect(parseRedirect(forged)).rejects.toMatchObject({ code: 'InvalidRedirect' });
+
+      const distinctKeys = new Set(listProviders().map(({ name }) => forProvider(name).config.redirectKey).filter(Boolean));
+      expect(pbkdf2).toHaveBeenCalledTimes(distinctKeys.size);
+      pbkdf2.mockRestore();
     });
   });
 
   describe('handleCallback', () => {
+    beforeAll(() => {
+      mockAA.seedConsent({ consentHandle: 'HANDLE_123', consentId: 'CONSENT_123', status: 'ACTIVE' });
+    });
+
     test('should handle approved consent', async () => {
       const result = await handleCallback({
         consentId: 'CONSENT_123',
@@ -102,6 +290,7 @@ describe('AA Adapter', () => {
       expect(result.message).toBe('Consent approved successfully');
       expect(result.consentId).toBe('CONSENT_123');
       expect(result.status).toBe('APPROVED');
+      expect(result.artefact.status).toBe('ACTIVE');
     });
 
     test('should handle rejected consent', async () => {
@@ -129,14 +318,110 @@ describe('AA Adapter', () => {
 
   describe('checkConsentStatus', () => {
     test('should return consent status', async () => {
-      const result = await checkConsentStatus('HANDLE_123');
+      const { consentHandle } = await initiateConsent({ customerId: 'test@aa-fi' });
+      const result = await checkConsentStatus(consentHandle);
 
       expect(result.success).toBe(true);
-      expect(result.consentHandle).toBe('HANDLE_123');
+      expect(result.consentHandle).toBe(consentHandle);
       expect(result.status).toBeDefined();
       expect(['PENDING', 'APPROVED', 'REJECTED', 'EXPIRED']).toContain(result.status);
       expect(result.timestamp).toBeDefined();
     });
+
+    test('should map READY handle status to APPROVED', async () => {
+      const { consentHandle } = await initiateConsent({ customerId: 'test@aa-fi' });
+      const consentId = mockAA.approve(consentHandle);
+
+      const result = await checkConsentStatus(consentHandle);
+
+      expect(result.status).toBe('APPROVED');
+      expect(result.consentId).toBe(consentId);
+    });
+
+    test('should throw AANotFoundError for unknown handle', async () => {
+      await expect(checkConsentStatus('UNKNOWN_HANDLE')).rejects.toMatchObject({
+        name: 'AANotFoundError',
+        code: 'InvalidConsentHandle',
+        status: 404
+      });
+    });
+  });
+
+  describe('updateConsentStatus', () => {
+    test('should notify the AA of a revocation', async () => {
+      const { consentHandle } = await initiateConsent({ customerId: 'test@aa-fi' });
+      const consentId = mockAA.approve(consentHandle);
+
+      const result = await updateConsentStatus({ consentId, consentHandle, status: 'REVOKED' });
+
+      expect(result.success).toBe(true);
+      expect(mockAA.state.consents.get(consentHandle).status).toBe('REVOKED');
+      const request = mockAA.state.requests[mockAA.state.requests.length - 1];
+      expect(request.path).toBe('/Consent/Notification');
+      expect(request.body.Notifier).toEqual({ type: 'FIU', id: config.clientId });
+    });
+
+    test('should throw AAConsentStateError once the consent is revoked', async () => {
+      const { consentHandle } = await initiateConsent({ customerId: 'test@aa-fi' });
+      const consentId = mockAA.approve(consentHandle);
+      await updateConsentStatus({ consentId, consentHandle, status: 'REVOKED' });
+
+      await expect(updateConsentStatus({ consentId, consentHandle, status: 'PAUSED' }))
+        .rejects.toMatchObject({ name: 'AAConsentStateError', status: 409 });
+    });
+  });
+
+  describe('fetchBankStatement', () => {
+    test('should create a data session and fetch FI data', async () => {
+      const { consentHandle } = await initiateConsent({ customerId: 'test@aa-fi' });
+      const consentId = mockAA.approve(consentHandle);
+
+      const result = await fetchBankStatement(consentId);
+
+      expect(result.success).toBe(true);
+      expect(result.sessionId).toBeDefined();
+      expect(result.data.FI[0].data[0].Account.Transactions.Transaction.length).toBeGreaterThan(0);
+    });
+
+    test('should send X25519 key material and decrypt the encrypted FI payload', async () => {
+      const { consentHandle } = await initiateConsent({ customerId: 'test@aa-fi' });
+      const consentId = mockAA.approve(consentHandle);
+
+      const result = await fetchBankStatement(consentId);
+      const session = mockAA.state.sessions.get(result.sessionId);
+
+      expect(session.keyMaterial.curve).toBe('Curve25519');
+      expect(session.keyMaterial.DHPublicKey.KeyValue).toContain('BEGIN PUBLIC KEY');
+      expect(result.data.FI[0].data[0].encryptedFI).toBeUndefined();
+
+      // The mock AA serves simulated data for the consent's fiTypes and the session range
+      const expected = generateFI({
+        seed: 'mock-aa',
+        customerId: 'test@aa-fi',
+        fiTypes: ['DEPOSIT'],
+        from: session.range.from,
+        to: session.range.to
+      });
+      expect(result.data.FI.map(fi => fi.fipId)).toEqual(expected.map(fi => fi.fipId));
+
+      const transactions = parseBankStatement(result.data, 'user-123', consentId);
+      expect(transactions.length).toBeGreaterThan(0);
+      expect(transactions.map(t => t.txn_id))
+        .toEqual(parseBankStatement({ FI: expected }, 'user-123', consentId).map(t => t.txn_id));
+      expect(transactions[0].source_account).toBe(expected[0].data[0].maskedAccNumber);
+    });
+
+    test('should reject data requests for a consent that is not active', async () => {
+      const { consentHandle } = await initiateConsent({ customerId: 'test@aa-fi' });
+      mockAA.approve(consentHandle);
+      const consentId = mockAA.state.consents.get(consentHandle).consentId;
+      mockAA.state.consents.get(consentHandle).status = 'PAUSED';
+
+      await expect(fetchBankStatement(consentId)).rejects.toMatchObject({
+        name: 'AAConsentStateError',
+        code: 'InvalidConsentStatus'
+      });
+    });
   });
 
   describe('config', () => {
@@ -0,0 +1,176 @@
+/**
+ * Tests for AA HTTP Client
+ */
+
+const crypto = require('crypto');
+const jws = require('../services/jws');
+const { createClient, backoffDelay } = require('../services/aaClient');
+const { fromResponse } = require('../services/aaErrors');
+const { createMockAAServer } = require('../scripts/mockAAServer');
+
+describe('AA Client', () => {
+  let mockAA;
+  let server;
+  let config;
+  let client;
+
+  const consentRequest = () => ({
+    ver: '1.0',
+    txnid: 'txn-123',
+    timestamp: new Date().toISOString(),
+    ConsentDetail: {
+      fiTypes: ['DEPOSIT'],
+      Customer: { id: 'test@aa-fi' }
+    }
+  });
+
+  beforeAll(async () => {
+    const fiuKeys = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    mockAA = createMockAAServer({ fiuPublicKeys: [fiuKeys.publicKey] });
+    jws.setKeys({ privateKey: fiuKeys.privateKey, publicKeys: [mockAA.publicKey] });
+    server = await mockAA.listen();
+  });
+
+  afterAll(async () => {
+    jws.resetKeys();
+    await server.close();
+  });
+
+  beforeEach(() => {
+    mockAA.state.failures.length = 0;
+    mockAA.state.delays.length = 0;
+    mockAA.state.requests.length = 0;
+    config = {
+      baseUrl: server.url,
+      apiVersion: 'v1',
+      clientId: 'test_client',
+      timeoutMs: 500,
+      maxRetries: 2,
+      retryDelayMs: 1
+    };
+    client = createClient(config);
+  });
+
+  test('should post to versioned endpoint with client_api_key', async () => {
+    const response = await client.post('/Consent', consentRequest());
+
+    expect(response.ConsentHandle).toBeDefined();
+    expect(mockAA.state.requests[0].path).toBe('/Consent');
+    expect(mockAA.state.requests[0].headers.client_api_key).toBe('test_client');
+  });
+
+  test('should sign request bodies', async () => {
+    await client.post('/Consent', consentRequest());
+
+    expect(mockAA.state.requests[0].headers['x-jws-signature']).toMatch(/^[\w-]+\.\.[\w-]+$/);
+  });
+
+  test('should reject responses signed by an untrusted key', async () => {
+    const otherKey = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 }).publicKey;
+    config.publicKeys = [otherKey];
+
+    await expect(client.post('/Consent', consentRequest())).rejects.toMatchObject({
+      name: 'AASignatureError',
+      code: 'SignatureDoesNotMatch'
+    });
+    expect(mockAA.state.requests).toHaveLength(1);
+  });
+
+  test('should be rejected by the AA when the request signature is invalid', async () => {
+    const { privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    const { publicKeys } = jws.getKeys();
+    const original = jws.getKeys();
+    jws.setKeys({ privateKey, publicKeys });
+
+    try {
+      await expect(client.post('/Consent', consentRequest())).rejects.toMatchObject({
+        name: 'AAAuthError',
+        code: 'SignatureDoesNotMatch',
+        status: 401
+      });
+    } finally {
+      jws.setKeys(original);
+    }
+  });
+
+  test('should retry on 5xx and succeed', async () => {
+    mockAA.failNext('/Consent', { status: 503, count: 2 });
+
+    const response = await client.post('/Consent', consentRequest());
+
+    expect(response.ConsentHandle).toBeDefined();
+    expect(mockAA.state.requests).toHaveLength(3);
+  });
+
+  test('should give up after maxRetries and throw AAServerError', async () => {
+    mockAA.failNext('/Consent', { status: 500, count: 5 });
+
+    await expect(client.post('/Consent', consentRequest())).rejects.toMatchObject({
+      name: 'AAServerError',
+      status: 500
+    });
+    expect(mockAA.state.requests).toHaveLength(3);
+  });
+
+  test('should not retry on 4xx', async () => {
+    await expect(client.post('/Consent', { ver: '1.0', txnid: 'txn-1' })).rejects.toMatchObject({
+      name: 'AAValidationError',
+      code: 'InvalidRequest',
+      txnId: 'txn-1'
+    });
+    expect(mockAA.state.requests).toHaveLength(1);
+  });
+
+  test('should time out slow requests and retry', async () => {
+    config.timeoutMs = 50;
+    mockAA.delayNext('/Consent', 200);
+
+    const response = await client.post('/Consent', consentRequest());
+
+    expect(response.ConsentHandle).toBeDefined();
+    expect(mockAA.state.requests).toHaveLength(2);
+  });
+
+  test('should throw AATimeoutError when every attempt times out', async () => {
+    config.timeoutMs = 20;
+    config.maxRetries = 0;
+    mockAA.delayNext('/Consent', 100);
+
+    await expect(client.post('/Consent', consentRequest())).rejects.toMatchObject({
+      name: 'AATimeoutError',
+      code: 'Timeout'
+    });
+  });
+
+  test('should throw AANetworkError when AA is unreachable', async () => {
+    config.baseUrl = 'http://127.0.0.1:1';
+    config.maxRetries = 0;
+
+    await expect(client.post('/Consent', consentRequest())).rejects.toMatchObject({
+      name: 'AANetworkError'
+    });
+  });
+
+  describe('fromResponse', () => {
+    test('should map errorCode before HTTP status', () => {
+      const error = fromResponse(400, { errorCode: 'ConsentExpired', errorMsg: 'Expired', txnid: 't1' });
+
+      expect(error.name).toBe('AAConsentStateError');
+      expect(error.message).toBe('Expired');
+      expect(error.httpStatus).toBe(409);
+      expect(error.txnId).toBe('t1');
+    });
+
+    test('should fall back to HTTP status for unknown codes', () => {
+      expect(fromResponse(401, { errorCode: 'Unknown' }).name).toBe('AAAuthError');
+      expect(fromResponse(429, null).name).toBe('AARateLimitError');
+      expect(fromResponse(502, null).code).toBe('HTTP_502');
+    });
+  });
+
+  test('backoffDelay should grow exponentially', () => {
+    expect(backoffDelay(100, 0)).toBeGreaterThanOrEqual(100);
+    expect(backoffDelay(100, 2)).toBeGreaterThanOrEqual(400);
+    expect(backoffDelay(100, 2)).toBeLessThan(500);
+  });
+});
@@ -2,12 +2,52 @@
  * Tests for AA Data Parser Service
  */
 
+jest.mock('../models/Transaction', () => ({
+  upsert: jest.fn(),
+  findAll: jest.fn()
+}));
+jest.mock('../models/LinkedAccount', () => ({
+  upsert: jest.fn()
+}));
+jest.mock('../models/CardStatement', () => ({
+  upsert: jest.fn()
+}));
+jest.mock('../models/Holding', () => ({
+  upsert: jest.fn()
+}));
+jest.mock('../models/Loan', () => ({
+  upsert: jest.fn()
+}));
+jest.mock('../models/InsurancePolicy', () => ({
+  upsert: jest.fn(),
+  findAll: jest.fn().mockResolvedValue([])
+}));
+
+const Transaction = require('../models/Transaction');
+const LinkedAccount = require('../models/LinkedAccount');
+const CardStatement = require('../models/CardStatement');
+const Holding = require('../models/Holding');
+const InsurancePolicy = require('../models/InsurancePolicy');
+const Loan = require('../models/Loan');
 const {
   categorizeTransaction,
   extractMerchant,
   mapSourceType,
+  normalizeFIType,
+  parseLinkedAccounts,
   parseBankStatement,
-  parseLoanDetails
+  parseCreditCardTransactions,
+  parseCardStatements,
+  parseHoldings,
+  parseInvestmentTransactions,
+  normalizePremiumFrequency,
+  nextPremiumDueDate,
+  parseInsurancePolicies,
+  matchPremiumPolicy,
+  linkPremiumTransactions,
+  parseLoans,
+  parseLoanDetails,
+  processAAResponse
 } = require('../services/aaDataParser');
 
 describe('AA Data Parser', () => {
@@ -156,6 +196,565 @@ describe('AA Data Parser', () => {
       const result = parseBankStatement(null, 'user-123', 'consent-456');
       expect(result).toHaveLength(0);
     });
+
+    test('should link transactions to their saved account', () => {
+      const accountIds = new Map([['FIP_BANK_001|XXXX1234', 'account-1']]);
+
+      const result = parseBankStatement(sampleAAResponse, 'user-123', 'consent-456', accountIds);
+
+      expect(result.map(txn => txn.linked_account_id)).toEqual(['account-1', 'account-1']);
+      expect(parseBankStatement(sampleAAResponse, 'user-123', 'consent-456')[0].linked_account_id).toBeNull();
+    });
+  });
+
+  describe('processAAResponse', () => {
+    test('should save accounts before their transactions', async () => {
+      LinkedAccount.upsert.mockResolvedValue([{ id: 'account-1' }, true]);
+      Transaction.upsert.mockResolvedValue([{}, true]);
+      const aaResponse = {
+        FI: [{
+          fipId: 'FIP_BANK_001',
+          data: [{
+            maskedAccNumber: 'XXXX1234',
+            Account: {
+              type: 'deposit',
+              Summary: { type: 'SAVINGS', currentBalance: '1000' },
+              Transactions: {
+                Transaction: [{ txnId: 'TXN001', type: 'CREDIT', amount: '10', transactionTimestamp: '2026-10-01T00:00:00Z' }]
+              }
+            }
+          }]
+        }]
+      };
+
+      const result = await processAAResponse(aaResponse, 'user-123', 'consent-456');
+
+      expect(LinkedAccount.upsert).toHaveBeenCalledWith(
+        expect.objectContaining({ fip_id: 'FIP_BANK_001', masked_acc_number: 'XXXX1234' }),
+        expect.objectContaining({ conflictFields: ['user_id', 'fip_id', 'masked_acc_number'] })
+      );
+      expect(Transaction.upsert).toHaveBeenCalledWith(
+        expect.objectContaining({ txn_id: 'TXN001', linked_account_id: 'account-1', source_type: 'BANK_ACCOUNT' }),
+        expect.anything()
+      );
+      expect(result).toMatchObject({ success: true, accounts: 1, totalParsed: 1, saved: 1 });
+    });
+  });
+
+  describe('parseLinkedAccounts', () => {
+    const syncedAt = new Date('2026-10-19T10:00:00Z');
+
+    const depositFI = {
+      fipId: 'FIP_BANK_001',
+      data: [{
+        linkRefNumber: 'LINK_001',
+        maskedAccNumber: 'XXXX1234',
+        Account: {
+          type: 'deposit',
+          Profile: {
+            Holders: {
+              type: 'JOINT',
+              Holder: [{ name: 'Asha Rao', mobile: '9876543210' }, { name: 'Vikram Rao' }]
+            }
+          },
+          Summary: {
+            type: 'SAVINGS',
+            branch: 'Mumbai Main',
+            status: 'ACTIVE',
+            ifscCode: 'BANK0001234',
+            micrCode: '400002001',
+            openingDate: '2020-01-15',
+            currentBalance: '150000.50',
+            balanceDateTime: '2026-10-19T09:00:00Z',
+            currency: 'INR'
+          }
+        }
+      }]
+    };
+
+    const termDepositFI = {
+      fipId: 'FIP_BANK_002',
+      data: [{
+        maskedAccNumber: 'XXXX9876',
+        Account: {
+          type: 'term-deposit',
+          Summary: {
+            accountType: 'FIXED',
+            ifsc: 'BANK0002222',
+            branch: 'Pune',
+            openingDate: '2025-01-01',
+            maturityDate: '2027-01-01',
+            currentValue: '105000',
+            maturityAmount: '115000',
+            interestRate: '7.25'
+          }
+        }
+      }]
+    };
+
+    test('should parse PROFILE and SUMMARY of a deposit account', () => {
+      const [account] = parseLinkedAccounts({ FI: [depositFI] }, 'user-123', 'consent-456', syncedAt);
+
+      expect(account).toEqual({
+        user_id: 'user-123',
+        consent_id: 'consent-456',
+        fip_id: 'FIP_BANK_001',
+        masked_acc_number: 'XXXX1234',
+        link_ref_number: 'LINK_001',
+        fi_type: 'DEPOSIT',
+        account_type: 'SAVINGS',
+        holder_name: 'Asha Rao',
+        holding_type: 'JOINT',
+        ifsc_code: 'BANK0001234',
+        micr_code: '400002001',
+        branch: 'Mumbai Main',
+        status: 'ACTIVE',
+        currency: 'INR',
+        current_balance: 150000.5,
+        balance_at: new Date('2026-10-19T09:00:00Z'),
+        opening_date: '2020-01-15',
+        summary: depositFI.data[0].Account.Summary,
+        last_synced_at: syncedAt
+      });
+    });
+
+    test('should parse term deposit maturity details', () => {
+      const [account] = parseLinkedAccounts({ FI: [termDepositFI] }, 'user-123', 'consent-456', syncedAt);
+
+      expect(account).toMatchObject({
+        fi_type: 'TERM_DEPOSIT',
+        account_type: 'FIXED',
+        ifsc_code: 'BANK0002222',
+        current_balance: 105000,
+        maturity_date: '2027-01-01',
+        maturity_amount: 115000,
+        interest_rate: 7.25
+      });
+    });
+
+    test('should leave out fields the FIP did not send', () => {
+      const profileOnly = {
+        fipId: 'FIP_BANK_001',
+        data: [{ maskedAccNumber: 'XXXX1234', Account: { type: 'deposit', Profile: depositFI.data[0].Account.Profile } }]
+      };
+
+      const [account] = parseLinkedAccounts({ FI: [profileOnly] }, 'user-123', 'consent-456', syncedAt);
+
+      expect(account.holder_name).toBe('Asha Rao');
+      expect(account).not.toHaveProperty('current_balance');
+      expect(account).not.toHaveProperty('account_type');
+      expect(account).not.toHaveProperty('summary');
+    });
+
+    test('should read the flattened deposit shape and skip non-account FI types', () => {
+      const accounts = parseLinkedAccounts({
+        FI: [{
+          fipId: 'FIP_BANK_001',
+          data: [
+            { maskedAccNumber: 'XXXX1234', Account: { type: 'SAVINGS', ifscCode: 'BANK0001234', currentBalance: '100' } },
+            { maskedAccNumber: 'LOAN5678', Account: { type: 'LOAN', currentBalance: '100' } }
+          ]
+        }]
+      }, 'user-123', 'consent-456', syncedAt);
+
+      expect(accounts).toHaveLength(1);
+      expect(accounts[0]).toMatchObject({ fi_type: 'DEPOSIT', account_type: 'SAVINGS', ifsc_code: 'BANK0001234', current_balance: 100 });
+    });
+
+    test('should normalize ReBIT account types', () => {
+      expect(normalizeFIType('recurring_deposit')).toBe('RECURRING_DEPOSIT');
+      expect(normalizeFIType('term-deposit')).toBe('TERM_DEPOSIT');
+      expect(mapSourceType(normalizeFIType('deposit'))).toBe('BANK_ACCOUNT');
+    });
+  });
+
+  describe('credit cards', () => {
+    const syncedAt = new Date('2026-10-19T10:00:00Z');
+
+    const cardFI = {
+      fipId: 'FIP_CARD_001',
+      data: [{
+        linkRefNumber: 'LINK_CC_001',
+        maskedAccNumber: 'XXXX4321',
+        Account: {
+          type: 'credit_card',
+          Profile: { Holders: { type: 'SINGLE', Holder: { name: 'Asha Rao' } } },
+          Summary: {
+            lastStatementDate: '2026-10-05',
+            dueDate: '2026-10-25',
+            totalDueAmount: '18250.75',
+            minDueAmount: '912.50',
+            currentDue: '21000.00',
+            previousDueAmount: '15000',
+            creditLimit: '200000',
+            availableCredit: '179000',
+            cashLimit: '40000',
+            financeCharges: '0',
+            currency: 'INR'
+          },
+          Transactions: {
+            Transaction: [
+              { txnId: 'CC001', txnType: 'DEBIT', amount: '450.00', txnDate: '2026-10-02', narration: 'SWIGGY BANGALORE' },
+              { txnId: 'CC002', txnType: 'CREDIT', amount: '15000.00', txnDate: '2026-10-03', narration: 'PAYMENT RECEIVED - THANK YOU' },
+              { txnId: 'CC003', txnType: 'CREDIT', amount: '299.00', txnDate: '2026-10-04', narration: 'REFUND AMAZON' },
+              { txnId: 'CC004', txnType: 'OPENING', amount: '0', txnDate: '2026-10-01' }
+            ]
+          }
+        }
+      }]
+    };
+
+    test('should save card charges as DEBIT and bill payments as transfers', () => {
+      const accountIds = new Map([['FIP_CARD_001|XXXX4321', 'card-1']]);
+      const result = parseCreditCardTransactions({ FI: [cardFI] }, 'user-123', 'consent-456', accountIds);
+
+      expect(result.map(t => [t.txn_id, t.type])).toEqual([['CC001', 'DEBIT'], ['CC002', 'CREDIT'], ['CC003', 'CREDIT']]);
+      expect(result[0]).toMatchObject({
+        amount: 450,
+        category: 'Food',
+        source_type: 'CREDIT_CARD',
+        source_account: 'XXXX4321',
+        linked_account_id: 'card-1',
+        balance: null,
+        date: new Date('2026-10-02')
+      });
+      expect(result[1]).toMatchObject({ category: 'Transfer', subcategory: 'Credit Card Payment', merchant: null });
+      expect(result[2].category).not.toBe('Transfer');
+    });
+
+    test('should parse the statement summary with dues and limits', () => {
+      const accountIds = new Map([['FIP_CARD_001|XXXX4321', 'card-1']]);
+      const [statement] = parseCardStatements({ FI: [cardFI] }, 'user-123', 'consent-456', accountIds, syncedAt);
+
+      expect(statement).toEqual({
+        user_id: 'user-123',
+        consent_id: 'consent-456',
+        linked_account_id: 'card-1',
+        fip_id: 'FIP_CARD_001',
+        masked_acc_number: 'XXXX4321',
+        statement_date: '2026-10-05',
+        due_date: '2026-10-25',
+        total_due: 18250.75,
+        min_due: 912.5,
+        current_due: 21000,
+        previous_due: 15000,
+        credit_limit: 200000,
+        available_credit: 179000,
+        cash_limit: 40000,
+        finance_charges: 0,
+        currency: 'INR',
+        summary: cardFI.data[0].Account.Summary,
+        last_synced_at: syncedAt
+      });
+    });
+
+    test('should skip cards without a statement date', () => {
+      const noStatement = { fipId: 'FIP_CARD_001', data: [{ maskedAccNumber: 'XXXX4321', Account: { type: 'CREDIT_CARD', Summary: { currentDue: '10' } } }] };
+
+      expect(parseCardStatements({ FI: [noStatement] }, 'user-123', 'consent-456')).toEqual([]);
+    });
+
+    test('should link the card as an account owing its current due', () => {
+      const [account] = parseLinkedAccounts({ FI: [cardFI] }, 'user-123', 'consent-456', syncedAt);
+
+      expect(account).toMatchObject({
+        fi_type: 'CREDIT_CARD',
+        link_ref_number: 'LINK_CC_001',
+        holder_name: 'Asha Rao',
+        current_balance: 21000
+      });
+    });
+
+    test('should keep card transactions out of parseBankStatement', () => {
+      expect(parseBankStatement({ FI: [cardFI] }, 'user-123', 'consent-456')).toEqual([]);
+    });
+
+    test('should save card statements and transactions in processAAResponse', async () => {
+      LinkedAccount.upsert.mockResolvedValue([{ id: 'card-1' }, true]);
+      Transaction.upsert.mockResolvedValue([{}, true]);
+      CardStatement.upsert.mockResolvedValue([{}, true]);
+
+      const result = await processAAResponse({ FI: [cardFI] }, 'user-123', 'consent-456');
+
+      expect(CardStatement.upsert).toHaveBeenCalledWith(
+        expect.objectContaining({ statement_date: '2026-10-05', linked_account_id: 'card-1' }),
+        { conflictFields: ['user_id', 'fip_id', 'masked_acc_number', 'statement_date'] }
+      );
+      expect(result).toMatchObject({ accounts: 1, cardStatements: 1, totalParsed: 3 });
+    });
+  });
+
+  describe('investments', () => {
+    const syncedAt = new Date('2026-10-19T10:00:00Z');
+
+    const mutualFundFI = {
+      fipId: 'FIP_CAMS',
+      data: [{
+        maskedAccNumber: 'FOLIO1234',
+        Account: {
+          type: 'mutual_funds',
+          Summary: {
+            costValue: '60000',
+            currentValue: '70500',
+            Investment: {
+              Holdings: {
+                Holding: [
+                  { amc: 'HDFC Mutual Fund', isin: 'INF179K01BB8', schemeCode: 'HDFC01', isinDescription: 'HDFC Flexi Cap Fund - Growth', folioNo: '1234/56', closingUnits: '30', nav: '1500', navDate: '2026-10-18' },
+                  { amc: 'SBI Mutual Fund', isin: 'INF200K01RJ1', isinDescription: 'SBI Bluechip Fund - Growth', folioNo: '9876/54', closingUnits: '200', nav: '127.5', navDate: '2026-10-18' }
+                ]
+              }
+            }
+          },
+          Transactions: {
+            Transaction: [
+              { txnId: 'MF001', isin: 'INF179K01BB8', isinDescription: 'HDFC Flexi Cap Fund - Growth', amc: 'HDFC Mutual Fund', type: 'BUY', mode: 'SIP', units: '20', nav: '1000', amount: '20000', transactionDate: '2026-01-05' },
+              { txnId: 'MF002', isin: 'INF179K01BB8', isinDescription: 'HDFC Flexi Cap Fund - Growth', amc: 'HDFC Mutual Fund', type: 'BUY', mode: 'PHYSICAL', units: '20', nav: '1250', amount: '25000', transactionDate: '2026-04-05' },
+              { txnId: 'MF003', isin: 'INF179K01BB8', isinDescription: 'HDFC Flexi Cap Fund - Growth', amc: 'HDFC Mutual Fund', type: 'SELL', units: '10', nav: '1400', amount: '14000', transactionDate: '2026-08-05' }
+            ]
+          }
+        }
+      }]
+    };
+
+    const equitiesFI = {
+      fipId: 'FIP_NSDL',
+      data: [{
+        maskedAccNumber: 'IN3000XXXX1234',
+        Account: {
+          type: 'equities',
+          Summary: {
+            Investment: {
+              Holdings: { Holding: { issuerName: 'Infosys Ltd', isin: 'INE009A01021', isinDescription: 'INFOSYS LIMITED', units: '20', lastTradedPrice: '1850.40' } }
+            }
+          },
+          Transactions: {
+            Transaction: [
+              { txnId: 'EQ001', orderId: 'ORD1', companyName: 'Infosys Ltd', isin: 'INE009A01021', type: 'BUY', units: '10', rate: '1500', transactionDateTime: '2026-03-01T10:00:00Z' },
+              { txnId: 'EQ002', companyName: 'Infosys Ltd', isin: 'INE009A01021', type: 'BONUS', units: '10', transactionDateTime: '2026-06-01T10:00:00Z' }
+            ]
+          }
+        }
+      }]
+    };
+
+    const npsFI = {
+      fipId: 'FIP_CRA',
+      data: [{
+        maskedAccNumber: 'PRANXXXX7890',
+        Account: {
+          type: 'nps',
+          Summary: {
+            costValue: '100000',
+            Investment: {
+              Holdings: { Holding: [{ schemeId: 'SM001001', schemeName: 'SBI Pension Fund Scheme E - Tier I', pfmName: 'SBI Pension Funds', totalUnits: '2500', nav: '45.2', navDate: '2026-10-18' }] }
+            }
+          },
+          Transactions: {
+            Transaction: [{ txnId: 'NPS001', schemeId: 'SM001001', type: 'CONTRIBUTION', amount: '5000', units: '110.6', transactionDate: '2026-09-30', narration: 'Voluntary contribution' }]
+          }
+        }
+      }]
+    };
+
+    test('should parse mutual fund holdings with the invested amount rebuilt from trades', () => {
+      const [hdfc, sbi] = parseHoldings({ FI: [mutualFundFI] }, 'user-123', 'consent-456', syncedAt);
+
+      expect(hdfc).toMatchObject({
+        fi_type: 'MUTUAL_FUNDS',
+        fip_id: 'FIP_CAMS',
+        masked_acc_number: 'FOLIO1234',
+        holding_key: 'INF179K01BB8',
+        scheme_code: 'HDFC01',
+        name: 'HDFC Flexi Cap Fund - Growth',
+        issuer: 'HDFC Mutual Fund',
+        folio_number: '1234/56',
+        units: 30,
+        nav: 1500,
+        current_value: 45000,
+        // 45000 bought for 40 units, a quarter sold at average cost
+        cost_value: 33750,
+        last_synced_at: syncedAt
+      });
+      // No trades and several schemes: the account costValue cannot be split
+      expect(sbi).toMatchObject({ holding_key: 'INF200K01RJ1', current_value: 25500, cost_value: null });
+    });
+
+    test('should parse equity and NPS holdings', () => {
+      const [equity, nps] = parseHoldings({ FI: [equitiesFI, npsFI] }, 'user-123', 'consent-456', syncedAt);
+
+      // The 1:1 bonus doubles the units at no cost
+      expect(equity).toMatchObject({ fi_type: 'EQUITIES', name: 'INFOSYS LIMITED', issuer: 'Infosys Ltd', units: 20, nav: 1850.4, current_value: 37008, cost_value: 15000 });
+      expect(nps).toMatchObject({
+        fi_type: 'NPS',
+        holding_key: 'SM001001',
+        name: 'SBI Pension Fund Scheme E - Tier I',
+        issuer: 'SBI Pension Funds',
+        units: 2500,
+        current_value: 113000,
+        cost_value: 100000
+      });
+    });
+
+    test('should record buys as DEBIT, sells as CREDIT and flag SIPs', () => {
+      const result = parseInvestmentTransactions({ FI: [mutualFundFI, equitiesFI, npsFI] }, 'user-123', 'consent-456');
+
+      expect(result.map(t => [t.txn_id, t.type, t.amount, t.subcategory, t.source_type])).toEqual([
+        ['MF001', 'DEBIT', 20000, 'SIP', 'MUTUAL_FUND'],
+        ['MF002', 'DEBIT', 25000, 'Mutual Fund', 'MUTUAL_FUND'],
+        ['MF003', 'CREDIT', 14000, 'Mutual Fund', 'MUTUAL_FUND'],
+        ['EQ001', 'DEBIT', 15000, 'Equity', 'EQUITIES'],
+        ['NPS001', 'DEBIT', 5000, 'NPS', 'NPS']
+      ]);
+      expect(result[3]).toMatchObject({ category: 'Investment', merchant: 'Infosys Ltd', reference: 'ORD1', source_account: 'IN3000XXXX1234' });
+    });
+
+    test('should report trades without a txnId instead of saving them', () => {
+      const sip = { isin: 'INF179K01BB8', type: 'BUY', mode: 'SIP', units: '20', nav: '1000', amount: '20000', transactionDate: '2026-02-05' };
+      const errors = [];
+      const result = parseInvestmentTransactions({
+        FI: [{ fipId: 'FIP_CAMS', data: [{ maskedAccNumber: 'FOLIO1234', Account: { type: 'mutual_funds', Transactions: { Transaction: [sip, sip] } } }] }]
+      }, 'user-123', 'consent-456', errors);
+
+      expect(result).toEqual([]);
+      expect(errors).toHaveLength(2);
+      expect(errors[0]).toEqual({
+        source_account: 'FOLIO1234',
+        error: 'BUY of INF179K01BB8 on 2026-02-05 has no txnId from the FIP',
+        code: 'MissingTxnId'
+      });
+    });
+
+    test('should keep investment trades out of parseBankStatement', () => {
+      expect(parseBankStatement({ FI: [mutualFundFI, equitiesFI] }, 'user-123', 'consent-456')).toEqual([]);
+    });
+
+    test('should save holdings and trades in processAAResponse', async () => {
+      Transaction.upsert.mockResolvedValue([{}, true]);
+      Holding.upsert.mockResolvedValue([{}, true]);
+
+      const result = await processAAResponse({ FI: [mutualFundFI] }, 'user-123', 'consent-456');
+
+      expect(Holding.upsert).toHaveBeenCalledWith(
+        expect.objectContaining({ holding_key: 'INF179K01BB8' }),
+        { conflictFields: ['user_id', 'fip_id', 'masked_acc_number', 'holding_key'] }
+      );
+      expect(result).toMatchObject({ accounts: 0, holdings: 2, totalParsed: 3 });
+    });
+  });
+
+  describe('insurance', () => {
+    const syncedAt = new Date('2026-10-19T10:00:00Z');
+
+    const insuranceFI = {
+      fipId: 'FIP_LIC',
+      data: [{
+        maskedAccNumber: 'XXXXXX4567',
+        Account: {
+          type: 'insurance_policies',
+          Profile: {
+            Nominees: { Nominee: [{ name: 'Vikram Rao' }, { name: 'Meera Rao' }] }
+          },
+          Summary: {
+            insurerName: 'LIC of India',
+            policyName: 'Jeevan Anand',
+            policyType: 'endowment',
+            sumAssured: '1000000',
+            premiumAmount: '12500',
+            premiumFrequency: 'Quarterly',
+            policyStartDate: '2020-02-10',
+            premiumPaymentYears: '20',
+            maturityDate: '2045-02-10',
+            policyStatus: 'IN_FORCE'
+          },
+          Transactions: {
+            Transaction: [{ txnId: 'INS001', type: 'PREMIUM', amount: '12500', txnDate: '2026-08-10' }]
+          }
+        }
+      }]
+    };
+
+    const policies = [
+      { id: 'policy-lic', masked_policy_number: 'XXXXXX4567', insurer: 'LIC of India', premium_amount: '12500.00' },
+      { id: 'policy-hdfc', masked_policy_number: 'XXXXXX8901', insurer: 'HDFC Life', premium_amount: '2400.00' }
+    ];
+
+    test('should parse the policy with its premium schedule and nominees', () => {
+      const [policy] = parseInsurancePolicies({ FI: [insuranceFI] }, 'user-123', 'consent-456', syncedAt);
+
+      expect(policy).toEqual({
+        user_id: 'user-123',
+        consent_id: 'consent-456',
+        fip_id: 'FIP_LIC',
+        masked_policy_number: 'XXXXXX4567',
+        insurer: 'LIC of India',
+        policy_name: 'Jeevan Anand',
+        policy_type: 'ENDOWMENT',
+        sum_assured: 1000000,
+        premium_amount: 12500,
+        premium_frequency: 'QUARTERLY',
+        next_premium_due_date: '2026-11-10',
+        policy_start_date: '2020-02-10',
+        maturity_date: '2045-02-10',
+        nominee_count: 2,
+        status: 'IN_FORCE',
+        currency: 'INR',
+        summary: insuranceFI.data[0].Account.Summary,
+        last_synced_at: syncedAt
+      });
+    });
+
+    test('should keep the insurance premium history out of parseBankStatement', () => {
+      expect(parseBankStatement({ FI: [insuranceFI] }, 'user-123', 'consent-456')).toEqual([]);
+    });
+
+    test('should normalize premium frequencies', () => {
+      expect(normalizePremiumFrequency('Half Yearly')).toBe('HALF_YEARLY');
+      expect(normalizePremiumFrequency('yearly')).toBe('ANNUAL');
+      expect(normalizePremiumFrequency('SINGLE')).toBe('SINGLE');
+      expect(normalizePremiumFrequency('fortnightly')).toBeNull();
+    });
+
+    test('should work out the next premium due date within the paying term', () => {
+      const now = new Date('2026-10-19T00:00:00Z');
+
+      expect(nextPremiumDueDate({ nextPremiumDueDate: '2026-12-01' }, 'ANNUAL', now)).toBe('2026-12-01');
+      expect(nextPremiumDueDate({ policyStartDate: '2021-03-15' }, 'ANNUAL', now)).toBe('2027-03-15');
+      expect(nextPremiumDueDate({ policyStartDate: '2024-10-19' }, 'MONTHLY', now)).toBe('2026-10-19');
+      // Premiums paid up after 5 years
+      expect(nextPremiumDueDate({ policyStartDate: '2020-01-01', premiumPaymentYears: '5' }, 'ANNUAL', now)).toBeNull();
+      expect(nextPremiumDueDate({ policyStartDate: '2020-01-01' }, 'SINGLE', now)).toBeNull();
+    });
+
+    test('should match premium debits by policy number, then by insurer and amount', () => {
+      expect(matchPremiumPolicy({ type: 'DEBIT', amount: '12500', narration: 'ACH D- LIC PREM 12345-4567' }, policies).id).toBe('policy-lic');
+      expect(matchPremiumPolicy({ type: 'DEBIT', amount: '2400', narration: 'NACH HDFC LIFE INSURANCE' }, policies).id).toBe('policy-hdfc');
+      expect(matchPremiumPolicy({ type: 'DEBIT', amount: '2400', narration: 'POLICYBAZAAR', category: 'Insurance' }, policies).id).toBe('policy-hdfc');
+      expect(matchPremiumPolicy({ type: 'DEBIT', amount: '999', narration: 'HDFC LIFE' }, policies)).toBeNull();
+      expect(matchPremiumPolicy({ type: 'CREDIT', amount: '12500', narration: 'LIC 4567 MATURITY' }, policies)).toBeNull();
+    });
+
+    test('should link unlinked premium debits to their policy', async () => {
+      const update = jest.fn();
+      InsurancePolicy.findAll.mockResolvedValueOnce(policies);
+      Transaction.findAll.mockResolvedValueOnce([
+        { type: 'DEBIT', amount: '12500.00', narration: 'ACH D- LIC PREM 4567', category: 'Loan', update },
+        { type: 'DEBIT', amount: '450.00', narration: 'INSURANCE DEKHO', category: 'Insurance', update: jest.fn() }
+      ]);
+
+      const linked = await linkPremiumTransactions('user-123');
+
+      expect(linked).toBe(1);
+      expect(update).toHaveBeenCalledWith({ insurance_policy_id: 'policy-lic', category: 'Insurance', subcategory: 'Premium' });
+      const { where } = Transaction.findAll.mock.calls[0][0];
+      expect(where).toMatchObject({ user_id: 'user-123', type: 'DEBIT', insurance_policy_id: null });
+    });
+
+    test('should skip linking when the user has no policies', async () => {
+      Transaction.findAll.mockClear();
+
+      expect(await linkPremiumTransactions('user-123')).toBe(0);
+      expect(Transaction.findAll).not.toHaveBeenCalled();
+    });
   });
 
   describe('parseLoanDetails', () => {
@@ -196,6 +795,139 @@ describe('AA Data Parser', () => {
       const result = parseLoanDetails({}, 'user-123', 'consent-456');
       expect(result).toHaveLength(0);
     });
+
+    test('should skip unpaid EMIs and report EMIs without a txnId or reference', () => {
+      const now = new Date('2026-10-19T00:00:00Z');
+      const errors = [];
+      const result = parseLoanDetails({
+        FI: [{
+          fipId: 'FIP_BANK_001',
+          data: [{
+            maskedAccNumber: 'LOAN1234',
+            Account: {
+              type: 'loan',
+              lenderName: 'HDFC Bank',
+              EMIs: {
+                EMI: [
+                  { reference: 'ECS0810', dueDate: '2026-08-05', paidDate: '2026-08-06', amount: '35000' },
+                  { dueDate: '2026-10-05', paidDate: '2026-10-06', amount: '35000' },
+                  { dueDate: '2026-09-05', status: 'OVERDUE', amount: '35000' },
+                  { dueDate: '2026-11-05', amount: '35000' }
+                ]
+              }
+            }
+          }]
+        }]
+      }, 'user-123', 'consent-456', now, errors);
+
+      expect(result).toHaveLength(1);
+      expect(result[0]).toMatchObject({ txn_id: 'ECS0810', date: new Date('2026-08-06') });
+      expect(errors).toEqual([{
+        source_account: 'LOAN1234',
+        error: 'EMI due 2026-10-05 has no txnId or reference from the FIP',
+        code: 'MissingTxnId'
+      }]);
+    });
+
+    test('should ignore EMIs on non-loan accounts', () => {
+      const result = parseLoanDetails({
+        FI: [{ fipId: 'FIP_BANK_001', data: [{ maskedAccNumber: 'XXXX1234', Account: { type: 'deposit', EMIs: { EMI: [{ txnId: 'X', dueDate: '2024-01-01', amount: '1' }] } } }] }]
+      }, 'user-123', 'consent-456');
+
+      expect(result).toHaveLength(0);
+    });
+  });
+
+  describe('parseLoans', () => {
+    const syncedAt = new Date('2026-10-19T10:00:00Z');
+
+    test('should parse the loan account terms', () => {
+      const [loan] = parseLoans({
+        FI: [{
+          fipId: 'FIP_BANK_001',
+          data: [{
+            maskedAccNumber: 'LOAN1234',
+            Loan: {
+              loanType: 'home-loan',
+              lenderName: 'HDFC Bank',
+              principalAmount: '5000000',
+              outstandingAmount: '4200000.50',
+              interestRate: '8.5',
+              tenureMonths: '240',
+              emiAmount: '43391',
+              startDate: '2022-04-01',
+              status: 'ACTIVE',
+              EMIs: {
+                EMI: [
+                  { txnId: 'EMI001', dueDate: '2026-10-05', paidDate: '2026-10-05', amount: '43391' },
+                  { dueDate: '2026-12-05', amount: '43391' },
+                  { dueDate: '2026-11-05', amount: '43391' }
+                ]
+              }
+            }
+          }]
+        }]
+      }, 'user-123', 'consent-456', syncedAt);
+
+      expect(loan).toMatchObject({
+        fip_id: 'FIP_BANK_001',
+        masked_acc_number: 'LOAN1234',
+        lender: 'HDFC Bank',
+        loan_type: 'HOME_LOAN',
+        principal_amount: 5000000,
+        outstanding_amount: 4200000.5,
+        interest_rate: 8.5,
+        tenure_months: 240,
+        emi_amount: 43391,
+        start_date: '2022-04-01',
+        next_emi_date: '2026-11-05',
+        status: 'ACTIVE',
+        last_synced_at: syncedAt
+      });
+      expect(loan.summary).not.toHaveProperty('EMIs');
+    });
+
+    test('should work out the EMI when the FIP sends none', () => {
+      const [loan] = parseLoans({
+        FI: [{
+          fipId: 'FIP_NBFC',
+          data: [{ maskedAccNumber: 'PL9876', Account: { type: 'PERSONAL_LOAN', Summary: { principalAmount: '1000000', interestRate: '8.5', tenureYears: '20' } } }]
+        }]
+      }, 'user-123', 'consent-456', syncedAt);
+
+      expect(loan).toMatchObject({ loan_type: null, tenure_months: 240, emi_amount: 8678.23, outstanding_amount: null });
+    });
+
+    test('should save loans in processAAResponse', async () => {
+      Loan.upsert.mockResolvedValue([{}, true]);
+      Transaction.upsert.mockResolvedValue([{}, true]);
+
+      const result = await processAAResponse({
+        FI: [{ fipId: 'FIP_BANK_001', data: [{ maskedAccNumber: 'LOAN1234', Loan: { lenderName: 'HDFC Bank', outstandingAmount: '100' } }] }]
+      }, 'user-123', 'consent-456');
+
+      expect(Loan.upsert).toHaveBeenCalledWith(
+        expect.objectContaining({ masked_acc_number: 'LOAN1234', outstanding_amount: 100 }),
+        { conflictFields: ['user_id', 'fip_id', 'masked_acc_number'] }
+      );
+      expect(result.loans).toBe(1);
+    });
+
+    test('should report EMIs without an ID in processAAResponse errors', async () => {
+      Loan.upsert.mockResolvedValue([{}, true]);
+      Transaction.upsert.mockClear();
+
+      const result = await processAAResponse({
+        FI: [{
+          fipId: 'FIP_BANK_001',
+          data: [{ maskedAccNumber: 'LOAN1234', Loan: { lenderName: 'HDFC Bank', EMIs: { EMI: [{ dueDate: '2026-01-05', paidDate: '2026-01-05', amount: '35000' }] } } }]
+        }]
+      }, 'user-123', 'consent-456');
+
+      expect(Transaction.upsert).not.toHaveBeenCalled();
+      expect(result).toMatchObject({ totalParsed: 0, saved: 0 });
+      expect(result.errors).toEqual([expect.objectContaining({ source_account: 'LOAN1234', code: 'MissingTxnId' })]);
+    });
   });
 });
 
@@ -0,0 +1,122 @@
+/**
+ * Tests for the AA Provider Registry and provider quirks
+ */
+
+const {
+  getProvider,
+  hasProvider,
+  listProviders,
+  getDefaultProviderName
+} = require('../services/aaProviders');
+const { requireVuaSuffix } = require('../services/aaProviders/createProvider');
+
+const PROVIDER_METHODS = [
+  'initiateConsent',
+  'buildRedirectUrl',
+  'handleCallback',
+  'fetchConsentArtefact',
+  'fetchData',
+  'fetchSessionData',
+  'fetchBankStatement',
+  'checkConsentStatus',
+  'updateConsentStatus'
+];
+
+describe('AA Providers', () => {
+  describe('registry', () => {
+    test('should register Setu, Finvu, OneMoney and Anumati', () => {
+      expect(listProviders().map(p => p.name)).toEqual(['setu', 'finvu', 'onemoney', 'anumati']);
+    });
+
+    test('should give every provider the same interface', () => {
+      for (const { name } of listProviders()) {
+        const provider = getProvider(name);
+        for (const method of PROVIDER_METHODS) {
+          expect(typeof provider[method]).toBe('function');
+        }
+        expect(provider.config.baseUrl).toBeDefined();
+      }
+    });
+
+    test('should fall back to the default provider', () => {
+      expect(getProvider().name).toBe(getDefaultProviderName());
+      expect(getProvider(null).name).toBe('setu');
+      expect(listProviders().find(p => p.default).name).toBe('setu');
+    });
+
+    test('should honour AA_DEFAULT_PROVIDER', () => {
+      process.env.AA_DEFAULT_PROVIDER = 'onemoney';
+      try {
+        expect(getProvider().name).toBe('onemoney');
+      } finally {
+        delete process.env.AA_DEFAULT_PROVIDER;
+      }
+    });
+
+    test('should reject unknown providers', () => {
+      expect(hasProvider('unknown')).toBe(false);
+      expect(() => getProvider('unknown')).toThrow(expect.objectContaining({
+        name: 'AAValidationError',
+        code: 'UnknownProvider'
+      }));
+    });
+  });
+
+  describe('requireVuaSuffix', () => {
+    const formatCustomerId = requireVuaSuffix('@finvu');
+
+    test('should append the suffix to a bare mobile number', () => {
+      expect(formatCustomerId('9876543210')).toBe('9876543210@finvu');
+    });
+
+    test('should accept the provider VUA and reject other AAs', () => {
+      expect(formatCustomerId('9876543210@finvu')).toBe('9876543210@finvu');
+      expect(() => formatCustomerId('9876543210@onemoney')).toThrow('Customer VUA must end with @finvu');
+    });
+  });
+
+  describe('Setu', () => {
+    const setu = getProvider('setu');
+    const originalRedirectKey = setu.config.redirectKey;
+
+    beforeAll(() => {
+      setu.config.redirectKey = 'test-redirect-key';
+    });
+
+    afterAll(() => {
+      setu.config.redirectKey = originalRedirectKey;
+    });
+
+    test('should append the encrypted redirect query to the webview url returned by the AA', () => {
+      const url = new URL(setu.buildRedirectUrl('HANDLE_1', {
+        response: { url: 'https://setu.example.com/consent/HANDLE_1' }
+      }));
+
+      expect(url.origin + url.pathname).toBe('https://setu.example.com/consent/HANDLE_1');
+      expect(url.searchParams.get('ecreq')).toBeTruthy();
+    });
+
+    test('should fall back to the authorize URL without a webview url', () => {
+      const url = new URL(setu.buildRedirectUrl('HANDLE_1'));
+
+      expect(url.pathname).toBe('/consent/authorize');
+      expect([...url.searchParams.keys()]).toEqual(['fi', 'reqdate', 'ecreq']);
+    });
+  });
+
+  describe('OneMoney', () => {
+    test('should use the configured webview URL', () => {
+      const oneMoney = getProvider('onemoney');
+      oneMoney.config.webviewUrl = 'https://webview.onemoney.example.com';
+      oneMoney.config.redirectKey = 'test-redirect-key';
+
+      try {
+        expect(oneMoney.buildRedirectUrl('HANDLE_1'))
+          .toMatch(/^https:\/\/webview\.onemoney\.example\.com\/consent\/authorize\?fi=/);
+      } finally {
+        oneMoney.config.webviewUrl = null;
+        oneMoney.config.redirectKey = null;
+      }
+    });
+  });
+});
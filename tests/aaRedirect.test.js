@@ -0,0 +1,123 @@
+/**
+ * Tests for AA Web Redirection (ecreq/ecres)
+ */
+
+const {
+  formatRedirectDate,
+  parseRedirectDate,
+  deriveKey,
+  decryptParam,
+  encryptRedirect,
+  buildRedirectQuery,
+  parseRedirectResponse
+} = require('../services/aaRedirect');
+
+const SECRET = 'shared-redirect-key';
+const FIU_ID = 'fiu-client-1';
+const now = new Date('2026-10-19T10:15:30.123Z');
+
+const buildResponse = (fields, { secret = SECRET, fiuId = FIU_ID, at = now } = {}) => {
+  const { fi, date, payload } = encryptRedirect({ fiuId, secret, fields, now: at });
+  return { fi, resdate: date, ecres: payload };
+};
+
+const options = { fiuId: FIU_ID, secret: SECRET, maxAgeMs: 5 * 60 * 1000, now };
+
+describe('AA Redirect', () => {
+  describe('redirect dates', () => {
+    test('should format and parse ddMMyyyyHHmmssSSS in UTC', () => {
+      expect(formatRedirectDate(now)).toBe('19102026101530123');
+      expect(parseRedirectDate('19102026101530123')).toEqual(now);
+    });
+
+    test('should reject malformed or impossible dates', () => {
+      expect(parseRedirectDate('2026-10-19')).toBeNull();
+      expect(parseRedirectDate('31022026101530123')).toBeNull();
+      expect(parseRedirectDate(undefined)).toBeNull();
+    });
+  });
+
+  describe('buildRedirectQuery', () => {
+    test('should encrypt fi and ecreq under a key derived from reqdate', () => {
+      const query = buildRedirectQuery({
+        fiuId: FIU_ID,
+        secret: SECRET,
+        txnid: 'TXN_1',
+        srcref: 'HANDLE_1',
+        userid: '9876543210@finvu',
+        redirect: 'http://localhost:3000/api/aa/callback',
+        now
+      });
+
+      const key = deriveKey(SECRET, query.reqdate);
+      const ecreq = Object.fromEntries(new URLSearchParams(decryptParam(query.ecreq, key)));
+
+      expect(query.reqdate).toBe('19102026101530123');
+      expect(decryptParam(query.fi, key)).toBe(FIU_ID);
+      expect(ecreq).toMatchObject({
+        txnid: 'TXN_1',
+        srcref: 'HANDLE_1',
+        userid: '9876543210@finvu',
+        redirect: 'http://localhost:3000/api/aa/callback'
+      });
+      expect(ecreq.sessionid).toBeDefined();
+      expect(query.ecreq).not.toContain('HANDLE_1');
+    });
+
+    test('should refuse to build a redirect without a key', () => {
+      expect(() => buildRedirectQuery({ fiuId: FIU_ID, txnid: 'TXN_1', srcref: 'HANDLE_1' }))
+        .toThrow('AA redirect key not configured');
+    });
+  });
+
+  describe('parseRedirectResponse', () => {
+    test('should decrypt a valid response', async () => {
+      const query = buildResponse({ txnid: 'TXN_1', srcref: 'HANDLE_1', status: 'S', errorcode: '0' });
+
+      expect(await parseRedirectResponse(query, options)).toEqual({
+        txnid: 'TXN_1',
+        srcref: 'HANDLE_1',
+        status: 'S',
+        errorcode: '0'
+      });
+    });
+
+    test('should reject a response encrypted with another key', async () => {
+      const query = buildResponse({ txnid: 'TXN_1', srcref: 'HANDLE_1' }, { secret: 'other-key' });
+
+      await expect(parseRedirectResponse(query, options)).rejects.toThrow(expect.objectContaining({ code: 'InvalidRedirect' }));
+    });
+
+    test('should reject a tampered ecres or a forged resdate', async () => {
+      const query = buildResponse({ txnid: 'TXN_1', srcref: 'HANDLE_1' });
+      const tampered = Buffer.from(query.ecres, 'base64url');
+      tampered[20] ^= 0xff;
+
+      await expect(parseRedirectResponse({ ...query, ecres: tampered.toString('base64url') }, options))
+        .rejects.toThrow(expect.objectContaining({ code: 'InvalidRedirect' }));
+      await expect(parseRedirectResponse({ ...query, resdate: '19102026101531123' }, options))
+        .rejects.toThrow(expect.objectContaining({ code: 'InvalidRedirect' }));
+    });
+
+    test('should reject a response for another FIU', async () => {
+      const query = buildResponse({ txnid: 'TXN_1', srcref: 'HANDLE_1' }, { fiuId: 'other-fiu' });
+
+      await expect(parseRedirectResponse(query, options)).rejects.toThrow(expect.objectContaining({ code: 'InvalidRedirect' }));
+    });
+
+    test('should reject stale or future resdate', async () => {
+      const stale = buildResponse({ txnid: 'TXN_1', srcref: 'HANDLE_1' }, { at: new Date(now.getTime() - 6 * 60 * 1000) });
+      const future = buildResponse({ txnid: 'TXN_1', srcref: 'HANDLE_1' }, { at: new Date(now.getTime() + 2 * 60 * 1000) });
+
+      await expect(parseRedirectResponse(stale, options)).rejects.toThrow(expect.objectContaining({ code: 'RedirectExpired' }));
+      await expect(parseRedirectResponse(future, options)).rejects.toThrow(expect.objectContaining({ code: 'RedirectExpired' }));
+    });
+
+    test('should reject missing parameters and missing txnid/srcref', async () => {
+      await expect(parseRedirectResponse({ consentId: 'C1', status: 'APPROVED' }, options))
+        .rejects.toThrow(expect.objectContaining({ code: 'InvalidRedirect' }));
+      await expect(parseRedirectResponse(buildResponse({ status: 'S' }), options))
+        .rejects.toThrow('missing txnid or srcref');
+    });
+  });
+});
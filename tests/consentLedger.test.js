@@ -0,0 +1,143 @@
+/**
+ * Tests for the hash-chained Consent Ledger
+ */
+
+const ConsentRecord = require('../models/ConsentRecord');
+const { verifyLedger } = require('../services/consentLedger');
+
+const buildVersion = (parent, overrides = {}) => {
+  const record = {
+    id: `record-${parent ? parent.version + 1 : 1}`,
+    consent_id: parent ? `HANDLE_1_v${parent.version + 1}` : 'HANDLE_1',
+    consent_handle: 'HANDLE_1',
+    aa_consent_id: parent ? 'CONSENT_1' : null,
+    user_id: 'user-123',
+    customer_id: '9876543210@aa-fi',
+    aa_request: { ConsentDetail: { fiTypes: ['DEPOSIT'], Purpose: { code: '101' } } },
+    aa_response: null,
+    scopes: ['DEPOSIT'],
+    status: parent ? 'APPROVED' : 'PENDING',
+    purpose_code: '101',
+    version: parent ? parent.version + 1 : 1,
+    parent_id: parent ? parent.id : null,
+    parent_hash: parent ? parent.data_hash : null,
+    expires_at: new Date('2027-10-19T00:00:00.000Z'),
+    ...overrides
+  };
+  record.data_hash = ConsentRecord.generateHash(record);
+  return record;
+};
+
+const buildChain = (length) => {
+  const chain = [buildVersion(null)];
+  while (chain.length < length) {
+    chain.push(buildVersion(chain[chain.length - 1]));
+  }
+  return chain;
+};
+
+describe('Consent Ledger', () => {
+  describe('generateHash', () => {
+    test('should depend on the parent hash', () => {
+      const [v1, v2] = buildChain(2);
+
+      expect(ConsentRecord.generateHash({ ...v2, parent_hash: 'f'.repeat(64) })).not.toBe(v2.data_hash);
+      expect(v2.parent_hash).toBe(v1.data_hash);
+    });
+
+    test('should ignore JSONB key order and unset vs null fields', () => {
+      const [v1] = buildChain(1);
+      const reloaded = {
+        ...v1,
+        aa_request: { ConsentDetail: { Purpose: { code: '101' }, fiTypes: ['DEPOSIT'] } },
+        expires_at: v1.expires_at.toISOString(),
+        fip_id: null
+      };
+      delete reloaded.aa_response;
+
+      expect(ConsentRecord.generateHash(reloaded)).toBe(v1.data_hash);
+    });
+
+    test('should only hash aa_provider when it is set', () => {
+      const [v1] = buildChain(1);
+
+      expect(ConsentRecord.generateHash({ ...v1, aa_provider: null })).toBe(v1.data_hash);
+      expect(ConsentRecord.generateHash({ ...v1, aa_provider: 'finvu' })).not.toBe(v1.data_hash);
+    });
+  });
+
+  describe('createNewVersion', () => {
+    test('should link the new version to its parent hash', async () => {
+      const createSpy = jest.spyOn(ConsentRecord, 'create').mockImplementation(async (data) => data);
+      const [v1] = buildChain(1);
+
+      const v2 = await ConsentRecord.prototype.createNewVersion.call(v1, { status: 'APPROVED' });
+
+      expect(v2).toMatchObject({ version: 2, parent_id: v1.id, parent_hash: v1.data_hash });
+      createSpy.mockRestore();
+    });
+  });
+
+  describe('verifyLedger', () => {
+    test('should accept an intact chain', () => {
+      const report = verifyLedger(buildChain(3));
+
+      expect(report).toEqual({ valid: true, records: 3, chains: 1, issues: [] });
+    });
+
+    test('should report a rewritten version as a hash mismatch', () => {
+      const chain = buildChain(3);
+      chain[1].status = 'REVOKED';
+
+      const report = verifyLedger(chain);
+
+      expect(report.valid).toBe(false);
+      expect(report.issues).toEqual([
+        expect.objectContaining({ type: 'HASH_MISMATCH', recordId: 'record-2', version: 2 })
+      ]);
+    });
+
+    test('should report a rewritten and rehashed version as a broken link', () => {
+      const chain = buildChain(3);
+      chain[1] = buildVersion(chain[0], { status: 'REVOKED' });
+
+      const report = verifyLedger(chain);
+
+      expect(report.issues).toEqual([
+        expect.objectContaining({ type: 'BROKEN_LINK', recordId: 'record-3' })
+      ]);
+    });
+
+    test('should report versions whose parent was deleted as orphaned', () => {
+      const [v1, , v3] = buildChain(3);
+
+      const report = verifyLedger([v1, v3]);
+
+      expect(report.issues).toEqual([
+        expect.objectContaining({ type: 'ORPHANED', recordId: 'record-3' })
+      ]);
+    });
+
+    test('should report a parent with two children', () => {
+      const chain = buildChain(2);
+      const fork = buildVersion(chain[0], { id: 'record-fork', consent_id: 'HANDLE_1_fork' });
+
+      const report = verifyLedger([...chain, fork]);
+
+      expect(report.issues).toEqual([
+        expect.objectContaining({ type: 'BROKEN_LINK', recordId: 'record-1' })
+      ]);
+    });
+
+    test('should report a version that skips a version number', () => {
+      const [v1] = buildChain(1);
+      const v3 = buildVersion(v1, { version: 3 });
+
+      const report = verifyLedger([v1, v3]);
+
+      expect(report.issues).toEqual([
+        expect.objectContaining({ type: 'BROKEN_LINK', message: expect.stringContaining('does not follow') })
+      ]);
+    });
+  });
+});
@@ -0,0 +1,292 @@
+/**
+ * Tests for Consent Service
+ */
+
+jest.mock('../models/ConsentRecord', () => ({
+  create: jest.fn(),
+  findOne: jest.fn(),
+  findAll: jest.fn(),
+  getHistory: jest.fn(),
+  generateHash: jest.requireActual('../models/ConsentRecord').generateHash
+}));
+
+jest.mock('../models/ConsentTemplate', () => ({
+  findActiveByName: jest.fn(),
+  findAll: jest.fn()
+}));
+
+const ConsentRecord = require('../models/ConsentRecord');
+const ConsentTemplate = require('../models/ConsentTemplate');
+const {
+  createPendingConsent,
+  findLatestByConsentId,
+  canTransition,
+  recordStatus,
+  expireIfDue,
+  expireStaleConsents,
+  summarizeConsent,
+  getUserConsent,
+  resolveTemplate
+} = require('../services/consentService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const buildRecord = (overrides = {}) => ({
+  id: 'record-1',
+  consent_id: 'HANDLE_1',
+  consent_handle: 'HANDLE_1',
+  aa_consent_id: null,
+  user_id: 'user-123',
+  status: 'PENDING',
+  version: 1,
+  expires_at: new Date(Date.now() + DAY_MS),
+  createNewVersion: jest.fn(async (updates) => buildRecord({ ...overrides, ...updates, version: 2 })),
+  ...overrides
+});
+
+describe('Consent Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('resolveTemplate', () => {
+    const stored = (fields) => ({ get: () => fields });
+
+    test('should load a named template', async () => {
+      ConsentTemplate.findActiveByName.mockResolvedValue(stored({ name: 'loan-check', purpose_code: '105' }));
+
+      expect(await resolveTemplate('loan-check')).toEqual({ name: 'loan-check', purpose_code: '105' });
+      expect(ConsentTemplate.findActiveByName).toHaveBeenCalledWith('loan-check');
+    });
+
+    test('should return null for an unknown template', async () => {
+      ConsentTemplate.findActiveByName.mockResolvedValue(null);
+
+      expect(await resolveTemplate('missing')).toBeNull();
+    });
+
+    test('should fall back to the built-in default template', async () => {
+      ConsentTemplate.findActiveByName.mockResolvedValue(null);
+
+      const template = await resolveTemplate();
+
+      expect(ConsentTemplate.findActiveByName).toHaveBeenCalledWith('wealth-management');
+      expect(template).toMatchObject({ name: 'wealth-management', purpose_code: '101' });
+    });
+  });
+
+  describe('createPendingConsent', () => {
+    test('should create a PENDING version 1 tied to the user', async () => {
+      ConsentRecord.create.mockImplementation(async (data) => data);
+      const consentExpiry = new Date(Date.now() + 365 * DAY_MS).toISOString();
+
+      const record = await createPendingConsent({
+        userId: 'user-123',
+        customerId: '9876543210@aa-fi',
+        initiation: {
+          provider: 'finvu',
+          template: 'wealth-management',
+          consentHandle: 'HANDLE_1',
+          request: {
+            ConsentDetail: { fiTypes: ['DEPOSIT'], consentExpiry, Purpose: { code: '101' } }
+          },
+          response: { ConsentHandle: 'HANDLE_1' }
+        }
+      });
+
+      expect(record).toMatchObject({
+        consent_id: 'HANDLE_1',
+        consent_handle: 'HANDLE_1',
+        aa_provider: 'finvu',
+        consent_template: 'wealth-management',
+        user_id: 'user-123',
+        customer_id: '9876543210@aa-fi',
+        scopes: ['DEPOSIT'],
+        status: 'PENDING',
+        purpose_code: '101',
+        version: 1
+      });
+      expect(record.expires_at.toISOString()).toBe(consentExpiry);
+    });
+  });
+
+  describe('findLatestByConsentId', () => {
+    test('should resolve the latest version through the consent handle', async () => {
+      const approved = buildRecord({ aa_consent_id: 'CONSENT_1', status: 'APPROVED', version: 2 });
+      const revoked = buildRecord({ aa_consent_id: 'CONSENT_1', status: 'REVOKED', version: 3 });
+      ConsentRecord.findOne.mockResolvedValueOnce(approved).mockResolvedValueOnce(revoked);
+
+      const result = await findLatestByConsentId('CONSENT_1', 'user-123');
+
+      expect(result.status).toBe('REVOKED');
+      expect(ConsentRecord.findOne.mock.calls[0][0].where).toEqual({ aa_consent_id: 'CONSENT_1', user_id: 'user-123' });
+      expect(ConsentRecord.findOne.mock.calls[1][0].where).toEqual({ consent_handle: 'HANDLE_1' });
+    });
+
+    test('should return null when not found', async () => {
+      ConsentRecord.findOne.mockResolvedValue(null);
+      expect(await findLatestByConsentId('UNKNOWN')).toBeNull();
+    });
+  });
+
+  describe('recordStatus', () => {
+    test('should append a new version on status change', async () => {
+      const record = buildRecord();
+
+      const latest = await recordStatus(record, 'APPROVED', { aaConsentId: 'CONSENT_1', aaResponse: { status: 'ACTIVE' } });
+
+      expect(record.createNewVersion).toHaveBeenCalledWith({
+        status: 'APPROVED',
+        aa_consent_id: 'CONSENT_1',
+        aa_response: { status: 'ACTIVE' }
+      });
+      expect(latest.version).toBe(2);
+    });
+
+    test('should not append a version when nothing changed', async () => {
+      const record = buildRecord({ status: 'APPROVED', aa_consent_id: 'CONSENT_1' });
+
+      const latest = await recordStatus(record, 'APPROVED', { aaConsentId: 'CONSENT_1' });
+
+      expect(record.createNewVersion).not.toHaveBeenCalled();
+      expect(latest).toBe(record);
+    });
+
+    test('should leave a revoked consent unchanged when a poll reports APPROVED', async () => {
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+      const record = buildRecord({ status: 'REVOKED', aa_consent_id: 'CONSENT_1', version: 3 });
+
+      const latest = await recordStatus(record, 'APPROVED', { aaConsentId: 'CONSENT_1', aaResponse: { status: 'ACTIVE' } });
+
+      expect(record.createNewVersion).not.toHaveBeenCalled();
+      expect(latest).toBe(record);
+      expect(latest.version).toBe(3);
+      console.warn.mockRestore();
+    });
+
+    test('should keep a paused consent paused unless it is explicitly resumed', async () => {
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+      const record = buildRecord({ status: 'PAUSED', aa_consent_id: 'CONSENT_1' });
+
+      expect(await recordStatus(record, 'APPROVED', { aaConsentId: 'CONSENT_1' })).toBe(record);
+      expect(record.createNewVersion).not.toHaveBeenCalled();
+
+      const resumed = await recordStatus(record, 'APPROVED', { aaConsentId: 'CONSENT_1', resume: true });
+      expect(resumed.status).toBe('APPROVED');
+      console.warn.mockRestore();
+    });
+  });
+
+  describe('canTransition', () => {
+    test('should never leave a terminal status', () => {
+      for (const status of ['REJECTED', 'EXPIRED', 'REVOKED']) {
+        expect(canTransition(status, 'APPROVED', { resume: true })).toBe(false);
+        expect(canTransition(status, status)).toBe(true);
+      }
+    });
+
+    test('should let a paused consent end but not come back on its own', () => {
+      expect(canTransition('PAUSED', 'REVOKED')).toBe(true);
+      expect(canTransition('PAUSED', 'EXPIRED')).toBe(true);
+      expect(canTransition('PAUSED', 'APPROVED')).toBe(false);
+      expect(canTransition('PAUSED', 'APPROVED', { resume: true })).toBe(true);
+      expect(canTransition('APPROVED', 'PAUSED')).toBe(true);
+    });
+  });
+
+  describe('expireIfDue', () => {
+    test('should append an EXPIRED version after expiry', async () => {
+      const record = buildRecord({ status: 'APPROVED', expires_at: new Date(Date.now() - 1000) });
+
+      const latest = await expireIfDue(record);
+
+      expect(latest.status).toBe('EXPIRED');
+    });
+
+    test('should leave unexpired or terminal consents alone', async () => {
+      const active = buildRecord({ status: 'APPROVED' });
+      const revoked = buildRecord({ status: 'REVOKED', expires_at: new Date(Date.now() - 1000) });
+
+      expect(await expireIfDue(active)).toBe(active);
+      expect(await expireIfDue(revoked)).toBe(revoked);
+      expect(active.createNewVersion).not.toHaveBeenCalled();
+      expect(revoked.createNewVersion).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('expireStaleConsents', () => {
+    test('should only expire the latest version of each chain', async () => {
+      const past = new Date(Date.now() - 1000);
+      const v1 = buildRecord({ id: 'v1', status: 'PENDING', expires_at: past });
+      const v2 = buildRecord({ id: 'v2', status: 'APPROVED', version: 2, expires_at: past });
+      ConsentRecord.findAll.mockResolvedValue([v1, v2]);
+      ConsentRecord.findOne.mockImplementation(async ({ where }) => (where.parent_id === 'v1' ? v2 : null));
+
+      const count = await expireStaleConsents();
+
+      expect(count).toBe(1);
+      expect(v1.createNewVersion).not.toHaveBeenCalled();
+      expect(v2.createNewVersion).toHaveBeenCalledWith(expect.objectContaining({ status: 'EXPIRED' }));
+    });
+  });
+
+  describe('summarizeConsent', () => {
+    const chain = () => {
+      const v1 = buildRecord({ id: 'record-1', parent_id: null });
+      v1.data_hash = ConsentRecord.generateHash(v1);
+      const v2 = buildRecord({
+        id: 'record-2', consent_id: 'HANDLE_1_v2', status: 'APPROVED', version: 2,
+        aa_consent_id: 'CONSENT_1', parent_id: 'record-1', parent_hash: v1.data_hash
+      });
+      v2.data_hash = ConsentRecord.generateHash(v2);
+      return [v1, v2];
+    };
+
+    test('should report the latest version with its history and integrity', () => {
+      const summary = summarizeConsent(chain());
+
+      expect(summary).toMatchObject({
+        consentId: 'CONSENT_1',
+        consentHandle: 'HANDLE_1',
+        status: 'APPROVED',
+        version: 2,
+        integrityVerified: true
+      });
+      expect(summary.history.map(h => h.status)).toEqual(['PENDING', 'APPROVED']);
+    });
+
+    test('should flag a tampered version', () => {
+      const [v1, v2] = chain();
+      v2.status = 'REVOKED';
+
+      const summary = summarizeConsent([v1, v2]);
+
+      expect(summary.integrityVerified).toBe(false);
+      expect(summary.history[0].integrityVerified).toBe(true);
+      expect(summary.history[1].integrityVerified).toBe(false);
+    });
+  });
+
+  describe('getUserConsent', () => {
+    test('should scope the lookup to the user', async () => {
+      ConsentRecord.findOne.mockResolvedValue(null);
+
+      expect(await getUserConsent('other-user', 'CONSENT_1')).toBeNull();
+      expect(ConsentRecord.findOne).toHaveBeenCalledWith(expect.objectContaining({
+        where: { aa_consent_id: 'CONSENT_1', user_id: 'other-user' }
+      }));
+      expect(ConsentRecord.getHistory).not.toHaveBeenCalled();
+    });
+
+    test('should load the history of the chain', async () => {
+      const latest = buildRecord({ version: 2, status: 'APPROVED' });
+      ConsentRecord.findOne.mockResolvedValue(latest);
+      ConsentRecord.getHistory.mockResolvedValue([buildRecord(), latest]);
+
+      const consent = await getUserConsent('user-123', 'HANDLE_1');
+
+      expect(ConsentRecord.getHistory).toHaveBeenCalledWith('HANDLE_1');
+      expect(consent.history).toHaveLength(2);
+    });
+  });
+});
@@ -0,0 +1,126 @@
+/**
+ * Tests for Consent Templates
+ */
+
+const {
+  validateTemplate,
+  buildConsentDetail,
+  shiftDate,
+  DEFAULT_TEMPLATE
+} = require('../services/consentTemplates');
+
+const now = new Date('2026-10-19T00:00:00.000Z');
+
+const loanCheck = {
+  name: 'loan-check',
+  purpose_code: '105',
+  fi_types: ['DEPOSIT'],
+  consent_types: ['PROFILE', 'SUMMARY', 'TRANSACTIONS'],
+  consent_mode: 'VIEW',
+  fetch_type: 'ONETIME',
+  frequency: { unit: 'DAY', value: 1 },
+  consent_validity: { unit: 'DAY', value: 7 },
+  data_range: { unit: 'MONTH', value: 6 },
+  data_life: { unit: 'DAY', value: 7 }
+};
+
+describe('Consent Templates', () => {
+  describe('validateTemplate', () => {
+    test('should accept the built-in templates', () => {
+      expect(validateTemplate(DEFAULT_TEMPLATE)).toEqual([]);
+      expect(validateTemplate(loanCheck)).toEqual([]);
+    });
+
+    test('should reject unknown purpose codes and FI types', () => {
+      const errors = validateTemplate({ ...loanCheck, purpose_code: '999', fi_types: ['DEPOSIT', 'CRYPTO'] });
+
+      expect(errors).toEqual([
+        expect.stringContaining('purpose_code must be one of 101, 102, 103, 104, 105'),
+        'fi_types has unsupported values: CRYPTO'
+      ]);
+    });
+
+    test('should reject invalid consent types, modes and durations', () => {
+      const errors = validateTemplate({
+        ...loanCheck,
+        consent_types: [],
+        consent_mode: 'EDIT',
+        consent_validity: { unit: 'WEEK', value: 1 },
+        data_range: { unit: 'DAY', value: 0 }
+      });
+
+      expect(errors).toEqual([
+        'consent_types must be a non-empty array',
+        expect.stringContaining('consent_mode must be one of'),
+        expect.stringContaining('consent_validity.unit must be one of'),
+        'data_range.value must be a positive integer'
+      ]);
+    });
+
+    test('should enforce the fetch type of monitoring and one-time purposes', () => {
+      expect(validateTemplate({ ...loanCheck, fetch_type: 'PERIODIC' }))
+        .toEqual(['purpose_code 105 requires fetch_type ONETIME']);
+      expect(validateTemplate({ ...loanCheck, purpose_code: '104' }))
+        .toEqual(['purpose_code 104 requires fetch_type PERIODIC']);
+    });
+  });
+
+  describe('buildConsentDetail', () => {
+    test('should shape the ConsentDetail from the template', () => {
+      const detail = buildConsentDetail(loanCheck, {}, now);
+
+      expect(detail).toMatchObject({
+        consentStart: '2026-10-19T00:00:00.000Z',
+        consentExpiry: '2026-10-26T00:00:00.000Z',
+        consentMode: 'VIEW',
+        fetchType: 'ONETIME',
+        fiTypes: ['DEPOSIT'],
+        Purpose: {
+          code: '105',
+          refUri: 'https://api.rebit.org.in/aa/purpose/105.xml',
+          text: 'Explicit one-time consent for the accounts',
+          Category: { type: 'Account Query and Monitoring' }
+        },
+        FIDataRange: { from: '2026-04-19T00:00:00.000Z', to: '2026-10-19T00:00:00.000Z' },
+        DataLife: { unit: 'DAY', value: 7 }
+      });
+    });
+
+    test('should apply per-request overrides', () => {
+      const detail = buildConsentDetail(DEFAULT_TEMPLATE, {
+        fiTypes: ['DEPOSIT', 'CREDIT_CARD'],
+        fetchType: 'PERIODIC',
+        frequency: { unit: 'DAY', value: 2 },
+        fromDate: new Date('2026-01-01T00:00:00.000Z')
+      }, now);
+
+      expect(detail.fiTypes).toEqual(['DEPOSIT', 'CREDIT_CARD']);
+      expect(detail.fetchType).toBe('PERIODIC');
+      expect(detail.Frequency).toEqual({ unit: 'DAY', value: 2 });
+      expect(detail.FIDataRange.from).toBe('2026-01-01T00:00:00.000Z');
+    });
+
+    test('should end the FIDataRange of PERIODIC consents at the consent expiry', () => {
+      const detail = buildConsentDetail(DEFAULT_TEMPLATE, { fetchType: 'PERIODIC' }, now);
+
+      expect(detail.FIDataRange.to).toBe(detail.consentExpiry);
+      expect(buildConsentDetail(DEFAULT_TEMPLATE, { fetchType: 'PERIODIC', toDate: now }, now).FIDataRange.to)
+        .toBe('2026-10-19T00:00:00.000Z');
+    });
+
+    test('should throw AAValidationError when overrides break the template rules', () => {
+      expect(() => buildConsentDetail(loanCheck, { fetchType: 'PERIODIC' }, now)).toThrow(expect.objectContaining({
+        name: 'AAValidationError',
+        message: expect.stringContaining('requires fetch_type ONETIME')
+      }));
+      expect(() => buildConsentDetail(loanCheck, { fiTypes: ['BITCOIN'] }, now)).toThrow('unsupported values: BITCOIN');
+    });
+  });
+
+  describe('shiftDate', () => {
+    test('should add and subtract durations', () => {
+      expect(shiftDate(now, { unit: 'HOUR', value: 2 }).toISOString()).toBe('2026-10-19T02:00:00.000Z');
+      expect(shiftDate(now, { unit: 'YEAR', value: 1 }, -1).toISOString()).toBe('2025-10-19T00:00:00.000Z');
+    });
+  });
+});
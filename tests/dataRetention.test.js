@@ -0,0 +1,287 @@
+/**
+ * Tests for the DataLife Retention Engine
+ */
+
+jest.mock('../models/Transaction', () => ({
+  destroy: jest.fn(),
+  update: jest.fn(),
+  count: jest.fn(),
+  findAll: jest.fn()
+}));
+jest.mock('../models/LinkedAccount', () => ({
+  destroy: jest.fn(),
+  count: jest.fn(),
+  findAll: jest.fn()
+}));
+jest.mock('../models/CardStatement', () => ({
+  destroy: jest.fn(),
+  count: jest.fn(),
+  findAll: jest.fn()
+}));
+jest.mock('../models/Holding', () => ({
+  destroy: jest.fn(),
+  count: jest.fn(),
+  findAll: jest.fn()
+}));
+jest.mock('../models/InsurancePolicy', () => ({
+  destroy: jest.fn(),
+  count: jest.fn(),
+  findAll: jest.fn()
+}));
+jest.mock('../models/Loan', () => ({
+  destroy: jest.fn(),
+  count: jest.fn(),
+  findAll: jest.fn()
+}));
+jest.mock('../models/DataPurgeLog', () => ({
+  create: jest.fn()
+}));
+jest.mock('../services/consentService', () => ({
+  findLatestByConsentId: jest.fn()
+}));
+
+const { Op } = require('sequelize');
+const Transaction = require('../models/Transaction');
+const LinkedAccount = require('../models/LinkedAccount');
+const CardStatement = require('../models/CardStatement');
+const Holding = require('../models/Holding');
+const InsurancePolicy = require('../models/InsurancePolicy');
+const Loan = require('../models/Loan');
+const DataPurgeLog = require('../models/DataPurgeLog');
+const consentService = require('../services/consentService');
+const {
+  getRetentionMode,
+  resolvePurgePolicy,
+  purgeConsentData,
+  runRetention
+} = require('../services/dataRetention');
+
+const now = new Date('2026-10-19T12:00:00Z');
+
+const buildConsent = (overrides = {}) => ({
+  consent_handle: 'HANDLE_1',
+  aa_consent_id: 'CONSENT_1',
+  user_id: 'user-123',
+  status: 'APPROVED',
+  aa_request: {
+    ConsentDetail: {
+      DataLife: { unit: 'MONTH', value: 1 }
+    }
+  },
+  ...overrides
+});
+
+describe('Data Retention', () => {
+  const originalMode = process.env.AA_RETENTION_MODE;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    delete process.env.AA_RETENTION_MODE;
+    LinkedAccount.destroy.mockResolvedValue(0);
+    LinkedAccount.count.mockResolvedValue(0);
+    LinkedAccount.findAll.mockResolvedValue([]);
+    CardStatement.destroy.mockResolvedValue(0);
+    CardStatement.count.mockResolvedValue(0);
+    CardStatement.findAll.mockResolvedValue([]);
+    Holding.destroy.mockResolvedValue(0);
+    Holding.count.mockResolvedValue(0);
+    Holding.findAll.mockResolvedValue([]);
+    InsurancePolicy.destroy.mockResolvedValue(0);
+    InsurancePolicy.count.mockResolvedValue(0);
+    InsurancePolicy.findAll.mockResolvedValue([]);
+    Loan.destroy.mockResolvedValue(0);
+    Loan.count.mockResolvedValue(0);
+    Loan.findAll.mockResolvedValue([]);
+  });
+
+  afterAll(() => {
+    process.env.AA_RETENTION_MODE = originalMode;
+    if (originalMode === undefined) delete process.env.AA_RETENTION_MODE;
+  });
+
+  describe('getRetentionMode', () => {
+    test('should default to DELETE and reject unknown modes', () => {
+      expect(getRetentionMode()).toBe('DELETE');
+
+      process.env.AA_RETENTION_MODE = 'anonymize';
+      expect(getRetentionMode()).toBe('ANONYMIZE');
+
+      process.env.AA_RETENTION_MODE = 'archive';
+      expect(() => getRetentionMode()).toThrow('AA_RETENTION_MODE must be one of');
+    });
+  });
+
+  describe('resolvePurgePolicy', () => {
+    test('should purge data older than DataLife', () => {
+      expect(resolvePurgePolicy(buildConsent(), now)).toEqual({
+        reason: 'DATA_LIFE_EXPIRED',
+        dataLife: { unit: 'MONTH', value: 1 },
+        cutoff: new Date('2026-09-19T12:00:00Z')
+      });
+    });
+
+    test('should purge everything once the consent is revoked', () => {
+      const policy = resolvePurgePolicy(buildConsent({ status: 'REVOKED' }), now);
+
+      expect(policy).toMatchObject({ reason: 'CONSENT_REVOKED', cutoff: now });
+    });
+
+    test('should keep data with an infinite DataLife', () => {
+      const consent = buildConsent({ aa_request: { ConsentDetail: { DataLife: { unit: 'INF', value: 0 } } } });
+
+      expect(resolvePurgePolicy(consent, now)).toBeNull();
+      expect(resolvePurgePolicy({ ...consent, status: 'REVOKED' }, now).reason).toBe('CONSENT_REVOKED');
+    });
+  });
+
+  describe('purgeConsentData', () => {
+    test('should delete expired transactions and synced rows and log the purge', async () => {
+      Transaction.destroy.mockResolvedValue(7);
+      LinkedAccount.destroy.mockResolvedValue(1);
+      CardStatement.destroy.mockResolvedValue(2);
+      Holding.destroy.mockResolvedValue(3);
+      InsurancePolicy.destroy.mockResolvedValue(1);
+      Loan.destroy.mockResolvedValue(1);
+
+      const result = await purgeConsentData(buildConsent(), { now });
+
+      expect(Transaction.destroy).toHaveBeenCalledWith({
+        where: { consent_id: 'CONSENT_1', created_at: { [Op.lte]: new Date('2026-09-19T12:00:00Z') } }
+      });
+      expect(LinkedAccount.destroy).toHaveBeenCalledWith({
+        where: { consent_id: 'CONSENT_1', last_synced_at: { [Op.lte]: new Date('2026-09-19T12:00:00Z') } }
+      });
+      expect(CardStatement.destroy).toHaveBeenCalledWith({
+        where: { consent_id: 'CONSENT_1', last_synced_at: { [Op.lte]: new Date('2026-09-19T12:00:00Z') } }
+      });
+      expect(Holding.destroy).toHaveBeenCalledWith({
+        where: { consent_id: 'CONSENT_1', last_synced_at: { [Op.lte]: new Date('2026-09-19T12:00:00Z') } }
+      });
+      expect(InsurancePolicy.destroy).toHaveBeenCalledWith({
+        where: { consent_id: 'CONSENT_1', last_synced_at: { [Op.lte]: new Date('2026-09-19T12:00:00Z') } }
+      });
+      expect(Loan.destroy).toHaveBeenCalledWith({
+        where: { consent_id: 'CONSENT_1', last_synced_at: { [Op.lte]: new Date('2026-09-19T12:00:00Z') } }
+      });
+      expect(DataPurgeLog.create).toHaveBeenCalledWith({
+        user_id: 'user-123',
+        consent_handle: 'HANDLE_1',
+        aa_consent_id: 'CONSENT_1',
+        reason: 'DATA_LIFE_EXPIRED',
+        action: 'DELETE',
+        data_life: { unit: 'MONTH', value: 1 },
+        cutoff: new Date('2026-09-19T12:00:00Z'),
+        transaction_count: 7,
+        account_count: 1,
+        statement_count: 2,
+        holding_count: 3,
+        policy_count: 1,
+        loan_count: 1,
+        triggered_by: 'SCHEDULER'
+      });
+      expect(result).toEqual({
+        consentId: 'CONSENT_1',
+        status: 'PURGED',
+        reason: 'DATA_LIFE_EXPIRED',
+        action: 'DELETE',
+        count: 7,
+        accountCount: 1,
+        statementCount: 2,
+        holdingCount: 3,
+        policyCount: 1,
+        loanCount: 1
+      });
+    });
+
+    test('should anonymise instead of deleting in ANONYMIZE mode', async () => {
+      Transaction.update.mockResolvedValue([3]);
+
+      const result = await purgeConsentData(buildConsent({ status: 'REVOKED' }), {
+        now,
+        mode: 'ANONYMIZE',
+        triggeredBy: 'REVOCATION'
+      });
+
+      const [values, options] = Transaction.update.mock.calls[0];
+      expect(values).toMatchObject({
+        consent_id: null,
+        merchant: null,
+        narration: null,
+        source_account: null,
+        linked_account_id: null,
+        insurance_policy_id: null,
+        raw_data: null,
+        anonymized_at: now
+      });
+      expect(options.where.created_at[Op.lte]).toEqual(now);
+      expect(Transaction.destroy).not.toHaveBeenCalled();
+      expect(DataPurgeLog.create).toHaveBeenCalledWith(expect.objectContaining({
+        reason: 'CONSENT_REVOKED',
+        action: 'ANONYMIZE',
+        transaction_count: 3,
+        triggered_by: 'REVOCATION'
+      }));
+      expect(result.count).toBe(3);
+    });
+
+    test('should not log when nothing was due', async () => {
+      Transaction.destroy.mockResolvedValue(0);
+
+      const result = await purgeConsentData(buildConsent(), { now });
+
+      expect(result.status).toBe('NOTHING_DUE');
+      expect(DataPurgeLog.create).not.toHaveBeenCalled();
+    });
+
+    test('should log synced row counts when no transactions were due', async () => {
+      Transaction.destroy.mockResolvedValue(0);
+      CardStatement.destroy.mockResolvedValue(3);
+      Holding.destroy.mockResolvedValue(4);
+      InsurancePolicy.destroy.mockResolvedValue(1);
+      Loan.destroy.mockResolvedValue(2);
+
+      const result = await purgeConsentData(buildConsent(), { now });
+
+      expect(result.status).toBe('PURGED');
+      expect(DataPurgeLog.create).toHaveBeenCalledWith(expect.objectContaining({
+        transaction_count: 0,
+        account_count: 0,
+        statement_count: 3,
+        holding_count: 4,
+        policy_count: 1,
+        loan_count: 2
+      }));
+    });
+
+    test('should only count rows on a dry run', async () => {
+      Transaction.count.mockResolvedValue(4);
+
+      const result = await purgeConsentData(buildConsent(), { now, dryRun: true });
+
+      expect(result).toMatchObject({ status: 'DUE', count: 4 });
+      expect(Transaction.destroy).not.toHaveBeenCalled();
+      expect(DataPurgeLog.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('runRetention', () => {
+    test('should purge per consent and skip unknown consents', async () => {
+      Transaction.findAll.mockResolvedValue([{ consent_id: 'CONSENT_1' }, { consent_id: 'CONSENT_GONE' }]);
+      LinkedAccount.findAll.mockResolvedValue([{ consent_id: 'CONSENT_1' }, { consent_id: 'CONSENT_2' }]);
+      consentService.findLatestByConsentId.mockImplementation(async (consentId) => {
+        if (consentId === 'CONSENT_GONE') return null;
+        return buildConsent({ aa_consent_id: consentId, status: consentId === 'CONSENT_2' ? 'REVOKED' : 'APPROVED' });
+      });
+      Transaction.destroy.mockResolvedValueOnce(2).mockRejectedValueOnce(new Error('deadlock detected'));
+
+      const results = await runRetention({ now });
+
+      expect(results).toEqual([
+        expect.objectContaining({ consentId: 'CONSENT_1', status: 'PURGED', count: 2 }),
+        { consentId: 'CONSENT_GONE', status: 'SKIPPED', reason: 'unknown_consent', count: 0, accountCount: 0, statementCount: 0, holdingCount: 0, policyCount: 0, loanCount: 0 },
+        { consentId: 'CONSENT_2', status: 'FAILED', error: 'deadlock detected', count: 0, accountCount: 0, statementCount: 0, holdingCount: 0, policyCount: 0, loanCount: 0 }
+      ]);
+      expect(DataPurgeLog.create).toHaveBeenCalledTimes(1);
+    });
+  });
+});
@@ -0,0 +1,167 @@
+/**
+ * Tests for FI Access Log Service
+ */
+
+jest.mock('../models/FIAccessLog', () => ({
+  create: jest.fn(async (attributes) => attributes),
+  findAll: jest.fn()
+}));
+
+const { Op } = require('sequelize');
+const FIAccessLog = require('../models/FIAccessLog');
+const {
+  actorFor,
+  recordAccess,
+  listUserAccessLog,
+  exportAccessLog,
+  toCsv,
+  EXPORT_FIELDS
+} = require('../services/fiAccessLog');
+
+const record = {
+  consent_handle: 'HANDLE_1',
+  aa_consent_id: 'CONSENT_1',
+  aa_provider: 'finvu',
+  purpose_code: '103',
+  user_id: 'user-123'
+};
+
+const entry = {
+  id: 'log-1',
+  created_at: new Date('2026-10-01T10:00:00Z'),
+  event: 'FI_STORED',
+  user_id: 'user-123',
+  aa_consent_id: 'CONSENT_1',
+  consent_handle: 'HANDLE_1',
+  aa_provider: 'finvu',
+  purpose_code: '103',
+  session_id: 'SESSION_1',
+  txn_id: 'TXN_1',
+  fip_ids: ['FIP_1'],
+  data_range_from: new Date('2026-04-01T00:00:00Z'),
+  data_range_to: new Date('2026-10-01T00:00:00Z'),
+  record_counts: { transactions: 12, saved: 10 },
+  requested_by_type: 'SYSTEM',
+  requested_by: 'SYNC_SCHEDULER',
+  error: null
+};
+
+describe('FI Access Log', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('actorFor', () => {
+    test('should attribute sync runs to the scheduler and the rest to the user', () => {
+      expect(actorFor('SYNC', 'user-123')).toEqual({ requested_by_type: 'SYSTEM', requested_by: 'SYNC_SCHEDULER' });
+      expect(actorFor('MANUAL', 'user-123')).toEqual({ requested_by_type: 'USER', requested_by: 'user-123' });
+    });
+  });
+
+  describe('recordAccess', () => {
+    test('should fall back to the session for consent, range and source', async () => {
+      const session = {
+        session_id: 'SESSION_1',
+        txn_id: 'TXN_1',
+        user_id: 'user-123',
+        consent_id: 'CONSENT_1',
+        source: 'SYNC',
+        data_range_from: entry.data_range_from,
+        data_range_to: entry.data_range_to
+      };
+
+      const logged = await recordAccess('FI_FETCHED', { session, fipIds: ['FIP_1'], counts: { accounts: 2 } });
+
+      expect(logged).toEqual({
+        user_id: 'user-123',
+        event: 'FI_FETCHED',
+        aa_consent_id: 'CONSENT_1',
+        consent_handle: null,
+        aa_provider: null,
+        purpose_code: null,
+        session_id: 'SESSION_1',
+        txn_id: 'TXN_1',
+        fip_ids: ['FIP_1'],
+        data_range_from: entry.data_range_from,
+        data_range_to: entry.data_range_to,
+        record_counts: { accounts: 2 },
+        requested_by_type: 'SYSTEM',
+        requested_by: 'SYNC_SCHEDULER',
+        error: null
+      });
+    });
+
+    test('should record failures without a session', async () => {
+      const error = Object.assign(new Error('Consent is PAUSED'), { code: 'InvalidConsentStatus' });
+
+      const logged = await recordAccess('FI_FAILED', { record, source: 'MANUAL', error });
+
+      expect(logged).toMatchObject({
+        aa_consent_id: 'CONSENT_1',
+        purpose_code: '103',
+        session_id: null,
+        requested_by: 'user-123',
+        error: { message: 'Consent is PAUSED', code: 'InvalidConsentStatus' }
+      });
+    });
+  });
+
+  describe('listUserAccessLog', () => {
+    test('should scope to the user and apply the filters', async () => {
+      FIAccessLog.findAll.mockResolvedValue([entry]);
+
+      const entries = await listUserAccessLog('user-123', { consentId: 'CONSENT_1', from: '2026-10-01' });
+
+      const { where, order } = FIAccessLog.findAll.mock.calls[0][0];
+      expect(where).toEqual({
+        user_id: 'user-123',
+        aa_consent_id: 'CONSENT_1',
+        created_at: { [Op.gte]: new Date('2026-10-01') }
+      });
+      expect(order).toEqual([['created_at', 'DESC']]);
+      expect(entries).toEqual([{
+        id: 'log-1',
+        event: 'FI_STORED',
+        consentId: 'CONSENT_1',
+        consentHandle: 'HANDLE_1',
+        provider: 'finvu',
+        purposeCode: '103',
+        sessionId: 'SESSION_1',
+        fipIds: ['FIP_1'],
+        dataRange: { from: entry.data_range_from, to: entry.data_range_to },
+        recordCounts: { transactions: 12, saved: 10 },
+        requestedBy: { type: 'SYSTEM', id: 'SYNC_SCHEDULER' },
+        error: null,
+        createdAt: entry.created_at
+      }]);
+    });
+  });
+
+  describe('exportAccessLog', () => {
+    test('should export every user oldest first with a fixed column set', async () => {
+      FIAccessLog.findAll.mockResolvedValue([{ ...entry, extra: 'ignored' }]);
+
+      const rows = await exportAccessLog({ to: '2026-10-31' });
+
+      expect(FIAccessLog.findAll).toHaveBeenCalledWith({
+        where: { created_at: { [Op.lte]: new Date('2026-10-31') } },
+        order: [['created_at', 'ASC']],
+        raw: true
+      });
+      expect(Object.keys(rows[0])).toEqual(EXPORT_FIELDS);
+    });
+  });
+
+  describe('toCsv', () => {
+    test('should serialise dates and JSON columns and quote where needed', () => {
+      const csv = toCsv([{ ...entry, error: { message: 'bad, "worse"' } }]);
+      const [header, line] = csv.split('\n');
+
+      expect(header).toBe(EXPORT_FIELDS.join(','));
+      expect(line.startsWith('2026-10-01T10:00:00.000Z,FI_STORED,user-123,')).toBe(true);
+      expect(line).toContain('"[""FIP_1""]"');
+      expect(line).toContain('"{""transactions"":12,""saved"":10}"');
+      expect(line.endsWith('"{""message"":""bad, \\""worse\\""""}"')).toBe(true);
+    });
+  });
+});
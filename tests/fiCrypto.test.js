@@ -0,0 +1,172 @@
+/**
+ * Tests for FI Data Encryption Service
+ */
+
+const crypto = require('crypto');
+const {
+  generateKeyMaterial,
+  deriveSessionKey,
+  encryptFI,
+  decryptFI,
+  sealPrivateKey,
+  openPrivateKey,
+  decryptFIResponse,
+  setKeyEncryptionKey
+} = require('../services/fiCrypto');
+
+describe('FI Crypto', () => {
+  const account = {
+    Account: {
+      type: 'SAVINGS',
+      Transactions: { Transaction: [{ txnId: 'TXN001', type: 'CREDIT', amount: '100.00' }] }
+    }
+  };
+
+  beforeAll(() => {
+    setKeyEncryptionKey(crypto.randomBytes(32));
+  });
+
+  afterAll(() => {
+    setKeyEncryptionKey(null);
+  });
+
+  describe('generateKeyMaterial', () => {
+    test('should generate ReBIT key material with a 32-byte nonce', () => {
+      const { privateKey, keyMaterial } = generateKeyMaterial();
+
+      expect(privateKey.asymmetricKeyType).toBe('x25519');
+      expect(keyMaterial.cryptoAlg).toBe('ECDH');
+      expect(keyMaterial.curve).toBe('Curve25519');
+      expect(keyMaterial.DHPublicKey.KeyValue).toContain('BEGIN PUBLIC KEY');
+      expect(Buffer.from(keyMaterial.Nonce, 'base64')).toHaveLength(32);
+    });
+
+    test('should generate a fresh key pair each time', () => {
+      const first = generateKeyMaterial();
+      const second = generateKeyMaterial();
+
+      expect(first.keyMaterial.DHPublicKey.KeyValue).not.toBe(second.keyMaterial.DHPublicKey.KeyValue);
+      expect(first.keyMaterial.Nonce).not.toBe(second.keyMaterial.Nonce);
+    });
+  });
+
+  describe('deriveSessionKey', () => {
+    test('should derive the same key and IV on both sides', () => {
+      const fiu = generateKeyMaterial();
+      const fip = generateKeyMaterial();
+
+      const fiuKey = deriveSessionKey(fiu.privateKey, fiu.keyMaterial.Nonce, fip.keyMaterial);
+      const fipKey = deriveSessionKey(fip.privateKey, fip.keyMaterial.Nonce, fiu.keyMaterial);
+
+      expect(fiuKey.key.equals(fipKey.key)).toBe(true);
+      expect(fiuKey.iv.equals(fipKey.iv)).toBe(true);
+      expect(fiuKey.key).toHaveLength(32);
+      expect(fiuKey.iv).toHaveLength(12);
+    });
+
+    test('should take the IV from the last 12 bytes of the XORed nonces', () => {
+      const fiu = generateKeyMaterial();
+      const fip = generateKeyMaterial();
+      const ours = Buffer.from(fiu.keyMaterial.Nonce, 'base64');
+      const theirs = Buffer.from(fip.keyMaterial.Nonce, 'base64');
+      const expectedIv = Buffer.from(ours.subarray(20).map((byte, i) => byte ^ theirs[20 + i]));
+
+      const { iv } = deriveSessionKey(fiu.privateKey, fiu.keyMaterial.Nonce, fip.keyMaterial);
+
+      expect(iv.equals(expectedIv)).toBe(true);
+    });
+
+    test('should accept base64 DER public keys', () => {
+      const fiu = generateKeyMaterial();
+      const fip = generateKeyMaterial();
+      const der = crypto.createPublicKey(fip.keyMaterial.DHPublicKey.KeyValue).export({ type: 'spki', format: 'der' });
+      const remote = { ...fip.keyMaterial, DHPublicKey: { KeyValue: der.toString('base64') } };
+
+      expect(() => deriveSessionKey(fiu.privateKey, fiu.keyMaterial.Nonce, remote)).not.toThrow();
+    });
+
+    test('should reject nonces of the wrong length', () => {
+      const fiu = generateKeyMaterial();
+      const fip = generateKeyMaterial();
+      const remote = { ...fip.keyMaterial, Nonce: crypto.randomBytes(16).toString('base64') };
+
+      expect(() => deriveSessionKey(fiu.privateKey, fiu.keyMaterial.Nonce, remote)).toThrow('Nonces must be 32 bytes');
+    });
+  });
+
+  describe('encryptFI / decryptFI', () => {
+    test('should round-trip FI JSON', () => {
+      const sessionKey = { key: crypto.randomBytes(32), iv: crypto.randomBytes(12) };
+      const encrypted = encryptFI(account, sessionKey);
+
+      expect(decryptFI(encrypted, sessionKey)).toEqual(account);
+    });
+
+    test('should fail on tampered ciphertext', () => {
+      const sessionKey = { key: crypto.randomBytes(32), iv: crypto.randomBytes(12) };
+      const encrypted = Buffer.from(encryptFI(account, sessionKey), 'base64');
+      encrypted[0] ^= 0xff;
+
+      expect(() => decryptFI(encrypted.toString('base64'), sessionKey)).toThrow();
+    });
+  });
+
+  describe('sealPrivateKey / openPrivateKey', () => {
+    test('should seal keys without exposing the plaintext key', () => {
+      const { privateKey } = generateKeyMaterial();
+      const sealed = sealPrivateKey(privateKey);
+      const der = privateKey.export({ type: 'pkcs8', format: 'der' }).toString('base64');
+
+      expect(sealed).not.toContain(der);
+      expect(openPrivateKey(sealed).export({ type: 'pkcs8', format: 'der' }).toString('base64')).toBe(der);
+    });
+
+    test('should not open with a different key-encryption key', () => {
+      const sealed = sealPrivateKey(generateKeyMaterial().privateKey);
+
+      setKeyEncryptionKey(crypto.randomBytes(32));
+      expect(() => openPrivateKey(sealed)).toThrow();
+    });
+
+    test('should require AA_KEY_ENCRYPTION_KEY', () => {
+      setKeyEncryptionKey(null);
+      delete process.env.AA_KEY_ENCRYPTION_KEY;
+
+      expect(() => sealPrivateKey(generateKeyMaterial().privateKey)).toThrow('AA_KEY_ENCRYPTION_KEY is not configured');
+      setKeyEncryptionKey(crypto.randomBytes(32));
+    });
+  });
+
+  describe('decryptFIResponse', () => {
+    test('should decrypt each FIP entry into the parser shape', () => {
+      const fiu = generateKeyMaterial();
+      const fip = generateKeyMaterial();
+      const fipKey = deriveSessionKey(fip.privateKey, fip.keyMaterial.Nonce, fiu.keyMaterial);
+
+      const response = {
+        ver: '1.0',
+        FI: [{
+          fipID: 'FIP_BANK_001',
+          KeyMaterial: fip.keyMaterial,
+          data: [{
+            linkRefNumber: 'LINK_001',
+            maskedAccNumber: 'XXXX1234',
+            encryptedFI: encryptFI(account, fipKey)
+          }]
+        }]
+      };
+
+      const result = decryptFIResponse(response, {
+        sealedPrivateKey: sealPrivateKey(fiu.privateKey),
+        nonce: fiu.keyMaterial.Nonce
+      });
+
+      expect(result.FI[0].fipId).toBe('FIP_BANK_001');
+      expect(result.FI[0].data[0]).toEqual({
+        linkRefNumber: 'LINK_001',
+        maskedAccNumber: 'XXXX1234',
+        ...account
+      });
+    });
+  });
+});
@@ -0,0 +1,409 @@
+/**
+ * Tests for FI Ingestion Service
+ */
+
+jest.mock('../models/FISession', () => ({
+  create: jest.fn(),
+  findOne: jest.fn(),
+  findAll: jest.fn(),
+  update: jest.fn()
+}));
+jest.mock('../models/ConsentSync', () => ({
+  update: jest.fn(async () => [1])
+}));
+jest.mock('../services/consentService', () => ({
+  findLatestByConsentId: jest.fn()
+}));
+jest.mock('../models/FIAccessLog', () => ({
+  create: jest.fn(async (attributes) => attributes)
+}));
+jest.mock('../services/aaAdapter', () => {
+  const provider = { fetchData: jest.fn(), fetchSessionData: jest.fn() };
+  return { forProvider: jest.fn(() => provider), provider };
+});
+jest.mock('../services/aaDataParser', () => ({
+  processAAResponse: jest.fn()
+}));
+
+const { Op } = require('sequelize');
+const FISession = require('../models/FISession');
+const ConsentSync = require('../models/ConsentSync');
+const FIAccessLog = require('../models/FIAccessLog');
+const aaAdapter = require('../services/aaAdapter');
+const consentService = require('../services/consentService');
+const { processAAResponse } = require('../services/aaDataParser');
+const {
+  countAccounts,
+  ingestBankStatement,
+  ingestReadySession,
+  ingestWaitingSessions,
+  expireStaleSessions,
+  getUserSession
+} = require('../services/fiIngestion');
+
+const record = {
+  consent_handle: 'HANDLE_1',
+  aa_consent_id: 'CONSENT_1',
+  aa_provider: 'finvu',
+  purpose_code: '101',
+  user_id: 'user-123'
+};
+
+const dataSession = {
+  success: true,
+  txnId: 'TXN_1',
+  sessionId: 'SESSION_1',
+  sessionKeys: { sealedPrivateKey: 'sealed', nonce: 'nonce' },
+  request: { FIDataRange: { from: '2024-06-01T00:00:00.000Z', to: '2024-11-27T00:00:00.000Z' } }
+};
+
+const fiData = {
+  FI: [
+    { fipId: 'FIP_1', data: [{ maskedAccNumber: 'XX1' }, { maskedAccNumber: 'XX2' }] },
+    { fipId: 'FIP_2', data: [{ maskedAccNumber: 'XX3' }] }
+  ]
+};
+
+const notReady = () => Object.assign(new Error('Data fetch request in progress'), { code: 'DataFetchRequestInProgress' });
+
+const loggedEvents = () => FIAccessLog.create.mock.calls.map(([entry]) => entry.event);
+
+// In-memory FISession row that records every status it passes through
+const buildSession = (attributes) => {
+  const session = {
+    ...attributes,
+    statuses: [attributes.status],
+    getSessionKeys: () => ({ sealedPrivateKey: attributes.sealed_private_key, nonce: attributes.key_nonce }),
+    update: jest.fn(async (updates) => {
+      Object.assign(session, updates);
+      if (updates.status) session.statuses.push(updates.status);
+      return session;
+    })
+  };
+  return session;
+};
+
+describe('FI Ingestion', () => {
+  let session;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env.AA_FI_FETCH_RETRY_MS = '0';
+    aaAdapter.provider.fetchData.mockResolvedValue(dataSession);
+    FISession.create.mockImplementation(async (attributes) => {
+      session = buildSession({ id: 'row-1', ...attributes });
+      return session;
+    });
+    // Conditional claim of the in-memory session (status IN [...])
+    FISession.update.mockImplementation(async (values, { where }) => {
+      if (!session || session.id !== where.id || !where.status.includes(session.status)) return [0];
+      Object.assign(session, values);
+      session.statuses.push(values.status);
+      return [1];
+    });
+  });
+
+  describe('countAccounts', () => {
+    test('should count distinct FIPs and accounts', () => {
+      expect(countAccounts(fiData)).toEqual({ fipIds: ['FIP_1', 'FIP_2'], accountCount: 3 });
+      expect(countAccounts({})).toEqual({ fipIds: [], accountCount: 0 });
+    });
+  });
+
+  describe('ingestBankStatement', () => {
+    test('should fetch, save and record the session stats', async () => {
+      aaAdapter.provider.fetchSessionData.mockResolvedValue(fiData);
+      processAAResponse.mockResolvedValue({ success: true, totalParsed: 5, saved: 4, skipped: 1, errors: [] });
+      const range = { fromDate: new Date('2024-11-01T00:00:00Z'), toDate: new Date('2024-11-27T00:00:00Z') };
+
+      const { session: summary, result } = await ingestBankStatement({ record, range, source: 'SYNC' });
+
+      expect(aaAdapter.forProvider).toHaveBeenCalledWith('finvu');
+      expect(aaAdapter.provider.fetchData).toHaveBeenCalledWith('CONSENT_1', range);
+      expect(FISession.create).toHaveBeenCalledWith(expect.objectContaining({
+        session_id: 'SESSION_1',
+        user_id: 'user-123',
+        consent_id: 'CONSENT_1',
+        source: 'SYNC',
+        sealed_private_key: 'sealed'
+      }));
+      expect(aaAdapter.provider.fetchSessionData).toHaveBeenCalledWith('SESSION_1', { sealedPrivateKey: 'sealed', nonce: 'nonce' });
+      expect(processAAResponse).toHaveBeenCalledWith(fiData, 'user-123', 'CONSENT_1');
+      expect(session.statuses).toEqual(['PENDING', 'FETCHING', 'PROCESSING', 'COMPLETED']);
+      expect(result.saved).toBe(4);
+      expect(summary).toMatchObject({
+        sessionId: 'SESSION_1',
+        source: 'SYNC',
+        status: 'COMPLETED',
+        fipIds: ['FIP_1', 'FIP_2'],
+        accountCount: 3,
+        transactionCount: 5,
+        saved: 4,
+        skipped: 1,
+        errors: []
+      });
+      expect(summary.completedAt).toBeInstanceOf(Date);
+      expect(summary).not.toHaveProperty('sealedPrivateKey');
+    });
+
+    test('should write the request, fetch and store to the FI access log', async () => {
+      aaAdapter.provider.fetchSessionData.mockResolvedValue(fiData);
+      processAAResponse.mockResolvedValue({
+        success: true, accounts: 3, cardStatements: 0, holdings: 0, insurancePolicies: 0, loans: 1,
+        totalParsed: 5, saved: 4, skipped: 1, errors: []
+      });
+
+      await ingestBankStatement({ record, source: 'SYNC' });
+
+      expect(loggedEvents()).toEqual(['FI_REQUESTED', 'FI_FETCHED', 'FI_STORED']);
+      const [requested, fetched, stored] = FIAccessLog.create.mock.calls.map(([entry]) => entry);
+      expect(requested).toMatchObject({
+        user_id: 'user-123',
+        aa_consent_id: 'CONSENT_1',
+        consent_handle: 'HANDLE_1',
+        aa_provider: 'finvu',
+        purpose_code: '101',
+        session_id: 'SESSION_1',
+        txn_id: 'TXN_1',
+        data_range_from: new Date('2024-06-01T00:00:00.000Z'),
+        data_range_to: new Date('2024-11-27T00:00:00.000Z'),
+        requested_by_type: 'SYSTEM',
+        requested_by: 'SYNC_SCHEDULER'
+      });
+      expect(fetched).toMatchObject({ fip_ids: ['FIP_1', 'FIP_2'], record_counts: { accounts: 3 } });
+      expect(stored.record_counts).toEqual({
+        accounts: 3, transactions: 5, saved: 4, skipped: 1,
+        cardStatements: 0, holdings: 0, insurancePolicies: 0, loans: 1
+      });
+    });
+
+    test('should attribute manual fetches to the user', async () => {
+      aaAdapter.provider.fetchSessionData.mockResolvedValue(fiData);
+      processAAResponse.mockResolvedValue({ success: true, totalParsed: 0, saved: 0, skipped: 0, errors: [] });
+
+      await ingestBankStatement({ record });
+
+      expect(FIAccessLog.create).toHaveBeenCalledWith(expect.objectContaining({
+        event: 'FI_REQUESTED',
+        requested_by_type: 'USER',
+        requested_by: 'user-123'
+      }));
+    });
+
+    test('should not save FI data when the access log cannot be written', async () => {
+      aaAdapter.provider.fetchSessionData.mockResolvedValue(fiData);
+      FIAccessLog.create
+        .mockImplementationOnce(async (attributes) => attributes)
+        .mockRejectedValueOnce(new Error('fi_access_logs unavailable'));
+
+      await expect(ingestBankStatement({ record })).rejects.toThrow('fi_access_logs unavailable');
+      expect(processAAResponse).not.toHaveBeenCalled();
+      expect(session.statuses).toEqual(['PENDING', 'FETCHING', 'FAILED']);
+    });
+
+    test('should mark the session FAILED and rethrow with its ID', async () => {
+      aaAdapter.provider.fetchSessionData.mockRejectedValue(new Error('FI/fetch timed out'));
+
+      await expect(ingestBankStatement({ record })).rejects.toMatchObject({
+        message: 'FI/fetch timed out',
+        sessionId: 'SESSION_1'
+      });
+      expect(session.statuses).toEqual(['PENDING', 'FETCHING', 'FAILED']);
+      expect(session.errors).toEqual([{ error: 'FI/fetch timed out', code: null }]);
+      expect(processAAResponse).not.toHaveBeenCalled();
+      expect(loggedEvents()).toEqual(['FI_REQUESTED', 'FI_FAILED']);
+      expect(FIAccessLog.create).toHaveBeenLastCalledWith(expect.objectContaining({
+        session_id: 'SESSION_1',
+        error: { message: 'FI/fetch timed out', code: null }
+      }));
+    });
+
+    test('should retry while the AA is still collecting data', async () => {
+      aaAdapter.provider.fetchSessionData.mockRejectedValueOnce(notReady()).mockResolvedValueOnce(fiData);
+      processAAResponse.mockResolvedValue({ success: true, totalParsed: 5, saved: 5, skipped: 0, errors: [] });
+
+      const { result, pending } = await ingestBankStatement({ record });
+
+      expect(pending).toBe(false);
+      expect(result.saved).toBe(5);
+      expect(session.statuses).toEqual(['PENDING', 'FETCHING', 'PENDING', 'FETCHING', 'PROCESSING', 'COMPLETED']);
+      expect(loggedEvents()).toEqual(['FI_REQUESTED', 'FI_FETCHED', 'FI_STORED']);
+    });
+
+    test('should leave the session PENDING when the data is still not ready', async () => {
+      aaAdapter.provider.fetchSessionData.mockRejectedValue(notReady());
+
+      const { session: summary, result, pending } = await ingestBankStatement({ record });
+
+      expect(aaAdapter.provider.fetchSessionData).toHaveBeenCalledTimes(3);
+      expect(pending).toBe(true);
+      expect(result).toBeNull();
+      expect(summary).toMatchObject({ sessionId: 'SESSION_1', status: 'PENDING' });
+      expect(loggedEvents()).toEqual(['FI_REQUESTED']);
+    });
+
+    test('should not fetch a session another run has claimed', async () => {
+      FISession.update.mockResolvedValueOnce([0]);
+
+      const { pending } = await ingestBankStatement({ record });
+
+      expect(pending).toBe(true);
+      expect(aaAdapter.provider.fetchSessionData).not.toHaveBeenCalled();
+    });
+
+    test('should log but not record a session when FI/request fails', async () => {
+      aaAdapter.provider.fetchData.mockRejectedValue(new Error('Consent is PAUSED'));
+
+      const range = { fromDate: new Date('2024-11-01T00:00:00Z'), toDate: new Date('2024-11-27T00:00:00Z') };
+
+      await expect(ingestBankStatement({ record, range })).rejects.toThrow('Consent is PAUSED');
+      expect(FISession.create).not.toHaveBeenCalled();
+      expect(FIAccessLog.create).toHaveBeenCalledTimes(1);
+      expect(FIAccessLog.create).toHaveBeenCalledWith(expect.objectContaining({
+        event: 'FI_FAILED',
+        aa_consent_id: 'CONSENT_1',
+        session_id: null,
+        data_range_from: range.fromDate,
+        data_range_to: range.toDate,
+        error: { message: 'Consent is PAUSED', code: null }
+      }));
+    });
+  });
+
+  describe('ingestReadySession', () => {
+    beforeEach(() => {
+      session = buildSession({
+        id: 'row-1',
+        session_id: 'SESSION_1',
+        user_id: 'user-123',
+        consent_id: 'CONSENT_1',
+        status: 'READY',
+        sealed_private_key: 'sealed',
+        key_nonce: 'nonce'
+      });
+    });
+
+    test('should ingest a READY session under its consent', async () => {
+      consentService.findLatestByConsentId.mockResolvedValue(record);
+      aaAdapter.provider.fetchSessionData.mockResolvedValue(fiData);
+      processAAResponse.mockResolvedValue({ success: true, totalParsed: 5, saved: 5, skipped: 0, errors: [] });
+
+      const result = await ingestReadySession(session);
+
+      expect(consentService.findLatestByConsentId).toHaveBeenCalledWith('CONSENT_1', 'user-123');
+      expect(aaAdapter.forProvider).toHaveBeenCalledWith('finvu');
+      expect(result.saved).toBe(5);
+      expect(session.statuses).toEqual(['READY', 'FETCHING', 'PROCESSING', 'COMPLETED']);
+    });
+
+    test('should fail the session when its consent is gone', async () => {
+      consentService.findLatestByConsentId.mockResolvedValue(null);
+
+      expect(await ingestReadySession(session)).toBeNull();
+      expect(session.status).toBe('FAILED');
+      expect(aaAdapter.provider.fetchSessionData).not.toHaveBeenCalled();
+    });
+
+    test('should sweep READY and PENDING sessions and keep going on errors', async () => {
+      FISession.findAll.mockResolvedValue([session]);
+      consentService.findLatestByConsentId.mockResolvedValue(record);
+      aaAdapter.provider.fetchSessionData.mockRejectedValue(new Error('FI/fetch timed out'));
+
+      const results = await ingestWaitingSessions();
+
+      expect(FISession.findAll).toHaveBeenCalledWith(expect.objectContaining({ where: { status: ['PENDING', 'READY'] } }));
+      expect(results).toEqual([{ sessionId: 'SESSION_1', status: 'FAILED', error: 'FI/fetch timed out' }]);
+    });
+
+    test('should leave a re-polled session PENDING while the data is not ready', async () => {
+      session.status = 'PENDING';
+      FISession.findAll.mockResolvedValue([session]);
+      consentService.findLatestByConsentId.mockResolvedValue(record);
+      aaAdapter.provider.fetchSessionData.mockRejectedValue(notReady());
+
+      const results = await ingestWaitingSessions();
+
+      expect(results).toEqual([{ sessionId: 'SESSION_1', status: 'PENDING' }]);
+    });
+
+    test('should move the waiting sync forward once a SYNC session completes', async () => {
+      session.source = 'SYNC';
+      session.data_range_to = new Date('2024-11-27T00:00:00Z');
+      consentService.findLatestByConsentId.mockResolvedValue(record);
+      aaAdapter.provider.fetchSessionData.mockResolvedValue(fiData);
+      processAAResponse.mockResolvedValue({ success: true, totalParsed: 5, saved: 5, skipped: 0, errors: [] });
+
+      await ingestReadySession(session);
+
+      expect(ConsentSync.update).toHaveBeenCalledWith(
+        expect.objectContaining({
+          status: 'SUCCESS',
+          last_synced_at: new Date('2024-11-27T00:00:00Z'),
+          last_result: expect.objectContaining({ sessionId: 'SESSION_1', saved: 5 })
+        }),
+        { where: { status: 'PENDING', last_result: { sessionId: 'SESSION_1' } } }
+      );
+    });
+
+    test('should fail the waiting sync, not move it, when a SYNC session fails', async () => {
+      session.source = 'SYNC';
+      consentService.findLatestByConsentId.mockResolvedValue(record);
+      aaAdapter.provider.fetchSessionData.mockRejectedValue(new Error('FI/fetch timed out'));
+
+      await expect(ingestReadySession(session)).rejects.toThrow('FI/fetch timed out');
+
+      const [values] = ConsentSync.update.mock.calls[0];
+      expect(values).toEqual({ status: 'FAILED', last_error: 'FI session SESSION_1 failed' });
+    });
+
+    test('should not touch syncs for MANUAL sessions', async () => {
+      session.source = 'MANUAL';
+      consentService.findLatestByConsentId.mockResolvedValue(record);
+      aaAdapter.provider.fetchSessionData.mockResolvedValue(fiData);
+      processAAResponse.mockResolvedValue({ success: true, totalParsed: 0, saved: 0, skipped: 0, errors: [] });
+
+      await ingestReadySession(session);
+
+      expect(ConsentSync.update).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('expireStaleSessions', () => {
+    const now = new Date('2024-11-28T12:00:00Z');
+
+    test('should expire open sessions older than the TTL and fail their waiting sync', async () => {
+      session = buildSession({ id: 'row-1', session_id: 'SESSION_1', status: 'FETCHING', source: 'SYNC' });
+      FISession.findAll.mockResolvedValue([session]);
+
+      const expired = await expireStaleSessions({ now });
+
+      const [{ where }] = FISession.findAll.mock.calls[0];
+      expect(where.status).toEqual(['PENDING', 'READY', 'FETCHING', 'PROCESSING']);
+      expect(where.created_at[Op.lt]).toEqual(new Date('2024-11-27T12:00:00Z'));
+      expect(expired).toEqual(['SESSION_1']);
+      expect(session.status).toBe('EXPIRED');
+      expect(ConsentSync.update).toHaveBeenCalledWith(
+        { status: 'FAILED', last_error: 'FI session SESSION_1 expired' },
+        { where: { status: 'PENDING', last_result: { sessionId: 'SESSION_1' } } }
+      );
+    });
+
+    test('should skip sessions another run changed in the meantime', async () => {
+      session = buildSession({ id: 'row-1', session_id: 'SESSION_1', status: 'PENDING', source: 'SYNC' });
+      FISession.findAll.mockResolvedValue([session]);
+      FISession.update.mockResolvedValueOnce([0]);
+
+      expect(await expireStaleSessions({ now })).toEqual([]);
+      expect(ConsentSync.update).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getUserSession', () => {
+    test('should only return the user\'s own session', async () => {
+      FISession.findOne.mockResolvedValue(null);
+
+      expect(await getUserSession('user-456', 'SESSION_1')).toBeNull();
+      expect(FISession.findOne).toHaveBeenCalledWith({ where: { session_id: 'SESSION_1', user_id: 'user-456' } });
+    });
+  });
+});
@@ -0,0 +1,196 @@
+/**
+ * Tests for the FI Data Simulator and the Sandbox AA Provider
+ */
+
+const crypto = require('crypto');
+const { generateFI, createRandom, SIMULATED_FI_TYPES, FIPS } = require('../services/fiSimulator');
+const {
+  parseLinkedAccounts,
+  parseBankStatement,
+  parseCreditCardTransactions,
+  parseCardStatements,
+  parseHoldings,
+  parseInvestmentTransactions,
+  parseInsurancePolicies,
+  parseLoans,
+  parseLoanDetails
+} = require('../services/aaDataParser');
+const { setKeyEncryptionKey } = require('../services/fiCrypto');
+const sandbox = require('../services/aaProviders/sandbox');
+
+const OPTIONS = {
+  seed: 'test-seed',
+  customerId: '9876543210@sandbox',
+  fiTypes: SIMULATED_FI_TYPES,
+  from: '2026-01-01',
+  to: '2026-06-30'
+};
+
+const accountsOf = (FI) => FI.flatMap(fi => fi.data.map(data => ({ fipId: fi.fipId, ...data })));
+const findAccount = (FI, type) => accountsOf(FI).find(data => data.Account.type === type);
+
+describe('FI Simulator', () => {
+  describe('createRandom', () => {
+    test('should repeat the same sequence for the same seed parts', () => {
+      const a = createRandom('seed', 'x');
+      const b = createRandom('seed', 'x');
+      const c = createRandom('seed', 'y');
+
+      const sequence = [a.next(), a.next(), a.next()];
+      expect([b.next(), b.next(), b.next()]).toEqual(sequence);
+      expect(c.next()).not.toBe(sequence[0]);
+      expect(sequence.every(n => n >= 0 && n < 1)).toBe(true);
+    });
+  });
+
+  describe('generateFI', () => {
+    test('should be deterministic for a seed and differ across seeds', () => {
+      const first = generateFI(OPTIONS);
+
+      expect(generateFI(OPTIONS)).toEqual(first);
+      expect(generateFI({ ...OPTIONS, seed: 'other-seed' })).not.toEqual(first);
+    });
+
+    test('should return every supported FI type across several FIPs', () => {
+      const FI = generateFI(OPTIONS);
+      const types = accountsOf(FI).map(data => data.Account.type);
+
+      expect(FI.length).toBeGreaterThanOrEqual(5);
+      expect(types).toEqual(expect.arrayContaining([
+        'deposit', 'loan', 'term_deposit', 'recurring_deposit', 'credit_card',
+        'mutual_funds', 'equities', 'nps', 'insurance_policies'
+      ]));
+    });
+
+    test('should only return the requested FI types', () => {
+      const FI = generateFI({ ...OPTIONS, fiTypes: ['CREDIT_CARD', 'GSTR1_3B'] });
+
+      expect(FI.map(fi => fi.fipId)).toEqual([FIPS.cardIssuer.fipId]);
+      expect(accountsOf(FI).map(data => data.Account.type)).toEqual(['credit_card']);
+    });
+
+    test('should agree on transactions and balances across overlapping ranges', () => {
+      const early = findAccount(generateFI({ ...OPTIONS, fiTypes: ['DEPOSIT'], to: '2026-04-30' }), 'deposit');
+      const late = findAccount(generateFI({ ...OPTIONS, fiTypes: ['DEPOSIT'], from: '2026-03-01' }), 'deposit');
+      const inOverlap = (txn) => txn.valueDate >= '2026-03-01' && txn.valueDate <= '2026-04-30';
+
+      const overlap = early.Account.Transactions.Transaction.filter(inOverlap);
+      expect(overlap.length).toBeGreaterThan(20);
+      expect(late.Account.Transactions.Transaction.filter(inOverlap)).toEqual(overlap);
+    });
+
+    test('should keep running balances consistent with the amounts and summary', () => {
+      const deposits = accountsOf(generateFI({ ...OPTIONS, fiTypes: ['DEPOSIT'] }))
+        .filter(data => data.Account.type === 'deposit');
+
+      for (const { Account } of deposits) {
+        const txns = Account.Transactions.Transaction;
+        for (let i = 1; i < txns.length; i++) {
+          const delta = parseFloat(txns[i].amount) * (txns[i].type === 'CREDIT' ? 1 : -1);
+          expect(parseFloat(txns[i].currentBalance)).toBeCloseTo(parseFloat(txns[i - 1].currentBalance) + delta, 2);
+          expect(parseFloat(txns[i].currentBalance)).toBeGreaterThanOrEqual(0);
+        }
+        expect(txns[txns.length - 1].currentBalance).toBe(Account.Summary.currentBalance);
+      }
+    });
+
+    test('should include salaries, UPI spends, EMIs and card bills in the salary account', () => {
+      const transactions = parseBankStatement({ FI: generateFI({ ...OPTIONS, fiTypes: ['DEPOSIT'] }) }, 'user-1', 'consent-1');
+      const subcategories = new Set(transactions.map(t => t.subcategory));
+
+      expect(transactions.filter(t => t.subcategory === 'Salary')).toHaveLength(6);
+      expect(transactions.filter(t => t.merchant === 'HDFC BANK HOME LOAN EMI')).toHaveLength(6);
+      expect(transactions.some(t => t.mode === 'UPI' && t.type === 'DEBIT')).toBe(true);
+      expect(transactions.some(t => /CREDIT CARD/.test(t.narration))).toBe(true);
+      expect([...subcategories]).toEqual(expect.arrayContaining(['Rent', 'Electricity', 'Mutual Fund', 'Interest']));
+      expect(new Set(transactions.map(t => t.txn_id)).size).toBe(transactions.length);
+    });
+
+    test('should pay each card bill from the salary account for the statement total', () => {
+      const FI = generateFI(OPTIONS);
+      const [statement] = parseCardStatements({ FI }, 'user-1', 'consent-1');
+      const card = findAccount(FI, 'credit_card');
+      const payments = card.Account.Transactions.Transaction.filter(t => t.txnType === 'CREDIT');
+      const billDebits = findAccount(FI, 'deposit').Account.Transactions.Transaction
+        .filter(t => t.narration.includes(`CREDIT CARD-BBPS-${card.maskedAccNumber.slice(-4)}`));
+
+      expect(statement.statement_date).toBe('2026-06-18');
+      expect(statement.due_date).toBe('2026-07-08');
+      expect(statement.total_due).toBeGreaterThan(0);
+      expect(payments.length).toBeGreaterThan(0);
+      expect(billDebits.map(t => [t.valueDate, t.amount])).toEqual(payments.map(t => [t.valueDate, t.amount]));
+    });
+
+    test('should parse into accounts, card, investment, insurance and loan rows', () => {
+      const aaResponse = { FI: generateFI(OPTIONS) };
+      const now = new Date('2026-06-30');
+
+      expect(parseLinkedAccounts(aaResponse, 'user-1', 'consent-1')).toHaveLength(5);
+      expect(parseCreditCardTransactions(aaResponse, 'user-1', 'consent-1').length).toBeGreaterThan(10);
+
+      const holdings = parseHoldings(aaResponse, 'user-1', 'consent-1');
+      expect(holdings.map(h => h.fi_type)).toEqual(expect.arrayContaining(['MUTUAL_FUNDS', 'EQUITIES', 'NPS']));
+      expect(holdings.filter(h => h.fi_type === 'MUTUAL_FUNDS').every(h => h.cost_value > 0)).toBe(true);
+      expect(parseInvestmentTransactions(aaResponse, 'user-1', 'consent-1').some(t => t.subcategory === 'SIP')).toBe(true);
+
+      const [policy] = parseInsurancePolicies(aaResponse, 'user-1', 'consent-1', now);
+      expect(policy).toMatchObject({ insurer: 'LIC of India', premium_frequency: 'ANNUAL', nominee_count: 1 });
+
+      const [loan] = parseLoans(aaResponse, 'user-1', 'consent-1', now);
+      expect(loan).toMatchObject({ loan_type: 'HOME_LOAN', tenure_months: 240 });
+      expect(loan.outstanding_amount).toBeLessThan(loan.principal_amount);
+      expect(loan.next_emi_date).toMatch(/^2026-07-/);
+      expect(parseLoanDetails(aaResponse, 'user-1', 'consent-1', now)).toHaveLength(6);
+    });
+  });
+});
+
+describe('Sandbox AA Provider', () => {
+  beforeAll(() => {
+    setKeyEncryptionKey(crypto.randomBytes(32));
+  });
+
+  afterAll(() => {
+    setKeyEncryptionKey(null);
+  });
+
+  test('should approve consents and redirect straight back to the callback', async () => {
+    const result = await sandbox.initiateConsent({ customerId: '9876543210@sandbox', fiTypes: ['DEPOSIT', 'CREDIT_CARD'] });
+
+    expect(result.redirectUrl.startsWith(`${sandbox.config.redirectUrl}?`)).toBe(true);
+    const query = Object.fromEntries(new URL(result.redirectUrl).searchParams);
+    expect(await sandbox.parseRedirect(query)).toMatchObject({ srcref: result.consentHandle, txnid: result.txnId, status: 'S' });
+
+    const status = await sandbox.checkConsentStatus(result.consentHandle);
+    expect(status.status).toBe('APPROVED');
+    expect(status.consentId).toBeDefined();
+  });
+
+  test('should serve encrypted simulated data for the consent fiTypes and range', async () => {
+    const { consentHandle } = await sandbox.initiateConsent({ customerId: '9876543210@sandbox', fiTypes: ['DEPOSIT', 'CREDIT_CARD'] });
+    const { consentId } = await sandbox.checkConsentStatus(consentHandle);
+    const fromDate = new Date('2026-01-01T00:00:00Z');
+    const toDate = new Date('2026-03-31T00:00:00Z');
+
+    const result = await sandbox.fetchBankStatement(consentId, { fromDate, toDate });
+
+    expect(result.data.FI).toEqual(generateFI({
+      seed: 'sandbox',
+      customerId: '9876543210@sandbox',
+      fiTypes: ['DEPOSIT', 'CREDIT_CARD'],
+      from: fromDate,
+      to: toDate
+    }));
+  });
+
+  test('should reject FI requests once the consent is revoked', async () => {
+    const { consentHandle } = await sandbox.initiateConsent({ customerId: '9876543210@sandbox' });
+    const { consentId } = await sandbox.checkConsentStatus(consentHandle);
+    await sandbox.updateConsentStatus({ consentId, consentHandle, status: 'REVOKED' });
+
+    await expect(sandbox.fetchData(consentId)).rejects.toMatchObject({
+      name: 'AAConsentStateError',
+      code: 'InvalidConsentStatus'
+    });
+  });
+});
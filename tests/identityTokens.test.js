@@ -0,0 +1,236 @@
+/**
+ * Tests for Identity Token Verification and Google / Apple login
+ */
+
+jest.mock('../models/User', () => ({
+  findOne: jest.fn(),
+  create: jest.fn()
+}));
+jest.mock('../models/UserSession', () => ({
+  create: jest.fn(async (attributes) => attributes)
+}));
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const { verifyIdToken, setJwks } = require('../services/identityTokens');
+const { googleLogin, appleLogin } = require('../controllers/authController');
+
+process.env.JWT_SECRET = 'test-jwt-secret';
+process.env.JWT_REFRESH_SECRET = 'test-refresh-secret';
+
+const GOOGLE_CLIENT_ID = 'web-client.apps.googleusercontent.com';
+const APPLE_CLIENT_ID = 'in.rupio.app';
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const { privateKey: otherPrivateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const jwks = { keys: [{ ...publicKey.export({ format: 'jwk' }), kid: 'key-1', alg: 'RS256', use: 'sig' }] };
+
+const googleClaims = {
+  iss: 'https://accounts.google.com',
+  aud: GOOGLE_CLIENT_ID,
+  sub: '110169484474386276334',
+  email: 'asha@example.com',
+  email_verified: true,
+  name: 'Asha Rao',
+  nonce: 'raw-nonce'
+};
+
+const sign = (claims, { key = privateKey, kid = 'key-1', expiresIn = '10m' } = {}) =>
+  jwt.sign(claims, key, { algorithm: 'RS256', keyid: kid, expiresIn });
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+const buildUser = (attributes) => ({
+  id: 'user-1',
+  ...attributes,
+  update: jest.fn(async function (updates) { Object.assign(this, updates); return this; })
+});
+
+describe('Identity Tokens', () => {
+  beforeAll(() => {
+    process.env.GOOGLE_CLIENT_IDS = `${GOOGLE_CLIENT_ID}, ios-client.apps.googleusercontent.com`;
+    process.env.APPLE_CLIENT_IDS = APPLE_CLIENT_ID;
+    setJwks('google', jwks);
+    setJwks('apple', jwks);
+  });
+
+  afterAll(() => {
+    setJwks('google', null);
+    setJwks('apple', null);
+    delete process.env.GOOGLE_CLIENT_IDS;
+    delete process.env.APPLE_CLIENT_IDS;
+  });
+
+  describe('verifyIdToken', () => {
+    test('should return the verified identity', async () => {
+      const identity = await verifyIdToken('google', sign(googleClaims), { nonce: 'raw-nonce' });
+
+      expect(identity).toMatchObject({
+        sub: '110169484474386276334',
+        email: 'asha@example.com',
+        emailVerified: true,
+        name: 'Asha Rao'
+      });
+    });
+
+    test.each([
+      ['another audience', { ...googleClaims, aud: 'someone-else' }, {}],
+      ['another issuer', { ...googleClaims, iss: 'https://evil.example.com' }, {}],
+      ['an expired token', googleClaims, { expiresIn: -120 }],
+      ['a forged signature', googleClaims, { key: otherPrivateKey }],
+      ['an unknown key ID', googleClaims, { kid: 'key-2' }]
+    ])('should reject %s', async (_, claims, options) => {
+      await expect(verifyIdToken('google', sign(claims, options), { nonce: 'raw-nonce' }))
+        .rejects.toMatchObject({ name: 'IdentityTokenError' });
+    });
+
+    test('should reject tokens that are not RS256', async () => {
+      const token = jwt.sign(googleClaims, 'shared-secret', { algorithm: 'HS256', keyid: 'key-1' });
+
+      await expect(verifyIdToken('google', token, { nonce: 'raw-nonce' }))
+        .rejects.toMatchObject({ code: 'InvalidAlgorithm' });
+    });
+
+    test('should require the nonce to match when either side has one', async () => {
+      await expect(verifyIdToken('google', sign(googleClaims), { nonce: 'other-nonce' }))
+        .rejects.toMatchObject({ code: 'NonceMismatch' });
+      await expect(verifyIdToken('google', sign(googleClaims)))
+        .rejects.toMatchObject({ code: 'NonceMismatch' });
+
+      const { nonce, ...withoutNonce } = googleClaims;
+      await expect(verifyIdToken('google', sign(withoutNonce), { nonce }))
+        .rejects.toMatchObject({ code: 'NonceMismatch' });
+    });
+
+    test('should reject a nonce that is not a string', async () => {
+      await expect(verifyIdToken('google', sign(googleClaims), { nonce: ['raw-nonce'] }))
+        .rejects.toMatchObject({ name: 'IdentityTokenError', code: 'NonceMismatch' });
+      await expect(verifyIdToken('google', sign({ ...googleClaims, nonce: { value: 'raw-nonce' } }), { nonce: 'raw-nonce' }))
+        .rejects.toMatchObject({ name: 'IdentityTokenError', code: 'NonceMismatch' });
+    });
+
+    test('should compare Apple nonces as SHA-256 hex and accept string email_verified', async () => {
+      const token = sign({
+        iss: 'https://appleid.apple.com',
+        aud: APPLE_CLIENT_ID,
+        sub: '001234.abcd.0987',
+        email: 'x7k2@privaterelay.appleid.com',
+        email_verified: 'true',
+        nonce: crypto.createHash('sha256').update('raw-nonce').digest('hex')
+      });
+
+      const identity = await verifyIdToken('apple', token, { nonce: 'raw-nonce' });
+
+      expect(identity).toMatchObject({ sub: '001234.abcd.0987', emailVerified: true });
+    });
+
+    test('should fail when no client IDs are configured', async () => {
+      const clientIds = process.env.GOOGLE_CLIENT_IDS;
+      delete process.env.GOOGLE_CLIENT_IDS;
+
+      await expect(verifyIdToken('google', sign(googleClaims))).rejects.toThrow('GOOGLE_CLIENT_IDS is not configured');
+      process.env.GOOGLE_CLIENT_IDS = clientIds;
+    });
+  });
+
+  describe('JWKS fetching', () => {
+    const originalFetch = global.fetch;
+
+    beforeEach(() => {
+      setJwks('google', null);
+      global.fetch = jest.fn(async () => ({
+        ok: true,
+        status: 200,
+        headers: { get: () => 'public, max-age=3600' },
+        json: async () => jwks
+      }));
+    });
+
+    afterEach(() => {
+      global.fetch = originalFetch;
+      setJwks('google', jwks);
+    });
+
+    test('should fetch the provider JWKS once and reuse it', async () => {
+      await verifyIdToken('google', sign(googleClaims), { nonce: 'raw-nonce' });
+      await verifyIdToken('google', sign(googleClaims), { nonce: 'raw-nonce' });
+
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+      expect(global.fetch.mock.calls[0][0]).toBe('https://www.googleapis.com/oauth2/v3/certs');
+    });
+
+    test('should not refetch on every unknown key ID', async () => {
+      await verifyIdToken('google', sign(googleClaims), { nonce: 'raw-nonce' });
+      await expect(verifyIdToken('google', sign(googleClaims, { kid: 'key-2' }), { nonce: 'raw-nonce' }))
+        .rejects.toMatchObject({ code: 'UnknownKey' });
+
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('social login', () => {
+    beforeEach(() => {
+      jest.clearAllMocks();
+    });
+
+    test('should reject client-sent IDs without an ID token', async () => {
+      const res = mockResponse();
+
+      await googleLogin({ body: { google_id: googleClaims.sub, email: googleClaims.email } }, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(User.findOne).not.toHaveBeenCalled();
+    });
+
+    test('should reject an invalid ID token with 401', async () => {
+      const res = mockResponse();
+
+      await googleLogin({ body: { id_token: sign(googleClaims, { key: otherPrivateKey }), nonce: 'raw-nonce' } }, res);
+
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(User.findOne).not.toHaveBeenCalled();
+    });
+
+    test('should link an existing account by verified email', async () => {
+      const existing = buildUser({ email: 'asha@example.com', first_name: 'Asha', last_name: null });
+      User.findOne.mockResolvedValueOnce(null).mockResolvedValueOnce(existing);
+      const res = mockResponse();
+
+      await googleLogin({ body: { id_token: sign(googleClaims), nonce: 'raw-nonce' } }, res);
+
+      expect(User.findOne).toHaveBeenNthCalledWith(1, { where: { google_id: googleClaims.sub } });
+      expect(User.findOne).toHaveBeenNthCalledWith(2, { where: { email: 'asha@example.com' } });
+      expect(existing.google_id).toBe(googleClaims.sub);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ message: 'Google login successful' }));
+    });
+
+    test('should not link by an unverified email', async () => {
+      User.findOne.mockResolvedValue(null);
+      User.create.mockImplementation(async (attributes) => buildUser(attributes));
+      const res = mockResponse();
+      const token = sign({
+        iss: 'https://appleid.apple.com',
+        aud: APPLE_CLIENT_ID,
+        sub: '001234.abcd.0987',
+        email: 'asha@example.com',
+        email_verified: 'false'
+      });
+
+      await appleLogin({ body: { id_token: token, name: 'Asha Rao' } }, res);
+
+      expect(User.findOne).toHaveBeenCalledTimes(1);
+      expect(User.create).toHaveBeenCalledWith({
+        apple_id: '001234.abcd.0987',
+        email: null,
+        first_name: 'Asha',
+        last_name: 'Rao'
+      });
+    });
+  });
+});
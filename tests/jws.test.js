@@ -0,0 +1,150 @@
+/**
+ * Tests for JWS Detached Signature Service
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const jws = require('../services/jws');
+const { verifyAASignature } = require('../middlewares/aaSignature');
+
+const generateKeyPair = () => crypto.generateKeyPairSync('rsa', {
+  modulusLength: 2048,
+  publicKeyEncoding: { type: 'spki', format: 'pem' },
+  privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+});
+
+describe('JWS', () => {
+  const fiuKeys = generateKeyPair();
+  const aaKeys = generateKeyPair();
+  const rotatedAAKeys = generateKeyPair();
+  const payload = JSON.stringify({ ver: '1.0', txnid: 'txn-1' });
+
+  afterEach(() => {
+    jws.resetKeys();
+    delete process.env.AA_FIU_PRIVATE_KEY;
+    delete process.env.AA_FIU_KEY_ID;
+    delete process.env.AA_PUBLIC_KEYS;
+    delete process.env.AA_PUBLIC_KEY_PATHS;
+  });
+
+  describe('signWith / verifyWith', () => {
+    test('should produce a detached RS256 JWS', () => {
+      const signature = jws.signWith(payload, fiuKeys.privateKey, 'fiu-key-1');
+      const [header, body, sig] = signature.split('.');
+
+      expect(body).toBe('');
+      expect(sig.length).toBeGreaterThan(0);
+      expect(JSON.parse(Buffer.from(header, 'base64url').toString())).toEqual({ alg: 'RS256', kid: 'fiu-key-1' });
+    });
+
+    test('should verify a valid signature', () => {
+      const signature = jws.signWith(payload, fiuKeys.privateKey);
+      expect(jws.verifyWith(signature, payload, [fiuKeys.publicKey])).toBe(true);
+    });
+
+    test('should reject a tampered payload', () => {
+      const signature = jws.signWith(payload, fiuKeys.privateKey);
+      expect(jws.verifyWith(signature, payload.replace('txn-1', 'txn-2'), [fiuKeys.publicKey])).toBe(false);
+    });
+
+    test('should reject a signature from an unknown key', () => {
+      const signature = jws.signWith(payload, aaKeys.privateKey);
+      expect(jws.verifyWith(signature, payload, [fiuKeys.publicKey])).toBe(false);
+    });
+
+    test('should accept any configured key during rotation', () => {
+      const signature = jws.signWith(payload, rotatedAAKeys.privateKey);
+      expect(jws.verifyWith(signature, payload, [aaKeys.publicKey, rotatedAAKeys.publicKey])).toBe(true);
+    });
+
+    test('should reject malformed or non-RS256 signatures', () => {
+      const noneHeader = Buffer.from(JSON.stringify({ alg: 'none' })).toString('base64url');
+
+      expect(jws.verifyWith(null, payload, [fiuKeys.publicKey])).toBe(false);
+      expect(jws.verifyWith('not-a-jws', payload, [fiuKeys.publicKey])).toBe(false);
+      expect(jws.verifyWith(`${noneHeader}..`, payload, [fiuKeys.publicKey])).toBe(false);
+    });
+  });
+
+  describe('key loading', () => {
+    test('should load keys from env and files', () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'jws-'));
+      const keyPath = path.join(dir, 'aa.pem');
+      fs.writeFileSync(keyPath, rotatedAAKeys.publicKey);
+
+      process.env.AA_FIU_PRIVATE_KEY = fiuKeys.privateKey.replace(/\n/g, '\\n');
+      process.env.AA_FIU_KEY_ID = 'fiu-key-1';
+      process.env.AA_PUBLIC_KEYS = aaKeys.publicKey;
+      process.env.AA_PUBLIC_KEY_PATHS = keyPath;
+
+      const keys = jws.getKeys();
+      expect(keys.keyId).toBe('fiu-key-1');
+      expect(keys.publicKeys).toHaveLength(2);
+
+      const signature = jws.sign(payload);
+      expect(jws.verifyWith(signature, payload, [fiuKeys.publicKey])).toBe(true);
+      expect(jws.verify(jws.signWith(payload, rotatedAAKeys.privateKey), payload)).toBe(true);
+
+      fs.rmSync(dir, { recursive: true });
+    });
+
+    test('should throw when signing without a private key', () => {
+      expect(() => jws.sign(payload)).toThrow('AA signing key not configured');
+    });
+
+    test('should fail verification when no AA keys are configured', () => {
+      const signature = jws.signWith(payload, aaKeys.privateKey);
+      expect(jws.verify(signature, payload)).toBe(false);
+    });
+  });
+
+  describe('verifyAASignature middleware', () => {
+    const mockResponse = () => {
+      const res = {};
+      res.status = jest.fn(() => res);
+      res.json = jest.fn(() => res);
+      return res;
+    };
+
+    beforeEach(() => {
+      jws.setKeys({ publicKeys: [aaKeys.publicKey] });
+    });
+
+    test('should pass requests with a valid signature', () => {
+      const req = {
+        headers: { 'x-jws-signature': jws.signWith(payload, aaKeys.privateKey) },
+        rawBody: Buffer.from(payload),
+        body: JSON.parse(payload)
+      };
+      const next = jest.fn();
+
+      verifyAASignature(req, mockResponse(), next);
+      expect(next).toHaveBeenCalled();
+    });
+
+    test('should reject requests without a signature', () => {
+      const res = mockResponse();
+      const next = jest.fn();
+
+      verifyAASignature({ headers: {}, rawBody: Buffer.from(payload), body: JSON.parse(payload) }, res, next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(res.json.mock.calls[0][0]).toMatchObject({ errorCode: 'SignatureDoesNotMatch', txnid: 'txn-1' });
+    });
+
+    test('should reject requests with an invalid signature', () => {
+      const res = mockResponse();
+      const req = {
+        headers: { 'x-jws-signature': jws.signWith(payload, fiuKeys.privateKey) },
+        rawBody: Buffer.from(payload),
+        body: JSON.parse(payload)
+      };
+
+      verifyAASignature(req, res, jest.fn());
+      expect(res.status).toHaveBeenCalledWith(401);
+    });
+  });
+});
@@ -0,0 +1,117 @@
+/**
+ * Tests for the Loan Amortization Service
+ */
+
+const {
+  computeEmi,
+  buildSchedule,
+  loanTerms,
+  simulatePrepayment,
+  LoanSimulationError
+} = require('../services/loanAmortization');
+
+// DECIMAL columns as Postgres returns them
+const buildLoan = (overrides = {}) => ({
+  id: 'loan-1',
+  principal_amount: '1000000.00',
+  outstanding_amount: '1000000.00',
+  interest_rate: '8.500',
+  tenure_months: 240,
+  emi_amount: '8678.23',
+  start_date: '2026-10-05',
+  next_emi_date: '2026-11-05',
+  ...overrides
+});
+
+const now = new Date('2026-10-19T12:00:00Z');
+
+describe('Loan Amortization', () => {
+  describe('computeEmi', () => {
+    test('should compute a reducing-balance EMI', () => {
+      expect(computeEmi(1000000, 8.5, 240)).toBe(8678.23);
+      expect(computeEmi(500000, 10.5, 60)).toBe(10746.95);
+    });
+
+    test('should split the principal evenly at zero interest', () => {
+      expect(computeEmi(120000, 0, 12)).toBe(10000);
+      expect(computeEmi(0, 8.5, 12)).toBe(0);
+    });
+  });
+
+  describe('buildSchedule', () => {
+    test('should repay the balance over the tenure, folding rounding into the last EMI', () => {
+      const result = buildSchedule({ balance: 1000000, annualRate: 8.5, emi: 8678.23, firstEmiDate: '2026-11-05' });
+
+      expect(result.months).toBe(240);
+      expect(result.schedule[0]).toEqual({ month: 1, date: '2026-11-05', emi: 8678.23, interest: 7083.33, principal: 1594.9, balance: 998405.1 });
+      expect(result.schedule[239]).toMatchObject({ date: '2046-10-05', balance: 0 });
+      expect(result.totalInterest).toBe(1082776.63);
+      expect(result.totalPaid).toBe(2082776.63);
+      expect(result.closureDate).toBe('2046-10-05');
+    });
+
+    test('should reject an EMI that does not cover the interest', () => {
+      expect(() => buildSchedule({ balance: 1000000, annualRate: 12, emi: 10000 }))
+        .toThrow(LoanSimulationError);
+    });
+  });
+
+  describe('loanTerms', () => {
+    test('should derive the EMI from the remaining tenure when the FIP sent none', () => {
+      const terms = loanTerms(buildLoan({ emi_amount: null, start_date: '2026-10-19' }), now);
+
+      expect(terms).toEqual({ balance: 1000000, annualRate: 8.5, emi: 8678.23, firstEmiDate: '2026-11-05' });
+    });
+
+    test('should refuse loans without a balance or rate', () => {
+      expect(() => loanTerms(buildLoan({ interest_rate: null }), now)).toThrow('no outstanding amount or interest rate');
+      expect(() => loanTerms(buildLoan({ emi_amount: null, tenure_months: null }), now)).toThrow('no EMI');
+    });
+  });
+
+  describe('simulatePrepayment', () => {
+    test('should show the interest and tenure saved by keeping the EMI', () => {
+      const result = simulatePrepayment(buildLoan(), { amount: 200000, now });
+
+      expect(result.prepayment).toEqual({ amount: 200000, strategy: 'REDUCE_TENURE', charge: 0 });
+      expect(result.current).toMatchObject({ balance: 1000000, months: 240, emi: 8678.23 });
+      expect(result.afterPrepayment).toMatchObject({ balance: 800000, months: 150, emi: 8678.23 });
+      expect(result.monthsSaved).toBe(90);
+      expect(result.emiReduction).toBe(0);
+      expect(result.interestSaved).toBeGreaterThan(580000);
+      expect(result.netSaving).toBe(result.interestSaved);
+    });
+
+    test('should lower the EMI over the same tenure with REDUCE_EMI', () => {
+      const result = simulatePrepayment(buildLoan(), { amount: 200000, strategy: 'REDUCE_EMI', now });
+
+      expect(result.afterPrepayment).toMatchObject({ months: 240, emi: 6942.59 });
+      expect(result.emiReduction).toBe(1735.64);
+      expect(result.monthsSaved).toBe(0);
+      // Keeping the EMI saves more interest than lowering it
+      expect(result.interestSaved).toBeLessThan(simulatePrepayment(buildLoan(), { amount: 200000, now }).interestSaved);
+    });
+
+    test('should net the prepayment charge off the saving', () => {
+      const result = simulatePrepayment(buildLoan(), { amount: 200000, chargePercent: 2, now });
+
+      expect(result.prepayment.charge).toBe(4000);
+      expect(result.netSaving).toBe(Math.round((result.interestSaved - 4000) * 100) / 100);
+    });
+
+    test('should close the loan when prepaying the full balance', () => {
+      const result = simulatePrepayment(buildLoan(), { amount: 1000000, now });
+
+      expect(result.afterPrepayment).toMatchObject({ balance: 0, months: 0, emi: 0, totalInterest: 0 });
+      expect(result.monthsSaved).toBe(240);
+    });
+
+    test('should validate the request', () => {
+      expect(() => simulatePrepayment(buildLoan(), { amount: -5, now })).toThrow('amount must be a positive number');
+      expect(() => simulatePrepayment(buildLoan(), { amount: '5000', now })).toThrow('amount must be a positive number');
+      expect(() => simulatePrepayment(buildLoan(), { amount: 2000000, now })).toThrow('cannot exceed the outstanding balance');
+      expect(() => simulatePrepayment(buildLoan(), { amount: 5000, strategy: 'SKIP_EMI', now })).toThrow('strategy must be one of');
+      expect(() => simulatePrepayment(buildLoan(), { amount: 5000, chargePercent: 150, now })).toThrow('chargePercent');
+    });
+  });
+});
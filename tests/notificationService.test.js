@@ -0,0 +1,322 @@
+/**
+ * Tests for AA Notification Service and webhook routes
+ */
+
+jest.mock('../models/AANotification', () => ({
+  findOne: jest.fn(),
+  create: jest.fn()
+}));
+jest.mock('../models/FISession', () => ({
+  findOne: jest.fn(),
+  create: jest.fn()
+}));
+jest.mock('../services/consentService', () => ({
+  findLatestByConsentId: jest.fn(),
+  findLatestByHandle: jest.fn(),
+  recordStatus: jest.fn(),
+  canTransition: (...args) => jest.requireActual('../services/consentService').canTransition(...args),
+  TERMINAL_STATUSES: ['REJECTED', 'EXPIRED', 'REVOKED']
+}));
+
+jest.mock('../services/fiIngestion', () => ({
+  ingestReadySession: jest.fn(async () => null),
+  settleSync: jest.fn()
+}));
+
+const express = require('express');
+const AANotification = require('../models/AANotification');
+const FISession = require('../models/FISession');
+const consentService = require('../services/consentService');
+const fiIngestion = require('../services/fiIngestion');
+const jws = require('../services/jws');
+const {
+  handleConsentNotification,
+  handleFINotification,
+  resolveSessionStatus
+} = require('../services/notificationService');
+const { createMockAAServer } = require('../scripts/mockAAServer');
+
+const consentNotification = (consentStatus, txnid = 'txn-consent-1', notifierId = 'finvu') => ({
+  ver: '1.0',
+  txnid,
+  timestamp: new Date().toISOString(),
+  Notifier: { type: 'AA', id: notifierId },
+  ConsentStatusNotification: { consentId: 'CONSENT_1', consentHandle: 'HANDLE_1', consentStatus }
+});
+
+const fiNotification = (sessionStatus, accounts, txnid = 'txn-fi-1', notifierId = 'finvu') => ({
+  ver: '1.0',
+  txnid,
+  timestamp: new Date().toISOString(),
+  Notifier: { type: 'AA', id: notifierId },
+  FIStatusNotification: {
+    sessionId: 'SESSION_1',
+    sessionStatus,
+    FIStatusResponse: [{ fipID: 'FIP_BANK_001', Accounts: accounts }]
+  }
+});
+
+describe('AA Notifications', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    AANotification.findOne.mockResolvedValue(null);
+  });
+
+  describe('handleConsentNotification', () => {
+    test.each([
+      ['ACTIVE', 'APPROVED'],
+      ['PAUSED', 'PAUSED'],
+      ['REVOKED', 'REVOKED'],
+      ['EXPIRED', 'EXPIRED']
+    ])('should record %s as a %s version', async (consentStatus, expected) => {
+      const record = { status: 'APPROVED', aa_provider: 'finvu' };
+      consentService.findLatestByConsentId.mockResolvedValue(record);
+      consentService.recordStatus.mockResolvedValue({ status: expected });
+
+      const result = await handleConsentNotification(consentNotification(consentStatus));
+
+      expect(consentService.recordStatus).toHaveBeenCalledWith(record, expected, expect.objectContaining({ aaConsentId: 'CONSENT_1' }));
+      expect(result.ack).toMatchObject({ ver: '1.0', txnid: 'txn-consent-1', response: 'OK' });
+      expect(AANotification.create).toHaveBeenCalledWith(expect.objectContaining({ txn_id: 'txn-consent-1', type: 'CONSENT' }));
+    });
+
+    test('should fall back to the consent handle', async () => {
+      const record = { status: 'PENDING', aa_provider: 'finvu' };
+      consentService.findLatestByConsentId.mockResolvedValue(null);
+      consentService.findLatestByHandle.mockResolvedValue(record);
+
+      await handleConsentNotification(consentNotification('ACTIVE'));
+
+      expect(consentService.findLatestByHandle).toHaveBeenCalledWith('HANDLE_1');
+      expect(consentService.recordStatus).toHaveBeenCalledWith(record, 'APPROVED', expect.anything());
+    });
+
+    test('should acknowledge a repeated txnid without reapplying it', async () => {
+      AANotification.findOne.mockResolvedValue({ txn_id: 'txn-consent-1' });
+
+      const result = await handleConsentNotification(consentNotification('REVOKED'));
+
+      expect(result.duplicate).toBe(true);
+      expect(result.ack.response).toBe('OK');
+      expect(consentService.recordStatus).not.toHaveBeenCalled();
+    });
+
+    test('should reject unknown consents', async () => {
+      consentService.findLatestByConsentId.mockResolvedValue(null);
+      consentService.findLatestByHandle.mockResolvedValue(null);
+
+      await expect(handleConsentNotification(consentNotification('ACTIVE'))).rejects.toMatchObject({
+        errorCode: 'InvalidConsentId',
+        status: 404
+      });
+    });
+
+    test('should reject malformed notifications', async () => {
+      await expect(handleConsentNotification({ txnid: 't' })).rejects.toMatchObject({ errorCode: 'InvalidRequest' });
+    });
+
+    test('should reject unsupported consent statuses before touching the consent', async () => {
+      await expect(handleConsentNotification(consentNotification('DELETED'))).rejects.toMatchObject({
+        errorCode: 'InvalidRequest',
+        status: 400
+      });
+      expect(consentService.findLatestByConsentId).not.toHaveBeenCalled();
+    });
+
+    test.each(['REVOKED', 'EXPIRED', 'REJECTED'])('should not revive a %s consent', async (status) => {
+      consentService.findLatestByConsentId.mockResolvedValue({ status, aa_provider: 'finvu' });
+
+      await expect(handleConsentNotification(consentNotification('ACTIVE'))).rejects.toMatchObject({
+        errorCode: 'InvalidConsentStatus',
+        status: 409
+      });
+      expect(consentService.recordStatus).not.toHaveBeenCalled();
+      expect(AANotification.create).not.toHaveBeenCalled();
+    });
+
+    test('should resume a PAUSED consent on ACTIVE', async () => {
+      consentService.findLatestByConsentId.mockResolvedValue({ status: 'PAUSED', aa_provider: 'finvu' });
+      consentService.recordStatus.mockResolvedValue({ status: 'APPROVED' });
+
+      await handleConsentNotification(consentNotification('ACTIVE'));
+
+      expect(consentService.recordStatus).toHaveBeenCalledWith(
+        expect.objectContaining({ status: 'PAUSED' }),
+        'APPROVED',
+        expect.objectContaining({ resume: true })
+      );
+    });
+
+    test('should accept a repeated terminal status', async () => {
+      const record = { status: 'REVOKED', aa_provider: 'finvu' };
+      consentService.findLatestByConsentId.mockResolvedValue(record);
+      consentService.recordStatus.mockResolvedValue(record);
+
+      await handleConsentNotification(consentNotification('REVOKED'));
+
+      expect(consentService.recordStatus).toHaveBeenCalledWith(record, 'REVOKED', expect.anything());
+    });
+
+    test('should reject notifications from another AA', async () => {
+      consentService.findLatestByConsentId.mockResolvedValue({ status: 'APPROVED', aa_provider: 'finvu' });
+
+      await expect(handleConsentNotification(consentNotification('REVOKED', 'txn-consent-1', 'onemoney')))
+        .rejects.toMatchObject({ errorCode: 'InvalidNotifier', status: 403 });
+      expect(consentService.recordStatus).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('resolveSessionStatus', () => {
+    test('should be READY when every account is settled and one is ready', () => {
+      const status = resolveSessionStatus(fiNotification('ACTIVE', [
+        { linkRefNumber: 'L1', FIStatus: 'READY' },
+        { linkRefNumber: 'L2', FIStatus: 'DENIED' }
+      ]).FIStatusNotification);
+      expect(status).toBe('READY');
+    });
+
+    test('should stay unchanged while accounts are pending', () => {
+      const status = resolveSessionStatus(fiNotification('ACTIVE', [
+        { linkRefNumber: 'L1', FIStatus: 'READY' },
+        { linkRefNumber: 'L2', FIStatus: 'PENDING' }
+      ]).FIStatusNotification);
+      expect(status).toBeNull();
+    });
+
+    test('should fail when no account has data', () => {
+      const status = resolveSessionStatus(fiNotification('ACTIVE', [
+        { linkRefNumber: 'L1', FIStatus: 'DENIED' }
+      ]).FIStatusNotification);
+      expect(status).toBe('FAILED');
+    });
+
+    test('should follow EXPIRED and FAILED session statuses', () => {
+      expect(resolveSessionStatus({ sessionStatus: 'EXPIRED' })).toBe('EXPIRED');
+      expect(resolveSessionStatus({ sessionStatus: 'FAILED' })).toBe('FAILED');
+    });
+  });
+
+  describe('handleFINotification', () => {
+    beforeEach(() => {
+      consentService.findLatestByConsentId.mockResolvedValue({ status: 'APPROVED', aa_provider: 'finvu' });
+    });
+
+    test('should mark the session READY', async () => {
+      const session = { status: 'PENDING', update: jest.fn() };
+      FISession.findOne.mockResolvedValue(session);
+
+      const result = await handleFINotification(fiNotification('COMPLETED', [{ linkRefNumber: 'L1', FIStatus: 'READY' }]));
+
+      expect(session.update).toHaveBeenCalledWith(expect.objectContaining({ status: 'READY' }));
+      expect(result.ack).toMatchObject({ txnid: 'txn-fi-1', response: 'OK' });
+      expect(fiIngestion.ingestReadySession).toHaveBeenCalledWith(session);
+    });
+
+    test('should not start ingestion while the data is pending', async () => {
+      const session = { status: 'PENDING', update: jest.fn() };
+      FISession.findOne.mockResolvedValue(session);
+
+      await handleFINotification(fiNotification('ACTIVE', [{ linkRefNumber: 'L1', FIStatus: 'PENDING' }]));
+
+      expect(fiIngestion.ingestReadySession).not.toHaveBeenCalled();
+    });
+
+    test('should settle a waiting sync when the session fails', async () => {
+      const session = { status: 'PENDING', update: jest.fn(async (values) => Object.assign(session, values)) };
+      FISession.findOne.mockResolvedValue(session);
+
+      await handleFINotification(fiNotification('EXPIRED', []));
+
+      expect(session.status).toBe('EXPIRED');
+      expect(fiIngestion.settleSync).toHaveBeenCalledWith(session);
+      expect(fiIngestion.ingestReadySession).not.toHaveBeenCalled();
+    });
+
+    test('should reject unknown sessions', async () => {
+      FISession.findOne.mockResolvedValue(null);
+
+      await expect(handleFINotification(fiNotification('COMPLETED', []))).rejects.toMatchObject({
+        errorCode: 'InvalidSessionId',
+        status: 404
+      });
+    });
+
+    test('should reject notifications from another AA before changing the session', async () => {
+      const session = { status: 'PENDING', consent_id: 'CONSENT_1', user_id: 'user-1', update: jest.fn() };
+      FISession.findOne.mockResolvedValue(session);
+
+      await expect(handleFINotification(fiNotification('EXPIRED', [], 'txn-fi-1', 'onemoney')))
+        .rejects.toMatchObject({ errorCode: 'InvalidNotifier', status: 403 });
+
+      expect(consentService.findLatestByConsentId).toHaveBeenCalledWith('CONSENT_1', 'user-1');
+      expect(session.update).not.toHaveBeenCalled();
+      expect(fiIngestion.settleSync).not.toHaveBeenCalled();
+      expect(AANotification.create).not.toHaveBeenCalled();
+    });
+
+    test('should reject sessions whose consent is not found', async () => {
+      const session = { status: 'PENDING', update: jest.fn() };
+      FISession.findOne.mockResolvedValue(session);
+      consentService.findLatestByConsentId.mockResolvedValue(null);
+
+      await expect(handleFINotification(fiNotification('COMPLETED', []))).rejects.toMatchObject({
+        errorCode: 'InvalidConsentId',
+        status: 404
+      });
+      expect(session.update).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('webhook routes', () => {
+    let mockAA;
+    let server;
+    let baseUrl;
+
+    beforeAll(async () => {
+      mockAA = createMockAAServer();
+      jws.setKeys({ publicKeys: [mockAA.publicKey] });
+
+      const app = express();
+      app.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf; } }));
+      app.use('/api/aa', require('../routes/aa'));
+      server = app.listen(0);
+      baseUrl = `http://127.0.0.1:${server.address().port}/api/aa`;
+    });
+
+    afterAll((done) => {
+      jws.resetKeys();
+      server.close(done);
+    });
+
+    test('should acknowledge a signed consent notification', async () => {
+      consentService.findLatestByConsentId.mockResolvedValue({ status: 'APPROVED', aa_provider: 'finvu' });
+      consentService.recordStatus.mockResolvedValue({ status: 'REVOKED' });
+
+      const { status, body } = await mockAA.notify(`${baseUrl}/Consent/Notification`, consentNotification('REVOKED', 'txn-route-1'));
+
+      expect(status).toBe(200);
+      expect(body).toMatchObject({ ver: '1.0', txnid: 'txn-route-1', response: 'OK' });
+    });
+
+    test('should reject unsigned notifications', async () => {
+      const response = await fetch(`${baseUrl}/FI/Notification`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(fiNotification('COMPLETED', []))
+      });
+
+      expect(response.status).toBe(401);
+      expect((await response.json()).errorCode).toBe('SignatureDoesNotMatch');
+      expect(FISession.findOne).not.toHaveBeenCalled();
+    });
+
+    test('should return ReBIT errors for unknown sessions', async () => {
+      FISession.findOne.mockResolvedValue(null);
+
+      const { status, body } = await mockAA.notify(`${baseUrl}/FI/Notification`, fiNotification('COMPLETED', []));
+
+      expect(status).toBe(404);
+      expect(body).toMatchObject({ errorCode: 'InvalidSessionId', txnid: 'txn-fi-1' });
+    });
+  });
+});
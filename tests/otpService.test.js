@@ -0,0 +1,347 @@
+/**
+ * Tests for OTP Service, SMS Providers and phone OTP login
+ */
+
+// In-memory phone_otps table (equality-only where clauses, plus created_at > for requestOtp)
+jest.mock('../models/PhoneOTP', () => {
+  const rows = new Map();
+  let sequence = 0;
+  const matches = (row, where) => Object.entries(where).every(([field, value]) =>
+    (value instanceof Date || typeof value !== 'object' || value === null)
+      ? row[field] === value
+      : Object.getOwnPropertySymbols(value).every(op => row[field] > value[op]));
+  const wrap = (row) => row && {
+    ...row,
+    isUsable: (now = new Date()) => !row.consumed_at && row.expires_at > now
+  };
+  const newestFirst = (a, b) => b.created_at - a.created_at || b.sequence - a.sequence;
+
+  return {
+    rows,
+    create: jest.fn(async (attributes) => {
+      const id = `otp-${++sequence}`;
+      rows.set(id, { id, sequence, attempts: 0, consumed_at: null, created_at: new Date(), ...attributes });
+      return wrap(rows.get(id));
+    }),
+    findAll: jest.fn(async ({ where }) => [...rows.values()].filter(row => matches(row, where)).sort(newestFirst).map(wrap)),
+    findOne: jest.fn(async ({ where }) => wrap([...rows.values()].filter(row => matches(row, where)).sort(newestFirst)[0])),
+    update: jest.fn(async (values, { where }) => {
+      const matched = [...rows.values()].filter(row => matches(row, where));
+      matched.forEach(row => Object.assign(row, values));
+      return [matched.length];
+    }),
+    destroy: jest.fn(async ({ where }) => rows.delete(where.id) ? 1 : 0)
+  };
+});
+jest.mock('../models/User', () => ({
+  findOne: jest.fn(),
+  create: jest.fn()
+}));
+jest.mock('../models/UserSession', () => ({
+  create: jest.fn(async (attributes) => attributes)
+}));
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Op } = require('sequelize');
+const PhoneOTP = require('../models/PhoneOTP');
+const User = require('../models/User');
+const smsProviders = require('../services/smsProviders');
+const { requestOtp, verifyOtp, normalizePhone, OtpError } = require('../services/otpService');
+const authController = require('../controllers/authController');
+
+process.env.JWT_SECRET = 'test-jwt-secret';
+process.env.JWT_REFRESH_SECRET = 'test-refresh-secret';
+
+const sent = [];
+const testProvider = {
+  name: 'test',
+  label: 'Test',
+  send: jest.fn(async (message) => {
+    sent.push(message);
+    return { messageId: `sms-${sent.length}` };
+  })
+};
+smsProviders.registerProvider(testProvider);
+
+const req = { ip: '10.0.0.1', headers: {}, body: {} };
+const lastCode = () => sent[sent.length - 1].message.match(/^(\d{6}) /)[1];
+const wrongCode = (code) => String((Number(code) + 1) % 1000000).padStart(6, '0');
+
+// Move every stored OTP back in time
+const age = (ms) => PhoneOTP.rows.forEach(row => {
+  row.created_at = new Date(row.created_at.getTime() - ms);
+});
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  res.set = jest.fn(() => res);
+  return res;
+};
+
+describe('OTP Service', () => {
+  beforeEach(() => {
+    process.env.SMS_PROVIDER = 'test';
+    PhoneOTP.rows.clear();
+    sent.length = 0;
+    jest.clearAllMocks();
+  });
+
+  afterAll(() => {
+    delete process.env.SMS_PROVIDER;
+  });
+
+  describe('normalizePhone', () => {
+    test.each([
+      ['9876543210', '+919876543210'],
+      ['98765 43210', '+919876543210'],
+      ['098765-43210', '+919876543210'],
+      ['+91 98765 43210', '+919876543210'],
+      ['919876543210', '+919876543210'],
+      ['+14155552671', '+14155552671']
+    ])('should normalize %s', (input, expected) => {
+      expect(normalizePhone(input)).toBe(expected);
+    });
+
+    test.each(['12345', '5876543210', '+91 12345 67890', 'not-a-phone', ''])('should reject %p', (input) => {
+      expect(() => normalizePhone(input)).toThrow(expect.objectContaining({ code: 'InvalidPhone' }));
+    });
+  });
+
+  describe('requestOtp', () => {
+    test('should send a 6-digit code and store only its hash', async () => {
+      const result = await requestOtp('98765 43210', req);
+      const [row] = PhoneOTP.rows.values();
+      const code = lastCode();
+
+      expect(sent[0].to).toBe('+919876543210');
+      expect(result).toMatchObject({ phone: '+919876543210', resendAfter: 30 });
+      expect(row.code_hash).toMatch(/^[0-9a-f]{64}$/);
+      expect(Object.values(row)).not.toContain(code);
+      expect(row.expires_at.getTime() - Date.now()).toBeGreaterThan(4 * 60 * 1000);
+      expect(row.ip_address).toBe('10.0.0.1');
+    });
+
+    test('should enforce the resend cooldown', async () => {
+      await requestOtp('9876543210', req);
+
+      await expect(requestOtp('+919876543210', req)).rejects.toMatchObject({ code: 'ResendCooldown', httpStatus: 429 });
+
+      age(31 * 1000);
+      await expect(requestOtp('9876543210', req)).resolves.toBeDefined();
+    });
+
+    test('should cap the codes sent to a phone per hour', async () => {
+      for (let i = 0; i < 5; i++) {
+        await requestOtp('9876543210', req);
+        age(60 * 1000);
+      }
+
+      const error = await requestOtp('9876543210', req).catch(e => e);
+      expect(error).toMatchObject({ code: 'TooManyRequests' });
+      expect(error.retryAfter).toBeGreaterThan(0);
+      expect(sent).toHaveLength(5);
+
+      age(60 * 60 * 1000);
+      await expect(requestOtp('9876543210', req)).resolves.toBeDefined();
+    });
+
+    test('should not count codes the provider failed to send', async () => {
+      const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+      testProvider.send.mockRejectedValueOnce(new Error('gateway down'));
+
+      await expect(requestOtp('9876543210', req)).rejects.toMatchObject({ code: 'SmsFailed', httpStatus: 502 });
+
+      expect(PhoneOTP.rows.size).toBe(0);
+      await expect(requestOtp('9876543210', req)).resolves.toBeDefined();
+      consoleError.mockRestore();
+    });
+  });
+
+  describe('verifyOtp', () => {
+    test('should accept the code once', async () => {
+      await requestOtp('9876543210', req);
+      const code = lastCode();
+
+      await expect(verifyOtp('+91 98765 43210', code)).resolves.toEqual({ phone: '+919876543210' });
+      await expect(verifyOtp('9876543210', code)).rejects.toMatchObject({ code: 'OtpExpired' });
+    });
+
+    test('should reject expired codes', async () => {
+      await requestOtp('9876543210', req);
+      PhoneOTP.rows.forEach(row => { row.expires_at = new Date(Date.now() - 1000); });
+
+      await expect(verifyOtp('9876543210', lastCode())).rejects.toMatchObject({ code: 'OtpExpired', httpStatus: 401 });
+    });
+
+    test('should only accept the latest code', async () => {
+      const randomInt = jest.spyOn(crypto, 'randomInt').mockReturnValueOnce(111111).mockReturnValueOnce(222222);
+      await requestOtp('9876543210', req);
+      age(31 * 1000);
+      await requestOtp('9876543210', req);
+      randomInt.mockRestore();
+
+      await expect(verifyOtp('9876543210', '111111')).rejects.toMatchObject({ code: 'InvalidOtp' });
+      await expect(verifyOtp('9876543210', '222222')).resolves.toBeDefined();
+    });
+
+    test('should lock the code after too many wrong guesses', async () => {
+      await requestOtp('9876543210', req);
+      const code = lastCode();
+
+      for (let remaining = 4; remaining > 0; remaining--) {
+        await expect(verifyOtp('9876543210', wrongCode(code)))
+          .rejects.toMatchObject({ code: 'InvalidOtp', attemptsRemaining: remaining });
+      }
+      await expect(verifyOtp('9876543210', wrongCode(code))).rejects.toMatchObject({ code: 'TooManyAttempts' });
+
+      await expect(verifyOtp('9876543210', code)).rejects.toMatchObject({ code: 'TooManyAttempts', httpStatus: 429 });
+    });
+
+    test('should bind the code to the phone it was sent to', async () => {
+      await requestOtp('9876543210', req);
+      const code = lastCode();
+      await requestOtp('9123456789', req);
+      // Even with the other phone's hash copied over, the code only verifies for its own phone
+      const [first, second] = PhoneOTP.rows.values();
+      second.code_hash = first.code_hash;
+
+      await expect(verifyOtp('9123456789', code)).rejects.toBeInstanceOf(OtpError);
+    });
+  });
+
+  describe('file SMS provider', () => {
+    test('should append messages to the outbox', async () => {
+      const outbox = path.join(os.tmpdir(), `sms-outbox-${process.pid}.jsonl`);
+      process.env.SMS_PROVIDER = 'file';
+      process.env.SMS_OUTBOX_PATH = outbox;
+
+      try {
+        await requestOtp('9876543210', req);
+        const lines = fs.readFileSync(outbox, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+
+        expect(lines).toHaveLength(1);
+        expect(lines[0]).toMatchObject({ to: '+919876543210', message: expect.stringMatching(/^\d{6} is your Rupio login code/) });
+      } finally {
+        fs.rmSync(outbox, { force: true });
+        delete process.env.SMS_OUTBOX_PATH;
+      }
+    });
+
+    test('should reject unknown providers', () => {
+      expect(() => smsProviders.getProvider('carrier-pigeon')).toThrow('Unknown SMS provider: carrier-pigeon');
+    });
+  });
+
+  describe('SMS provider config', () => {
+    const env = { NODE_ENV: process.env.NODE_ENV, SMS_PROVIDER: process.env.SMS_PROVIDER };
+
+    afterEach(() => {
+      process.env.NODE_ENV = env.NODE_ENV;
+      if (env.SMS_PROVIDER === undefined) delete process.env.SMS_PROVIDER;
+      else process.env.SMS_PROVIDER = env.SMS_PROVIDER;
+    });
+
+    test('should default to the console provider outside production', () => {
+      process.env.NODE_ENV = 'development';
+      delete process.env.SMS_PROVIDER;
+
+      expect(smsProviders.checkConfig().name).toBe('console');
+    });
+
+    test('should require SMS_PROVIDER in production', () => {
+      process.env.NODE_ENV = 'production';
+      delete process.env.SMS_PROVIDER;
+
+      expect(() => smsProviders.checkConfig()).toThrow('SMS_PROVIDER is not configured');
+    });
+
+    test.each(['console', 'file'])('should refuse the %s provider in production', (name) => {
+      process.env.NODE_ENV = 'production';
+      process.env.SMS_PROVIDER = name;
+
+      expect(() => smsProviders.checkConfig()).toThrow(/development only/);
+    });
+
+    test('should accept a gateway provider in production', () => {
+      process.env.NODE_ENV = 'production';
+      process.env.SMS_PROVIDER = 'test';
+
+      expect(smsProviders.checkConfig()).toBe(testProvider);
+    });
+  });
+
+  describe('OTP login', () => {
+    const buildUser = (attributes) => ({
+      id: 'user-1',
+      ...attributes,
+      update: jest.fn(async function (updates) { Object.assign(this, updates); return this; })
+    });
+
+    test('should answer the same way whether or not the phone has an account', async () => {
+      const res = mockResponse();
+
+      await authController.requestOtp({ ...req, body: { phone: '9876543210' } }, res);
+
+      expect(User.findOne).not.toHaveBeenCalled();
+      expect(res.json).toHaveBeenCalledWith({ message: 'OTP sent', expiresAt: expect.any(Date), resendAfter: 30 });
+    });
+
+    test('should set Retry-After during the cooldown', async () => {
+      await requestOtp('9876543210', req);
+      const res = mockResponse();
+
+      await authController.requestOtp({ ...req, body: { phone: '9876543210' } }, res);
+
+      expect(res.status).toHaveBeenCalledWith(429);
+      expect(res.set).toHaveBeenCalledWith('Retry-After', expect.stringMatching(/^\d+$/));
+    });
+
+    test('should sign up a new user with a verified phone', async () => {
+      User.findOne.mockResolvedValue(null);
+      User.create.mockImplementation(async (attributes) => buildUser(attributes));
+      await requestOtp('9876543210', req);
+      const res = mockResponse();
+
+      await authController.verifyOtp({ ...req, body: { phone: '9876543210', otp: lastCode(), name: 'Asha Rao' } }, res);
+
+      expect(User.findOne).toHaveBeenCalledWith({ where: { phone: { [Op.in]: ['+919876543210', '9876543210'] } } });
+      expect(User.create).toHaveBeenCalledWith({
+        phone: '+919876543210',
+        phone_verified_at: expect.any(Date),
+        first_name: 'Asha',
+        last_name: 'Rao'
+      });
+      expect(res.status).toHaveBeenCalledWith(201);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ isNewUser: true, accessToken: expect.any(String) }));
+    });
+
+    test('should verify the phone of an existing user', async () => {
+      const existing = buildUser({ phone: '9876543210', phone_verified_at: null });
+      User.findOne.mockResolvedValue(existing);
+      await requestOtp('9876543210', req);
+      const res = mockResponse();
+
+      await authController.verifyOtp({ ...req, body: { phone: '+919876543210', otp: lastCode() } }, res);
+
+      expect(existing.phone_verified_at).toBeInstanceOf(Date);
+      expect(User.create).not.toHaveBeenCalled();
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ message: 'OTP login successful', isNewUser: false }));
+    });
+
+    test('should reject a wrong code with the attempts remaining', async () => {
+      await requestOtp('9876543210', req);
+      const res = mockResponse();
+
+      await authController.verifyOtp({ ...req, body: { phone: '9876543210', otp: wrongCode(lastCode()) } }, res);
+
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(res.json).toHaveBeenCalledWith({ error: 'Incorrect code', code: 'InvalidOtp', attemptsRemaining: 4 });
+      expect(User.findOne).not.toHaveBeenCalled();
+    });
+  });
+});
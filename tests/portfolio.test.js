@@ -0,0 +1,113 @@
+/**
+ * Tests for the Portfolio Service
+ */
+
+jest.mock('../models/Holding', () => ({
+  findAll: jest.fn()
+}));
+
+const Holding = require('../models/Holding');
+const { computeGain, buildPortfolio, getUserPortfolio } = require('../services/portfolio');
+
+// DECIMAL columns as Postgres returns them
+const buildHolding = (overrides = {}) => ({
+  id: 'holding-1',
+  fi_type: 'MUTUAL_FUNDS',
+  fip_id: 'FIP_CAMS',
+  masked_acc_number: 'FOLIO1234',
+  isin: 'INF179K01BB8',
+  scheme_code: 'HDFC01',
+  name: 'HDFC Flexi Cap Fund - Growth',
+  issuer: 'HDFC Mutual Fund',
+  folio_number: '1234/56',
+  units: '30.0000',
+  nav: '1500.0000',
+  nav_date: '2026-10-18',
+  current_value: '45000.00',
+  cost_value: '33750.00',
+  currency: 'INR',
+  last_synced_at: new Date('2026-10-19T10:00:00Z'),
+  ...overrides
+});
+
+describe('Portfolio', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('computeGain', () => {
+    test('should compute gain and gain percentage', () => {
+      expect(computeGain(45000, 33750)).toEqual({ gain: 11250, gainPercent: 33.33 });
+      expect(computeGain(900, 1000)).toEqual({ gain: -100, gainPercent: -10 });
+    });
+
+    test('should leave the gain unknown without an invested amount', () => {
+      expect(computeGain(45000, null)).toEqual({ gain: null, gainPercent: null });
+    });
+  });
+
+  describe('buildPortfolio', () => {
+    test('should report current value and invested amount per holding', () => {
+      const { holdings } = buildPortfolio([buildHolding()]);
+
+      expect(holdings[0]).toMatchObject({
+        id: 'holding-1',
+        fiType: 'MUTUAL_FUNDS',
+        account: 'FOLIO1234',
+        name: 'HDFC Flexi Cap Fund - Growth',
+        units: 30,
+        nav: 1500,
+        currentValue: 45000,
+        investedAmount: 33750,
+        gain: 11250,
+        gainPercent: 33.33
+      });
+    });
+
+    test('should total by type and take the gain only over holdings with a known cost', () => {
+      const portfolio = buildPortfolio([
+        buildHolding(),
+        buildHolding({ id: 'holding-2', isin: 'INF200K01RJ1', current_value: '25500.00', cost_value: null }),
+        buildHolding({ id: 'holding-3', fi_type: 'EQUITIES', current_value: '18504.00', cost_value: '15000.00' })
+      ]);
+
+      expect(portfolio.totals).toEqual({
+        holdings: 3,
+        currentValue: 89004,
+        investedAmount: 48750,
+        gain: 14754,
+        gainPercent: 30.26
+      });
+      expect(portfolio.byType.MUTUAL_FUNDS).toEqual({
+        holdings: 2,
+        currentValue: 70500,
+        investedAmount: 33750,
+        gain: 11250,
+        gainPercent: 33.33
+      });
+      expect(portfolio.byType.EQUITIES.gain).toBe(3504);
+    });
+
+    test('should return empty totals without holdings', () => {
+      expect(buildPortfolio([])).toEqual({
+        holdings: [],
+        totals: { holdings: 0, currentValue: 0, investedAmount: 0, gain: 0, gainPercent: null },
+        byType: {}
+      });
+    });
+  });
+
+  describe('getUserPortfolio', () => {
+    test('should load only the user\'s holdings of the requested type', async () => {
+      Holding.findAll.mockResolvedValue([buildHolding()]);
+
+      const portfolio = await getUserPortfolio('user-123', { fiType: 'MUTUAL_FUNDS' });
+
+      expect(Holding.findAll).toHaveBeenCalledWith({
+        where: { user_id: 'user-123', fi_type: 'MUTUAL_FUNDS' },
+        order: [['fi_type', 'ASC'], ['current_value', 'DESC']]
+      });
+      expect(portfolio.totals.currentValue).toBe(45000);
+    });
+  });
+});
@@ -0,0 +1,239 @@
+/**
+ * Tests for Session Service
+ */
+
+// In-memory user_sessions table (equality-only where clauses)
+jest.mock('../models/UserSession', () => {
+  const rows = new Map();
+  const matches = (row, where) => Object.entries(where).every(([field, value]) => row[field] === value);
+  const wrap = (row) => row && {
+    ...row,
+    isActive: () => !row.revoked_at && row.expires_at > new Date()
+  };
+
+  return {
+    rows,
+    create: jest.fn(async (attributes) => {
+      rows.set(attributes.id, { revoked_at: null, ...attributes });
+      return wrap(rows.get(attributes.id));
+    }),
+    findByPk: jest.fn(async (id) => wrap(rows.get(id))),
+    findAll: jest.fn(async () => []),
+    update: jest.fn(async (values, { where }) => {
+      const matched = [...rows.values()].filter(row => matches(row, where));
+      matched.forEach(row => Object.assign(row, values));
+      return [matched.length, matched];
+    })
+  };
+});
+
+jest.mock('../models/User', () => {
+  const versions = new Map();
+  return {
+    versions,
+    findByPk: jest.fn(async (id) => ({ id, token_version: versions.get(id) || 0 })),
+    increment: jest.fn(async (field, { where }) => {
+      versions.set(where.id, (versions.get(where.id) || 0) + 1);
+    })
+  };
+});
+jest.mock('../models/SecurityEvent', () => ({
+  create: jest.fn(async (attributes) => ({ id: 'event-1', ...attributes }))
+}));
+
+const { Op } = require('sequelize');
+const UserSession = require('../models/UserSession');
+const SecurityEvent = require('../models/SecurityEvent');
+const User = require('../models/User');
+const tokenRevocation = require('../services/tokenRevocation');
+const { onSecurityEvent } = require('../services/securityEvents');
+const { verifyAccessToken, generateRefreshToken } = require('../utils/jwt');
+const {
+  startSession,
+  refreshSession,
+  listSessions,
+  revokeSession,
+  revokeAllSessions,
+  hashToken,
+  SessionError
+} = require('../services/sessionService');
+
+process.env.JWT_SECRET = 'test-jwt-secret';
+process.env.JWT_REFRESH_SECRET = 'test-refresh-secret';
+
+const user = { id: 'user-123' };
+const phone = { ip: '10.0.0.1', headers: {}, body: { device_name: 'Pixel 8', platform: 'Android' } };
+const laptop = { ip: '10.0.0.2', headers: { 'user-agent': 'Mozilla/5.0 (Macintosh)' }, body: {} };
+const attacker = { ip: '203.0.113.7', headers: { 'user-agent': 'curl/8.0' }, body: {} };
+
+describe('Session Service', () => {
+  beforeEach(() => {
+    UserSession.rows.clear();
+    User.versions.clear();
+    tokenRevocation.clearCache();
+    jest.clearAllMocks();
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.warn.mockRestore();
+  });
+
+  describe('startSession', () => {
+    test('should store only the refresh token hash with the device details', async () => {
+      const { session, accessToken, refreshToken } = await startSession(user, phone);
+      const row = UserSession.rows.get(session.id);
+
+      expect(row).toMatchObject({
+        user_id: 'user-123',
+        refresh_token_hash: hashToken(refreshToken),
+        device_name: 'Pixel 8',
+        platform: 'android',
+        ip_address: '10.0.0.1'
+      });
+      expect(Object.values(row)).not.toContain(refreshToken);
+      expect(row.expires_at.getTime()).toBeGreaterThan(Date.now() + 6 * 24 * 60 * 60 * 1000);
+      expect(verifyAccessToken(accessToken)).toMatchObject({ userId: 'user-123', sid: session.id });
+    });
+
+    test('should keep sessions on other devices when signing in again', async () => {
+      const first = await startSession(user, phone);
+      const second = await startSession(user, laptop);
+
+      expect(second.session.id).not.toBe(first.session.id);
+      expect(UserSession.rows.get(second.session.id).device_name).toBe('Mozilla/5.0 (Macintosh)');
+      await expect(refreshSession(first.refreshToken, phone)).resolves.toBeDefined();
+    });
+  });
+
+  describe('refreshSession', () => {
+    test('should rotate the refresh token and touch the session', async () => {
+      const { session, refreshToken } = await startSession(user, phone);
+
+      const rotated = await refreshSession(refreshToken, { ip: '10.0.0.9' });
+
+      expect(rotated.refreshToken).not.toBe(refreshToken);
+      expect(UserSession.rows.get(session.id)).toMatchObject({
+        refresh_token_hash: hashToken(rotated.refreshToken),
+        ip_address: '10.0.0.9'
+      });
+      expect(UserSession.rows.get(session.id).token_generation).toBe(1);
+      expect(verifyAccessToken(rotated.accessToken).sid).toBe(session.id);
+    });
+
+    test('should reject tokens of revoked sessions', async () => {
+      const { session, refreshToken } = await startSession(user, phone);
+      await revokeSession('user-123', session.id);
+
+      await expect(refreshSession(refreshToken, phone)).rejects.toMatchObject({ code: 'SessionEnded' });
+    });
+
+    test('should reject tokens without a session and malformed tokens', async () => {
+      await expect(refreshSession(generateRefreshToken('user-123'), phone)).rejects.toBeInstanceOf(SessionError);
+      await expect(refreshSession('not-a-token', phone)).rejects.toMatchObject({ code: 'InvalidRefreshToken' });
+    });
+  });
+
+  describe('refresh token reuse', () => {
+    test('should revoke the whole family and record a security event', async () => {
+      const { session, refreshToken: stolen } = await startSession(user, phone);
+      const { refreshToken: current } = await refreshSession(stolen, phone);
+
+      await expect(refreshSession(stolen, attacker)).rejects.toMatchObject({ code: 'RefreshTokenReused' });
+
+      expect(UserSession.rows.get(session.id)).toMatchObject({ revoked_reason: 'TOKEN_REUSE' });
+      expect(SecurityEvent.create).toHaveBeenCalledWith({
+        user_id: 'user-123',
+        session_id: session.id,
+        event_type: 'REFRESH_TOKEN_REUSE',
+        ip_address: '203.0.113.7',
+        user_agent: 'curl/8.0',
+        details: { presentedGeneration: 0, currentGeneration: 1, deviceName: 'Pixel 8', platform: 'android' }
+      });
+      // The legitimate device's token is part of the family too: it must sign in again
+      await expect(refreshSession(current, phone)).rejects.toMatchObject({ code: 'SessionEnded' });
+    });
+
+    test('should leave the user\'s other sessions alone', async () => {
+      const { refreshToken: stolen } = await startSession(user, phone);
+      const other = await startSession(user, laptop);
+      await refreshSession(stolen, phone);
+
+      await expect(refreshSession(stolen, attacker)).rejects.toMatchObject({ code: 'RefreshTokenReused' });
+
+      await expect(refreshSession(other.refreshToken, laptop)).resolves.toBeDefined();
+    });
+
+    test('should treat the loser of two concurrent refreshes as a reuse', async () => {
+      const { session, refreshToken } = await startSession(user, phone);
+
+      const results = await Promise.allSettled([refreshSession(refreshToken, phone), refreshSession(refreshToken, attacker)]);
+
+      expect(results.map(r => r.status).sort()).toEqual(['fulfilled', 'rejected']);
+      expect(results.find(r => r.status === 'rejected').reason.code).toBe('RefreshTokenReused');
+      expect(UserSession.rows.get(session.id).revoked_reason).toBe('TOKEN_REUSE');
+    });
+
+    test('should notify listeners without letting their failures leak', async () => {
+      const received = [];
+      const stopListening = onSecurityEvent((event) => received.push(event.event_type));
+      const stopFailing = onSecurityEvent(() => { throw new Error('push service down'); });
+      const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+      const { refreshToken } = await startSession(user, phone);
+      await refreshSession(refreshToken, phone);
+
+      await expect(refreshSession(refreshToken, attacker)).rejects.toMatchObject({ code: 'RefreshTokenReused' });
+      await new Promise(resolve => setImmediate(resolve));
+
+      expect(received).toEqual(['REFRESH_TOKEN_REUSE']);
+      expect(consoleError).toHaveBeenCalledWith('Security event listener error:', expect.any(Error));
+      stopListening();
+      stopFailing();
+      consoleError.mockRestore();
+    });
+  });
+
+  describe('revoking', () => {
+    test('should only revoke the user\'s own sessions', async () => {
+      const { session } = await startSession(user, phone);
+
+      expect(await revokeSession('user-456', session.id)).toBe(false);
+      expect(await revokeSession('user-123', 'not-a-uuid')).toBe(false);
+      expect(await revokeSession('user-123', session.id)).toBe(true);
+      expect(await revokeSession('user-123', session.id)).toBe(false);
+      expect(UserSession.rows.get(session.id).revoked_reason).toBe('USER_REVOKED');
+    });
+
+    test('should log out everywhere', async () => {
+      const sessions = [await startSession(user, phone), await startSession(user, laptop)];
+      await startSession({ id: 'user-456' }, phone);
+
+      expect(await revokeAllSessions('user-123')).toBe(2);
+      for (const { session, refreshToken } of sessions) {
+        await expect(refreshSession(refreshToken, phone)).rejects.toMatchObject({ code: 'SessionEnded' });
+        expect(await tokenRevocation.isSessionActive(session.id)).toBe(false);
+      }
+      expect(await tokenRevocation.getTokenVersion('user-123')).toBe(1);
+      expect(await tokenRevocation.getTokenVersion('user-456')).toBe(0);
+    });
+  });
+
+  describe('listSessions', () => {
+    test('should list active sessions and flag the current one', async () => {
+      UserSession.findAll.mockResolvedValue([
+        { id: 'session-1', device_name: 'Pixel 8', platform: 'android', refresh_token_hash: 'hash' },
+        { id: 'session-2', device_name: 'iPhone', platform: 'ios', refresh_token_hash: 'hash' }
+      ]);
+
+      const sessions = await listSessions('user-123', 'session-2');
+
+      expect(UserSession.findAll.mock.calls[0][0].where).toEqual({
+        user_id: 'user-123',
+        revoked_at: null,
+        expires_at: { [Op.gt]: expect.any(Date) }
+      });
+      expect(sessions.map(s => [s.id, s.current])).toEqual([['session-1', false], ['session-2', true]]);
+      expect(sessions[0]).not.toHaveProperty('refresh_token_hash');
+    });
+  });
+});
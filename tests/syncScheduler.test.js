@@ -0,0 +1,283 @@
+/**
+ * Tests for Periodic FI Sync Scheduler
+ */
+
+jest.mock('../models/ConsentSync', () => ({
+  findOrCreate: jest.fn()
+}));
+jest.mock('../models/FISession', () => ({
+  findOne: jest.fn()
+}));
+jest.mock('../services/consentService', () => ({
+  expireStaleConsents: jest.fn(),
+  findActiveConsents: jest.fn()
+}));
+jest.mock('../services/fiIngestion', () => ({
+  ingestBankStatement: jest.fn(),
+  ingestWaitingSessions: jest.fn(async () => []),
+  expireStaleSessions: jest.fn(async () => []),
+  OPEN_STATUSES: ['PENDING', 'READY', 'FETCHING', 'PROCESSING']
+}));
+
+const ConsentSync = require('../models/ConsentSync');
+const FISession = require('../models/FISession');
+const consentService = require('../services/consentService');
+const { ingestBankStatement, ingestWaitingSessions, expireStaleSessions } = require('../services/fiIngestion');
+const { buildConsentDetail, DEFAULT_TEMPLATE } = require('../services/consentTemplates');
+const {
+  addFrequencyUnit,
+  checkFrequency,
+  computeDataRange,
+  runSyncCycle
+} = require('../services/syncScheduler');
+
+const now = new Date('2024-11-27T12:00:00Z');
+
+const buildConsent = (overrides = {}) => ({
+  consent_handle: 'HANDLE_1',
+  aa_provider: 'finvu',
+  aa_consent_id: 'CONSENT_1',
+  user_id: 'user-123',
+  aa_request: {
+    ConsentDetail: {
+      fetchType: 'PERIODIC',
+      FIDataRange: { from: '2024-06-01T00:00:00Z', to: '2025-06-01T00:00:00Z' },
+      Frequency: { unit: 'DAY', value: 2 }
+    }
+  },
+  ...overrides
+});
+
+const buildSync = (overrides = {}) => ({
+  window_started_at: null,
+  window_fetch_count: 0,
+  last_synced_at: null,
+  update: jest.fn(),
+  ...overrides
+});
+
+describe('Sync Scheduler', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('addFrequencyUnit', () => {
+    test('should add calendar units', () => {
+      expect(addFrequencyUnit(now, 'HOUR').toISOString()).toBe('2024-11-27T13:00:00.000Z');
+      expect(addFrequencyUnit(now, 'MONTH').getMonth()).toBe(11);
+      expect(addFrequencyUnit(now, 'YEAR').getFullYear()).toBe(2025);
+    });
+  });
+
+  describe('checkFrequency', () => {
+    const frequency = { unit: 'DAY', value: 2 };
+
+    test('should open a new window on first fetch', () => {
+      expect(checkFrequency(buildSync(), frequency, now)).toEqual({
+        allowed: true, windowStartedAt: now, windowFetchCount: 0
+      });
+    });
+
+    test('should allow fetches up to the limit within a window', () => {
+      const sync = buildSync({ window_started_at: new Date(now.getTime() - 60 * 60 * 1000), window_fetch_count: 1 });
+      expect(checkFrequency(sync, frequency, now).allowed).toBe(true);
+
+      sync.window_fetch_count = 2;
+      expect(checkFrequency(sync, frequency, now).allowed).toBe(false);
+    });
+
+    test('should reset the count once the window has passed', () => {
+      const sync = buildSync({ window_started_at: new Date('2024-11-26T11:00:00Z'), window_fetch_count: 2 });
+      expect(checkFrequency(sync, frequency, now)).toEqual({
+        allowed: true, windowStartedAt: now, windowFetchCount: 0
+      });
+    });
+
+    test('should not limit INF frequency', () => {
+      const sync = buildSync({ window_started_at: now, window_fetch_count: 100 });
+      expect(checkFrequency(sync, { unit: 'INF', value: 1 }, now).allowed).toBe(true);
+    });
+  });
+
+  describe('computeDataRange', () => {
+    const detail = buildConsent().aa_request.ConsentDetail;
+
+    test('should start at FIDataRange.from on first sync', () => {
+      const range = computeDataRange(buildSync(), detail, now);
+      expect(range.fromDate.toISOString()).toBe('2024-06-01T00:00:00.000Z');
+      expect(range.toDate).toEqual(now);
+    });
+
+    test('should start at the last successful sync', () => {
+      const range = computeDataRange(buildSync({ last_synced_at: new Date('2024-11-20T00:00:00Z') }), detail, now);
+      expect(range.fromDate.toISOString()).toBe('2024-11-20T00:00:00.000Z');
+    });
+
+    test('should stop at FIDataRange.to and return null when exhausted', () => {
+      const ended = { ...detail, FIDataRange: { from: '2024-01-01T00:00:00Z', to: '2024-06-01T00:00:00Z' } };
+
+      expect(computeDataRange(buildSync(), ended, now).toDate.toISOString()).toBe('2024-06-01T00:00:00.000Z');
+      expect(computeDataRange(buildSync({ last_synced_at: new Date('2024-06-01T00:00:00Z') }), ended, now)).toBeNull();
+    });
+  });
+
+  describe('runSyncCycle', () => {
+    test('should ingest and record success for PERIODIC consents', async () => {
+      const sync = buildSync({ last_synced_at: new Date('2024-11-20T00:00:00Z') });
+      consentService.findActiveConsents.mockResolvedValue([
+        buildConsent(),
+        buildConsent({ consent_handle: 'HANDLE_2', aa_request: { ConsentDetail: { fetchType: 'ONETIME' } } })
+      ]);
+      ConsentSync.findOrCreate.mockResolvedValue([sync, false]);
+      ingestBankStatement.mockResolvedValue({
+        session: { sessionId: 'SESSION_1' },
+        result: { success: true, totalParsed: 3, saved: 3, skipped: 0, errors: [] }
+      });
+
+      const results = await runSyncCycle(now);
+
+      expect(consentService.expireStaleConsents).toHaveBeenCalled();
+      expect(expireStaleSessions).toHaveBeenCalledWith({ now });
+      expect(ingestWaitingSessions).toHaveBeenCalled();
+      expect(results).toHaveLength(1);
+      expect(results[0].status).toBe('SUCCESS');
+      expect(ingestBankStatement).toHaveBeenCalledWith({
+        record: expect.objectContaining({ consent_handle: 'HANDLE_1' }),
+        range: { fromDate: new Date('2024-11-20T00:00:00Z'), toDate: now },
+        source: 'SYNC'
+      });
+      expect(sync.update).toHaveBeenLastCalledWith(expect.objectContaining({
+        status: 'SUCCESS',
+        last_synced_at: now,
+        last_error: null,
+        last_result: expect.objectContaining({ sessionId: 'SESSION_1', saved: 3 })
+      }));
+    });
+
+    test('should record errors per consent and keep going', async () => {
+      const failing = buildSync();
+      const succeeding = buildSync();
+      consentService.findActiveConsents.mockResolvedValue([buildConsent(), buildConsent({ consent_handle: 'HANDLE_2' })]);
+      ConsentSync.findOrCreate.mockResolvedValueOnce([failing, true]).mockResolvedValueOnce([succeeding, true]);
+      ingestBankStatement
+        .mockRejectedValueOnce(new Error('Consent is PAUSED'))
+        .mockResolvedValueOnce({
+          session: { sessionId: 'SESSION_2' },
+          result: { success: true, totalParsed: 0, saved: 0, skipped: 0, errors: [] }
+        });
+
+      const results = await runSyncCycle(now);
+
+      expect(results.map(r => r.status)).toEqual(['FAILED', 'SUCCESS']);
+      expect(failing.update).toHaveBeenLastCalledWith({ status: 'FAILED', last_error: 'Consent is PAUSED' });
+    });
+
+    test('should keep fetching new data for consents built from a PERIODIC template', async () => {
+      const initiatedAt = new Date('2026-01-01T00:00:00Z');
+      const detail = buildConsentDetail(DEFAULT_TEMPLATE, { fetchType: 'PERIODIC', frequency: { unit: 'DAY', value: 2 } }, initiatedAt);
+      const sync = buildSync();
+      consentService.findActiveConsents.mockResolvedValue([buildConsent({ aa_request: { ConsentDetail: detail } })]);
+      ConsentSync.findOrCreate.mockResolvedValue([sync, false]);
+      ingestBankStatement.mockResolvedValue({
+        session: { sessionId: 'SESSION_1' },
+        result: { success: true, totalParsed: 0, saved: 0, skipped: 0, errors: [] }
+      });
+      sync.update.mockImplementation(async (values) => Object.assign(sync, values));
+
+      await runSyncCycle(initiatedAt);
+      const results = await runSyncCycle(new Date('2026-02-01T00:00:00Z'));
+
+      expect(results[0].status).toBe('SUCCESS');
+      expect(ingestBankStatement).toHaveBeenLastCalledWith(expect.objectContaining({
+        range: { fromDate: initiatedAt, toDate: new Date('2026-02-01T00:00:00Z') }
+      }));
+    });
+
+    test('should count a run whose data is not ready yet without moving last_synced_at', async () => {
+      const sync = buildSync({ window_fetch_count: 0 });
+      sync.update.mockImplementation(async (values) => Object.assign(sync, values));
+      consentService.findActiveConsents.mockResolvedValue([buildConsent()]);
+      ConsentSync.findOrCreate.mockResolvedValue([sync, false]);
+      ingestBankStatement.mockResolvedValue({ session: { sessionId: 'SESSION_1' }, result: null, pending: true });
+
+      const results = await runSyncCycle(now);
+
+      expect(results[0]).toMatchObject({ status: 'PENDING', sessionId: 'SESSION_1' });
+      expect(sync).toMatchObject({
+        status: 'PENDING',
+        last_synced_at: null,
+        window_fetch_count: 1,
+        last_result: { sessionId: 'SESSION_1', pending: true }
+      });
+    });
+
+    test('should not request again while the pending session is open', async () => {
+      consentService.findActiveConsents.mockResolvedValue([buildConsent()]);
+      ConsentSync.findOrCreate.mockResolvedValue([
+        buildSync({ status: 'PENDING', last_result: { sessionId: 'SESSION_1', pending: true } }),
+        false
+      ]);
+      FISession.findOne.mockResolvedValue({ session_id: 'SESSION_1', status: 'PENDING' });
+
+      const results = await runSyncCycle(now);
+
+      expect(FISession.findOne).toHaveBeenCalledWith({ where: { session_id: 'SESSION_1' } });
+      expect(results[0]).toMatchObject({ status: 'SKIPPED', reason: 'session_pending' });
+      expect(ingestBankStatement).not.toHaveBeenCalled();
+    });
+
+    test('should request the same window again once the pending session expired', async () => {
+      const lastSyncedAt = new Date('2024-11-20T00:00:00Z');
+      consentService.findActiveConsents.mockResolvedValue([buildConsent()]);
+      ConsentSync.findOrCreate.mockResolvedValue([
+        buildSync({ status: 'FAILED', last_synced_at: lastSyncedAt, last_result: { sessionId: 'SESSION_1', pending: true } }),
+        false
+      ]);
+      ingestBankStatement.mockResolvedValue({
+        session: { sessionId: 'SESSION_2' },
+        result: { success: true, totalParsed: 0, saved: 0, skipped: 0, errors: [] }
+      });
+
+      await runSyncCycle(now);
+
+      expect(ingestBankStatement).toHaveBeenCalledWith(expect.objectContaining({
+        range: { fromDate: lastSyncedAt, toDate: now }
+      }));
+    });
+
+    test('should pick up a pending session that completed before the sync was marked PENDING', async () => {
+      const sync = buildSync({ status: 'PENDING', last_result: { sessionId: 'SESSION_1', pending: true } });
+      sync.update.mockImplementation(async (values) => Object.assign(sync, values));
+      consentService.findActiveConsents.mockResolvedValue([buildConsent()]);
+      ConsentSync.findOrCreate.mockResolvedValue([sync, false]);
+      FISession.findOne.mockResolvedValue({
+        session_id: 'SESSION_1',
+        status: 'COMPLETED',
+        data_range_to: new Date('2024-11-26T00:00:00Z')
+      });
+      ingestBankStatement.mockResolvedValue({
+        session: { sessionId: 'SESSION_2' },
+        result: { success: true, totalParsed: 0, saved: 0, skipped: 0, errors: [] }
+      });
+
+      await runSyncCycle(now);
+
+      expect(ingestBankStatement).toHaveBeenCalledWith(expect.objectContaining({
+        range: { fromDate: new Date('2024-11-26T00:00:00Z'), toDate: now }
+      }));
+    });
+
+    test('should skip consents that reached their frequency limit', async () => {
+      consentService.findActiveConsents.mockResolvedValue([buildConsent()]);
+      ConsentSync.findOrCreate.mockResolvedValue([
+        buildSync({ window_started_at: new Date(now.getTime() - 1000), window_fetch_count: 2 }),
+        false
+      ]);
+
+      const results = await runSyncCycle(now);
+
+      expect(results[0]).toMatchObject({ status: 'SKIPPED', reason: 'frequency_limit' });
+      expect(ingestBankStatement).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,174 @@
+/**
+ * Tests for Access Token Revocation and the authenticate / requireAdmin middleware
+ */
+
+jest.mock('../models/User', () => ({
+  findByPk: jest.fn(),
+  increment: jest.fn()
+}));
+jest.mock('../models/UserSession', () => ({
+  findByPk: jest.fn()
+}));
+
+const User = require('../models/User');
+const UserSession = require('../models/UserSession');
+const { generateAccessToken } = require('../utils/jwt');
+const { authenticate, requireAdmin } = require('../middlewares/auth');
+const {
+  checkAccessToken,
+  markSessionsRevoked,
+  bumpTokenVersion,
+  clearCache
+} = require('../services/tokenRevocation');
+
+process.env.JWT_SECRET = 'test-jwt-secret';
+
+const SESSION_ID = '6f1c2a7e-3b4d-4e5f-8a9b-0c1d2e3f4a5b';
+
+const activeSession = { id: SESSION_ID, isActive: () => true };
+const revokedSession = { id: SESSION_ID, isActive: () => false };
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+const callAuthenticate = async (token) => {
+  const req = { headers: { authorization: `Bearer ${token}` } };
+  const res = mockResponse();
+  const next = jest.fn();
+  await authenticate(req, res, next);
+  return { req, res, next };
+};
+
+describe('Token Revocation', () => {
+  let tokenVersion;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    clearCache();
+    tokenVersion = 0;
+    User.findByPk.mockImplementation(async (id) => ({ id, token_version: tokenVersion }));
+    UserSession.findByPk.mockResolvedValue(activeSession);
+  });
+
+  describe('authenticate', () => {
+    test('should accept a valid token and expose the user and session', async () => {
+      const { req, next } = await callAuthenticate(generateAccessToken('user-123', SESSION_ID, 0));
+
+      expect(next).toHaveBeenCalled();
+      expect(req.userId).toBe('user-123');
+      expect(req.sessionId).toBe(SESSION_ID);
+    });
+
+    test('should reject tokens of a revoked session', async () => {
+      UserSession.findByPk.mockResolvedValue(revokedSession);
+
+      const { res, next } = await callAuthenticate(generateAccessToken('user-123', SESSION_ID, 0));
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(res.json).toHaveBeenCalledWith({ error: 'Token has been revoked', code: 'SessionRevoked' });
+    });
+
+    test('should reject tokens issued before the user\'s token version', async () => {
+      tokenVersion = 2;
+
+      const { res } = await callAuthenticate(generateAccessToken('user-123', SESSION_ID, 1));
+
+      expect(res.json).toHaveBeenCalledWith({ error: 'Token has been revoked', code: 'TokenVersionRevoked' });
+    });
+
+    test('should reject tokens of deleted users', async () => {
+      User.findByPk.mockResolvedValue(null);
+
+      const { res } = await callAuthenticate(generateAccessToken('user-123', SESSION_ID, 0));
+
+      expect(res.json).toHaveBeenCalledWith({ error: 'Token has been revoked', code: 'UserNotFound' });
+    });
+
+    test('should answer 503 when revocation state cannot be loaded', async () => {
+      User.findByPk.mockRejectedValue(new Error('connection refused'));
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      const { res, next } = await callAuthenticate(generateAccessToken('user-123', SESSION_ID, 0));
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(503);
+      console.error.mockRestore();
+    });
+  });
+
+  describe('requireAdmin', () => {
+    afterEach(() => {
+      delete process.env.ADMIN_USER_IDS;
+    });
+
+    test('should only let users listed in ADMIN_USER_IDS through', () => {
+      process.env.ADMIN_USER_IDS = 'admin-1, admin-2';
+
+      const next = jest.fn();
+      requireAdmin({ userId: 'admin-2' }, mockResponse(), next);
+      expect(next).toHaveBeenCalled();
+
+      const res = mockResponse();
+      const denied = jest.fn();
+      requireAdmin({ userId: 'user-123' }, res, denied);
+      expect(denied).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(403);
+    });
+
+    test('should deny everyone when no admins are configured', () => {
+      const res = mockResponse();
+      const next = jest.fn();
+      requireAdmin({ userId: 'user-123' }, res, next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(403);
+    });
+  });
+
+  describe('cache', () => {
+    test('should not hit the database on every request', async () => {
+      const claims = { userId: 'user-123', sid: SESSION_ID, ver: 0 };
+
+      for (let i = 0; i < 5; i++) {
+        expect(await checkAccessToken(claims)).toBeNull();
+      }
+
+      expect(User.findByPk).toHaveBeenCalledTimes(1);
+      expect(UserSession.findByPk).toHaveBeenCalledTimes(1);
+    });
+
+    test('should reload active entries after the TTL', async () => {
+      process.env.AUTH_REVOCATION_CACHE_TTL_MS = '1000';
+      const now = jest.spyOn(Date, 'now').mockReturnValue(1_000_000);
+      const claims = { userId: 'user-123', sid: SESSION_ID, ver: 0 };
+
+      await checkAccessToken(claims);
+      UserSession.findByPk.mockResolvedValue(revokedSession);
+      expect(await checkAccessToken(claims)).toBeNull();
+
+      now.mockReturnValue(1_001_001);
+      expect(await checkAccessToken(claims)).toBe('SessionRevoked');
+
+      now.mockRestore();
+      delete process.env.AUTH_REVOCATION_CACHE_TTL_MS;
+    });
+
+    test('should apply revocations made by this process immediately', async () => {
+      const claims = { userId: 'user-123', sid: SESSION_ID, ver: 0 };
+      expect(await checkAccessToken(claims)).toBeNull();
+
+      markSessionsRevoked([SESSION_ID]);
+      expect(await checkAccessToken(claims)).toBe('SessionRevoked');
+
+      User.increment.mockImplementation(async () => { tokenVersion++; });
+      expect(await bumpTokenVersion('user-123')).toBe(1);
+      expect(await checkAccessToken({ userId: 'user-123', ver: 0 })).toBe('TokenVersionRevoked');
+      expect(await checkAccessToken({ userId: 'user-123', ver: 1 })).toBeNull();
+    });
+  });
+});
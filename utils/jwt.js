@@ -1,14 +1,22 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 
 const ACCESS_TOKEN_EXPIRY = '15m';
 const REFRESH_TOKEN_EXPIRY = '7d';
 
-const generateAccessToken = (userId) => {
-  return jwt.sign({ userId }, process.env.JWT_SECRET, { expiresIn: ACCESS_TOKEN_EXPIRY });
+// Access tokens carry the session (sid) they were issued for and the user's
+// token version (ver), both checked on every request (see tokenRevocation.js)
+const generateAccessToken = (userId, sessionId, tokenVersion = 0) => {
+  return jwt.sign({ userId, sid: sessionId, ver: tokenVersion }, process.env.JWT_SECRET, { expiresIn: ACCESS_TOKEN_EXPIRY });
 };
 
-const generateRefreshToken = (userId) => {
-  return jwt.sign({ userId }, process.env.JWT_REFRESH_SECRET, { expiresIn: REFRESH_TOKEN_EXPIRY });
+// Refresh tokens get a unique jti so every rotation yields a distinct token (and hash);
+// gen is the token's generation within its session's family
+const generateRefreshToken = (userId, sessionId, generation) => {
+  return jwt.sign({ userId, sid: sessionId, gen: generation }, process.env.JWT_REFRESH_SECRET, {
+    expiresIn: REFRESH_TOKEN_EXPIRY,
+    jwtid: crypto.randomUUID()
+  });
 };
 
 const verifyAccessToken = (token) => {
@@ -25,4 +33,3 @@ module.exports = {
   verifyAccessToken,
   verifyRefreshToken
 };
-